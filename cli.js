@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+
+// Load environment variables
+require("dotenv").config();
+
+const fs = require('fs');
+const config = require('./src/config/config.js');
+const { Database } = require('./src/database/Database.js');
+const { SuppressionList, SUPPRESSION_REASONS } = require('./src/compliance/SuppressionList.js');
+const { OutreachPolicy, INBOUND_SIGNALS } = require('./src/compliance/OutreachPolicy.js');
+const { AuditTrail } = require('./src/compliance/AuditTrail.js');
+const { RecipientHealthMonitor, HEALTH_DIMENSIONS, getTemplateId } = require('./src/compliance/RecipientHealthMonitor.js');
+const { DataRetention } = require('./src/compliance/DataRetention.js');
+const { ScreenshotStore } = require('./src/compliance/ScreenshotStore.js');
+const { ActionJournal } = require('./src/queue/ActionJournal.js');
+const { KeywordPolicy, SIGNOFF_STATUSES } = require('./src/compliance/KeywordPolicy.js');
+const { LeadProvenance } = require('./src/compliance/LeadProvenance.js');
+
+const USAGE = `
+Usage: node cli.js <command> [args]
+
+Commands:
+  suppress add <handle> [reason] [notes]   Add an account to the do-not-contact list
+                                           (reason: ${Object.values(SUPPRESSION_REASONS).join(', ')}; default MANUAL)
+  suppress remove <handle>                 Remove an account from the do-not-contact list
+  suppress list                            Print every suppressed account
+  signal add <handle> <type> [url]         Record that an account reached out first
+                                           (type: ${Object.values(INBOUND_SIGNALS).join(', ')})
+  signal list                              Print every recorded inbound signal
+  audit export [--account <handle>] [--sender <handle>] [--from <date>] [--to <date>] [--out <file>]
+                                           Export audit trail entries as JSONL (dates are
+                                           ISO; a bare --to date includes that whole day)
+  audit verify                             Check the audit trail's hash chain
+  health status                            Print recipient-health stats and active pauses
+  health resume <keyword|template> <value> Lift a pause set by the recipient-health monitor
+  data export <handle> [--out <file>]      Export every record held about an account as JSON
+                                           (Leads sheet, SQLite, audit trail, logs, screenshots)
+  data erase <handle>                      Delete every record about an account, except its
+                                           suppression list entry and audit trail entries
+  data retention                           Apply the retention policy now and delete expired screenshots
+  review list                              Print actions that may or may not have gone out: an
+                                           earlier run stopped, or they failed after the send click
+  review resolve <id> <sent|not-sent> [--reviewer <name>] [--note <text>]
+                                           Record what happened to an action in review; not-sent
+                                           lets it be planned again
+  keywords list [status]                   Print scraping keywords and their sign-off
+                                           (status: ${Object.values(SIGNOFF_STATUSES).join(', ')})
+  keywords approve <keyword> [--reviewer <name>] [--note <text>]
+                                           Sign off a keyword so runs may scrape it; keywords
+                                           aimed at vulnerable people cannot be signed off
+  keywords refuse <keyword> [--reviewer <name>] [--note <text>]
+                                           Keep a keyword from being scraped
+  provenance <handle> [--json]             Print why an account was contacted: the keyword and
+                                           match it was scraped for, the filter rules version
+                                           and score, plan entries, approvers and outcomes
+`;
+
+/**
+ * Parses "--name value" pairs.
+ * @param {Array<string>} args
+ * @returns {object}
+ */
+function parseOptions(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) throw new Error(`Unexpected argument "${args[i]}".`);
+        const value = args[i + 1];
+        if (value === undefined || value.startsWith('--')) throw new Error(`${args[i]} needs a value.`);
+        options[args[i].slice(2)] = value;
+        i++;
+    }
+    return options;
+}
+
+/**
+ * Turns a CLI date into a Date. A date without a time means the start of that
+ * day, or its last millisecond when `endOfDay` is set.
+ */
+function parseDate(value, endOfDay = false) {
+    if (!value) return null;
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(dateOnly ? `${value}T00:00:00.000Z` : value);
+    if (isNaN(date.getTime())) throw new Error(`Invalid date "${value}".`);
+    if (dateOnly && endOfDay) date.setUTCHours(23, 59, 59, 999);
+    return date;
+}
+
+async function suppressCommand(database, [action, handle, reason, ...notes]) {
+    const suppressionList = new SuppressionList(database);
+
+    switch (action) {
+        case 'add':
+            if (!handle) throw new Error('A handle is required.');
+            await suppressionList.add(handle, (reason || SUPPRESSION_REASONS.MANUAL).toUpperCase(), {
+                source: 'cli',
+                notes: notes.join(' ') || null
+            });
+            break;
+        case 'remove': {
+            if (!handle) throw new Error('A handle is required.');
+            const removed = await suppressionList.remove(handle);
+            console.log(removed ? `✅ Removed @${SuppressionList.normalize(handle)} from suppression list` : `ℹ️ @${SuppressionList.normalize(handle)} was not on the suppression list`);
+            break;
+        }
+        case 'list': {
+            const entries = await suppressionList.getAll();
+            if (entries.length === 0) {
+                console.log('ℹ️ Suppression list is empty');
+                break;
+            }
+            for (const entry of entries) {
+                console.log(`@${entry.username}\t${entry.reason}\t${entry.source || ''}\t${entry.created_at}\t${entry.notes || ''}`);
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown suppress action "${action || ''}".`);
+    }
+}
+
+async function signalCommand(database, [action, handle, type, url]) {
+    const outreachPolicy = new OutreachPolicy(config.outreach, database);
+
+    switch (action) {
+        case 'add':
+            if (!handle || !type) throw new Error('A handle and a signal type are required.');
+            await outreachPolicy.recordSignal(handle, type.toUpperCase(), url || null);
+            console.log(`📬 Recorded ${type.toUpperCase()} signal for @${OutreachPolicy.normalize(handle)}`);
+            break;
+        case 'list': {
+            const signals = await database.getInboundSignals();
+            if (signals.length === 0) {
+                console.log('ℹ️ No inbound signals recorded');
+                break;
+            }
+            for (const signal of signals) {
+                console.log(`@${signal.username}\t${signal.signal_type}\t${signal.recorded_at}\t${signal.source_url}`);
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown signal action "${action || ''}".`);
+    }
+}
+
+async function auditCommand(database, [action, ...args]) {
+    const auditTrail = new AuditTrail(config.audit.trailFile);
+
+    switch (action) {
+        case 'export': {
+            const options = parseOptions(args);
+            const entries = auditTrail.query({
+                account: options.account,
+                sender: options.sender,
+                from: parseDate(options.from),
+                to: parseDate(options.to, true)
+            });
+            const jsonl = entries.map(entry => JSON.stringify(entry)).join('\n');
+            if (options.out) {
+                fs.writeFileSync(options.out, jsonl ? jsonl + '\n' : '');
+                console.log(`✅ Exported ${entries.length} audit entries to ${options.out}`);
+            } else if (jsonl) {
+                console.log(jsonl);
+            }
+            break;
+        }
+        case 'verify': {
+            const result = auditTrail.verify();
+            if (result.valid) {
+                console.log(`✅ Audit trail intact (${result.entries} entries)`);
+            } else {
+                console.log(`❌ Audit trail broken at line ${result.brokenAt}: ${result.error}`);
+                process.exitCode = 1;
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown audit action "${action || ''}".`);
+    }
+}
+
+async function healthCommand(database, [action, dimension, ...valueParts]) {
+    const healthMonitor = new RecipientHealthMonitor(config.health, database);
+    const templatesById = new Map(config.messageTemplates.map(template => [getTemplateId(template), template]));
+    const describe = (dim, value) => dim === HEALTH_DIMENSIONS.TEMPLATE && templatesById.has(value)
+        ? `${value} ("${templatesById.get(value).substring(0, 40)}...")`
+        : value;
+
+    switch (action) {
+        case 'status': {
+            await healthMonitor.load();
+            const stats = await healthMonitor.computeStats();
+            if (stats.length === 0) console.log(`ℹ️ No DM outcomes in the last ${config.health.windowDays} days`);
+            for (const group of stats) {
+                const signals = Object.entries(group.signals).map(([signal, count]) => `${signal}=${count}`).join(' ');
+                console.log(`${group.dimension}\t${describe(group.dimension, group.value)}\tattempts=${group.attempts}\t${signals}`);
+            }
+            for (const pause of healthMonitor.getActivePauses()) {
+                console.log(`⏸️ PAUSED ${pause.dimension} ${describe(pause.dimension, pause.value)} since ${pause.paused_at}: ${pause.reason}`);
+            }
+            break;
+        }
+        case 'resume': {
+            const value = valueParts.join(' ');
+            if (!Object.values(HEALTH_DIMENSIONS).includes(dimension) || !value) {
+                throw new Error('Usage: health resume <keyword|template> <value>');
+            }
+            const resumed = await healthMonitor.resume(dimension, value);
+            console.log(resumed ? `▶️ Resumed ${dimension} "${value}"` : `ℹ️ ${dimension} "${value}" was not paused`);
+            break;
+        }
+        default:
+            throw new Error(`Unknown health action "${action || ''}".`);
+    }
+}
+
+async function reviewCommand(database, [action, id, outcome, ...args]) {
+    const journal = new ActionJournal(database);
+
+    switch (action) {
+        case 'list': {
+            const checkpoints = await journal.getForReview();
+            if (checkpoints.length === 0) {
+                console.log('ℹ️ No actions awaiting review');
+                break;
+            }
+            for (const checkpoint of checkpoints) {
+                console.log(`#${checkpoint.id}\t${checkpoint.activity_type}\t@${checkpoint.username}\t${checkpoint.idempotency_key}\t${checkpoint.updated_at}\t${checkpoint.note || ''}`);
+            }
+            break;
+        }
+        case 'resolve': {
+            if (!id || !['sent', 'not-sent'].includes(outcome)) {
+                throw new Error('Usage: review resolve <id> <sent|not-sent> [--reviewer <name>] [--note <text>]');
+            }
+            const options = parseOptions(args);
+            const resolved = await journal.resolve(Number(id), { sent: outcome === 'sent', reviewer: options.reviewer || null, note: options.note || null });
+            console.log(resolved ? `✅ Recorded #${id} as ${outcome}` : `ℹ️ #${id} is not awaiting review`);
+            if (!resolved) process.exitCode = 1;
+            break;
+        }
+        default:
+            throw new Error(`Unknown review action "${action || ''}".`);
+    }
+}
+
+async function keywordsCommand(database, [action, keyword, ...args]) {
+    const policy = new KeywordPolicy(database);
+
+    switch (action) {
+        case 'list': {
+            const status = keyword ? keyword.toUpperCase() : null;
+            if (status && !SIGNOFF_STATUSES[status]) throw new Error(`Unknown sign-off status "${keyword}".`);
+            const signoffs = await policy.getSignoffs(status);
+            if (signoffs.length === 0) {
+                console.log('ℹ️ No keywords found');
+                break;
+            }
+            for (const signoff of signoffs) {
+                console.log(`${signoff.status}\t"${signoff.keyword}"\t${signoff.reviewer || '-'}\t${signoff.reviewed_at || signoff.requested_at}\t${signoff.flag || ''}${signoff.note ? `\t${signoff.note}` : ''}`);
+            }
+            break;
+        }
+        case 'approve':
+        case 'refuse': {
+            if (!keyword || keyword.startsWith('--')) throw new Error('A keyword is required.');
+            const options = parseOptions(args);
+            const review = { reviewer: options.reviewer || null, note: options.note || null };
+            if (action === 'approve') {
+                await policy.approve(keyword, review);
+                console.log(`✅ Signed off "${KeywordPolicy.normalize(keyword)}" for scraping`);
+            } else {
+                await policy.refuse(keyword, review);
+                console.log(`🚫 Refused "${KeywordPolicy.normalize(keyword)}"; runs will not scrape it`);
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown keywords action "${action || ''}".`);
+    }
+}
+
+async function provenanceCommand(database, [handle, ...flags]) {
+    if (!handle || handle.startsWith('--')) throw new Error('A handle is required.');
+    const chain = await new LeadProvenance(database).lookup(handle);
+    if (!chain) {
+        console.log(`ℹ️ No records about @${LeadProvenance.normalize(handle)}`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(flags.includes('--json') ? JSON.stringify(chain, null, 2) : LeadProvenance.format(chain));
+}
+
+function createSheetsManager() {
+    if (config.googleSheets.backend === 'local') {
+        const { LocalSheetsManager } = require('./src/LocalSheetsManager.js');
+        return new LocalSheetsManager(config.googleSheets);
+    }
+    const { GoogleSheetsManager } = require('./src/GoogleSheetsManager.js');
+    return new GoogleSheetsManager(config.googleSheets);
+}
+
+async function dataCommand(database, [action, ...args]) {
+    const sheetsManager = createSheetsManager();
+    await sheetsManager.initialize();
+    const screenshotStore = new ScreenshotStore(config.screenshots, { database });
+    const retention = new DataRetention(config.retention, {
+        sheetsManager,
+        database,
+        auditTrail: new AuditTrail(config.audit.trailFile),
+        screenshotStore
+    });
+
+    try {
+        switch (action) {
+            case 'export': {
+                const [handle, ...rest] = args;
+                if (!handle || handle.startsWith('--')) throw new Error('A handle is required.');
+                const options = parseOptions(rest);
+                const json = JSON.stringify(await retention.findRecords(handle), null, 2);
+                if (options.out) {
+                    fs.writeFileSync(options.out, json + '\n');
+                    console.log(`✅ Exported records for @${DataRetention.normalize(handle)} to ${options.out}`);
+                } else {
+                    console.log(json);
+                }
+                break;
+            }
+            case 'erase': {
+                const [handle] = args;
+                if (!handle) throw new Error('A handle is required.');
+                const result = await retention.eraseHandle(handle);
+                const tables = Object.entries(result.database).map(([table, count]) => `${table}=${count}`).join(' ');
+                console.log(`🧹 Erased @${result.handle}: sheet rows=${result.sheetRows} ${tables} log lines=${result.logLines} screenshots=${result.screenshots}`);
+                if (result.keptSuppression) console.log('ℹ️ Kept the suppression list entry so the account is never contacted again');
+                if (result.addedSuppression) console.log('🚫 Added the account to the suppression list so it is never contacted again');
+                if (result.keptAuditEntries > 0) console.log(`ℹ️ Kept ${result.keptAuditEntries} audit trail entries (tamper-evident record of what was sent)`);
+                break;
+            }
+            case 'retention': {
+                const result = await retention.applyPolicy();
+                const counts = Object.entries(result.byCategory).map(([category, count]) => `${category}=${count}`).join(' ');
+                console.log(`🧹 Retention policy (${result.action}): ${result.total} leads erased (${counts})`);
+                console.log(`🧹 Deleted ${await screenshotStore.purgeExpired()} expired screenshots`);
+                break;
+            }
+            default:
+                throw new Error(`Unknown data action "${action || ''}".`);
+        }
+    } finally {
+        await sheetsManager.close();
+    }
+}
+
+async function main(argv) {
+    const [command, ...args] = argv;
+    const commands = {
+        suppress: suppressCommand,
+        signal: signalCommand,
+        audit: auditCommand,
+        health: healthCommand,
+        data: dataCommand,
+        review: reviewCommand,
+        keywords: keywordsCommand,
+        provenance: provenanceCommand
+    };
+
+    if (!commands[command]) {
+        console.log(USAGE);
+        process.exitCode = command ? 1 : 0;
+        return;
+    }
+
+    const database = new Database(config.database.path);
+    await database.initialize();
+    try {
+        await commands[command](database, args);
+    } finally {
+        await database.close();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
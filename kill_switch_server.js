@@ -1,12 +1,16 @@
 const express = require("express");
+const config = require("./src/config/config.js");
+const { Auth, ROLES } = require("./src/auth/Auth.js");
+
 const app = express();
+const auth = new Auth(config.auth);
 
 let killSwitchStatus = "RUN"; // RUN, PAUSE, STOP
 
 app.use(express.json());
 
-// Get kill switch status
-app.get("/api/kill-switch", (req, res) => {
+// Get kill switch status (the bot polls this with a viewer token in KILL_SWITCH_TOKEN)
+app.get("/api/kill-switch", auth.requireRole(ROLES.VIEWER, { api: true }), (req, res) => {
     res.json({ 
         status: killSwitchStatus,
         timestamp: new Date().toISOString()
@@ -14,19 +18,21 @@ app.get("/api/kill-switch", (req, res) => {
 });
 
 // Set kill switch status
-app.post("/api/kill-switch", (req, res) => {
+app.post("/api/kill-switch", auth.requireRole(ROLES.OPERATOR, { api: true }), auth.requireCsrf(), (req, res) => {
     const { status, reason } = req.body;
     
     if (["RUN", "PAUSE", "STOP"].includes(status)) {
         killSwitchStatus = status;
-        console.log(`Kill switch updated to: ${status} - Reason: ${reason || "Not specified"}`);
+        auth.logControlAction(req.identity, "kill-switch", { status, reason: reason || null, source: "kill_switch_server" });
         res.json({ success: true, status: killSwitchStatus });
     } else {
         res.status(400).json({ error: "Invalid status" });
     }
 });
 
-app.listen(3001, () => {
-    console.log("Kill switch server running on port 3001");
+// Point the bot at this server with KILL_SWITCH_SOURCES=...,http,
+// KILL_SWITCH_URL=http://localhost:3001/api/kill-switch and KILL_SWITCH_TOKEN=<viewer token>
+const port = process.env.KILL_SWITCH_PORT || 3001;
+app.listen(port, () => {
+    console.log(`Kill switch server running on port ${port}`);
 });
-
@@ -1,14 +1,40 @@
 const express = require("express");
+const config = require("./src/config/config.js");
 const { GoogleSheetsManager } = require("./src/GoogleSheetsManager");
-const { HealthMonitor } = require("./src/monitors/HealthMonitor");
+const { LocalSheetsManager } = require("./src/LocalSheetsManager");
+const { Database } = require("./src/database/Database");
+const { RecipientHealthMonitor, getTemplateId } = require("./src/compliance/RecipientHealthMonitor");
+const { escapeHtml } = require("./src/utils/html");
+const { Auth, ROLES } = require("./src/auth/Auth");
 
 const app = express();
-const healthMonitor = new HealthMonitor();
+const auth = new Auth(config.auth);
+auth.mountLogin(app, { home: "/dashboard" });
+const database = new Database(config.database.path);
+const healthMonitor = new RecipientHealthMonitor(config.health, database);
+const databaseReady = database.initialize();
+const createSheetsManager = () => config.googleSheets.backend === "local"
+    ? new LocalSheetsManager(config.googleSheets)
+    : new GoogleSheetsManager(config.googleSheets);
+const templatesById = new Map(config.messageTemplates.map(template => [getTemplateId(template), template]));
 
-app.get("/dashboard", (req, res) => {
-    const metrics = healthMonitor.getMetrics();
-    
-    res.send(`
+const countActivities = (stats, types, status) => stats.activities
+    .filter(row => types.includes(row.activity_type) && row.status === status)
+    .reduce((sum, row) => sum + row.count, 0);
+
+app.get("/dashboard", auth.requireRole(ROLES.VIEWER), async (req, res) => {
+    try {
+        await databaseReady;
+        await healthMonitor.load();
+        const stats = await database.getStats();
+        const failures = await database.getRecentFailures(5);
+        const healthStats = await healthMonitor.computeStats();
+        const pauses = healthMonitor.getActivePauses();
+        const describe = pause => pause.dimension === "template" && templatesById.has(pause.value)
+            ? `template ${pause.value} ("${templatesById.get(pause.value).substring(0, 60)}...")`
+            : `${pause.dimension} "${pause.value}"`;
+
+        res.send(`
     <!DOCTYPE html>
     <html>
     <head>
@@ -20,77 +46,90 @@ app.get("/dashboard", (req, res) => {
             .status-good { background-color: #d4edda; }
             .status-warn { background-color: #fff3cd; }
             .status-error { background-color: #f8d7da; }
+            td, th { padding: 2px 10px; text-align: left; }
         </style>
     </head>
     <body>
         <h1>Twitter Automation Dashboard</h1>
+        <form method="POST" action="/logout">
+            Logged in as ${escapeHtml(req.identity.name)} (${escapeHtml(req.identity.role)})
+            ${Auth.csrfField(req.identity)}
+            <button type="submit">Log out</button>
+        </form>
         <div class="metric status-good">
             <h3>System Status</h3>
-            <p>Uptime: ${Math.floor(metrics.uptime / 1000 / 60)} minutes</p>
-            <p>Last Activity: ${Math.floor(metrics.timeSinceLastActivity / 1000)} seconds ago</p>
+            <p>Monitor uptime: ${Math.floor(process.uptime() / 60)} minutes</p>
         </div>
-        
+
+        <div class="metric ${pauses.length > 0 ? "status-warn" : "status-good"}">
+            <h3>Recipient Health</h3>
+            ${pauses.length === 0 ? "<p>No keywords or templates paused.</p>" : pauses.map(pause =>
+                `<p><strong>PAUSED ${escapeHtml(describe(pause))}</strong> since ${escapeHtml(pause.paused_at)}: ${escapeHtml(pause.reason)}</p>`
+            ).join("")}
+            <table>
+                <tr><th>Keyword / template</th><th>DM attempts</th><th>Opt-outs</th><th>Blocks</th><th>DMs closed</th><th>Negative replies</th></tr>
+                ${healthStats.map(group => `
+                <tr>
+                    <td>${escapeHtml(group.dimension)} ${escapeHtml(group.value)}</td>
+                    <td>${group.attempts}</td>
+                    <td>${group.signals.OPT_OUT}</td>
+                    <td>${group.signals.BLOCK}</td>
+                    <td>${group.signals.DMS_CLOSED}</td>
+                    <td>${group.signals.NEGATIVE_REPLY}</td>
+                </tr>`).join("")}
+            </table>
+            <p><small>Last ${config.health.windowDays} days. Lift a pause with: node cli.js health resume &lt;keyword|template&gt; &lt;value&gt;</small></p>
+        </div>
+
         <div class="metric">
-            <h3>Activity Metrics</h3>
-            <p>DMs Sent: ${metrics.totalDMsSent}</p>
-            <p>Leads Scraped: ${metrics.totalLeadsScraped}</p>
-            <p>Engagements: ${metrics.totalEngagements}</p>
+            <h3>Activity Metrics (last 7 days)</h3>
+            <p>DMs Sent: ${countActivities(stats, ["dm"], "SENT")}</p>
+            <p>Leads Scraped: ${stats.total_leads || 0}</p>
+            <p>Engagements: ${countActivities(stats, ["like", "retweet", "comment"], "SENT")}</p>
         </div>
-        
-        <div class="metric ${metrics.errors.length > 0 ? "status-error" : "status-good"}">
+
+        <div class="metric ${failures.length > 0 ? "status-error" : "status-good"}">
             <h3>Recent Errors</h3>
-            <p>Error Count: ${metrics.errors.length}</p>
-            ${metrics.errors.slice(-5).map(err => 
-                `<p><small>${new Date(err.timestamp).toLocaleString()}: ${err.error}</small></p>`
+            <p>Error Count: ${countActivities(stats, ["dm", "like", "retweet", "comment"], "FAILED")}</p>
+            ${failures.map(failure =>
+                `<p><small>${escapeHtml(failure.performed_at)}: ${escapeHtml(failure.activity_type)} @${escapeHtml(failure.username)} - ${escapeHtml(failure.error_message)}</small></p>`
             ).join("")}
         </div>
-        
+
         <div class="metric">
             <h3>Control Panel</h3>
-            <button onclick="window.location.href=\"/kill-switch?action=stop\"">STOP SYSTEM</button>
-            <button onclick="window.location.href=\"/kill-switch?action=pause\"">PAUSE SYSTEM</button>
-            <button onclick="window.location.href=\"/kill-switch?action=run\"">RESUME SYSTEM</button>
+            ${Auth.hasRole(req.identity, ROLES.OPERATOR) ? ["stop", "pause", "run"].map(action => `
+            <form method="POST" action="/kill-switch" style="display: inline;">
+                ${Auth.csrfField(req.identity)}
+                <input type="hidden" name="action" value="${action}">
+                <button type="submit">${{ stop: "STOP SYSTEM", pause: "PAUSE SYSTEM", run: "RESUME SYSTEM" }[action]}</button>
+            </form>`).join("") : "<p>Read-only access: the kill switch needs the operator role.</p>"}
         </div>
-        
-        <script>
-            // Auto-refresh every 30 seconds
-            setTimeout(() => window.location.reload(), 30000);
-        </script>
     </body>
     </html>
     `);
+    } catch (error) {
+        res.status(500).send(`Error: ${escapeHtml(error.message)}`);
+    }
 });
 
-app.get("/kill-switch", async (req, res) => {
-    const action = req.query.action;
-    const sheetsManager = new GoogleSheetsManager(config.googleSheets);
-    
+app.post("/kill-switch", express.urlencoded({ extended: false }), auth.requireRole(ROLES.OPERATOR), auth.requireCsrf(), async (req, res) => {
+    const status = { stop: "STOP", pause: "PAUSE", run: "RUN" }[req.body.action];
+    if (!status) {
+        return res.status(400).send("Error: action must be stop, pause or run");
+    }
+
+    const sheetsManager = createSheetsManager();
     try {
         await sheetsManager.initialize();
-        const controlSheet = sheetsManager.doc.sheetsByTitle["Control"];
-        await controlSheet.loadCells("A1");
-        
-        switch(action) {
-            case "stop":
-                controlSheet.getCell(0, 0).value = "STOP";
-                break;
-            case "pause":
-                controlSheet.getCell(0, 0).value = "PAUSE";
-                break;
-            case "run":
-                controlSheet.getCell(0, 0).value = "RUN";
-                break;
-        }
-        
-        await controlSheet.saveUpdatedCells();
+        await sheetsManager.setKillSwitchStatus(status, `Set to ${status} by ${req.identity.name} from the dashboard`);
+        auth.logControlAction(req.identity, "kill-switch", { status, source: "monitor" });
         res.redirect("/dashboard");
-        
     } catch (error) {
-        res.status(500).send(`Error: ${error.message}`);
+        res.status(500).send(`Error: ${escapeHtml(error.message)}`);
     }
 });
 
 app.listen(3000, () => {
     console.log("Monitor dashboard running on http://localhost:3000/dashboard");
 });
-
@@ -8,8 +8,10 @@ async function main() {
     console.log('This will use the credentials and configuration from your .env file.');
 
     // By passing an empty config, the system will default to "full mode"
-    // and use the environment variables as defined in src/config/config.js
-    const system = new TwitterAutomationSystem({});
+    // and use the environment variables as defined in src/config/config.js.
+    // Pass --dry-run to record intended actions instead of sending them.
+    const userConfig = process.argv.includes('--dry-run') ? { dryRun: true } : {};
+    const system = new TwitterAutomationSystem(userConfig);
 
     // Graceful shutdown handler for Ctrl+C
     const shutdown = async () => {
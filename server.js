@@ -3,8 +3,25 @@ const http = require('http');
 const { WebSocketServer } = require('ws');
 const path = require('path');
 const { TwitterAutomationSystem } = require('./src/main.js');
+const config = require('./src/config/config.js');
+const { Database } = require('./src/database/Database.js');
+const { ApprovalQueue } = require('./src/compliance/ApprovalQueue.js');
+const { MessagePolicy } = require('./src/compliance/MessagePolicy.js');
+const { DisclosurePolicy } = require('./src/compliance/DisclosurePolicy.js');
+const { ScreenshotStore } = require('./src/compliance/ScreenshotStore.js');
+const { LeadProvenance } = require('./src/compliance/LeadProvenance.js');
+const { escapeHtml } = require('./src/utils/html.js');
+const { Auth, ROLES } = require('./src/auth/Auth.js');
+const logger = require('./src/utils/Logger.js');
+const { secrets } = require('./src/utils/Secrets.js');
+const { redactText } = require('./src/utils/redact.js');
+
+// Everything printed from here on is redacted before it reaches the terminal or a browser.
+logger.captureConsole();
 
 const app = express();
+const auth = new Auth(config.auth);
+auth.mountLogin(app, { home: '/' });
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
 
@@ -15,14 +32,166 @@ let isDemoRunning = false;
 let demoTimeout = null;
 let activeAutomationSystem = null;
 let activeWebSocket = null;
+let stopLogStream = null; // Unsubscribes the active client from the log stream
 
 // Serve the frontend HTML file
-app.get('/', (req, res) => {
+app.get('/', auth.requireRole(ROLES.VIEWER), (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-// Serve static files from the 'screenshots' directory so they can be viewed
-app.use('/screenshots', express.static(path.join(__dirname, 'screenshots')));
+// --- Approval Queue ---
+// Planned DMs and comments wait here until a reviewer approves (optionally editing) or rejects them.
+const database = new Database(config.database.path);
+const approvalQueue = new ApprovalQueue(database, {
+    messagePolicy: new MessagePolicy(config.messagePolicy),
+    disclosurePolicy: new DisclosurePolicy(config.disclosure)
+});
+const databaseReady = database.initialize();
+
+app.use('/approvals', express.urlencoded({ extended: false }));
+
+app.get('/approvals', auth.requireRole(ROLES.VIEWER), async (req, res) => {
+    try {
+        await databaseReady;
+        const pending = await approvalQueue.getPending();
+        const canReview = Auth.hasRole(req.identity, ROLES.OPERATOR);
+        res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <title>Message Approvals</title>
+        <style>
+            body { font-family: Arial; margin: 20px; }
+            .approval { padding: 10px; margin: 10px 0; border: 1px solid #ddd; }
+            textarea { width: 100%; height: 80px; }
+        </style>
+    </head>
+    <body>
+        <h1>Messages awaiting approval (${pending.length})</h1>
+        ${canReview ? '' : '<p>Read-only access: reviewing messages needs the operator role.</p>'}
+        ${pending.length === 0 ? '<p>Nothing to review.</p>' : ''}
+        ${pending.map(approval => `
+        <div class="approval">
+            <p><strong>${escapeHtml(approval.activity_type.toUpperCase())}</strong> to @${escapeHtml(approval.username)}
+               <small>(keyword: ${escapeHtml(approval.keyword || 'n/a')}, queued ${escapeHtml(approval.created_at)})</small></p>
+            ${canReview ? `
+            <form method="POST" action="/approvals/${approval.id}/approve">
+                ${Auth.csrfField(req.identity)}
+                <textarea name="text">${escapeHtml(approval.proposed_text)}</textarea>
+                <button type="submit">Approve as ${escapeHtml(req.identity.name)} (with any edits)</button>
+            </form>
+            <form method="POST" action="/approvals/${approval.id}/reject">
+                ${Auth.csrfField(req.identity)}
+                <input name="note" placeholder="Reason (optional)">
+                <button type="submit">Reject</button>
+            </form>` : `<p>${escapeHtml(approval.proposed_text)}</p>`}
+        </div>`).join('')}
+    </body>
+    </html>
+    `);
+    } catch (error) {
+        res.status(500).send(`Error: ${escapeHtml(error.message)}`);
+    }
+});
+
+app.post('/approvals/:id/approve', auth.requireRole(ROLES.OPERATOR), auth.requireCsrf(), async (req, res) => {
+    try {
+        await databaseReady;
+        const approved = await approvalQueue.approve(Number(req.params.id), { text: req.body.text, reviewer: req.identity.name });
+        if (!approved) return res.status(409).send('This message is no longer pending.');
+        auth.logControlAction(req.identity, 'approval.approve', { approvalId: Number(req.params.id) });
+        res.redirect('/approvals');
+    } catch (error) {
+        res.status(400).send(`Error: ${escapeHtml(error.message)}`);
+    }
+});
+
+app.post('/approvals/:id/reject', auth.requireRole(ROLES.OPERATOR), auth.requireCsrf(), async (req, res) => {
+    try {
+        await databaseReady;
+        const rejected = await approvalQueue.reject(Number(req.params.id), { reviewer: req.identity.name, note: req.body.note || null });
+        if (!rejected) return res.status(409).send('This message is no longer pending.');
+        auth.logControlAction(req.identity, 'approval.reject', { approvalId: Number(req.params.id), note: req.body.note || null });
+        res.redirect('/approvals');
+    } catch (error) {
+        res.status(400).send(`Error: ${escapeHtml(error.message)}`);
+    }
+});
+
+// --- Failure Screenshots ---
+// Redacted screenshots from the private store, for logged-in users and only until they expire.
+const screenshotStore = new ScreenshotStore(config.screenshots, { database });
+
+app.get('/screenshots', auth.requireRole(ROLES.VIEWER), async (req, res) => {
+    try {
+        await databaseReady;
+        const now = new Date().toISOString();
+        const screenshots = (await database.getScreenshots()).filter(screenshot => screenshot.expires_at > now);
+        res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <title>Failure Screenshots</title>
+        <style>
+            body { font-family: Arial; margin: 20px; }
+            td, th { padding: 4px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+        </style>
+    </head>
+    <body>
+        <h1>Failure screenshots (${screenshots.length})</h1>
+        ${screenshots.length === 0 ? '<p>No screenshots.</p>' : ''}
+        <table>
+            <tr><th>Taken</th><th>Run</th><th>What failed</th><th>Account</th><th>Activity</th><th>Expires</th></tr>
+            ${screenshots.map(screenshot => `
+            <tr>
+                <td><a href="/screenshots/${escapeHtml(screenshot.id)}">${escapeHtml(screenshot.created_at)}</a></td>
+                <td>${escapeHtml(screenshot.run_id)}</td>
+                <td>${escapeHtml(screenshot.label)}</td>
+                <td>${screenshot.username ? `@${escapeHtml(screenshot.username)}` : ''}</td>
+                <td>${screenshot.activity_id
+                    ? `#${screenshot.activity_id} ${escapeHtml(screenshot.activity_type)} ${escapeHtml(screenshot.activity_status)}: ${escapeHtml(screenshot.error_message || '')}`
+                    : ''}</td>
+                <td>${escapeHtml(screenshot.expires_at)}</td>
+            </tr>`).join('')}
+        </table>
+    </body>
+    </html>
+    `);
+    } catch (error) {
+        res.status(500).send(`Error: ${escapeHtml(error.message)}`);
+    }
+});
+
+app.get('/screenshots/:id', auth.requireRole(ROLES.VIEWER), async (req, res) => {
+    try {
+        await databaseReady;
+        const screenshot = await screenshotStore.get(req.params.id);
+        if (!screenshot) return res.status(404).send('Screenshot not found or expired.');
+        auth.logControlAction(req.identity, 'screenshot.view', { screenshotId: screenshot.id, activityId: screenshot.activity_id });
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.sendFile(screenshot.path);
+    } catch (error) {
+        res.status(500).send(`Error: ${escapeHtml(error.message)}`);
+    }
+});
+
+// --- Lead Provenance ---
+// Why an account was contacted, for answering complaints. Plain text, or JSON with ?format=json.
+const leadProvenance = new LeadProvenance(database);
+
+app.get('/provenance/:handle', auth.requireRole(ROLES.VIEWER), async (req, res) => {
+    try {
+        await databaseReady;
+        const chain = await leadProvenance.lookup(req.params.handle);
+        if (!chain) return res.status(404).send('No records about this account.');
+        auth.logControlAction(req.identity, 'provenance.view', { handle: chain.handle });
+        res.setHeader('Cache-Control', 'private, no-store');
+        if (req.query.format === 'json') return res.json(chain);
+        res.type('text/plain').send(LeadProvenance.format(chain));
+    } catch (error) {
+        res.status(400).send(`Error: ${escapeHtml(error.message)}`);
+    }
+});
 
 // --- Centralized Cleanup Function ---
 async function cleanupDemo(reason) {
@@ -35,18 +204,29 @@ async function cleanupDemo(reason) {
         await activeAutomationSystem.shutdown();
         activeAutomationSystem = null;
     }
+    if (stopLogStream) {
+        stopLogStream();
+        stopLogStream = null;
+    }
     isDemoRunning = false;
     activeWebSocket = null;
 }
 
-wss.on('connection', (ws) => {
-    console.log('Client connected');
-
-    // Override console.log for this connection's duration
-    const originalLog = console.log;
+wss.on('connection', (ws, req) => {
+    // Also checks Origin, so other sites cannot open a socket with a user's cookie.
+    const identity = auth.identifySocket(req);
+    if (!identity) {
+        ws.close(1008, 'Authentication required');
+        return;
+    }
+    console.log(`Client connected (${identity.name}, ${identity.role})`);
 
     ws.on('message', async (message) => {
         const data = JSON.parse(message);
+        if (['start-automation', 'stop-automation'].includes(data.type) && !Auth.hasRole(identity, ROLES.OPERATOR)) {
+            ws.send(JSON.stringify({ type: 'log', message: '🔒 Starting or stopping automation needs the operator role.' }));
+            return;
+        }
         if (data.type === 'start-automation') {
             if (isDemoRunning) {
                 ws.send(JSON.stringify({ type: 'status', status: 'busy' }));
@@ -54,27 +234,27 @@ wss.on('connection', (ws) => {
             }
             isDemoRunning = true;
             activeWebSocket = ws;
+            auth.logControlAction(identity, 'automation.start');
 
             // Hard-coded configuration for the public demo
             const demoConfig = {
                 // These will be pulled from your server's environment variables
                 twitterUsername: process.env.DEMO_TWITTER_USERNAME,
-                twitterPassword: process.env.DEMO_TWITTER_PASSWORD,
+                twitterPassword: secrets.get('DEMO_TWITTER_PASSWORD'),
                 // Limited and safe keywords for the demo
                 keywords: ['looking for startup advice', 'need marketing tips'],
                 // Safe, generic message templates
-                messageTemplates: ["Hi {username}! Saw your tweet and thought I'd connect."],
+                messageTemplates: ["Hi {username}! {sender} here - saw your tweet and thought I'd connect. Reply STOP to opt out."],
+                senderName: process.env.SENDER_NAME || 'Auto-X Demo',
                 isDemo: true // Add a flag to signify this is the web demo
             };
 
-            // Start streaming logs to the client
-            console.log = (...args) => {
-                const logMessage = args.map(arg => typeof arg === 'object' ? JSON.stringify(arg) : arg).join(' ');
-                originalLog(logMessage); // Keep logging on the server
+            // Stream the run's (redacted) log to the client that started it
+            stopLogStream = logger.subscribe(({ message }) => {
                 if (ws.readyState === ws.OPEN) {
-                    ws.send(JSON.stringify({ type: 'log', message: logMessage }));
+                    ws.send(JSON.stringify({ type: 'log', message }));
                 }
-            };
+            });
 
             try {
                 activeAutomationSystem = new TwitterAutomationSystem(demoConfig);
@@ -98,12 +278,13 @@ wss.on('connection', (ws) => {
                 }
 
             } catch (error) {
-                ws.send(JSON.stringify({ type: 'log', message: `❌ CRITICAL ERROR: ${error.message}` }));
+                ws.send(JSON.stringify({ type: 'log', message: `❌ CRITICAL ERROR: ${redactText(error.message)}` }));
                 await cleanupDemo('Critical Error');
             }
         } else if (data.type === 'stop-automation') {
             if (activeAutomationSystem) {
-                console.log('Automation stopped by client.');
+                auth.logControlAction(identity, 'automation.stop');
+                console.log(`Automation stopped by ${identity.name}.`);
                 await cleanupDemo('Client Stop Request');
                 if (ws.readyState === ws.OPEN) {
                     ws.send(JSON.stringify({ type: 'status', status: 'stopped' }));
@@ -114,8 +295,6 @@ wss.on('connection', (ws) => {
 
     ws.on('close', async () => {
         console.log('Client disconnected');
-        // Restore the original console.log when this specific client disconnects
-        console.log = originalLog;
         // If this was the active connection, clean up its demo
         if (ws === activeWebSocket) {
             await cleanupDemo('Client Disconnected');
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DisclosurePolicy } = require('./compliance/DisclosurePolicy.js');
+
+/**
+ * Stand-in for TwitterBot that never touches Twitter.
+ *
+ * It exposes the same methods as TwitterBot so the whole pipeline (planning,
+ * suppression, policy checks, execution) runs unchanged, but every intended
+ * action is appended to a JSONL audit file with the full message text instead
+ * of being performed. Campaigns can then be reviewed offline before going live.
+ */
+class DryRunTwitterBot {
+    /**
+     * @param {object} config - The `dryRun` config section.
+     * @param {object} [options] - { disclosure }: applied exactly as TwitterBot does.
+     */
+    constructor(config = {}, { disclosure } = {}) {
+        this.config = config;
+        this.disclosurePolicy = new DisclosurePolicy(disclosure);
+        this.auditFile = config.auditFile || path.join(process.cwd(), 'data', 'dry-run-audit.jsonl');
+        this.runId = config.runId || `dry-run-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        this.dmOpen = config.dmOpen !== false; // Pretend every lead accepts DMs unless told otherwise
+        this.page = null; // There is no browser in a dry run
+        this.isLoggedIn = false;
+    }
+
+    async initialize() {
+        fs.mkdirSync(path.dirname(this.auditFile), { recursive: true });
+        this.isLoggedIn = true;
+        console.log(`🧪 DRY RUN: no actions will be sent to Twitter. Recording to ${this.auditFile} (run ${this.runId})`);
+        this.record('initialize', {});
+    }
+
+    /**
+     * Appends one intended action to the audit file.
+     * @param {string} action - e.g. 'dm', 'like', 'retweet', 'comment'.
+     * @param {object} details - Target and content of the action.
+     */
+    record(action, details) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            runId: this.runId,
+            action,
+            ...details
+        };
+        fs.appendFileSync(this.auditFile, JSON.stringify(entry) + '\n');
+    }
+
+    usernameFromUrl(postUrl) {
+        const match = (postUrl || '').match(/(?:x|twitter)\.com\/([^/]+)/);
+        return match ? match[1] : null;
+    }
+
+    async checkDMButtonExists(username) {
+        this.record('check_dm_button', { username, result: this.dmOpen });
+        return this.dmOpen;
+    }
+
+    async sendDM(username, message) {
+        const text = this.disclosurePolicy.apply('dm', message);
+        this.record('dm', { username, text });
+        console.log(`🧪 [DRY RUN] Would send DM to @${username}: "${text}"`);
+        return true;
+    }
+
+    async getLatestTweetUrl(username) {
+        // A stable fake status id so repeated runs produce comparable audit files.
+        const statusId = BigInt('0x' + crypto.createHash('sha1').update(username).digest('hex').slice(0, 15)).toString();
+        const url = `https://x.com/${username}/status/${statusId}`;
+        this.record('get_latest_tweet', { username, postUrl: url });
+        return url;
+    }
+
+    async likePost(postUrl) {
+        this.record('like', { username: this.usernameFromUrl(postUrl), postUrl });
+        console.log(`🧪 [DRY RUN] Would like post: ${postUrl}`);
+    }
+
+    async retweetPost(postUrl) {
+        this.record('retweet', { username: this.usernameFromUrl(postUrl), postUrl });
+        console.log(`🧪 [DRY RUN] Would retweet post: ${postUrl}`);
+    }
+
+    async commentOnPost(postUrl, comment) {
+        const text = this.disclosurePolicy.apply('comment', comment);
+        this.record('comment', { username: this.usernameFromUrl(postUrl), postUrl, text });
+        console.log(`🧪 [DRY RUN] Would comment on ${postUrl}: "${text}"`);
+    }
+
+    async getDMThreadHtml(username) {
+        return null; // Nobody can reply to a DM that was never sent
+    }
+
+    async getRecentMentions() {
+        return [];
+    }
+
+    async getInboxConversations() {
+        return [];
+    }
+
+    async getRecentFollowers() {
+        return [];
+    }
+
+    async takeScreenshot(label) {
+        return null; // Nothing to capture without a browser
+    }
+
+    async close() {
+        if (this.isLoggedIn) {
+            this.record('close', {});
+            this.isLoggedIn = false;
+            console.log(`🧪 DRY RUN finished. Review intended actions in ${this.auditFile}`);
+        }
+    }
+}
+
+module.exports = { DryRunTwitterBot };
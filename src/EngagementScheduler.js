@@ -1,5 +1,13 @@
+const { getTemplateId, HEALTH_DIMENSIONS } = require('./compliance/RecipientHealthMonitor.js');
+const logger = require('./utils/Logger.js');
+
 class EngagementScheduler {
-    constructor(config = {}) {
+    /**
+     * @param {object} config - The application config (rate limits, templates, engagement settings).
+     * @param {object} [options] - { now }: a clock returning the current Date, injectable for tests.
+     */
+    constructor(config = {}, { now = () => new Date() } = {}) {
+        this.now = now;
         this.rateLimits = {
             dmPerDay: config.rateLimits?.dmPerDay || 30,
             likesPerDay: config.rateLimits?.likesPerDay || 100,
@@ -14,28 +22,124 @@ class EngagementScheduler {
             likes: 0,
             retweets: 0,
             comments: 0,
-            lastReset: new Date().toDateString()
+            lastReset: this.now().toDateString()
         };
         // Use templates from the config file
         this.messageTemplates = config.messageTemplates || [];
         this.commentTemplates = config.engagement?.commentTemplates || [];
+        this.suppressionList = null; // Will be set by the main system
+        this.outreachPolicy = null; // Will be set by the main system
+        this.healthMonitor = null; // Will be set by the main system
+        this.messagePolicy = null; // Will be set by the main system
+        this.disclosurePolicy = null; // Will be set by the main system
+        this.contactCaps = null; // Will be set by the main system
+        this.senderName = config.messagePolicy?.senderName || '';
+        this.lastSkipped = []; // Leads left out of the most recent plan, with reasons
+        this.lastWithheld = []; // Leads whose DM was withheld by the outreach policy, with reasons
+        this.lastRejected = []; // Rendered messages that failed the message policy, with reasons
+        this.lastCapped = []; // Activities left out by a per-recipient contact cap, with the rule
+
+        logger.info('📅 EngagementScheduler initialized with rate limits', { rateLimits: this.rateLimits });
+    }
+
+    setSuppressionList(suppressionList) {
+        this.suppressionList = suppressionList;
+    }
+
+    setOutreachPolicy(outreachPolicy) {
+        this.outreachPolicy = outreachPolicy;
+    }
+
+    setHealthMonitor(healthMonitor) {
+        this.healthMonitor = healthMonitor;
+    }
+
+    setMessagePolicy(messagePolicy) {
+        this.messagePolicy = messagePolicy;
+    }
+
+    setDisclosurePolicy(disclosurePolicy) {
+        this.disclosurePolicy = disclosurePolicy;
+    }
+
+    setContactCaps(contactCaps) {
+        this.contactCaps = contactCaps;
+    }
+
+    /**
+     * Checks a lead's per-recipient contact caps, counting what is already planned.
+     * A capped activity is logged and kept in `lastCapped` with the rule that refused it.
+     * @returns {boolean} True if the activity may be planned.
+     */
+    withinContactCaps(lead, type, planned) {
+        if (!this.contactCaps) return true;
+        const cap = this.contactCaps.check({ username: lead.username, type }, planned);
+        if (!cap) return true;
+
+        logger.info(`⛔ Not planning ${type} for @${lead.username}: ${cap.rule} (${cap.reason})`, {
+            leadId: lead.id, username: lead.username, activityType: type, rule: cap.rule
+        });
+        this.lastCapped.push({ leadId: lead.id, username: lead.username, type, rule: cap.rule, reason: cap.reason });
+        return false;
+    }
+
+    /**
+     * Adds the automation disclosure to a rendered message, so reviewers approve the
+     * exact text that goes out, and runs it through the message policy. Failures are
+     * kept in `lastRejected` and the activity is left out of the plan.
+     * @returns {string|null} The text to plan, or null.
+     */
+    prepareMessage(lead, type, text) {
+        const reject = reason => {
+            logger.info(`🚫 Not planning ${type} for @${lead.username}: message policy (${reason})`);
+            this.lastRejected.push({ leadId: lead.id, username: lead.username, type, reason });
+            return null;
+        };
+
+        let prepared = text;
+        if (this.disclosurePolicy) {
+            try {
+                prepared = this.disclosurePolicy.apply(type, text);
+            } catch (error) {
+                return reject(error.message);
+            }
+        }
+        if (this.messagePolicy) {
+            const result = this.messagePolicy.checkMessage(prepared, { requireDisclosure: type === 'dm' });
+            if (!result.valid) return reject(result.errors.join('; '));
+        }
+        return prepared;
+    }
 
-        console.log('📅 EngagementScheduler initialized with rate limits:', this.rateLimits);
+    /**
+     * The filter result that let a lead through, carried on each activity for the audit trail.
+     * @param {object} lead - A lead from getLeadsForEngagement().
+     * @returns {{status: string, reason: string}|null}
+     */
+    getFilterDecision(lead) {
+        if (!lead.filterStatus) return null;
+        return { status: lead.filterStatus, reason: lead.filterReason || '' };
     }
 
     createDailyPlan(leads, maxActivities = null) {
+        this.lastSkipped = [];
+        this.lastWithheld = [];
+        this.lastRejected = [];
+        this.lastCapped = [];
         try {
-            console.log(`📋 Creating daily engagement plan for ${leads.length} leads`);
+            logger.info(`📋 Creating daily engagement plan for ${leads.length} leads`);
             
             if (!Array.isArray(leads) || leads.length === 0) {
-                console.log('ℹ️ No leads provided for engagement planning');
+                logger.info('ℹ️ No leads provided for engagement planning');
                 return [];
             }
             
             this.resetDailyCountersIfNeeded();
+            leads = this.excludeSuppressedLeads(leads);
+            leads = this.excludePausedKeywords(leads);
             
             const activities = [];
-            const today = new Date().toDateString();
+            const today = this.now().toDateString();
             
             // Calculate how many activities we can still do today
             const remainingDMs = Math.max(0, this.rateLimits.dmPerDay - this.dailyCounters.dm);
@@ -43,7 +147,7 @@ class EngagementScheduler {
             const remainingRetweets = Math.max(0, this.rateLimits.retweetsPerDay - this.dailyCounters.retweets);
             const remainingComments = Math.max(0, this.rateLimits.commentsPerDay - this.dailyCounters.comments);
             
-            console.log(`📊 Remaining activities: DMs(${remainingDMs}), Likes(${remainingLikes}), Retweets(${remainingRetweets}), Comments(${remainingComments})`);
+            logger.info(`📊 Remaining activities: DMs(${remainingDMs}), Likes(${remainingLikes}), Retweets(${remainingRetweets}), Comments(${remainingComments})`);
             
             // Prioritize DMs as they are most valuable
             let dmCount = 0;
@@ -51,15 +155,34 @@ class EngagementScheduler {
                 if (dmCount >= remainingDMs) break;
                 
                 if (!lead.username) {
-                    console.log('⚠️ Skipping lead without username');
+                    logger.warn('⚠️ Skipping lead without username');
                     continue;
                 }
+
+                if (this.outreachPolicy) {
+                    const decision = this.outreachPolicy.evaluateDM(lead);
+                    if (!decision.allowed) {
+                        this.lastWithheld.push({ leadId: lead.id, username: lead.username, reason: decision.reason });
+                        continue;
+                    }
+                }
+                if (!this.withinContactCaps(lead, 'dm', activities)) continue;
                 
-                const message = this.generatePersonalizedMessage(lead);
+                const template = this.pickTemplate();
+                if (this.messageTemplates.length > 0 && !template) {
+                    logger.info('⏸️ Every message template is paused by the health monitor; no DMs planned');
+                    break;
+                }
+
+                const message = this.prepareMessage(lead, 'dm', this.generatePersonalizedMessage(lead, template));
+                if (!message) continue;
                 activities.push({
                     type: 'dm',
                     leadId: lead.id,
                     username: lead.username,
+                    filterDecision: this.getFilterDecision(lead),
+                    keyword: lead.keyword || null,
+                    templateId: template ? getTemplateId(template) : null,
                     message: message,
                     scheduledTime: this.getRandomTimeToday(),
                     priority: 1 // Highest priority
@@ -76,11 +199,13 @@ class EngagementScheduler {
                 if (!lead.username) continue;
                 
                 // Add likes (most common engagement)
-                if (likeCount < remainingLikes && likeCount < leads.length * 2) {
+                if (likeCount < remainingLikes && likeCount < leads.length * 2 && this.withinContactCaps(lead, 'like', activities)) {
                     activities.push({
                         type: 'like',
                         leadId: lead.id,
                         username: lead.username,
+                        filterDecision: this.getFilterDecision(lead),
+                        keyword: lead.keyword || null,
                         postUrl: `https://twitter.com/${lead.username}`, // Would need to find actual recent posts
                         scheduledTime: this.getRandomTimeToday(),
                         priority: 3
@@ -89,11 +214,13 @@ class EngagementScheduler {
                 }
                 
                 // Add occasional retweets
-                if (retweetCount < remainingRetweets && Math.random() < 0.3) {
+                if (retweetCount < remainingRetweets && Math.random() < 0.3 && this.withinContactCaps(lead, 'retweet', activities)) {
                     activities.push({
                         type: 'retweet',
                         leadId: lead.id,
                         username: lead.username,
+                        filterDecision: this.getFilterDecision(lead),
+                        keyword: lead.keyword || null,
                         postUrl: `https://twitter.com/${lead.username}`,
                         scheduledTime: this.getRandomTimeToday(),
                         priority: 2
@@ -102,13 +229,17 @@ class EngagementScheduler {
                 }
                 
                 // Add occasional comments
-                if (commentCount < remainingComments && Math.random() < 0.2) {
+                if (commentCount < remainingComments && this.commentTemplates.length > 0 && Math.random() < 0.2 && this.withinContactCaps(lead, 'comment', activities)) {
+                    const comment = this.prepareMessage(lead, 'comment', this.getRandomComment());
+                    if (!comment) continue;
                     activities.push({
                         type: 'comment',
                         leadId: lead.id,
                         username: lead.username,
+                        filterDecision: this.getFilterDecision(lead),
+                        keyword: lead.keyword || null,
                         postUrl: `https://twitter.com/${lead.username}`,
-                        comment: this.getRandomComment(),
+                        comment: comment,
                         scheduledTime: this.getRandomTimeToday(),
                         priority: 2
                     });
@@ -127,40 +258,97 @@ class EngagementScheduler {
             // Limit total activities if specified
             const finalActivities = maxActivities ? activities.slice(0, maxActivities) : activities;
             
-            console.log(`📅 Created plan with ${finalActivities.length} activities (${dmCount} DMs, ${likeCount} likes, ${retweetCount} retweets, ${commentCount} comments)`);
+            logger.info(`📅 Created plan with ${finalActivities.length} activities (${dmCount} DMs, ${likeCount} likes, ${retweetCount} retweets, ${commentCount} comments)`);
+            if (this.lastRejected.length > 0) {
+                logger.info(`🚫 Left ${this.lastRejected.length} messages out of the plan for failing the message policy`);
+            }
+            if (this.lastCapped.length > 0) {
+                logger.info(`⛔ Left ${this.lastCapped.length} activities out of the plan under per-recipient contact caps`);
+            }
+            if (this.lastWithheld.length > 0) {
+                logger.info(`👀 Withheld ${this.lastWithheld.length} DMs under outreach mode "${this.outreachPolicy.mode}"`);
+            }
             return finalActivities;
 
         } catch (error) {
-            console.error('❌ Error creating daily plan:', error.message);
+            logger.error(`❌ Error creating daily plan: ${error.message}`);
             return [];
         }
     }
 
-    generatePersonalizedMessage(lead) {
-        try {
-            const template = this.messageTemplates[Math.floor(Math.random() * this.messageTemplates.length)];
-            
-            // Extract topic from bio or use generic term
-            let topic = 'sports';
-            if (lead.bio) {
-                const bioLower = lead.bio.toLowerCase();
-                if (bioLower.includes('nba') || bioLower.includes('basketball')) topic = 'basketball';
-                else if (bioLower.includes('football') || bioLower.includes('nfl')) topic = 'football';
-                else if (bioLower.includes('soccer') || bioLower.includes('fifa')) topic = 'soccer';
-                else if (bioLower.includes('ufc') || bioLower.includes('mma')) topic = 'MMA';
-                else if (bioLower.includes('betting') || bioLower.includes('odds')) topic = 'sports betting';
-                else if (bioLower.includes('baseball') || bioLower.includes('mlb')) topic = 'baseball';
-                else if (bioLower.includes('hockey') || bioLower.includes('nhl')) topic = 'hockey';
+    /**
+     * Drops leads on the do-not-contact list so no DM, like, retweet or comment is
+     * planned for them. Each dropped lead is kept in `lastSkipped` with its reason.
+     */
+    excludeSuppressedLeads(leads) {
+        if (!this.suppressionList) return leads;
+
+        return leads.filter(lead => {
+            const entry = lead.username ? this.suppressionList.getEntry(lead.username) : null;
+            if (entry) {
+                logger.info(`🚫 Skipping @${lead.username}: on suppression list (${entry.reason})`);
+                this.lastSkipped.push({ leadId: lead.id, username: lead.username, type: 'plan', reason: entry.reason });
+                return false;
             }
-            
-            return template
-                .replace('{username}', lead.username || 'friend')
-                .replace('{topic}', topic);
+            return true;
+        });
+    }
 
-        } catch (error) {
-            console.error('❌ Error generating message:', error.message);
-            return `Hi ${lead.username || 'there'}! Would love to connect!`;
+    /**
+     * Drops leads scraped for a keyword the health monitor has paused.
+     */
+    excludePausedKeywords(leads) {
+        if (!this.healthMonitor) return leads;
+
+        const kept = leads.filter(lead => !lead.keyword || !this.healthMonitor.isPaused(HEALTH_DIMENSIONS.KEYWORD, lead.keyword));
+        if (kept.length < leads.length) {
+            logger.info(`⏸️ Skipping ${leads.length - kept.length} leads from keywords paused by the health monitor`);
+        }
+        return kept;
+    }
+
+    /**
+     * Picks a random message template that the health monitor has not paused.
+     * @returns {string|undefined}
+     */
+    pickTemplate() {
+        const available = this.healthMonitor
+            ? this.messageTemplates.filter(template => !this.healthMonitor.isPaused(HEALTH_DIMENSIONS.TEMPLATE, getTemplateId(template)))
+            : this.messageTemplates;
+        return available[Math.floor(Math.random() * available.length)];
+    }
+
+    /**
+     * Fills in every placeholder in a template: {username}, {topic}, {industry}
+     * (the same detected topic) and {sender}. Unknown placeholders are left in place
+     * so the message policy rejects the message instead of sending literal braces.
+     * @param {object} lead
+     * @param {string} template
+     * @returns {string}
+     */
+    generatePersonalizedMessage(lead, template = this.pickTemplate()) {
+        // Extract topic from bio or use generic term
+        let topic = 'sports';
+        if (lead.bio) {
+            const bioLower = lead.bio.toLowerCase();
+            if (bioLower.includes('nba') || bioLower.includes('basketball')) topic = 'basketball';
+            else if (bioLower.includes('football') || bioLower.includes('nfl')) topic = 'football';
+            else if (bioLower.includes('soccer') || bioLower.includes('fifa')) topic = 'soccer';
+            else if (bioLower.includes('ufc') || bioLower.includes('mma')) topic = 'MMA';
+            else if (bioLower.includes('betting') || bioLower.includes('odds')) topic = 'sports betting';
+            else if (bioLower.includes('baseball') || bioLower.includes('mlb')) topic = 'baseball';
+            else if (bioLower.includes('hockey') || bioLower.includes('nhl')) topic = 'hockey';
         }
+
+        const values = {
+            username: lead.username || 'friend',
+            topic,
+            industry: topic,
+            sender: this.senderName
+        };
+        return (template || '').replace(/\{(\w+)\}/g, (placeholder, name) =>
+            values[name] !== undefined && values[name] !== '' ? values[name] : placeholder
+        );
     }
 
     getRandomComment() {
@@ -169,7 +357,7 @@ class EngagementScheduler {
 
     getRandomTimeToday() {
         try {
-            const now = new Date();
+            const now = this.now();
             const startOfDay = new Date(now);
             startOfDay.setHours(9, 0, 0, 0); // Start at 9 AM
             
@@ -185,17 +373,17 @@ class EngagementScheduler {
             const randomTime = new Date(startOfDay.getTime() + Math.random() * (endOfDay.getTime() - startOfDay.getTime()));
             return randomTime.toISOString();
         } catch (error) {
-            console.error('❌ Error generating random time:', error.message);
+            logger.error(`❌ Error generating random time: ${error.message}`);
             // Return a time 1 hour from now as fallback
-            return new Date(Date.now() + 60 * 60 * 1000).toISOString();
+            return new Date(this.now().getTime() + 60 * 60 * 1000).toISOString();
         }
     }
 
     resetDailyCountersIfNeeded() {
         try {
-            const today = new Date().toDateString();
+            const today = this.now().toDateString();
             if (this.dailyCounters.lastReset !== today) {
-                console.log('🔄 Resetting daily activity counters');
+                logger.info('🔄 Resetting daily activity counters');
                 this.dailyCounters = {
                     dm: 0,
                     likes: 0,
@@ -205,7 +393,7 @@ class EngagementScheduler {
                 };
             }
         } catch (error) {
-            console.error('❌ Error resetting daily counters:', error.message);
+            logger.error(`❌ Error resetting daily counters: ${error.message}`);
         }
     }
 
@@ -227,13 +415,13 @@ class EngagementScheduler {
                     this.dailyCounters.comments++;
                     break;
                 default:
-                    console.log(`⚠️ Unknown activity type: ${activityType}`);
+                    logger.warn(`⚠️ Unknown activity type: ${activityType}`);
                     return;
             }
             
-            console.log(`📊 Updated counter: ${activityType} = ${this.dailyCounters[activityType]}`);
+            logger.info(`📊 Updated counter: ${activityType} = ${this.dailyCounters[activityType]}`);
         } catch (error) {
-            console.error('❌ Error incrementing counter:', error.message);
+            logger.error(`❌ Error incrementing counter: ${error.message}`);
         }
     }
 
@@ -254,7 +442,7 @@ class EngagementScheduler {
                     return false;
             }
         } catch (error) {
-            console.error('❌ Error checking activity permission:', error.message);
+            logger.error(`❌ Error checking activity permission: ${error.message}`);
             return false;
         }
     }
@@ -270,7 +458,7 @@ class EngagementScheduler {
                 comments: Math.max(0, this.rateLimits.commentsPerDay - this.dailyCounters.comments)
             };
         } catch (error) {
-            console.error('❌ Error getting remaining activities:', error.message);
+            logger.error(`❌ Error getting remaining activities: ${error.message}`);
             return { dm: 0, likes: 0, retweets: 0, comments: 0 };
         }
     }
@@ -282,7 +470,7 @@ class EngagementScheduler {
             const max = 3 * 60 * 1000; // 3 minutes
             return Math.floor(Math.random() * (max - min + 1)) + min;
         } catch (error) {
-            console.error('❌ Error calculating delay:', error.message);
+            logger.error(`❌ Error calculating delay: ${error.message}`);
             return 60 * 1000; // Default to 1 minute
         }
     }
@@ -1,5 +1,16 @@
+const crypto = require('crypto');
+const { findProtectedSignal } = require('./compliance/ProtectedAudience.js');
+const { findRestrictedRegion, RESTRICTED_REGION } = require('./compliance/JurisdictionRules.js');
+const defaults = require('./config/defaults.js');
+const logger = require('./utils/Logger.js');
+
 class FilterEngine {
-    constructor(rules = {}) {
+    /**
+     * @param {object} [rules] - config.filterRules
+     * @param {object} [options] - { jurisdiction }: config.jurisdiction; the built-in
+     *     regions table and a gambling campaign when not given.
+     */
+    constructor(rules = {}, { jurisdiction = defaults.jurisdiction } = {}) {
         this.rules = {
             minFollowers: rules.minFollowers || 50,
             maxFollowers: rules.maxFollowers || 100000,
@@ -12,14 +23,20 @@ class FilterEngine {
                 'mlm', 'pyramid', 'get rich quick'
             ],
             bioWhitelist: rules.bioWhitelist || [],
+            protectedAudienceTerms: rules.protectedAudienceTerms || [],
             ...rules
         };
+        this.jurisdiction = jurisdiction;
+        this.rulesVersion = this.computeRulesVersion();
         this.twitterBot = null; // Will be set by the main system
-        console.log('🔍 FilterEngine initialized with rules:', {
+        logger.info('🔍 FilterEngine initialized with rules', {
+            rulesVersion: this.rulesVersion,
             minFollowers: this.rules.minFollowers,
             maxFollowers: this.rules.maxFollowers,
             blacklistCount: this.rules.bioBlacklist.length,
-            whitelistCount: this.rules.bioWhitelist.length
+            whitelistCount: this.rules.bioWhitelist.length,
+            campaignCategory: this.jurisdiction.campaignCategory,
+            restrictedRegionCount: this.jurisdiction.restrictedRegions.length
         });
     }
 
@@ -29,7 +46,7 @@ class FilterEngine {
 
     async evaluateLead(lead) {
         try {
-            console.log(`🔍 Evaluating lead: @${lead.username || 'unknown'}`);
+            logger.info(`🔍 Evaluating lead: @${lead.username || 'unknown'}`, { leadId: lead.id, username: lead.username });
             
             // Validate input
             if (!lead) {
@@ -47,6 +64,32 @@ class FilterEngine {
                 };
             }
 
+            // Protected audiences (problem gambling, recovery, debt distress, minors) always fail,
+            // whatever the other rules say, so this runs before every other check. Sheet leads
+            // carry the tweet they were scraped for as tweetText; fresh scraper output as matchedTweet.
+            const protectedSignal = findProtectedSignal([
+                { source: 'bio', text: lead.bio },
+                { source: 'tweet', text: lead.tweetText || (lead.matchedTweet && lead.matchedTweet.text) }
+            ], this.rules.protectedAudienceTerms);
+            if (protectedSignal) {
+                return {
+                    passed: false,
+                    status: 'PROTECTED',
+                    reason: `Protected audience (${protectedSignal.category}): ${protectedSignal.source} contains "${protectedSignal.matched}"`
+                };
+            }
+
+            // Leads where this campaign may not be marketed (or whose location is unknown,
+            // for gambling) fail before the quality rules, which cannot override it.
+            const restricted = findRestrictedRegion(lead, this.jurisdiction);
+            if (restricted) {
+                return {
+                    passed: false,
+                    status: RESTRICTED_REGION,
+                    reason: `${RESTRICTED_REGION}: ${restricted.reason}`
+                };
+            }
+
             // Check verification status if the rule is enabled
             if (this.rules.failIfVerified && lead.isVerified) {
                 return {
@@ -103,7 +146,7 @@ class FilterEngine {
             // Check if bio is empty or too short (but not required)
             if (bio.length === 0) {
                 // Allow empty bios but note it
-                console.log(`ℹ️ @${lead.username} has empty bio, but allowing...`);
+                logger.info(`ℹ️ @${lead.username} has empty bio, but allowing...`);
             } else if (bio.length < 5) {
                 return {
                     passed: false,
@@ -139,7 +182,7 @@ class FilterEngine {
             };
 
         } catch (error) {
-            console.error(`❌ Error evaluating lead @${lead.username || 'unknown'}:`, error.message);
+            logger.error(`❌ Error evaluating lead @${lead.username || 'unknown'}: ${error.message}`, { leadId: lead.id, username: lead.username });
             return {
                 passed: false,
                 reason: `Filter evaluation error: ${error.message}`
@@ -182,10 +225,21 @@ class FilterEngine {
         return Math.min(100, Math.max(0, score));
     }
 
+    /**
+     * Identifies the rules and regions table a lead was judged by, so a provenance
+     * record says which version of the filter let someone through.
+     * @returns {string} The first 8 hex characters of a SHA-1 over the rules.
+     */
+    computeRulesVersion() {
+        const definition = JSON.stringify({ rules: this.rules, jurisdiction: this.jurisdiction });
+        return crypto.createHash('sha1').update(definition).digest('hex').slice(0, 8);
+    }
+
     // Method to update rules dynamically
     updateRules(newRules) {
         this.rules = { ...this.rules, ...newRules };
-        console.log('🔄 Filter rules updated');
+        this.rulesVersion = this.computeRulesVersion();
+        logger.info(`🔄 Filter rules updated (version ${this.rulesVersion})`);
     }
 
     // Method to get current rules
@@ -211,7 +265,7 @@ class FilterEngine {
     // Batch evaluation method
     async evaluateLeads(leads) {
         if (!Array.isArray(leads)) {
-            console.error('❌ evaluateLeads expects an array');
+            logger.error('❌ evaluateLeads expects an array');
             return [];
         }
 
@@ -224,7 +278,7 @@ class FilterEngine {
                     result
                 });
             } catch (error) {
-                console.error(`❌ Error in batch evaluation for lead:`, error.message);
+                logger.error(`❌ Error in batch evaluation for lead: ${error.message}`);
                 results.push({
                     lead,
                     result: {
@@ -243,6 +297,8 @@ class FilterEngine {
             total: evaluatedLeads.length,
             passed: 0,
             failed: 0,
+            protected: 0,
+            restrictedRegion: 0,
             reasons: {}
         };
 
@@ -251,6 +307,8 @@ class FilterEngine {
                 stats.passed++;
             } else {
                 stats.failed++;
+                if (item.result.status === 'PROTECTED') stats.protected++;
+                if (item.result.status === RESTRICTED_REGION) stats.restrictedRegion++;
                 const reason = item.result.reason;
                 stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
             }
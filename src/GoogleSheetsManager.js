@@ -1,5 +1,8 @@
 const { GoogleSpreadsheet } = require("google-spreadsheet");
 const { JWT } = require('google-auth-library');
+const { erasedLeadValues } = require('./compliance/DataRetention.js');
+const { SecretsProvider } = require('./utils/Secrets.js');
+const logger = require('./utils/Logger.js');
 
 /**
  * Manages all interactions with Google Sheets.
@@ -22,10 +25,10 @@ class GoogleSheetsManager {
      */
     async initialize() {
         try {
-            console.log("🔧 Connecting to Google Sheets...");
+            logger.info("🔧 Connecting to Google Sheets...");
             
-            // Parse the credentials from the JSON string
-            const creds = JSON.parse(this.config.credentialsJson);
+            // Parse the credentials from the JSON string; this also keeps the private key out of the logs
+            const creds = SecretsProvider.parseJson('GOOGLE_CREDENTIALS_JSON', this.config.credentialsJson);
             
             const serviceAccountAuth = new JWT({
                 email: creds.client_email,
@@ -38,20 +41,16 @@ class GoogleSheetsManager {
 
             this.doc = new GoogleSpreadsheet(this.config.spreadsheetId, serviceAccountAuth);
             
-            console.log("...loading document info...");
+            logger.info("...loading document info...");
             await this.doc.loadInfo();
-            console.log(`📊 Connected to: ${this.doc.title}`);
-            console.log(`   -> Sheet URL: https://docs.google.com/spreadsheets/d/${this.config.spreadsheetId}`);
+            logger.info(`📊 Connected to: ${this.doc.title}`);
+            logger.info(`   -> Sheet URL: https://docs.google.com/spreadsheets/d/${this.config.spreadsheetId}`);
             
             await this.ensureLeadsWorksheet();
             await this._verifyWritePermissions(); // Add a new step to verify write access
             
-            console.log("✅ Google Sheets initialized successfully");
+            logger.info("✅ Google Sheets initialized successfully");
         } catch (error) {
-            // Add a check for JSON parsing errors
-            if (error instanceof SyntaxError) {
-                console.error("\n❌ CRITICAL: Failed to parse GOOGLE_CREDENTIALS_JSON. Please ensure it's a valid JSON string copied directly from your service account file.");
-            }
             this.handleConnectionError(error); // This will re-throw
         }
     }
@@ -63,7 +62,7 @@ class GoogleSheetsManager {
      * @private
      */
     async _verifyWritePermissions() {
-        console.log("...verifying write permissions on the sheet...");
+        logger.info("...verifying write permissions on the sheet...");
         try {
             let statusSheet = this.doc.sheetsByTitle["Bot_Status"];
             if (!statusSheet) {
@@ -84,9 +83,9 @@ class GoogleSheetsManager {
             cell.value = new Date().toISOString();
             await statusSheet.saveUpdatedCells();
 
-            console.log("✅ Write permissions verified successfully.");
+            logger.info("✅ Write permissions verified successfully.");
         } catch (error) {
-            console.error("\n❌ CRITICAL: Write permission verification failed.");
+            logger.error("\n❌ CRITICAL: Write permission verification failed.");
             error.message = `Failed to write to the 'Bot_Status' sheet. This almost certainly means the service account does not have 'Editor' permissions. Original error: ${error.message}`;
             this.handleConnectionError(error); // This will print detailed help and re-throw
         }
@@ -101,32 +100,33 @@ class GoogleSheetsManager {
         const requiredHeaders = [
             "Timestamp", "Username", "Profile URL", "Bio", "Follower Count",
             "Keyword", "Filter Status", "Filter Reason", "Verified", "DM Status",
-            "DM Sent Date", "Last Error", "Error Timestamp"
+            "DM Sent Date", "Last Error", "Error Timestamp", "Outreach Note",
+            "Location", "Language", "Matched Tweet"
         ];
         
         this.worksheet = this.doc.sheetsByTitle["Leads"];
         
         if (!this.worksheet) {
-            console.log("📝 'Leads' worksheet not found. Creating it...");
+            logger.info("📝 'Leads' worksheet not found. Creating it...");
             this.worksheet = await this.doc.addSheet({ 
                 title: "Leads",
                 headerValues: requiredHeaders
             });
-            console.log("✅ Created 'Leads' worksheet.");
+            logger.info("✅ Created 'Leads' worksheet.");
         } else {
-            console.log("✅ Found existing 'Leads' worksheet");
+            logger.info("✅ Found existing 'Leads' worksheet");
             await this.worksheet.loadHeaderRow();
             const currentHeaders = this.worksheet.headerValues;
             const missingHeaders = requiredHeaders.filter(h => !currentHeaders.includes(h));
             
             if (missingHeaders.length > 0) {
-                console.warn(`⚠️  The 'Leads' worksheet is missing required columns: ${missingHeaders.join(', ')}.`);
-                console.log("...attempting to add missing columns automatically.");
+                logger.warn(`⚠️  The 'Leads' worksheet is missing required columns: ${missingHeaders.join(', ')}.`);
+                logger.info("...attempting to add missing columns automatically.");
                 
                 // Add the missing headers to the existing ones without losing data.
                 const newHeaders = [...currentHeaders, ...missingHeaders];
                 await this.worksheet.setHeaderRow(newHeaders);
-                console.log("✅ Missing columns have been added successfully.");
+                logger.info("✅ Missing columns have been added successfully.");
             }
         }
     }
@@ -138,11 +138,11 @@ class GoogleSheetsManager {
      */
     async appendLeads(leads) {
         if (!leads || leads.length === 0) {
-            console.log("ℹ️ No new leads to append.");
+            logger.info("ℹ️ No new leads to append.");
             return;
         }
 
-        console.log(`📝 Attempting to add ${leads.length} leads one-by-one...`);
+        logger.info(`📝 Attempting to add ${leads.length} leads one-by-one...`);
         for (const lead of leads) {
             try {
                 await this.worksheet.addRow({
@@ -150,6 +150,9 @@ class GoogleSheetsManager {
                     Username: lead.username || '',
                     "Profile URL": lead.profileUrl || '',
                     Bio: (lead.bio || '').substring(0, 500),
+                    Location: (lead.location || '').substring(0, 100),
+                    Language: lead.language || '',
+                    "Matched Tweet": lead.matchedTweet ? (lead.matchedTweet.text || '').substring(0, 500) : '',
                     "Follower Count": lead.followersCount || 0,
                     Keyword: lead.keyword || '',
                     "Filter Status": "PENDING",
@@ -158,30 +161,31 @@ class GoogleSheetsManager {
                     "DM Status": "NOT_SENT",
                     "DM Sent Date": '',
                     "Last Error": '',
-                    "Error Timestamp": ''
+                    "Error Timestamp": '',
+                    "Outreach Note": ''
                 });
-                console.log(`  -> Sent add command for @${lead.username}`);
+                logger.info(`  -> Sent add command for @${lead.username}`);
             } catch (error) {
-                console.error(`❌ CRITICAL FAILURE while adding lead @${lead.username}:`, error.message);
+                logger.error(`❌ CRITICAL FAILURE while adding lead @${lead.username}: ${error.message}`);
                 this.handleConnectionError(error); // This will print detailed help and re-throw
                 throw new Error(`Failed to write to Google Sheets. Aborting.`);
             }
         }
-        console.log(`✅ Finished sending all ${leads.length} add commands.`);
+        logger.info(`✅ Finished sending all ${leads.length} add commands.`);
 
         // Paranoid Verification by Content: After all writes, check if the data actually saved.
-        console.log("...performing content verification to confirm data was written.");
+        logger.info("...performing content verification to confirm data was written.");
         let allVerified = false;
         const maxRetries = 3;
 
         for (let i = 0; i < maxRetries; i++) {
             const delay = 7000 * (i + 1); // 7s, 14s, 21s
-            console.log(`...waiting ${delay / 1000}s for Google to sync before verification attempt ${i + 1}/${maxRetries}...`);
+            logger.info(`...waiting ${delay / 1000}s for Google to sync before verification attempt ${i + 1}/${maxRetries}...`);
             await new Promise(resolve => setTimeout(resolve, delay));
 
             try {
                 // Safely refresh the worksheet state from the API instead of using clearRows()
-                console.log('[Verification] Forcing document refresh from API...');
+                logger.info('[Verification] Forcing document refresh from API...');
                 await this.doc.loadInfo();
                 this.worksheet = this.doc.sheetsByTitle["Leads"];
                 if (!this.worksheet) {
@@ -195,23 +199,23 @@ class GoogleSheetsManager {
 
                 if (unverifiedLeads.length === 0) {
                     allVerified = true;
-                    console.log("✅ Verification successful. All new leads are confirmed on the sheet.");
+                    logger.info("✅ Verification successful. All new leads are confirmed on the sheet.");
                     break;
                 } else {
                     const missingUsernames = unverifiedLeads.map(l => l.username).join(', @');
-                    console.error(`[Verification] ❌ FAILED to verify ${unverifiedLeads.length} leads. Missing: @${missingUsernames}.`);
+                    logger.error(`[Verification] ❌ FAILED to verify ${unverifiedLeads.length} leads. Missing: @${missingUsernames}.`);
                     if (i === maxRetries - 1) {
-                        console.error("\n🚨 This is the exact issue you are facing. The bot sent write commands that did not error, but the data is not appearing in the sheet. This is a strong indicator of a permissions problem.");
+                        logger.error("\n🚨 This is the exact issue you are facing. The bot sent write commands that did not error, but the data is not appearing in the sheet. This is a strong indicator of a permissions problem.");
                     }
                 }
             } catch (readError) {
-                 console.log(`[Verification] Error reading sheet for verification: ${readError.message}. Retrying...`);
+                 logger.info(`[Verification] Error reading sheet for verification: ${readError.message}. Retrying...`);
             }
         }
 
         if (!allVerified) {
             const errorMsg = "CRITICAL FAILURE: The script sent data to Google Sheets without API errors, but the data could not be found in the sheet afterwards. Please check that the service account has 'Editor' permissions on the Google Sheet.";
-            console.error(`❌ ${errorMsg}`);
+            logger.error(`❌ ${errorMsg}`);
             this.handleConnectionError(new Error("Post-write content verification failed."));
             throw new Error(errorMsg);
         }
@@ -223,7 +227,7 @@ class GoogleSheetsManager {
      */
     async getUnfilteredLeads() {
         try {
-            console.log("...fetching all rows to find unfiltered leads.");
+            logger.info("...fetching all rows to find unfiltered leads.");
             const rows = await this.worksheet.getRows();
 
             const unfiltered = rows
@@ -232,14 +236,17 @@ class GoogleSheetsManager {
                     id: row.rowNumber,
                     username: row.get("Username") || "",
                     bio: row.get("Bio") || "",
+                    location: row.get("Location") || "",
+                    language: row.get("Language") || "",
+                    tweetText: row.get("Matched Tweet") || "",
                     followersCount: parseInt(row.get("Follower Count") || "0", 10),
                     isVerified: (row.get("Verified") || "").toUpperCase() === 'YES'
                 }));
 
-            console.log(`📋 Found ${unfiltered.length} unfiltered leads.`);
+            logger.info(`📋 Found ${unfiltered.length} unfiltered leads.`);
             return unfiltered;
         } catch (error) {
-            console.error("❌ Failed to get unfiltered leads:", error.message);
+            logger.error(`❌ Failed to get unfiltered leads: ${error.message}`);
             return []; // Return empty array to prevent crashing the system.
         }
     }
@@ -271,39 +278,43 @@ class GoogleSheetsManager {
                 for (const row of rowsToUpdate) {
                     await row.save();
                 }
-                console.log(`✅ Batch updated status for ${rowsToUpdate.length} leads.`);
+                logger.info(`✅ Batch updated status for ${rowsToUpdate.length} leads.`);
             }
         } catch (error) {
-            console.error(`❌ Failed to batch update lead statuses:`, error.message);
+            logger.error(`❌ Failed to batch update lead statuses: ${error.message}`);
             throw error; // Propagate to let the main loop handle it.
         }
     }
 
     /**
      * Fetches leads that have passed filtering and are ready for engagement.
+     * Leads in the WATCH state are included so they can be DMed once they reach out.
      * @returns {Promise<Array<object>>} - An array of lead objects ready for DMs.
      */
     async getLeadsForEngagement() {
         try {
-            console.log("...fetching all rows to find leads ready for engagement.");
+            logger.info("...fetching all rows to find leads ready for engagement.");
             const rows = await this.worksheet.getRows();
             
             const ready = rows
                 .filter(row => 
                     (row.get("Filter Status") || "").toUpperCase() === "PASS" && 
-                    (row.get("DM Status") || "").toUpperCase() === "NOT_SENT"
+                    ["NOT_SENT", "WATCH"].includes((row.get("DM Status") || "").toUpperCase())
                 )
                 .map(row => ({
                     id: row.rowNumber,
                     username: row.get("Username") || "",
                     profileUrl: row.get("Profile URL") || "",
-                    bio: row.get("Bio") || ""
+                    bio: row.get("Bio") || "",
+                    keyword: row.get("Keyword") || "",
+                    filterStatus: row.get("Filter Status") || "",
+                    filterReason: row.get("Filter Reason") || ""
                 }));
                 
-            console.log(`📋 Found ${ready.length} leads ready for engagement.`);
+            logger.info(`📋 Found ${ready.length} leads ready for engagement.`);
             return ready;
         } catch (error) {
-            console.error("❌ Failed to get leads for engagement:", error.message);
+            logger.error(`❌ Failed to get leads for engagement: ${error.message}`);
             return [];
         }
     }
@@ -321,22 +332,140 @@ class GoogleSheetsManager {
                 targetRow.set("DM Status", "SENT");
                 targetRow.set("DM Sent Date", new Date().toISOString());
                 await targetRow.save();
-                console.log(`✅ Marked DM as sent for lead in row ${leadId}`);
+                logger.info(`✅ Marked DM as sent for lead in row ${leadId}`);
+            }
+        } catch (error) {
+            logger.error(`❌ Failed to mark DM as sent for ${leadId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Moves leads whose DM was withheld by the outreach policy into the WATCH state.
+     * @param {Array<object>} updates - Array of objects with { rowNumber, reason }.
+     */
+    async batchMarkWatch(updates) {
+        if (!updates || updates.length === 0) return;
+
+        try {
+            const rows = await this.worksheet.getRows();
+            const rowMap = new Map(rows.map(row => [row.rowNumber, row]));
+
+            let updated = 0;
+            for (const update of updates) {
+                const row = rowMap.get(update.rowNumber);
+                if (!row) continue;
+                // Only write when something changed to keep API usage down on every cycle.
+                if (row.get("DM Status") === "WATCH" && row.get("Outreach Note") === update.reason) continue;
+                row.set("DM Status", "WATCH");
+                row.set("Outreach Note", update.reason);
+                await row.save();
+                updated++;
+            }
+            if (updated > 0) {
+                logger.info(`✅ Moved ${updated} leads to WATCH.`);
+            }
+        } catch (error) {
+            logger.error(`❌ Failed to mark leads as WATCH: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches leads that have been sent a DM, so their threads can be checked for replies.
+     * @returns {Promise<Array<object>>} - An array of { id, username } objects.
+     */
+    async getLeadsAwaitingReply() {
+        try {
+            const rows = await this.worksheet.getRows();
+            return rows
+                .filter(row => (row.get("DM Status") || "").toUpperCase() === "SENT")
+                .map(row => ({
+                    id: row.rowNumber,
+                    username: row.get("Username") || ""
+                }));
+        } catch (error) {
+            logger.error(`❌ Failed to get leads awaiting reply: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Marks a lead's DM status as 'OPTED_OUT' so it is never engaged again.
+     * @param {number} leadId - The row number of the lead.
+     */
+    async markOptedOut(leadId) {
+        try {
+            const rows = await this.worksheet.getRows();
+            const targetRow = rows.find(row => row.rowNumber === leadId);
+
+            if (targetRow) {
+                targetRow.set("DM Status", "OPTED_OUT");
+                await targetRow.save();
+                logger.info(`✅ Marked lead in row ${leadId} as opted out`);
             }
         } catch (error) {
-            console.error(`❌ Failed to mark DM as sent for ${leadId}:`, error.message);
+            logger.error(`❌ Failed to mark lead ${leadId} as opted out: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches every lead with the fields the retention policy needs.
+     * Errors are thrown so a failed read is never mistaken for an empty sheet.
+     * @returns {Promise<Array<object>>} - { id, username, scrapedAt, filterStatus, dmStatus } objects.
+     */
+    async getAllLeads() {
+        const rows = await this.worksheet.getRows();
+        return rows.map(row => ({
+            id: row.rowNumber,
+            username: row.get("Username") || "",
+            scrapedAt: row.get("Timestamp") || "",
+            filterStatus: row.get("Filter Status") || "",
+            dmStatus: row.get("DM Status") || ""
+        }));
+    }
+
+    /**
+     * Fetches the full rows for one handle (case-insensitive), for data export requests.
+     * @param {string} username - A normalized handle.
+     * @returns {Promise<Array<object>>} - Row values keyed by column, plus the row number as `id`.
+     */
+    async findLeadsByUsername(username) {
+        const handle = username.toLowerCase();
+        const rows = await this.worksheet.getRows();
+        return rows
+            .filter(row => (row.get("Username") || "").replace(/^@/, '').toLowerCase() === handle)
+            .map(row => ({ id: row.rowNumber, ...row.toObject() }));
+    }
+
+    /**
+     * Blanks personal columns (anonymise) or every column (purge) of the given rows.
+     * Rows are not deleted because lead ids are row numbers.
+     * @param {Array<number>} rowNumbers - Row numbers of the leads to erase.
+     * @param {object} options - { anonymise }
+     */
+    async eraseLeads(rowNumbers, { anonymise = true } = {}) {
+        if (!rowNumbers || rowNumbers.length === 0) return;
+
+        const wanted = new Set(rowNumbers);
+        const rows = (await this.worksheet.getRows()).filter(row => wanted.has(row.rowNumber));
+        for (const row of rows) {
+            for (const [column, value] of Object.entries(erasedLeadValues(row.toObject(), { anonymise }))) {
+                row.set(column, value);
+            }
+            await row.save();
         }
+        logger.info(`🧹 Erased ${rows.length} leads from the sheet (${anonymise ? 'anonymised' : 'purged'}).`);
     }
 
     /**
      * Checks a 'Control' sheet for a kill switch status.
-     * @returns {Promise<string>} - 'RUN', 'STOP', or 'PAUSE'. Defaults to 'RUN'.
+     * Errors are thrown rather than defaulting to RUN so the KillSwitch can fail safe.
+     * @returns {Promise<string>} - 'RUN', 'STOP', or 'PAUSE'.
      */
     async getKillSwitchStatus() {
         try {
             let controlSheet = this.doc.sheetsByTitle["Control"];
             if (!controlSheet) {
-                console.log("📝 Creating 'Control' sheet...");
+                logger.info("📝 Creating 'Control' sheet...");
                 controlSheet = await this.doc.addSheet({ 
                     title: "Control",
                     headerValues: ["Kill Switch", "Notes"]
@@ -347,15 +476,38 @@ class GoogleSheetsManager {
             
             const rows = await controlSheet.getRows();
             if (rows.length > 0) {
-                const value = (rows[0].get("Kill Switch") || "RUN").toUpperCase();
-                console.log(`🔄 Kill switch status: ${value}`);
-                return value;
+                return (rows[0].get("Kill Switch") || "RUN").toUpperCase();
             }
             return "RUN";
         } catch (error) {
-            console.log("⚠️ Could not check kill switch, defaulting to RUN:", error.message);
-            return "RUN";
+            logger.warn(`⚠️ Could not check kill switch: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Writes the 'Kill Switch' value of the Control sheet.
+     * @param {string} status - 'RUN', 'PAUSE' or 'STOP'.
+     * @param {string} [reason] - Written to the 'Notes' column.
+     */
+    async setKillSwitchStatus(status, reason = null) {
+        let controlSheet = this.doc.sheetsByTitle["Control"];
+        if (!controlSheet) {
+            controlSheet = await this.doc.addSheet({
+                title: "Control",
+                headerValues: ["Kill Switch", "Notes"]
+            });
+        }
+        const rows = await controlSheet.getRows();
+        const notes = reason || "Set to STOP or PAUSE to control the bot.";
+        if (rows.length > 0) {
+            rows[0].set("Kill Switch", status);
+            rows[0].set("Notes", notes);
+            await rows[0].save();
+        } else {
+            await controlSheet.addRow({ "Kill Switch": status, "Notes": notes });
         }
+        logger.info(`🔄 Kill switch set to ${status}`);
     }
 
     /**
@@ -372,10 +524,10 @@ class GoogleSheetsManager {
                 targetRow.set("Last Error", errorMessage.substring(0, 500));
                 targetRow.set("Error Timestamp", new Date().toISOString());
                 await targetRow.save();
-                console.log(`📝 Logged error for lead in row ${leadId}`);
+                logger.info(`📝 Logged error for lead in row ${leadId}`);
             }
         } catch (error) {
-            console.error(`❌ Failed to log error for ${leadId}:`, error.message);
+            logger.error(`❌ Failed to log error for ${leadId}: ${error.message}`);
         }
     }
 
@@ -384,28 +536,28 @@ class GoogleSheetsManager {
      * @param {Error} error - The error object.
      */
     handleConnectionError(error) {
-        console.error("❌ Google Sheets initialization failed:", error.message);
+        logger.error(`❌ Google Sheets initialization failed: ${error.message}`);
         if (error.response?.data?.error) {
             const { code, message } = error.response.data.error;
-            console.error(`  -> API Error Code ${code}: ${message}`);
+            logger.error(`  -> API Error Code ${code}: ${message}`);
         }
         if (error.message.includes('403') || error.message.includes('permission denied') || error.message.includes('does not have permission')) {
-            console.error("\n🔧 This is a PERMISSION ERROR. Please check the following:");
+            logger.error("\n🔧 This is a PERMISSION ERROR. Please check the following:");
             try {
-                const creds = JSON.parse(this.config.credentialsJson);
-                console.error(`1. The Google Sheet is shared with this EXACT email: ${creds.client_email}`);
+                const creds = SecretsProvider.parseJson('GOOGLE_CREDENTIALS_JSON', this.config.credentialsJson);
+                logger.error(`1. The Google Sheet is shared with this EXACT email: ${creds.client_email}`);
             } catch (e) {
-                console.error("1. The Google Sheet is shared with the service account email from your credentials file.");
+                logger.error("1. The Google Sheet is shared with the service account email from your credentials file.");
             }
-            console.error("2. The permission level for that email is set to 'Editor'.");
-            console.error("3. The 'Google Sheets API' and 'Google Drive API' are ENABLED in your Google Cloud project.");
+            logger.error("2. The permission level for that email is set to 'Editor'.");
+            logger.error("3. The 'Google Sheets API' and 'Google Drive API' are ENABLED in your Google Cloud project.");
         } else if (error.message.includes('404') || error.message.includes('requested entity was not found')) {
-            console.error("\n🔧 This is a NOT FOUND ERROR. Please check your GOOGLE_SHEETS_ID in the .env file.");
+            logger.error("\n🔧 This is a NOT FOUND ERROR. Please check your GOOGLE_SHEETS_ID in the .env file.");
         } else if (error.message.includes('invalid_grant')) {
-            console.error("\n🔧 This is an AUTHENTICATION ERROR (invalid_grant). This usually means there's an issue with the credentials JSON.");
-            console.error("   Please re-download your service account JSON file from Google Cloud and update the GOOGLE_CREDENTIALS_JSON environment variable.");
+            logger.error("\n🔧 This is an AUTHENTICATION ERROR (invalid_grant). This usually means there's an issue with the credentials JSON.");
+            logger.error("   Please re-download your service account JSON file from Google Cloud and update the GOOGLE_CREDENTIALS_JSON environment variable.");
         } else if (error.message.includes('DECODER routines::unsupported')) {
-            console.error("\n🔧 This is a CRYPTOGRAPHIC ERROR. It means the private key format is incompatible. This solution should have fixed it, which is very strange. Please double-check that the GOOGLE_CREDENTIALS_JSON is an exact copy of the file from Google Cloud.");
+            logger.error("\n🔧 This is a CRYPTOGRAPHIC ERROR. It means the private key format is incompatible. This solution should have fixed it, which is very strange. Please double-check that the GOOGLE_CREDENTIALS_JSON is an exact copy of the file from Google Cloud.");
         }
         throw error;
     }
@@ -416,13 +568,13 @@ class GoogleSheetsManager {
      */
     async getAllUsernames() {
         try {
-            console.log("...fetching all existing usernames to prevent duplicates.");
+            logger.info("...fetching all existing usernames to prevent duplicates.");
             const rows = await this.worksheet.getRows();
             const usernames = new Set(rows.map(row => row.get('Username')).filter(Boolean));
-            console.log(`...found ${usernames.size} existing usernames in the sheet.`);
+            logger.info(`...found ${usernames.size} existing usernames in the sheet.`);
             return usernames;
         } catch (error) {
-            console.error("❌ Failed to get all usernames:", error.message);
+            logger.error(`❌ Failed to get all usernames: ${error.message}`);
             return new Set(); // Return an empty set on error to avoid breaking the flow
         }
     }
@@ -431,7 +583,7 @@ class GoogleSheetsManager {
      * A placeholder for closing connections, though not strictly necessary for this library.
      */
     async close() {
-        console.log("📝 Google Sheets connection manager is shutting down.");
+        logger.info("📝 Google Sheets connection manager is shutting down.");
     }
 }
 
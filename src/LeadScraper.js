@@ -1,37 +1,37 @@
+const logger = require('./utils/Logger.js');
+
 class LeadScraper {
-    constructor() {
-        // The browser and page are now managed externally.
+    /**
+     * The browser and page are managed externally and passed to scrapeByKeyword().
+     * @param {object} [options] - { screenshots }: a ScreenshotStore for failure screenshots (without it none are taken).
+     */
+    constructor({ screenshots = null } = {}) {
+        this.screenshotStore = screenshots;
     }
 
     async scrapeByKeyword(page, keyword, limit = 50) {
         const leads = [];
         
         try {
-            console.log(`🔍 Starting scrape for keyword: "${keyword}" (limit: ${limit})`);
+            logger.info(`🔍 Starting scrape for keyword: "${keyword}" (limit: ${limit})`);
             
             // Refine the search query to exclude verified accounts from the start.
             const filteredKeyword = `${keyword} -is:verified`;
             
             // Navigate to Twitter search
             const searchUrl = `https://twitter.com/search?q=${encodeURIComponent(filteredKeyword)}&src=typed_query&f=user`;
-            console.log(`🌐 Navigating to: ${searchUrl}`);
+            logger.info(`🌐 Navigating to: ${searchUrl}`);
             
             try {
                 await page.goto(searchUrl, { 
                     waitUntil: 'domcontentloaded', // Use 'domcontentloaded' for faster, more reliable loads on dynamic pages
                     timeout: 60000 // Increase timeout to handle slow networks or complex pages
                 });
-                console.log("✅ Page loaded successfully");
+                logger.info("✅ Page loaded successfully");
             } catch (navigationError) {
-                console.error("❌ Navigation failed:", navigationError.message);
+                logger.error(`❌ Navigation failed: ${navigationError.message}`);
                 
-                try {
-                    const screenshotPath = `navigation_error_${keyword.replace(/[^a-zA-Z0-9]/g, '_')}.png`;
-                    await page.screenshot({ path: screenshotPath, fullPage: true });
-                    console.log(`📸 Screenshot saved: ${screenshotPath}`);
-                } catch (screenshotError) {
-                    console.log("❌ Could not take screenshot:", screenshotError.message);
-                }
+                await this.takeScreenshot(page, 'navigation_error');
                 
                 // Instead of throwing, we'll return empty leads to allow the system to continue with other keywords.
                 return leads;
@@ -39,16 +39,16 @@ class LeadScraper {
             
             // Wait for search results to appear, which is more reliable than a fixed timeout.
             await page.waitForSelector('[data-testid="UserCell"]', { timeout: 15000 }).catch(() => {
-                console.log("⚠️ Timed out waiting for user cells. The page might be showing a login wall or no results.");
+                logger.warn("⚠️ Timed out waiting for user cells. The page might be showing a login wall or no results.");
             });
 
             // Check if we're on the right page
             const currentUrl = page.url();
-            console.log(`📍 Current URL: ${currentUrl}`);
+            logger.info(`📍 Current URL: ${currentUrl}`);
             
             // Check if Twitter is showing a login page or blocking us
             const pageTitle = await page.title();
-            console.log(`📄 Page title: ${pageTitle}`);
+            logger.info(`📄 Page title: ${pageTitle}`);
             
             if (currentUrl.includes('login') || pageTitle.includes('Login')) {
                 throw new Error('Twitter is requiring login - scraping blocked');
@@ -60,7 +60,7 @@ class LeadScraper {
             let scrollAttempts = 0;
             const maxScrollAttempts = 5; // Reduced for faster testing
 
-            console.log(`📊 Starting data extraction for "${keyword}"`);
+            logger.info(`📊 Starting data extraction for "${keyword}"`);
 
             // Look for user cards with multiple possible selectors
             const possibleSelectors = [
@@ -80,7 +80,7 @@ class LeadScraper {
                     try {
                         const cards = await page.locator(selector).all();
                         if (cards.length > 0) {
-                            console.log(`📋 Found ${cards.length} elements with selector: ${selector}`);
+                            logger.info(`📋 Found ${cards.length} elements with selector: ${selector}`);
                             userCards = cards;
                             break;
                         }
@@ -91,15 +91,9 @@ class LeadScraper {
                 }
                 
                 if (userCards.length === 0) {
-                    console.log("⚠️ No user cards found with any selector");
+                    logger.warn("⚠️ No user cards found with any selector");
                     
-                    try {
-                        const screenshotPath = `no_cards_${keyword.replace(/[^a-zA-Z0-9]/g, '_')}_attempt_${scrollAttempts + 1}.png`;
-                        await page.screenshot({ path: screenshotPath, fullPage: true });
-                        console.log(`📸 Debug screenshot saved: ${screenshotPath}`);
-                    } catch (screenshotError) {
-                        console.log("❌ Could not take debug screenshot");
-                    }
+                    await this.takeScreenshot(page, 'no_cards');
                     
                     await page.evaluate(() => {
                         window.scrollBy(0, 1000);
@@ -109,7 +103,7 @@ class LeadScraper {
                     continue;
                 }
                 
-                console.log(`📋 Processing ${userCards.length} user cards`);
+                logger.info(`📋 Processing ${userCards.length} user cards`);
                 
                 for (const card of userCards) {
                     if (scrapedCount >= limit) break;
@@ -117,19 +111,20 @@ class LeadScraper {
                     try {
                         const lead = await this.extractLeadData(card, keyword);
                         if (lead && !leads.find(l => l.username === lead.username)) {
+                            lead.searchUrl = searchUrl; // Kept for the lead's provenance record
                             leads.push(lead);
                             scrapedCount++;
-                            console.log(`✅ Extracted lead ${scrapedCount}/${limit}: @${lead.username}`);
+                            logger.info(`✅ Extracted lead ${scrapedCount}/${limit}: @${lead.username}`, { keyword, username: lead.username });
                         }
                     } catch (error) {
-                        console.error("❌ Error extracting lead:", error.message);
+                        logger.error(`❌ Error extracting lead: ${error.message}`);
                     }
                 }
                 
                 // Check if we got new results
                 if (scrapedCount === previousCount) {
                     noNewResultsCount++;
-                    console.log(`⚠️ No new results found (attempt ${noNewResultsCount}/3)`);
+                    logger.warn(`⚠️ No new results found (attempt ${noNewResultsCount}/3)`);
                 } else {
                     noNewResultsCount = 0;
                 }
@@ -137,7 +132,7 @@ class LeadScraper {
                 
                 // Scroll to load more results
                 if (scrapedCount < limit) {
-                    console.log("📜 Scrolling to load more results...");
+                    logger.info("📜 Scrolling to load more results...");
                     await page.evaluate(() => {
                         window.scrollBy(0, 1000);
                     });
@@ -146,19 +141,18 @@ class LeadScraper {
                 }
             }
             
-            console.log(`✅ Completed scraping for "${keyword}": ${scrapedCount} leads found`);
+            // People-search user cells do not show the profile location; the profile does.
+            for (const lead of leads) {
+                await this.readProfile(page, lead);
+            }
+
+            logger.info(`✅ Completed scraping for "${keyword}": ${scrapedCount} leads found`);
             
         } catch (error) {
-            console.error(`❌ Scraping error for "${keyword}":`, error.message);
+            logger.error(`❌ Scraping error for "${keyword}": ${error.message}`);
             
             if (page) {
-                try {
-                    const screenshotPath = `scraping_error_${keyword.replace(/[^a-zA-Z0-9]/g, '_')}.png`;
-                    await page.screenshot({ path: screenshotPath, fullPage: true });
-                    console.log(`📸 Error screenshot saved: ${screenshotPath}`);
-                } catch (screenshotError) {
-                    console.log("❌ Could not take error screenshot");
-                }
+                await this.takeScreenshot(page, 'scraping_error');
             }
         }
         
@@ -191,7 +185,7 @@ class LeadScraper {
                     }
                 }
             } catch (error) {
-                console.error("Error extracting username:", error.message);
+                logger.error(`Error extracting username: ${error.message}`);
             }
             
             // Extract profile URL
@@ -203,7 +197,7 @@ class LeadScraper {
                     profileUrl = `https://twitter.com${profilePath}`;
                 }
             } catch (error) {
-                console.error("Error extracting profile URL:", error.message);
+                logger.error(`Error extracting profile URL: ${error.message}`);
             }
             
             // Extract verification status
@@ -224,15 +218,33 @@ class LeadScraper {
                 // It's okay if it's not found, it just means the user is not verified.
             }
             
-            // Extract bio
+            // Extract bio, and its language: Twitter tags the bio with the language it detected
             let bio = "";
+            let language = "";
             try {
                 const bioElement = await userCard.locator('[data-testid="UserDescription"]').first();
                 bio = await bioElement.textContent() || "";
+                language = await bioElement.getAttribute('lang') || "";
             } catch (error) {
                 // Bio might not exist, that's okay
             }
-            
+
+            // Tweet cards carry the tweet that matched the search; user cells do not.
+            let matchedTweet = null;
+            try {
+                const tweetTextElement = userCard.locator('[data-testid="tweetText"]').first();
+                if (await tweetTextElement.count() > 0) {
+                    const statusLink = userCard.locator('a[href*="/status/"]').first();
+                    const statusPath = await statusLink.count() > 0 ? await statusLink.getAttribute('href') : null;
+                    matchedTweet = {
+                        text: (await tweetTextElement.textContent() || "").trim(),
+                        url: statusPath ? `https://twitter.com${statusPath}` : null
+                    };
+                }
+            } catch (error) {
+                // Not a tweet card, that's okay
+            }
+
             // Extract follower count (this is tricky with current Twitter structure)
             let followersCount = 0;
             try {
@@ -251,12 +263,12 @@ class LeadScraper {
             } catch (error) {
                 // It's okay if follower count is not found. It will be 0.
                 // This is better than inventing a random number.
-                console.log(`⚠️ Could not extract follower count for @${username}. Defaulting to 0.`);
+                logger.warn(`⚠️ Could not extract follower count for @${username}. Defaulting to 0.`);
             }
             
             // Validate that we have at least username
             if (!username) {
-                console.log("⚠️ Skipping lead: no username found");
+                logger.warn("⚠️ Skipping lead: no username found");
                 return null;
             }
             
@@ -265,14 +277,95 @@ class LeadScraper {
                 username: username,
                 profileUrl: profileUrl || `https://twitter.com/${username}`,
                 bio: bio.trim(),
+                location: "", // Read from the profile by readProfile()
+                language: language.trim(),
                 followersCount,
                 isVerified,
+                matchedTweet,
                 scrapedAt: new Date().toISOString(),
                 keyword
             };
             
         } catch (error) {
-            console.error("❌ Error extracting user data:", error.message);
+            logger.error(`❌ Error extracting user data: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Visits a lead's profile for what its search result does not show: the location
+     * in the profile header, and the tweet that matched the keyword. The location is
+     * often absent; FilterEngine treats a missing location as unknown, which gambling
+     * campaigns refuse. People search matches accounts, not tweets, so the matched
+     * tweet is the first of the profile's recent posts mentioning the keyword; it
+     * stays null if none does. A profile that cannot be read leaves the lead as it was.
+     * @param {object} page - The page being scraped.
+     * @param {object} lead - From extractLeadData(); updated in place.
+     */
+    async readProfile(page, lead) {
+        try {
+            await page.goto(lead.profileUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+            await page.waitForSelector('[data-testid="UserProfileHeader_Items"]', { timeout: 10000 });
+
+            const locationElement = page.locator('[data-testid="UserProfileHeader_Items"] [data-testid="UserLocation"]').first();
+            if (await locationElement.count() > 0) {
+                lead.location = (await locationElement.textContent() || "").trim();
+            }
+
+            if (!lead.matchedTweet) {
+                lead.matchedTweet = await this.findRecentTweet(page, lead.username, lead.keyword);
+            }
+        } catch (error) {
+            logger.warn(`⚠️ Could not read the profile of @${lead.username}: ${error.message}`, { username: lead.username });
+        }
+        await page.waitForTimeout(2000); // Don't hammer profiles back to back
+    }
+
+    /**
+     * @param {object} page - A profile page.
+     * @param {string} username - The profile's handle; retweets of others are skipped.
+     * @param {string} keyword
+     * @returns {Promise<{text: string, url: string}|null>} The first loaded post mentioning the keyword, or null.
+     */
+    async findRecentTweet(page, username, keyword) {
+        const tweets = page.locator('article[data-testid="tweet"]');
+        try {
+            await tweets.first().waitFor({ timeout: 10000 });
+        } catch (error) {
+            return null; // No posts, or a protected account
+        }
+
+        const needle = (keyword || "").toLowerCase();
+        for (const tweet of await tweets.all()) {
+            const statusLink = tweet.locator(`a[href*="/${username}/status/"]`).first();
+            const tweetTextElement = tweet.locator('[data-testid="tweetText"]').first();
+            if (await statusLink.count() === 0 || await tweetTextElement.count() === 0) continue;
+
+            const text = (await tweetTextElement.textContent() || "").trim();
+            if (needle && text.toLowerCase().includes(needle)) {
+                return { text, url: `https://twitter.com${await statusLink.getAttribute('href')}` };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Saves a redacted screenshot of the page to the private screenshot store.
+     * @param {object} page - The page being scraped.
+     * @param {string} label - What failed, e.g. 'navigation_error'.
+     * @returns {Promise<string|null>} The screenshot id, or null if none was taken.
+     */
+    async takeScreenshot(page, label) {
+        if (!this.screenshotStore) {
+            logger.info(`📸 Screenshot for ${label} skipped: no screenshot store configured`);
+            return null;
+        }
+        try {
+            const screenshot = await this.screenshotStore.capture(page, { label });
+            logger.info(`📸 Screenshot saved. View it at: /screenshots/${screenshot.id} (until ${screenshot.expiresAt})`);
+            return screenshot.id;
+        } catch (screenshotError) {
+            logger.error(`❌ Could not take screenshot: ${screenshotError.message}`);
             return null;
         }
     }
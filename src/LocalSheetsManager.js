@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const { erasedLeadValues } = require('./compliance/DataRetention.js');
+
+const LEAD_HEADERS = [
+    "Timestamp", "Username", "Profile URL", "Bio", "Follower Count",
+    "Keyword", "Filter Status", "Filter Reason", "Verified", "DM Status",
+    "DM Sent Date", "Last Error", "Error Timestamp", "Outreach Note",
+    "Location", "Language", "Matched Tweet"
+];
+
+/**
+ * Offline stand-in for GoogleSheetsManager backed by a local JSON file.
+ *
+ * It exposes the same methods and stores rows under the same column names as the
+ * 'Leads' worksheet. Row numbers mimic the sheet (the header is row 1, so the
+ * first lead is row 2) so lead ids mean the same thing with either backend.
+ *
+ * File layout: { "leads": [ { "Username": ..., ... } ], "control": { "Kill Switch": "RUN" } }
+ */
+class LocalSheetsManager {
+    constructor(config = {}) {
+        this.filePath = config.localPath || path.join(process.cwd(), 'data', 'local-sheets.json');
+        this.data = null;
+    }
+
+    async initialize() {
+        console.log(`🔧 Using local sheet file: ${this.filePath}`);
+        if (fs.existsSync(this.filePath)) {
+            this.load();
+        } else {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            this.data = { leads: [], control: { "Kill Switch": "RUN", "Notes": "Set to STOP or PAUSE to control the bot." } };
+            this.save();
+            console.log("✅ Created local sheet file.");
+        }
+        console.log(`✅ Local sheet initialized with ${this.data.leads.length} leads`);
+    }
+
+    load() {
+        this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.data.leads = this.data.leads || [];
+        this.data.control = this.data.control || { "Kill Switch": "RUN" };
+    }
+
+    /**
+     * Writes atomically so a crash mid-write never leaves a truncated file behind.
+     */
+    save() {
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Returns leads paired with their sheet-style row numbers.
+     * The file is re-read each time so manual edits (e.g. flipping the kill switch) are picked up.
+     */
+    getRows() {
+        this.load();
+        return this.data.leads.map((row, index) => ({ rowNumber: index + 2, row }));
+    }
+
+    findRow(rowNumber) {
+        this.load();
+        return this.data.leads[rowNumber - 2] || null;
+    }
+
+    async appendLeads(leads) {
+        if (!leads || leads.length === 0) {
+            console.log("ℹ️ No new leads to append.");
+            return;
+        }
+
+        this.load();
+        for (const lead of leads) {
+            const row = Object.fromEntries(LEAD_HEADERS.map(header => [header, '']));
+            Object.assign(row, {
+                Timestamp: lead.scrapedAt || new Date().toISOString(),
+                Username: lead.username || '',
+                "Profile URL": lead.profileUrl || '',
+                Bio: (lead.bio || '').substring(0, 500),
+                Location: (lead.location || '').substring(0, 100),
+                Language: lead.language || '',
+                "Matched Tweet": lead.matchedTweet ? (lead.matchedTweet.text || '').substring(0, 500) : '',
+                "Follower Count": lead.followersCount || 0,
+                Keyword: lead.keyword || '',
+                "Filter Status": "PENDING",
+                "Verified": lead.isVerified ? 'YES' : 'NO',
+                "DM Status": "NOT_SENT"
+            });
+            this.data.leads.push(row);
+        }
+        this.save();
+        console.log(`✅ Added ${leads.length} leads to the local sheet.`);
+    }
+
+    async getUnfilteredLeads() {
+        const unfiltered = this.getRows()
+            .filter(({ row }) => (row["Filter Status"] || "").toUpperCase() === "PENDING")
+            .map(({ rowNumber, row }) => ({
+                id: rowNumber,
+                username: row["Username"] || "",
+                bio: row["Bio"] || "",
+                location: row["Location"] || "",
+                language: row["Language"] || "",
+                tweetText: row["Matched Tweet"] || "",
+                followersCount: parseInt(row["Follower Count"] || "0", 10),
+                isVerified: (row["Verified"] || "").toUpperCase() === 'YES'
+            }));
+
+        console.log(`📋 Found ${unfiltered.length} unfiltered leads.`);
+        return unfiltered;
+    }
+
+    async batchUpdateLeadStatuses(updates) {
+        if (!updates || updates.length === 0) return;
+
+        this.load();
+        let updated = 0;
+        for (const update of updates) {
+            const row = this.data.leads[update.rowNumber - 2];
+            if (row) {
+                row["Filter Status"] = update.status;
+                row["Filter Reason"] = update.reason;
+                updated++;
+            }
+        }
+        this.save();
+        console.log(`✅ Batch updated status for ${updated} leads.`);
+    }
+
+    async getLeadsForEngagement() {
+        const ready = this.getRows()
+            .filter(({ row }) =>
+                (row["Filter Status"] || "").toUpperCase() === "PASS" &&
+                ["NOT_SENT", "WATCH"].includes((row["DM Status"] || "").toUpperCase())
+            )
+            .map(({ rowNumber, row }) => ({
+                id: rowNumber,
+                username: row["Username"] || "",
+                profileUrl: row["Profile URL"] || "",
+                bio: row["Bio"] || "",
+                keyword: row["Keyword"] || "",
+                filterStatus: row["Filter Status"] || "",
+                filterReason: row["Filter Reason"] || ""
+            }));
+
+        console.log(`📋 Found ${ready.length} leads ready for engagement.`);
+        return ready;
+    }
+
+    async batchMarkWatch(updates) {
+        if (!updates || updates.length === 0) return;
+
+        this.load();
+        for (const update of updates) {
+            const row = this.data.leads[update.rowNumber - 2];
+            if (row) {
+                row["DM Status"] = "WATCH";
+                row["Outreach Note"] = update.reason;
+            }
+        }
+        this.save();
+    }
+
+    async getLeadsAwaitingReply() {
+        return this.getRows()
+            .filter(({ row }) => (row["DM Status"] || "").toUpperCase() === "SENT")
+            .map(({ rowNumber, row }) => ({ id: rowNumber, username: row["Username"] || "" }));
+    }
+
+    async markDMSent(leadId) {
+        this.updateRow(leadId, { "DM Status": "SENT", "DM Sent Date": new Date().toISOString() });
+        console.log(`✅ Marked DM as sent for lead in row ${leadId}`);
+    }
+
+    async markOptedOut(leadId) {
+        this.updateRow(leadId, { "DM Status": "OPTED_OUT" });
+    }
+
+    async logError(leadId, errorMessage) {
+        this.updateRow(leadId, { "Last Error": errorMessage.substring(0, 500), "Error Timestamp": new Date().toISOString() });
+    }
+
+    updateRow(rowNumber, values) {
+        const row = this.findRow(rowNumber);
+        if (row) {
+            Object.assign(row, values);
+            this.save();
+        }
+    }
+
+    /**
+     * Every lead with the fields the retention policy needs.
+     */
+    async getAllLeads() {
+        return this.getRows().map(({ rowNumber, row }) => ({
+            id: rowNumber,
+            username: row["Username"] || "",
+            scrapedAt: row["Timestamp"] || "",
+            filterStatus: row["Filter Status"] || "",
+            dmStatus: row["DM Status"] || ""
+        }));
+    }
+
+    /**
+     * Full rows for one handle (case-insensitive), for data export requests.
+     */
+    async findLeadsByUsername(username) {
+        const handle = username.toLowerCase();
+        return this.getRows()
+            .filter(({ row }) => (row["Username"] || "").replace(/^@/, '').toLowerCase() === handle)
+            .map(({ rowNumber, row }) => ({ id: rowNumber, ...row }));
+    }
+
+    /**
+     * Blanks personal columns (anonymise) or every column (purge) of the given rows.
+     * Rows stay in place so the row numbers of other leads do not change.
+     */
+    async eraseLeads(rowNumbers, { anonymise = true } = {}) {
+        if (!rowNumbers || rowNumbers.length === 0) return;
+
+        this.load();
+        for (const rowNumber of rowNumbers) {
+            const row = this.data.leads[rowNumber - 2];
+            if (row) Object.assign(row, erasedLeadValues(row, { anonymise }));
+        }
+        this.save();
+        console.log(`🧹 Erased ${rowNumbers.length} leads from the local sheet (${anonymise ? 'anonymised' : 'purged'}).`);
+    }
+
+    async getKillSwitchStatus() {
+        this.load();
+        return (this.data.control["Kill Switch"] || "RUN").toUpperCase();
+    }
+
+    async setKillSwitchStatus(status, reason = null) {
+        this.load();
+        this.data.control["Kill Switch"] = status;
+        this.data.control["Notes"] = reason || "Set to STOP or PAUSE to control the bot.";
+        this.save();
+        console.log(`🔄 Kill switch set to ${status}`);
+    }
+
+    async getAllUsernames() {
+        return new Set(this.getRows().map(({ row }) => row["Username"]).filter(Boolean));
+    }
+
+    async close() {
+        console.log("📝 Local sheet manager is shutting down.");
+    }
+}
+
+module.exports = { LocalSheetsManager, LEAD_HEADERS };
@@ -1,10 +1,17 @@
 const { chromium } = require("playwright");
-const fs = require('fs');
-const path = require('path');
+const { DisclosurePolicy } = require('./compliance/DisclosurePolicy.js');
+const logger = require('./utils/Logger.js');
 
 class TwitterBot {
-    constructor(config) {
+    /**
+     * @param {object} config - The `twitter` config section.
+     * @param {object} [options] - { disclosure, screenshots }: the `disclosure` config section (without it every
+     *   DM and comment is refused) and a ScreenshotStore for failure screenshots (without it none are taken).
+     */
+    constructor(config, { disclosure, screenshots = null } = {}) {
         this.config = config;
+        this.disclosurePolicy = new DisclosurePolicy(disclosure);
+        this.screenshotStore = screenshots;
         this.browser = null;
         this.page = null;
         this.isLoggedIn = false;
@@ -12,7 +19,7 @@ class TwitterBot {
 
     async initialize() {
         try {
-            console.log("🚀 Launching browser...");
+            logger.info("🚀 Launching browser...");
             
             // Launch browser with stealth mode
             this.browser = await chromium.launch({
@@ -24,22 +31,22 @@ class TwitterBot {
                 ]
             });
 
-            console.log("📄 Creating new page...");
+            logger.info("📄 Creating new page...");
             this.page = await this.browser.newPage({
                 userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
             });
-            console.log("🔧 User agent set");
+            logger.info("🔧 User agent set");
             
             // Set viewport
-            console.log("📐 Setting viewport...");
+            logger.info("📐 Setting viewport...");
             await this.page.setViewportSize({ width: 1366, height: 768 });
             
-            console.log("🔐 Starting login process...");
+            logger.info("🔐 Starting login process...");
             await this.login();
             
-            console.log("✅ TwitterBot initialized successfully");
+            logger.info("✅ TwitterBot initialized successfully");
         } catch (error) {
-            console.error("❌ Error initializing TwitterBot:", error.message);
+            logger.error(`❌ Error initializing TwitterBot: ${error.message}`);
             if (this.browser) {
                 await this.browser.close();
             }
@@ -49,10 +56,10 @@ class TwitterBot {
 
     async login() {
         try {
-            console.log("🌐 Navigating to Twitter login page...");
+            logger.info("🌐 Navigating to Twitter login page...");
             await this.page.goto("https://x.com/login", { waitUntil: 'domcontentloaded' });
 
-            console.log("📝 Entering username...");
+            logger.info("📝 Entering username...");
             // Use a more robust selector for the username/email/phone input.
             // getByLabel is less likely to break with UI changes than specific attributes.
             // Increase timeout to 30s to handle slow loading on platforms like Render.
@@ -64,7 +71,7 @@ class TwitterBot {
             await this.page.click('button[role="button"]:has-text("Next")');
 
             // After clicking Next, Twitter may ask for a password, or it may ask for a phone/username to resolve ambiguity.
-            console.log("🔍 Checking for password or disambiguation screen...");
+            logger.info("🔍 Checking for password or disambiguation screen...");
             const passwordInput = this.page.locator('input[name="password"]');
             const disambiguationInput = this.page.getByLabel(/phone number or username/i);
             const alertError = this.page.locator('[role="alert"]');
@@ -88,16 +95,16 @@ class TwitterBot {
 
             // This handles the case where Twitter asks for a username or phone number to disambiguate an email login.
             if (await disambiguationInput.isVisible()) {
-                console.log("📱 Additional verification required (username/phone).");
+                logger.info("📱 Additional verification required (username/phone).");
                 if (!this.config.phoneOrEmail) {
                     throw new Error('Twitter is asking for username/phone for verification, but none is provided in .env file. Please set TWITTER_PHONE or TWITTER_EMAIL.');
                 }
-                console.log("➡️ Entering username/phone for verification...");
+                logger.info("➡️ Entering username/phone for verification...");
                 await disambiguationInput.fill(this.config.phoneOrEmail);
                 await this.page.click('button[role="button"]:has-text("Next")');
             }
 
-            console.log("🔑 Entering password...");
+            logger.info("🔑 Entering password...");
             await passwordInput.waitFor({ state: 'visible', timeout: 15000 });
             await passwordInput.fill(this.config.password);
             
@@ -105,7 +112,7 @@ class TwitterBot {
             await this.page.click('[data-testid="LoginForm_Login_Button"]');
             
             // Wait for login success OR a known failure condition
-            console.log("⏳ Waiting for login to complete...");
+            logger.info("⏳ Waiting for login to complete...");
 
             const successLocator = this.page.locator(
                 '[data-testid="SideNav_AccountSwitcher_Button"], [aria-label="Home timeline"], [data-testid="AppTabBar_Home_Link"]'
@@ -149,10 +156,10 @@ class TwitterBot {
             }
 
             this.isLoggedIn = true;
-            console.log("✅ Successfully logged into Twitter");
+            logger.info("✅ Successfully logged into Twitter");
             
         } catch (error) {
-            console.error("❌ Login failed:", error.message);
+            logger.error(`❌ Login failed: ${error.message}`);
             await this.takeScreenshot('login_error');
             
             // Re-throw a more specific error to the caller
@@ -160,14 +167,14 @@ class TwitterBot {
                 throw new Error(`Login failed due to a security check or error from Twitter: ${error.message.split('\n')[0]}`);
             }
             
-            throw new Error(`Twitter login failed. The login page did not behave as expected. Check login_error.png for details. Original error: ${error.message.split('\n')[0]}`);
+            throw new Error(`Twitter login failed. The login page did not behave as expected. Check the login_error screenshot for details. Original error: ${error.message.split('\n')[0]}`);
         }
     }
 
     async checkDMButtonExists(username) {
         try {
             const profileUrl = `https://x.com/${username}`;
-            console.log(`  -> [Pre-flight] Checking DM status for @${username}`);
+            logger.info(`  -> [Pre-flight] Checking DM status for @${username}`);
             await this.page.goto(profileUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
 
             const dmButton = this.page.locator('[data-testid="sendDMFromProfile"]');
@@ -176,23 +183,33 @@ class TwitterBot {
             return true;
         } catch (error) {
             // It's expected that this will fail often for users with closed DMs.
-            console.log(`  -> [Pre-flight] DM button not found for @${username}.`);
+            logger.info(`  -> [Pre-flight] DM button not found for @${username}.`);
             return false;
         }
     }
 
     async sendDM(username, message) {
+        // Throws (and nothing is typed) if the disclosure cannot be added.
+        const text = this.disclosurePolicy.apply('dm', message);
         const maxRetries = 2;
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            let sendClicked = false;
             try {
-                console.log(`📨 Attempting to send DM to @${username}` + (attempt > 1 ? ` (Attempt ${attempt}/${maxRetries})` : ''));
+                logger.info(`📨 Attempting to send DM to @${username}` + (attempt > 1 ? ` (Attempt ${attempt}/${maxRetries})` : ''));
     
                 const profileUrl = `https://x.com/${username}`;
-                if (attempt === 1) console.log(`...navigating to profile: ${profileUrl}`);
+                if (attempt === 1) logger.info(`...navigating to profile: ${profileUrl}`);
                 await this.page.goto(profileUrl, { waitUntil: 'domcontentloaded' });
     
                 const dmButton = this.page.locator('[data-testid="sendDMFromProfile"]');
-                await dmButton.waitFor({ state: 'visible', timeout: 15000 });
+                const blockedNotice = this.page.locator(':text-matches("blocked you|You.?re blocked", "i")');
+                await Promise.race([
+                    dmButton.waitFor({ state: 'visible', timeout: 15000 }),
+                    blockedNotice.first().waitFor({ state: 'visible', timeout: 15000 }),
+                ]);
+                if (await blockedNotice.first().isVisible()) {
+                    throw new Error('Cannot send DM. User has blocked this account.');
+                }
                 await dmButton.click();
     
                 const dmDrawer = this.page.locator('[data-testid="DMDrawer"]');
@@ -212,7 +229,7 @@ class TwitterBot {
     
                 const startMessageButton = dmScope.locator('[data-testid="conversation-compose-box-header"] button:has-text("Next")');
                 if (await startMessageButton.isVisible({ timeout: 3000 })) {
-                    console.log('...clicking "Next" on the start message screen.');
+                    logger.info('...clicking "Next" on the start message screen.');
                     await startMessageButton.click();
                 }
     
@@ -240,34 +257,167 @@ class TwitterBot {
                     throw new Error('Cannot send DM. Twitter requires your account to be verified.');
                 }
     
-                await this.humanType(messageInput, message);
+                await this.humanType(messageInput, text);
                 const sendButton = dmScope.locator('[data-testid="dmComposerSendButton"]');
+                // From here on the DM may have gone out, so a failure must not be retried.
+                sendClicked = true;
                 await sendButton.click();
     
-                const snippet = message.length > 50 ? message.substring(0, 50) : message;
+                const snippet = (text.length > 50 ? text.substring(0, 50) : text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
                 const sentMessageLocator = dmScope.locator('[data-testid="messageEntry"]').filter({ hasText: new RegExp(snippet, 'i') });
                 await sentMessageLocator.last().waitFor({ timeout: 10000 });
     
-                console.log(`✅ DM sent to @${username}`);
+                logger.info(`✅ DM sent to @${username}`);
                 return true; // Success, exit the loop
     
             } catch (error) {
+                error.afterSend = sendClicked;
                 const isTransientError = error.message.includes('DM UI (drawer, page, or popup) did not appear') || 
                                          error.message.includes('Could not determine DM state');
 
-                if (isTransientError && attempt < maxRetries) {
-                    console.log(`⚠️  DM attempt ${attempt} failed for @${username} with a transient error. Retrying...`);
+                if (isTransientError && !sendClicked && attempt < maxRetries) {
+                    logger.warn(`⚠️  DM attempt ${attempt} failed for @${username} with a transient error. Retrying...`);
                     await this.page.waitForTimeout(5000); // Wait 5 seconds before next attempt
                 } else {
                     // This is a final or non-recoverable error
-                    console.error(`❌ Failed to send DM to @${username}:`, error.message);
-                    await this.takeScreenshot(`dm_error_${username}`);
+                    logger.error(`❌ Failed to send DM to @${username}: ${error.message}`);
+                    error.screenshotId = await this.takeScreenshot('dm_error', { username });
                     throw error; // Re-throw the error to be caught by the main loop
                 }
             }
         }
     }
 
+    /**
+     * Opens the DM conversation with a user and returns the HTML of the message pane.
+     * Used by the reply-ingestion step; classification happens on the HTML so it can
+     * be tested against recorded fixtures.
+     * @param {string} username
+     * @returns {Promise<string|null>} - The conversation HTML, or null if it could not be opened.
+     */
+    async getDMThreadHtml(username) {
+        try {
+            logger.info(`...opening DM thread with @${username}`);
+            await this.page.goto(`https://x.com/${username}`, { waitUntil: 'domcontentloaded', timeout: 20000 });
+
+            const dmButton = this.page.locator('[data-testid="sendDMFromProfile"]');
+            await dmButton.waitFor({ state: 'visible', timeout: 15000 });
+            await dmButton.click();
+
+            const dmDrawer = this.page.locator('[data-testid="DMDrawer"]');
+            const conversation = this.page.locator('[data-testid="DmActivityViewport"]');
+            await Promise.race([
+                dmDrawer.waitFor({ state: 'visible', timeout: 15000 }),
+                conversation.waitFor({ state: 'visible', timeout: 15000 }),
+            ]);
+
+            // Give older messages a moment to render before capturing the thread.
+            await this.page.waitForTimeout(2000);
+            const scope = (await conversation.isVisible()) ? conversation : dmDrawer;
+            return await scope.innerHTML();
+        } catch (error) {
+            logger.error(`❌ Could not open DM thread with @${username}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Collects accounts that mentioned us recently, from the mentions tab.
+     * @param {number} [limit=40] - Maximum number of mentions to read.
+     * @returns {Promise<Array<{username: string, tweetUrl: string|null}>>}
+     */
+    async getRecentMentions(limit = 40) {
+        try {
+            logger.info("...reading recent mentions");
+            await this.page.goto("https://x.com/notifications/mentions", { waitUntil: 'domcontentloaded', timeout: 25000 });
+            await this.page.locator('article[data-testid="tweet"]').first().waitFor({ state: 'visible', timeout: 15000 });
+
+            const ownHandle = (this.config.username || '').replace(/^@/, '').toLowerCase();
+            const mentions = [];
+            const articles = await this.page.locator('article[data-testid="tweet"]').all();
+            for (const article of articles.slice(0, limit)) {
+                const authorHref = await article.locator('[data-testid="User-Name"] a[role="link"]').first().getAttribute('href').catch(() => null);
+                const statusHref = await article.locator('a[href*="/status/"]').first().getAttribute('href').catch(() => null);
+                const username = (authorHref || '').replace(/^\//, '').split('/')[0];
+                // Replies to our posts show "Replying to @us" above the text.
+                const isReply = await article.getByText(/^Replying to/).count().catch(() => 0) > 0;
+                if (username && username.toLowerCase() !== ownHandle) {
+                    mentions.push({ username, tweetUrl: statusHref ? `https://x.com${statusHref}` : null, isReply });
+                }
+            }
+
+            logger.info(`...found ${mentions.length} mentions`);
+            return mentions;
+        } catch (error) {
+            // An empty mentions tab times out waiting for a tweet; that's not an error.
+            logger.info(`ℹ️ No mentions read: ${error.message.split('\n')[0]}`);
+            return [];
+        }
+    }
+
+    /**
+     * Collects DM conversations where the other person sent the latest message,
+     * i.e. conversations they started or answered. The inbox preview starts with
+     * "You:" when the latest message is ours.
+     * @returns {Promise<Array<{username: string, conversationUrl: string|null}>>}
+     */
+    async getInboxConversations() {
+        try {
+            logger.info("...reading DM inbox");
+            await this.page.goto("https://x.com/messages", { waitUntil: 'domcontentloaded', timeout: 25000 });
+            await this.page.locator('[data-testid="conversation"]').first().waitFor({ state: 'visible', timeout: 15000 });
+
+            const conversations = [];
+            const items = await this.page.locator('[data-testid="conversation"]').all();
+            for (const item of items) {
+                const text = (await item.innerText()) || '';
+                const handleMatch = text.match(/@([A-Za-z0-9_]{1,15})/);
+                const lastLine = text.split('\n').filter(Boolean).pop() || '';
+                if (handleMatch && !/^You:/i.test(lastLine.trim())) {
+                    const href = await item.locator('a[href*="/messages/"]').first().getAttribute('href').catch(() => null);
+                    conversations.push({ username: handleMatch[1], conversationUrl: href ? `https://x.com${href}` : null });
+                }
+            }
+
+            logger.info(`...found ${conversations.length} inbound conversations`);
+            return conversations;
+        } catch (error) {
+            logger.info(`ℹ️ No inbox conversations read: ${error.message.split('\n')[0]}`);
+            return [];
+        }
+    }
+
+    /**
+     * Collects the accounts that follow ours, newest first.
+     * @param {number} [limit]
+     * @returns {Promise<Array<{username: string, profileUrl: string}>>}
+     */
+    async getRecentFollowers(limit = 50) {
+        const ownHandle = (this.config.username || '').replace(/^@/, '');
+        if (!ownHandle) return [];
+        try {
+            logger.info("...reading followers");
+            await this.page.goto(`https://x.com/${ownHandle}/followers`, { waitUntil: 'domcontentloaded', timeout: 25000 });
+            await this.page.locator('[data-testid="UserCell"]').first().waitFor({ state: 'visible', timeout: 15000 });
+
+            const followers = [];
+            const cells = await this.page.locator('[data-testid="UserCell"]').all();
+            for (const cell of cells.slice(0, limit)) {
+                const href = await cell.locator('a[role="link"]').first().getAttribute('href').catch(() => null);
+                const username = (href || '').replace(/^\//, '').split('/')[0];
+                if (username && username.toLowerCase() !== ownHandle.toLowerCase()) {
+                    followers.push({ username, profileUrl: `https://x.com/${username}` });
+                }
+            }
+
+            logger.info(`...found ${followers.length} followers`);
+            return followers;
+        } catch (error) {
+            logger.info(`ℹ️ No followers read: ${error.message.split('\n')[0]}`);
+            return [];
+        }
+    }
+
     async _checkPostStatus(url) {
         // This function is critical for ensuring a post page is valid before we try to interact with it.
         // It uses a sequential check, which is more reliable than a race condition.
@@ -281,8 +431,10 @@ class TwitterBot {
                 errorState.first().waitFor({ state: 'visible', timeout: 15000 }),
             ]);
         } catch (e) {
-            await this.takeScreenshot(`page_status_error_${this.page.url().split('/').pop()}`);
-            throw new Error(`Failed to determine post status for ${url}. The page might be loading slowly, or it's a new error type. Original error: ${e.message}`);
+            const author = (url.match(/(?:x|twitter)\.com\/([^/?#]+)/) || [])[1] || null;
+            const error = new Error(`Failed to determine post status for ${url}. The page might be loading slowly, or it's a new error type. Original error: ${e.message}`);
+            error.screenshotId = await this.takeScreenshot('page_status_error', { username: author });
+            throw error;
         }
 
         // 2. Now that we know the page has loaded one of our expected states, check for the errors first.
@@ -305,7 +457,7 @@ class TwitterBot {
 
     async getLatestTweetUrl(username) {
         try {
-            console.log(`...finding latest tweet for @${username}`);
+            logger.info(`...finding latest tweet for @${username}`);
             await this.page.goto(`https://x.com/${username}`, { waitUntil: 'domcontentloaded', timeout: 25000 });
 
             // Wait for the timeline to be visible, then find the first tweet that is NOT a pinned tweet.
@@ -323,18 +475,18 @@ class TwitterBot {
             }
             
             const fullUrl = `https://x.com${tweetUrl}`;
-            console.log(`...found tweet: ${fullUrl}`);
+            logger.info(`...found tweet: ${fullUrl}`);
             return fullUrl;
 
         } catch (error) {
-            console.error(`❌ Could not find latest tweet for @${username}:`, error.message);
+            logger.error(`❌ Could not find latest tweet for @${username}: ${error.message}`);
             return null; // Return null if no tweet is found
         }
     }
 
     async likePost(postUrl) {
         try {
-            console.log(`...navigating to post: ${postUrl}`);
+            logger.info(`...navigating to post: ${postUrl}`);
             await this.page.goto(postUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
 
             const mainTweet = await this._checkPostStatus(postUrl);
@@ -345,7 +497,7 @@ class TwitterBot {
             // Check if the post is already liked to avoid errors
             const unlikeButton = actionBar.locator('[data-testid="unlike"]');
             if (await unlikeButton.isVisible({ timeout: 1000 })) {
-                console.log(`ℹ️ Post already liked: ${postUrl}`);
+                logger.info(`ℹ️ Post already liked: ${postUrl}`);
                 return; // Exit gracefully
             }
 
@@ -355,16 +507,16 @@ class TwitterBot {
             // Wait for the button to change to 'Unlike' to confirm the action
             await unlikeButton.waitFor({ state: 'visible', timeout: 10000 });
 
-            console.log(`✅ Liked post: ${postUrl}`);
+            logger.info(`✅ Liked post: ${postUrl}`);
         } catch (error) {
-            console.error(`❌ Failed to like post ${postUrl}:`, error.message);
+            logger.error(`❌ Failed to like post ${postUrl}: ${error.message}`);
             throw error;
         }
     }
 
     async retweetPost(postUrl) {
         try {
-            console.log(`...navigating to post: ${postUrl}`);
+            logger.info(`...navigating to post: ${postUrl}`);
             await this.page.goto(postUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
 
             const mainTweet = await this._checkPostStatus(postUrl);
@@ -374,7 +526,7 @@ class TwitterBot {
             // Check if the post is already retweeted
             const unretweetButton = actionBar.locator('[data-testid="unretweet"]');
             if (await unretweetButton.isVisible({ timeout: 1000 })) {
-                console.log(`ℹ️ Post already retweeted: ${postUrl}`);
+                logger.info(`ℹ️ Post already retweeted: ${postUrl}`);
                 return; // Exit gracefully
             }
 
@@ -389,16 +541,19 @@ class TwitterBot {
             // This is more reliable than waiting for a toast message.
             await unretweetButton.waitFor({ state: 'visible', timeout: 10000 });
 
-            console.log(`✅ Retweeted post: ${postUrl}`);
+            logger.info(`✅ Retweeted post: ${postUrl}`);
         } catch (error) {
-            console.error(`❌ Failed to retweet post ${postUrl}:`, error.message);
+            logger.error(`❌ Failed to retweet post ${postUrl}: ${error.message}`);
             throw error;
         }
     }
 
     async commentOnPost(postUrl, comment) {
+        // Throws (and nothing is typed) if the disclosure cannot be added.
+        const text = this.disclosurePolicy.apply('comment', comment);
+        let sendClicked = false;
         try {
-            console.log(`...navigating to post: ${postUrl}`);
+            logger.info(`...navigating to post: ${postUrl}`);
             await this.page.goto(postUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
 
             const mainTweet = await this._checkPostStatus(postUrl);
@@ -413,15 +568,18 @@ class TwitterBot {
             const textInput = this.page.getByRole('textbox', { name: 'Post text' });
             await textInput.waitFor({ state: 'visible', timeout: 10000 });
  
-            await this.humanType(textInput, comment);
+            await this.humanType(textInput, text);
+            // From here on the comment may have been posted.
+            sendClicked = true;
             await postCommentButton.click();
 
             // The confirmation toast is unreliable. A successful click is a good enough indicator.
             // We can add a small, static wait to ensure the action completes before moving on.
             await this.page.waitForTimeout(2000);
-            console.log(`✅ Commented on post: ${postUrl}`);
+            logger.info(`✅ Commented on post: ${postUrl}`);
         } catch (error) {
-            console.error(`❌ Failed to comment on post ${postUrl}:`, error.message);
+            error.afterSend = sendClicked;
+            logger.error(`❌ Failed to comment on post ${postUrl}: ${error.message}`);
             throw error;
         }
     }
@@ -432,34 +590,40 @@ class TwitterBot {
             await locator.fill('');
             await locator.pressSequentially(text, { delay: Math.random() * 80 + 70 }); // 70-150ms delay
         } catch (error) {
-            console.error("❌ Error in humanType:", error.message);
+            logger.error(`❌ Error in humanType: ${error.message}`);
             throw error;
         }
     }
 
-    async takeScreenshot(name) {
+    /**
+     * Saves a redacted screenshot of the current page to the private screenshot store.
+     * @param {string} label - What failed, e.g. 'dm_error'.
+     * @param {object} [details] - { username }: the account the failure was about.
+     * @returns {Promise<string|null>} The screenshot id, or null if none was taken.
+     */
+    async takeScreenshot(label, { username = null } = {}) {
+        if (!this.screenshotStore) {
+            logger.info(`📸 Screenshot for ${label} skipped: no screenshot store configured`);
+            return null;
+        }
         try {
-            const screenshotsDir = path.join(__dirname, '..', 'screenshots');
-            if (!fs.existsSync(screenshotsDir)){
-                fs.mkdirSync(screenshotsDir, { recursive: true });
-            }
-            const safeName = name.replace(/[^a-zA-Z0-9]/g, '_');
-            const screenshotPath = path.join(screenshotsDir, `${safeName}.png`);
-            await this.page.screenshot({ path: screenshotPath, fullPage: true });
-            // The server is running from the root, so the URL is relative to that.
-            console.log(`📸 Screenshot saved. View it at: /screenshots/${safeName}.png`);
+            const screenshot = await this.screenshotStore.capture(this.page, { label, username });
+            logger.info(`📸 Screenshot saved. View it at: /screenshots/${screenshot.id} (until ${screenshot.expiresAt})`);
+            return screenshot.id;
         } catch (screenshotError) {
-            console.error("❌ Could not take screenshot:", screenshotError.message);
-        }    }
+            logger.error(`❌ Could not take screenshot: ${screenshotError.message}`);
+            return null;
+        }
+    }
 
     async close() {
         try {
             if (this.browser) {
                 await this.browser.close();
-                console.log("🔒 Browser closed");
+                logger.info("🔒 Browser closed");
             }
         } catch (error) {
-            console.error("❌ Error closing browser:", error.message);
+            logger.error(`❌ Error closing browser: ${error.message}`);
         }
     }
 }
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const express = require('express');
+const { escapeHtml } = require('../utils/html.js');
+const { registerSecret } = require('../utils/redact.js');
+
+/**
+ * Roles, lowest first. An operator can do everything a viewer can.
+ */
+const ROLES = {
+    VIEWER: 'viewer',     // Dashboards, approval queue and logs, read-only
+    OPERATOR: 'operator'  // Also the kill switch, approvals and starting/stopping automation
+};
+const ROLE_LEVEL = { [ROLES.VIEWER]: 1, [ROLES.OPERATOR]: 2 };
+
+const COOKIE_NAME = 'autox_session';
+const MIN_TOKEN_LENGTH = 16;
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+function safeEqual(a, b) {
+    return crypto.timingSafeEqual(sha256(String(a)), sha256(String(b)));
+}
+
+/**
+ * Shared authentication for server.js, monitor.js and kill_switch_server.js.
+ *
+ * Users are configured as "name:role:token" entries. Scripts and the bot's http
+ * kill switch source send the token as `Authorization: Bearer <token>`. Browsers
+ * log in once with their token and get an HMAC-signed, HttpOnly session cookie
+ * that carries a per-session CSRF token; every state-changing request made with
+ * the cookie must be a POST that echoes it back (`_csrf` field or X-CSRF-Token
+ * header). Control actions are logged with the user's name and role.
+ *
+ * With no users configured every protected route refuses access.
+ */
+class Auth {
+    /**
+     * @param {object} authConfig - { users, sessionSecret, sessionTtl }
+     * @param {object} [deps] - { logger }: anything with info(message, meta). Defaults to src/utils/Logger.js.
+     */
+    constructor(authConfig = {}, { logger = null } = {}) {
+        this.users = Auth.parseUsers(authConfig.users);
+        for (const user of this.users) registerSecret(user.token);
+        // Without a configured secret, sessions last until this process restarts.
+        this.sessionSecret = authConfig.sessionSecret || crypto.randomBytes(32).toString('hex');
+        this.sessionTtl = authConfig.sessionTtl || 8 * 60 * 60 * 1000;
+        this.logger = logger;
+        if (this.users.length === 0) {
+            console.log('🔒 No AUTH_USERS configured: every protected route will refuse access.');
+        }
+    }
+
+    /**
+     * @param {string|Array<object>} spec - "name:role:token,name:role:token" or parsed entries.
+     * @returns {Array<{name: string, role: string, token: string}>}
+     */
+    static parseUsers(spec) {
+        if (Array.isArray(spec)) return spec.map(user => Auth.validateUser(user));
+        return (spec || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const [name, role, ...tokenParts] = entry.split(':');
+                return Auth.validateUser({ name, role, token: tokenParts.join(':') });
+            });
+    }
+
+    static validateUser(user) {
+        if (!user.name) throw new Error('Auth user entries need a name ("name:role:token").');
+        if (!ROLE_LEVEL[user.role]) {
+            throw new Error(`Unknown role "${user.role}" for user ${user.name}. Expected one of: ${Object.values(ROLES).join(', ')}`);
+        }
+        if (!user.token || user.token.length < MIN_TOKEN_LENGTH) {
+            throw new Error(`The token for user ${user.name} must be at least ${MIN_TOKEN_LENGTH} characters.`);
+        }
+        return { name: user.name, role: user.role, token: user.token };
+    }
+
+    static hasRole(identity, role) {
+        return Boolean(identity) && ROLE_LEVEL[identity.role] >= ROLE_LEVEL[role];
+    }
+
+    authenticateToken(token) {
+        if (!token) return null;
+        // Compare against every user so timing does not reveal which names exist.
+        let match = null;
+        for (const user of this.users) {
+            if (safeEqual(user.token, token)) match = user;
+        }
+        return match;
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.sessionSecret).update(payload).digest('base64url');
+    }
+
+    /**
+     * @returns {string} A signed cookie value for the user, with a fresh CSRF token.
+     */
+    createSession(user, now = Date.now()) {
+        const payload = base64url(JSON.stringify({
+            name: user.name,
+            role: user.role,
+            exp: now + this.sessionTtl,
+            csrf: crypto.randomBytes(24).toString('base64url')
+        }));
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    /**
+     * @param {string} value - A cookie value from createSession().
+     * @returns {object|null} { name, role, csrf } if the signature, expiry and user still check out.
+     */
+    readSession(value, now = Date.now()) {
+        const [payload, signature] = (value || '').split('.');
+        if (!payload || !signature || !safeEqual(this.sign(payload), signature)) return null;
+
+        let session;
+        try {
+            session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+        if (!session.exp || session.exp < now) return null;
+        // Removing a user or changing their role ends their sessions.
+        const user = this.users.find(candidate => candidate.name === session.name);
+        if (!user || user.role !== session.role) return null;
+        return { name: user.name, role: user.role, csrf: session.csrf };
+    }
+
+    static parseCookies(header) {
+        const cookies = {};
+        for (const part of (header || '').split(';')) {
+            const index = part.indexOf('=');
+            if (index <= 0) continue;
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                // Ignore malformed cookies rather than failing the request
+            }
+        }
+        return cookies;
+    }
+
+    /**
+     * Works on Express requests and on the raw upgrade request of a WebSocket.
+     * @returns {object|null} { name, role, via: 'token'|'session', csrf }
+     */
+    identify(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            const user = this.authenticateToken(header.slice('Bearer '.length).trim());
+            return user ? { name: user.name, role: user.role, via: 'token', csrf: null } : null;
+        }
+        const session = this.readSession(Auth.parseCookies(req.headers.cookie)[COOKIE_NAME]);
+        return session ? { ...session, via: 'session' } : null;
+    }
+
+    /**
+     * Identifies the upgrade request of a browser WebSocket. The browser sends the
+     * session cookie with it, so the Origin must also be this server: otherwise any
+     * site could open a socket with a logged-in user's cookie. An Origin that is not
+     * a URL ("null" from sandboxed frames and file:// pages, or garbage) is refused.
+     * @returns {object|null} As identify(), or null.
+     */
+    identifySocket(req) {
+        const identity = this.identify(req);
+        const origin = req.headers.origin;
+        if (!identity || !origin) return identity;
+        try {
+            return new URL(origin).host === req.headers.host ? identity : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Express middleware that requires at least `role`. Sets `req.identity`.
+     * @param {string} role - A ROLES value.
+     * @param {object} [options] - { api }: answer with JSON 401/403 instead of redirecting to /login.
+     */
+    requireRole(role, { api = false } = {}) {
+        return (req, res, next) => {
+            const identity = this.identify(req);
+            if (!identity) {
+                if (api || req.method !== 'GET') return res.status(401).json({ error: 'Authentication required' });
+                return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+            }
+            if (!Auth.hasRole(identity, role)) {
+                return api
+                    ? res.status(403).json({ error: `Requires the ${role} role` })
+                    : res.status(403).send(`Forbidden: requires the ${escapeHtml(role)} role`);
+            }
+            req.identity = identity;
+            next();
+        };
+    }
+
+    /**
+     * Express middleware for state changes: only POST, and cookie sessions must echo their CSRF token.
+     * Bearer-token requests carry no ambient credentials and skip the CSRF check.
+     * Run after requireRole() and a body parser.
+     */
+    requireCsrf() {
+        return (req, res, next) => {
+            if (req.method !== 'POST') return res.status(405).send('Use POST');
+            if (req.identity.via === 'token') return next();
+            const sent = (req.body && req.body._csrf) || req.headers['x-csrf-token'];
+            if (!sent || !safeEqual(sent, req.identity.csrf)) {
+                return res.status(403).send('Invalid or missing CSRF token');
+            }
+            next();
+        };
+    }
+
+    /**
+     * Hidden form field carrying the CSRF token for a logged-in browser.
+     */
+    static csrfField(identity) {
+        return identity && identity.csrf ? `<input type="hidden" name="_csrf" value="${escapeHtml(identity.csrf)}">` : '';
+    }
+
+    /**
+     * Records who did what. Every state change made through a server goes through here.
+     * @param {object} identity - From identify()/req.identity.
+     * @param {string} action - e.g. 'kill-switch', 'approval.approve', 'automation.start'.
+     * @param {object} [details]
+     */
+    logControlAction(identity, action, details = {}) {
+        if (!this.logger) this.logger = require('../utils/Logger.js');
+        this.logger.info(`Control action ${action} by ${identity.name}`, {
+            control: true,
+            action,
+            user: identity.name,
+            role: identity.role,
+            via: identity.via,
+            ...details
+        });
+    }
+
+    /**
+     * Adds GET/POST /login and POST /logout to an Express app.
+     * @param {object} app
+     * @param {object} [options] - { home }: where to go after login when no `next` is given.
+     */
+    mountLogin(app, { home = '/' } = {}) {
+        const form = express.urlencoded({ extended: false });
+        const safeNext = next => (typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : home);
+
+        app.get('/login', (req, res) => {
+            res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head><title>Log in</title></head>
+    <body style="font-family: Arial; margin: 20px;">
+        <h1>Log in</h1>
+        ${req.query.failed ? '<p style="color: #b00;">Unknown token.</p>' : ''}
+        <form method="POST" action="/login">
+            <input type="hidden" name="next" value="${escapeHtml(safeNext(req.query.next))}">
+            <input type="password" name="token" placeholder="Access token" required autofocus>
+            <button type="submit">Log in</button>
+        </form>
+    </body>
+    </html>
+    `);
+        });
+
+        app.post('/login', form, (req, res) => {
+            const next = safeNext(req.body.next);
+            const user = this.authenticateToken(req.body.token);
+            if (!user) {
+                return res.redirect(`/login?failed=1&next=${encodeURIComponent(next)}`);
+            }
+            res.setHeader('Set-Cookie', `${COOKIE_NAME}=${this.createSession(user)}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${Math.floor(this.sessionTtl / 1000)}${req.secure ? '; Secure' : ''}`);
+            this.logControlAction({ name: user.name, role: user.role, via: 'session' }, 'login');
+            res.redirect(next);
+        });
+
+        app.post('/logout', form, this.requireRole(ROLES.VIEWER), this.requireCsrf(), (req, res) => {
+            res.setHeader('Set-Cookie', `${COOKIE_NAME}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`);
+            this.logControlAction(req.identity, 'logout');
+            res.redirect('/login');
+        });
+    }
+}
+
+module.exports = { Auth, ROLES, COOKIE_NAME };
@@ -0,0 +1,149 @@
+/**
+ * States of an approval record.
+ */
+const APPROVAL_STATUSES = {
+    PENDING: 'PENDING',   // Waiting for a reviewer
+    APPROVED: 'APPROVED', // May be sent, with exactly `approved_text`
+    REJECTED: 'REJECTED', // Must never be sent; the lead gets no further message of this type
+    SENT: 'SENT'          // Used; a new message to this lead needs a new approval
+};
+
+// Activity types that carry text we write to someone.
+const MESSAGE_TYPES = ['dm', 'comment'];
+
+/**
+ * Human review for every outbound message, backed by the SQLite `approvals` table.
+ *
+ * Planned DMs and comments are queued as PENDING. A reviewer approves (optionally
+ * editing the text) or rejects each one from the web UI. Only approved activities
+ * are executed, with the approved text, and `verify()` is called again right
+ * before sending so nothing goes out unless an APPROVED record matches the exact text.
+ */
+class ApprovalQueue {
+    /**
+     * @param {Database} database
+     * @param {object} [policies] - { messagePolicy, disclosurePolicy }: when given, approved text
+     *   (including reviewer edits) gets the disclosure and must pass the message policy.
+     */
+    constructor(database, { messagePolicy = null, disclosurePolicy = null } = {}) {
+        if (!database) {
+            throw new Error("ApprovalQueue requires a Database instance.");
+        }
+        this.database = database;
+        this.messagePolicy = messagePolicy;
+        this.disclosurePolicy = disclosurePolicy;
+    }
+
+    static requiresApproval(activity) {
+        return MESSAGE_TYPES.includes(activity.type);
+    }
+
+    static textOf(activity) {
+        return activity.type === 'comment' ? activity.comment : activity.message;
+    }
+
+    /**
+     * Queues unreviewed messages and swaps in approved text.
+     * @param {Array<object>} activities - A plan from EngagementScheduler.createDailyPlan().
+     * @returns {Promise<{ready: Array<object>, queued: number, pending: number, rejected: number}>}
+     *   `ready` holds the activities that may run: non-message activities and approved messages.
+     */
+    async applyApprovals(activities) {
+        const result = { ready: [], queued: 0, pending: 0, rejected: 0 };
+
+        for (const activity of activities) {
+            if (!ApprovalQueue.requiresApproval(activity)) {
+                result.ready.push(activity);
+                continue;
+            }
+
+            const existing = await this.database.findOpenApproval(activity.username, activity.type);
+            if (!existing) {
+                await this.database.createApproval({
+                    leadId: activity.leadId,
+                    username: activity.username,
+                    activityType: activity.type,
+                    proposedText: ApprovalQueue.textOf(activity),
+                    keyword: activity.keyword,
+                    templateId: activity.templateId
+                });
+                result.queued++;
+            } else if (existing.status === APPROVAL_STATUSES.PENDING) {
+                result.pending++;
+            } else if (existing.status === APPROVAL_STATUSES.REJECTED) {
+                result.rejected++;
+            } else {
+                const textField = activity.type === 'comment' ? 'comment' : 'message';
+                result.ready.push({
+                    ...activity,
+                    [textField]: existing.approved_text,
+                    approvalId: existing.id,
+                    approvedBy: existing.reviewer
+                });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Final check before sending.
+     * @param {object} activity - Must carry `approvalId` and the text to send.
+     * @returns {Promise<{approved: boolean, reason: string|null}>}
+     */
+    async verify(activity) {
+        if (!activity.approvalId) {
+            return { approved: false, reason: 'No approval record' };
+        }
+        const approval = await this.database.getApproval(activity.approvalId);
+        if (!approval || approval.status !== APPROVAL_STATUSES.APPROVED) {
+            return { approved: false, reason: `Approval ${activity.approvalId} is ${approval ? approval.status : 'missing'}` };
+        }
+        if (approval.username !== activity.username || approval.activity_type !== activity.type) {
+            return { approved: false, reason: `Approval ${approval.id} is for a different ${approval.activity_type} target` };
+        }
+        if (approval.approved_text !== ApprovalQueue.textOf(activity)) {
+            return { approved: false, reason: `Text differs from approval ${approval.id}` };
+        }
+        return { approved: true, reason: null };
+    }
+
+    async getPending() {
+        return this.database.getApprovals(APPROVAL_STATUSES.PENDING);
+    }
+
+    /**
+     * @param {number} id
+     * @param {object} review - { text, reviewer }: `text` replaces the proposed text when given.
+     * @returns {Promise<boolean>} False if the record is not pending.
+     * @throws {Error} If the text to approve fails the message policy.
+     */
+    async approve(id, { text = null, reviewer }) {
+        if (!reviewer) throw new Error('A reviewer is required to approve a message.');
+        const approval = await this.database.getApproval(id);
+        if (!approval) return false;
+        let approvedText = text && text.trim() ? text.trim() : approval.proposed_text;
+        if (this.disclosurePolicy) {
+            // Put back a disclosure the reviewer edited out, so the approved text is exactly what is sent.
+            approvedText = this.disclosurePolicy.apply(approval.activity_type, approvedText);
+        }
+        if (this.messagePolicy) {
+            const result = this.messagePolicy.checkMessage(approvedText, { requireDisclosure: approval.activity_type === 'dm' });
+            if (!result.valid) {
+                throw new Error(`Message policy: ${result.errors.join('; ')}`);
+            }
+        }
+        return this.database.reviewApproval(id, APPROVAL_STATUSES.APPROVED, { approvedText, reviewer });
+    }
+
+    async reject(id, { reviewer, note = null }) {
+        if (!reviewer) throw new Error('A reviewer is required to reject a message.');
+        return this.database.reviewApproval(id, APPROVAL_STATUSES.REJECTED, { reviewer, note });
+    }
+
+    async markSent(id) {
+        await this.database.markApprovalSent(id);
+    }
+}
+
+module.exports = { ApprovalQueue, APPROVAL_STATUSES };
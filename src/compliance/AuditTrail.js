@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Outcomes recorded for an outbound action.
+ */
+const AUDIT_RESULTS = {
+    SUCCESS: 'SUCCESS', // The action was performed (or, in a dry run, recorded as intended)
+    FAILED: 'FAILED',   // The action threw an error
+    BLOCKED: 'BLOCKED', // A compliance check refused the action
+    SKIPPED: 'SKIPPED'  // Nothing to act on (e.g. no recent tweet to like)
+};
+
+/**
+ * Append-only, hash-chained JSONL log of every outbound action.
+ *
+ * Each line carries the SHA-256 of the previous line's hash plus its own content,
+ * so editing, reordering or deleting any entry breaks the chain from that point
+ * on. `verify()` walks the chain and reports the first broken entry.
+ */
+class AuditTrail {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.lastHash = null;
+        this.lastSeq = 0;
+    }
+
+    static hash(prevHash, body) {
+        return crypto.createHash('sha256').update(prevHash + JSON.stringify(body)).digest('hex');
+    }
+
+    /**
+     * Reads the tail of the existing file so new entries continue its chain.
+     */
+    loadTail() {
+        this.lastHash = GENESIS_HASH;
+        this.lastSeq = 0;
+        const entries = this.readAll();
+        if (entries.length > 0) {
+            const last = entries[entries.length - 1];
+            this.lastHash = last.hash;
+            this.lastSeq = last.seq;
+        }
+    }
+
+    /**
+     * Appends one action to the trail.
+     * @param {object} action - { account, type, target, leadId, postUrl, text, filterDecision, approval, result, error, dryRun }
+     * @returns {object} The entry as written, including its hash.
+     */
+    record(action) {
+        if (this.lastHash === null) {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            this.loadTail();
+        }
+
+        const body = {
+            seq: this.lastSeq + 1,
+            timestamp: new Date().toISOString(),
+            account: action.account || null,
+            activityId: action.activityId || null, // Matches the activityId field of this action's log entries
+            type: action.type,
+            target: action.target,
+            leadId: action.leadId ?? null,
+            postUrl: action.postUrl || null,
+            text: action.text ?? null,
+            filterDecision: action.filterDecision || null,
+            approval: action.approval || null,
+            result: action.result,
+            error: action.error || null,
+            dryRun: Boolean(action.dryRun),
+            prevHash: this.lastHash
+        };
+        const entry = { ...body, hash: AuditTrail.hash(this.lastHash, body) };
+
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        this.lastHash = entry.hash;
+        this.lastSeq = entry.seq;
+        return entry;
+    }
+
+    /**
+     * @returns {Array<object>} Every entry in file order.
+     */
+    readAll() {
+        if (!fs.existsSync(this.filePath)) return [];
+        return fs.readFileSync(this.filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    }
+
+    /**
+     * Returns entries for one target account and/or a date range.
+     * @param {object} filters - { account, sender, from, to } where from/to are Dates or ISO strings.
+     * @returns {Array<object>}
+     */
+    query({ account, sender, from, to } = {}) {
+        const normalize = handle => (handle || '').trim().replace(/^@/, '').toLowerCase();
+        const fromTime = from ? new Date(from).getTime() : -Infinity;
+        const toTime = to ? new Date(to).getTime() : Infinity;
+
+        return this.readAll().filter(entry => {
+            const time = new Date(entry.timestamp).getTime();
+            if (time < fromTime || time > toTime) return false;
+            if (account && normalize(entry.target) !== normalize(account)) return false;
+            if (sender && normalize(entry.account) !== normalize(sender)) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Recomputes the hash chain.
+     * @returns {{valid: boolean, entries: number, brokenAt: number|null, error: string|null}}
+     */
+    verify() {
+        let prevHash = GENESIS_HASH;
+        let lines;
+        try {
+            lines = fs.existsSync(this.filePath)
+                ? fs.readFileSync(this.filePath, 'utf8').split('\n').filter(line => line.trim())
+                : [];
+        } catch (error) {
+            return { valid: false, entries: 0, brokenAt: null, error: error.message };
+        }
+
+        for (let i = 0; i < lines.length; i++) {
+            const lineNumber = i + 1;
+            let entry;
+            try {
+                entry = JSON.parse(lines[i]);
+            } catch (error) {
+                return { valid: false, entries: lines.length, brokenAt: lineNumber, error: 'Line is not valid JSON' };
+            }
+
+            const { hash, ...body } = entry;
+            if (body.seq !== lineNumber) {
+                return { valid: false, entries: lines.length, brokenAt: lineNumber, error: `Expected seq ${lineNumber}, found ${body.seq}` };
+            }
+            if (body.prevHash !== prevHash) {
+                return { valid: false, entries: lines.length, brokenAt: lineNumber, error: 'prevHash does not match the previous entry' };
+            }
+            if (AuditTrail.hash(prevHash, body) !== hash) {
+                return { valid: false, entries: lines.length, brokenAt: lineNumber, error: 'Entry content does not match its hash' };
+            }
+            prevHash = hash;
+        }
+
+        return { valid: true, entries: lines.length, brokenAt: null, error: null };
+    }
+}
+
+module.exports = { AuditTrail, AUDIT_RESULTS, GENESIS_HASH };
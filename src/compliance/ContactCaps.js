@@ -0,0 +1,147 @@
+const { INBOUND_SIGNALS } = require('./OutreachPolicy.js');
+
+/**
+ * The rules a capped activity was refused under.
+ */
+const CONTACT_CAP_RULES = {
+    ONE_UNSOLICITED_DM: 'ONE_UNSOLICITED_DM',     // We have already DMed this lead before they ever reached out
+    PUBLIC_MONTHLY_LIMIT: 'PUBLIC_MONTHLY_LIMIT', // Enough likes, retweets and comments this month
+    UNANSWERED_DM: 'UNANSWERED_DM'                // Our DM has had no reply; nothing else until it does
+};
+
+/**
+ * Per-recipient limits. Deliberately not part of config.js: no config file,
+ * environment variable or per-run override can loosen them.
+ */
+const CONTACT_CAPS = Object.freeze({
+    unsolicitedDMs: 1,             // Ever
+    publicInteractionsPerMonth: 4, // Likes, retweets and comments together
+    monthDays: 30
+});
+
+const PUBLIC_TYPES = ['like', 'retweet', 'comment'];
+const ANSWER_SIGNALS = [INBOUND_SIGNALS.REPLY, INBOUND_SIGNALS.CONVERSATION];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone.
+const parseTimestamp = value => new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+
+/**
+ * Lifetime contact caps for each recipient, on top of the daily rate limits:
+ *
+ * - at most one unsolicited DM to a lead, ever. A DM is unsolicited if the lead
+ *   had not mentioned us, replied or started a conversation before it was sent;
+ *   after one, no automated DM follows even if they reply (a person takes over);
+ * - at most `publicInteractionsPerMonth` likes, retweets and comments per lead
+ *   in any `monthDays` window;
+ * - nothing at all, not even a like, once we have DMed a lead until they reply.
+ *
+ * The sent history is cached by `load()` so the scheduler can check while
+ * planning; the activities already in the plan count too. `recordSent()` keeps the
+ * cache current as actions go out, so the check right before each action sees them.
+ */
+class ContactCaps {
+    /**
+     * @param {object} database - A Database instance.
+     * @param {object} [options] - { statuses, now }: activity statuses that count as
+     *     contact (dry runs also count DRY_RUN, so they plan what a live run would) and a clock.
+     */
+    constructor(database, { statuses = ['SENT'], now = () => new Date() } = {}) {
+        if (!database) {
+            throw new Error("ContactCaps requires a Database instance.");
+        }
+        this.database = database;
+        this.statuses = statuses;
+        this.now = now;
+        this.history = new Map(); // username -> { dms: [Date], public: [Date], firstInboundAt, answeredAt }
+    }
+
+    static emptyHistory() {
+        return { dms: [], public: [], firstInboundAt: null, answeredAt: null };
+    }
+
+    static normalize(username) {
+        return (username || '').trim().replace(/^@/, '').toLowerCase();
+    }
+
+    historyFor(username) {
+        const handle = ContactCaps.normalize(username);
+        if (!this.history.has(handle)) this.history.set(handle, ContactCaps.emptyHistory());
+        return this.history.get(handle);
+    }
+
+    /**
+     * Loads every DM and this month's public interactions we sent, and the replies received.
+     */
+    async load() {
+        this.history = new Map();
+        const activities = await this.database.getContactHistory(this.statuses, CONTACT_CAPS.monthDays);
+        for (const activity of activities) {
+            this.addSent(activity.username, activity.activity_type, parseTimestamp(activity.performed_at));
+        }
+        for (const signal of await this.database.getInboundSignals()) {
+            const entry = this.historyFor(signal.username);
+            const at = parseTimestamp(signal.recorded_at);
+            if (!entry.firstInboundAt || at < entry.firstInboundAt) entry.firstInboundAt = at;
+            if (ANSWER_SIGNALS.includes(signal.signal_type) && (!entry.answeredAt || at > entry.answeredAt)) {
+                entry.answeredAt = at;
+            }
+        }
+        console.log(`🧮 Contact caps: history loaded for ${this.history.size} accounts`);
+    }
+
+    addSent(username, type, at) {
+        const entry = this.historyFor(username);
+        if (type === 'dm') entry.dms.push(at);
+        else if (PUBLIC_TYPES.includes(type)) entry.public.push(at);
+    }
+
+    /**
+     * Notes an action that just went out.
+     * @param {object} activity - { username, type }
+     */
+    recordSent(activity) {
+        this.addSent(activity.username, activity.type, this.now());
+    }
+
+    /**
+     * @param {object} activity - { username, type } of the action to take.
+     * @param {Array<object>} [planned] - Activities already planned this cycle, which count as sent.
+     * @returns {{rule: string, reason: string}|null} The cap that refuses it, or null if it may go ahead.
+     */
+    check(activity, planned = []) {
+        const handle = ContactCaps.normalize(activity.username);
+        const entry = this.history.get(handle) || ContactCaps.emptyHistory();
+        const mine = planned.filter(other => other !== activity && ContactCaps.normalize(other.username) === handle);
+
+        if (activity.type === 'dm') {
+            const unsolicited = entry.dms.filter(at => !entry.firstInboundAt || at <= entry.firstInboundAt).length;
+            if (unsolicited >= CONTACT_CAPS.unsolicitedDMs) {
+                return { rule: CONTACT_CAP_RULES.ONE_UNSOLICITED_DM, reason: 'Already sent the one unsolicited DM allowed per lead' };
+            }
+        }
+
+        const lastDM = entry.dms.reduce((latest, at) => (!latest || at > latest ? at : latest), null);
+        if (mine.some(other => other.type === 'dm')) {
+            return { rule: CONTACT_CAP_RULES.UNANSWERED_DM, reason: 'A DM to this lead is already planned; nothing else until they reply' };
+        }
+        if (lastDM && !(entry.answeredAt && entry.answeredAt >= lastDM)) {
+            return { rule: CONTACT_CAP_RULES.UNANSWERED_DM, reason: `Our DM of ${lastDM.toISOString().slice(0, 10)} has had no reply` };
+        }
+
+        if (PUBLIC_TYPES.includes(activity.type)) {
+            const since = this.now().getTime() - CONTACT_CAPS.monthDays * DAY_MS;
+            const count = entry.public.filter(at => at.getTime() > since).length
+                + mine.filter(other => PUBLIC_TYPES.includes(other.type)).length;
+            if (count >= CONTACT_CAPS.publicInteractionsPerMonth) {
+                return {
+                    rule: CONTACT_CAP_RULES.PUBLIC_MONTHLY_LIMIT,
+                    reason: `${count} likes, retweets and comments in the last ${CONTACT_CAPS.monthDays} days (limit ${CONTACT_CAPS.publicInteractionsPerMonth})`
+                };
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = { ContactCaps, CONTACT_CAPS, CONTACT_CAP_RULES };
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const { SuppressionList, SUPPRESSION_REASONS } = require('./SuppressionList.js');
+
+/**
+ * Lead groups the retention policy applies to.
+ */
+const RETENTION_CATEGORIES = {
+    NEVER_ENGAGED: 'NEVER_ENGAGED', // Never sent a DM, like, retweet or comment
+    FAILED_FILTER: 'FAILED_FILTER', // Rejected by the FilterEngine (FAIL or PROTECTED)
+    OPTED_OUT: 'OPTED_OUT'          // Asked us to stop; the suppression list entry is always kept
+};
+
+const RETENTION_ACTIONS = {
+    ANONYMISE: 'anonymise', // Blank personal fields, keep statuses/keyword/template for stats
+    PURGE: 'purge'          // Delete the records outright
+};
+
+// Written to the status columns of erased sheet rows. Rows are blanked rather than
+// deleted because lead ids are sheet row numbers.
+const ERASED = 'ERASED';
+
+const PERSONAL_LEAD_COLUMNS = [
+    "Username", "Profile URL", "Bio", "Follower Count", "Verified",
+    "Filter Reason", "Last Error", "Outreach Note", "Location", "Language",
+    "Matched Tweet"
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The values to write to a Leads sheet row when erasing it.
+ * @param {object} row - Current values by column name.
+ * @param {object} options - { anonymise }: false blanks every column.
+ * @returns {object} Column -> new value.
+ */
+function erasedLeadValues(row, { anonymise }) {
+    const columns = anonymise ? PERSONAL_LEAD_COLUMNS : Object.keys(row);
+    const values = Object.fromEntries(columns.map(column => [column, '']));
+    values["DM Status"] = ERASED;
+    if (!anonymise || (row["Filter Status"] || '').toUpperCase() === 'PENDING') {
+        values["Filter Status"] = ERASED;
+    }
+    return values;
+}
+
+/**
+ * Parses sheet ISO timestamps and SQLite "YYYY-MM-DD HH:MM:SS" (UTC) datetimes.
+ */
+function parseTimestamp(value) {
+    if (!value) return null;
+    const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? value.replace(' ', 'T') + 'Z' : value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Retention and erasure of personal data about scraped accounts.
+ *
+ * `applyPolicy()` anonymises or purges leads that were never engaged, failed
+ * filtering or opted out once they are older than the configured number of days,
+ * in both the Leads sheet and SQLite. `findRecords()` and `eraseHandle()` serve
+ * export and deletion requests for one handle across the sheet, SQLite, logs and
+ * screenshots.
+ *
+ * The suppression list entry and the hash-chained audit trail are kept on erasure:
+ * the first is what stops us contacting the person again, and the second is the
+ * tamper-evident record of what we sent. An erased handle that was not suppressed
+ * yet is added as DO_NOT_CONTACT, so a later scrape cannot bring it back.
+ */
+class DataRetention {
+    /**
+     * @param {object} retentionConfig - The `retention` config section.
+     * @param {object} deps - { sheetsManager, database, suppressionList, auditTrail, screenshotStore, now }
+     */
+    constructor(retentionConfig, { sheetsManager, database, suppressionList = null, auditTrail = null, screenshotStore = null, now = () => new Date() }) {
+        if (!Object.values(RETENTION_ACTIONS).includes(retentionConfig.action)) {
+            throw new Error(`Unknown retention action "${retentionConfig.action}". Expected one of: ${Object.values(RETENTION_ACTIONS).join(', ')}`);
+        }
+        this.config = retentionConfig;
+        this.sheetsManager = sheetsManager;
+        this.database = database;
+        this.suppressionList = suppressionList || new SuppressionList(database);
+        this.auditTrail = auditTrail;
+        this.screenshotStore = screenshotStore;
+        this.now = now;
+    }
+
+    static normalize(handle) {
+        return (handle || '').trim().replace(/^@/, '').toLowerCase();
+    }
+
+    /**
+     * True if a log line is about the handle: the Logger's `username` field names it,
+     * or the text mentions "@handle" exactly ("@ana" does not match "@banana" or "@ana_b").
+     * A bare word is not enough, so a short handle like "bet" leaves unrelated lines alone.
+     */
+    static logLineMentions(line, handle) {
+        try {
+            const entry = JSON.parse(line);
+            if (entry && typeof entry.username === 'string' && DataRetention.normalize(entry.username) === handle) return true;
+        } catch (error) {
+            // Not a structured entry; fall back to the text
+        }
+        const escaped = handle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^A-Za-z0-9_])@${escaped}(?![A-Za-z0-9_])`, 'i').test(line);
+    }
+
+    /**
+     * @param {object} lead - From sheetsManager.getAllLeads().
+     * @param {Set<string>} engaged - Lowercase usernames we have performed an action on.
+     * @returns {string|null} A RETENTION_CATEGORIES value, or null if the policy does not apply.
+     */
+    categorize(lead, engaged) {
+        const filterStatus = (lead.filterStatus || '').toUpperCase();
+        const dmStatus = (lead.dmStatus || '').toUpperCase();
+        if (!lead.username || dmStatus === ERASED) return null;
+
+        if (dmStatus === 'OPTED_OUT') return RETENTION_CATEGORIES.OPTED_OUT;
+        if (filterStatus === 'FAIL' || filterStatus === 'PROTECTED') return RETENTION_CATEGORIES.FAILED_FILTER;
+        if (['', 'NOT_SENT', 'WATCH'].includes(dmStatus) && !engaged.has(DataRetention.normalize(lead.username))) {
+            return RETENTION_CATEGORIES.NEVER_ENGAGED;
+        }
+        return null;
+    }
+
+    /**
+     * @returns {Promise<Array<{lead: object, category: string, ageDays: number}>>} Leads past their retention period.
+     */
+    async findExpired() {
+        const limits = {
+            [RETENTION_CATEGORIES.NEVER_ENGAGED]: this.config.neverEngagedDays,
+            [RETENTION_CATEGORIES.FAILED_FILTER]: this.config.failedFilterDays,
+            [RETENTION_CATEGORIES.OPTED_OUT]: this.config.optedOutDays
+        };
+        const engaged = await this.database.getEngagedUsernames();
+        const expired = [];
+
+        for (const lead of await this.sheetsManager.getAllLeads()) {
+            const category = this.categorize(lead, engaged);
+            if (!category || limits[category] === null || limits[category] === undefined) continue;
+
+            // Opted-out leads count from when they opted out, everything else from when it was scraped.
+            let since = parseTimestamp(lead.scrapedAt);
+            if (category === RETENTION_CATEGORIES.OPTED_OUT) {
+                const suppression = await this.database.getSuppression(DataRetention.normalize(lead.username));
+                since = parseTimestamp(suppression && suppression.created_at) || since;
+            }
+            if (!since) continue;
+
+            const ageDays = (this.now().getTime() - since.getTime()) / DAY_MS;
+            if (ageDays >= limits[category]) {
+                expired.push({ lead, category, ageDays: Math.floor(ageDays) });
+            }
+        }
+        return expired;
+    }
+
+    /**
+     * Anonymises or purges (per `retention.action`) every lead past its retention period.
+     * @returns {Promise<{action: string, total: number, byCategory: object}>}
+     */
+    async applyPolicy() {
+        const anonymise = this.config.action === RETENTION_ACTIONS.ANONYMISE;
+        const expired = await this.findExpired();
+        const byCategory = Object.fromEntries(Object.values(RETENTION_CATEGORIES).map(category => [category, 0]));
+
+        if (expired.length > 0) {
+            await this.sheetsManager.eraseLeads(expired.map(({ lead }) => lead.id), { anonymise });
+            for (const { lead, category } of expired) {
+                await this.database.eraseUsername(DataRetention.normalize(lead.username), { anonymise, leadIds: [lead.id] });
+                byCategory[category]++;
+            }
+        }
+        return { action: this.config.action, total: expired.length, byCategory };
+    }
+
+    listFiles(dir, extension) {
+        if (!dir || !fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .filter(name => name.endsWith(extension))
+            .map(name => path.join(dir, name));
+    }
+
+    /**
+     * @returns {Array<{file: string, line: string}>} Log lines mentioning the handle.
+     */
+    findLogLines(handle) {
+        const matches = [];
+        for (const file of this.listFiles(this.config.logsDir, '.log')) {
+            for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+                if (line && DataRetention.logLineMentions(line, handle)) matches.push({ file, line });
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Older versions named screenshots after the handle (e.g. dm_error_<handle>.png)
+     * in the top-level screenshots directory.
+     * @returns {Array<string>} Paths of those screenshots for the handle.
+     */
+    findLegacyScreenshots(handle) {
+        if (!this.screenshotStore) return [];
+        return this.listFiles(this.screenshotStore.dir, '.png').filter(file => {
+            const name = path.basename(file, '.png').toLowerCase();
+            return name === handle || name.endsWith(`_${handle}`);
+        });
+    }
+
+    /**
+     * @returns {Promise<Array<string>>} Paths of every screenshot taken for the handle.
+     */
+    async findScreenshots(handle) {
+        if (!this.screenshotStore) return [];
+        const stored = (await this.screenshotStore.findByUsername(handle))
+            .map(screenshot => path.join(this.screenshotStore.dir, screenshot.file));
+        return [...stored, ...this.findLegacyScreenshots(handle)];
+    }
+
+    /**
+     * Collects every record we hold about a handle.
+     * @param {string} handle
+     * @returns {Promise<object>} { handle, exportedAt, sheet, database, auditTrail, logs, screenshots }
+     */
+    async findRecords(handle) {
+        const username = DataRetention.normalize(handle);
+        if (!username) throw new Error('A handle is required.');
+
+        const sheet = await this.sheetsManager.findLeadsByUsername(username);
+        return {
+            handle: username,
+            exportedAt: this.now().toISOString(),
+            sheet,
+            database: await this.database.findRecordsByUsername(username, sheet.map(row => row.id)),
+            auditTrail: this.auditTrail ? this.auditTrail.query({ account: username }) : [],
+            logs: this.findLogLines(username),
+            screenshots: await this.findScreenshots(username)
+        };
+    }
+
+    /**
+     * Deletes every record about a handle, except its suppression list entry and audit
+     * trail entries, and puts the handle on the suppression list if it is not there yet.
+     * @param {string} handle
+     * @returns {Promise<object>} Counts of what was erased and what was kept.
+     */
+    async eraseHandle(handle) {
+        const username = DataRetention.normalize(handle);
+        if (!username) throw new Error('A handle is required.');
+
+        // Suppressed first, so an erasure that fails halfway still stops all contact.
+        const existingSuppression = await this.database.getSuppression(username);
+        if (!existingSuppression) {
+            await this.suppressionList.add(username, SUPPRESSION_REASONS.DO_NOT_CONTACT, { source: 'erasure', notes: 'Personal data erased on request' });
+        }
+
+        const sheetRows = await this.sheetsManager.findLeadsByUsername(username);
+        const leadIds = sheetRows.map(row => row.id);
+        await this.sheetsManager.eraseLeads(leadIds, { anonymise: false });
+        const database = await this.database.eraseUsername(username, { anonymise: false, leadIds });
+
+        const logLines = this.findLogLines(username);
+        for (const file of new Set(logLines.map(match => match.file))) {
+            // Rewritten in place (not replaced) so a running logger keeps appending to the same file.
+            const kept = fs.readFileSync(file, 'utf8').split('\n').filter(line => !DataRetention.logLineMentions(line, username));
+            fs.writeFileSync(file, kept.join('\n'));
+        }
+
+        const legacyScreenshots = this.findLegacyScreenshots(username);
+        for (const file of legacyScreenshots) fs.unlinkSync(file);
+        const storedScreenshots = this.screenshotStore ? await this.screenshotStore.eraseUsername(username) : 0;
+
+        return {
+            handle: username,
+            sheetRows: leadIds.length,
+            database,
+            logLines: logLines.length,
+            screenshots: storedScreenshots + legacyScreenshots.length,
+            keptSuppression: Boolean(existingSuppression),
+            addedSuppression: !existingSuppression,
+            keptAuditEntries: this.auditTrail ? this.auditTrail.query({ account: username }).length : 0
+        };
+    }
+}
+
+module.exports = {
+    DataRetention,
+    RETENTION_CATEGORIES,
+    RETENTION_ACTIONS,
+    ERASED,
+    erasedLeadValues
+};
@@ -0,0 +1,72 @@
+// Twitter's own limits: DMs allow 10,000 characters, replies 280.
+const DEFAULT_MAX_LENGTH = { dm: 10000, comment: 280 };
+
+/**
+ * Adds an "automated, sent on behalf of <business>" line to every DM and comment.
+ *
+ * TwitterBot and DryRunTwitterBot call `apply()` on the exact text they are about
+ * to type, so nothing leaves without it. `apply()` is idempotent: text that already
+ * ends with the disclosure (because the scheduler added it before review) is left
+ * as is. It fails closed: with no business name, a disclosure that does not name
+ * the business or say it is automated, or text that would exceed the length limit
+ * once disclosed, it throws and the send does not happen.
+ */
+class DisclosurePolicy {
+    /**
+     * @param {object} disclosureConfig - { businessName, dmText, commentText, maxLength: { dm, comment } }.
+     *   dmText/commentText may use {business}.
+     */
+    constructor(disclosureConfig = {}) {
+        this.businessName = (disclosureConfig.businessName || '').trim();
+        this.texts = {
+            dm: disclosureConfig.dmText || '',
+            comment: disclosureConfig.commentText || ''
+        };
+        this.maxLength = { ...DEFAULT_MAX_LENGTH, ...disclosureConfig.maxLength };
+    }
+
+    /**
+     * @param {string} type - 'dm' or 'comment'.
+     * @returns {string} The disclosure line for that type.
+     * @throws {Error} If the policy is missing or no longer names the business and the automation.
+     */
+    disclosureFor(type) {
+        if (!this.businessName) {
+            throw new Error('Disclosure policy has no business name (disclosure.businessName / SENDER_NAME).');
+        }
+        const template = this.texts[type];
+        if (!template) {
+            throw new Error(`Disclosure policy has no text for ${type}.`);
+        }
+        const disclosure = template.replace(/\{business\}/g, this.businessName).trim();
+        if (!disclosure.toLowerCase().includes(this.businessName.toLowerCase())) {
+            throw new Error(`Disclosure for ${type} does not name the business "${this.businessName}".`);
+        }
+        if (!/automated/i.test(disclosure)) {
+            throw new Error(`Disclosure for ${type} does not say the message is automated.`);
+        }
+        return disclosure;
+    }
+
+    /**
+     * @param {string} type - 'dm' or 'comment'.
+     * @param {string} text - The message as planned or approved.
+     * @returns {string} The text to send, ending with the disclosure.
+     * @throws {Error} If the disclosure cannot be added or the result is too long.
+     */
+    apply(type, text) {
+        const disclosure = this.disclosureFor(type);
+        const body = (text || '').trimEnd();
+        if (!body) {
+            throw new Error(`Refusing to send an empty ${type}.`);
+        }
+        // A space, not a newline: typing Enter in the DM composer sends the message.
+        const disclosed = body.endsWith(disclosure) ? body : `${body} ${disclosure}`;
+        if (disclosed.length > this.maxLength[type]) {
+            throw new Error(`${type} would be ${disclosed.length} characters with the disclosure (limit ${this.maxLength[type]}).`);
+        }
+        return disclosed;
+    }
+}
+
+module.exports = { DisclosurePolicy };
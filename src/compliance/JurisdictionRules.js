@@ -0,0 +1,117 @@
+/**
+ * What a region restricts. A region restricting `gambling_promotion` is off limits
+ * to gambling campaigns; one restricting `unsolicited_marketing` to every campaign.
+ */
+const RESTRICTIONS = {
+    GAMBLING_PROMOTION: 'gambling_promotion',
+    UNSOLICITED_MARKETING: 'unsolicited_marketing'
+};
+
+const CAMPAIGN_CATEGORIES = ['gambling', 'general'];
+
+const RESTRICTED_REGION = 'RESTRICTED_REGION';
+
+/**
+ * Profile locations that say nothing about where someone is. They count as unknown.
+ */
+const PLACEHOLDER_LOCATIONS = [
+    'earth', 'planet earth', 'worldwide', 'world', 'global', 'everywhere', 'anywhere',
+    'somewhere', 'nowhere', 'internet', 'the internet', 'online', 'here', 'home', 'n/a', 'none'
+];
+
+// Twitter marks text it cannot identify with these instead of a language code.
+const UNDETERMINED_LANGUAGES = ['und', 'zxx', 'qme', 'qam', 'qht', 'qst'];
+
+const normalize = text => (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @param {string} location - A normalized profile location.
+ * @param {string} term - A place name from the regions table.
+ * @returns {boolean} True if the location names the place as a whole word.
+ */
+function mentionsPlace(location, term) {
+    return new RegExp(`(^|[^a-z0-9])${escapeRegExp(normalize(term))}($|[^a-z0-9])`).test(location);
+}
+
+/**
+ * @param {string} language - e.g. "it", "pt-BR" or "und".
+ * @returns {string} The primary language subtag, or '' if undetermined.
+ */
+function primaryLanguage(language) {
+    const code = normalize(language).split(/[-_]/)[0];
+    return UNDETERMINED_LANGUAGES.includes(code) ? '' : code;
+}
+
+/**
+ * @param {object} lead - { location, language } as captured by LeadScraper.extractLeadData().
+ * @returns {boolean} True if the profile location says nothing usable.
+ */
+function isLocationUnknown(lead) {
+    const location = normalize(lead.location).replace(/[^\p{L}\p{N}/ ]/gu, '').trim();
+    return location === '' || PLACEHOLDER_LOCATIONS.includes(location);
+}
+
+/**
+ * @param {string} location - A normalized profile location.
+ * @param {object} region - An entry of the regions table.
+ * @returns {string|null} The place of the region the location names, or null.
+ */
+function findPlace(location, region) {
+    const place = (region.locations || []).find(term => mentionsPlace(location, term));
+    if (place) return place;
+    // Names shared with somewhere else only count next to one of their context terms.
+    const ambiguous = (region.ambiguous || []).find(entry =>
+        mentionsPlace(location, entry.location) && entry.context.some(term => mentionsPlace(location, term)));
+    return ambiguous ? ambiguous.location : null;
+}
+
+/**
+ * Checks a lead's profile location and language against the restricted regions
+ * table (config.jurisdiction.restrictedRegions). A region applies when it restricts
+ * unsolicited marketing, or gambling promotion and the campaign is a gambling one.
+ * A region's `ambiguous` places (e.g. Georgia, also a country) only match when the
+ * location also names one of their `context` terms.
+ * Gambling campaigns fail closed: a lead whose location is unknown is refused too,
+ * whatever its language.
+ * @param {object} lead - { location, language }
+ * @param {object} settings - { campaignCategory, restrictedRegions }
+ * @returns {{region: string|null, matched: string|null, reason: string}|null} Why the lead is refused, or null.
+ */
+function findRestrictedRegion(lead, { campaignCategory = 'gambling', restrictedRegions = [] } = {}) {
+    const location = normalize(lead.location);
+    const language = primaryLanguage(lead.language);
+
+    for (const region of restrictedRegions) {
+        const applies = region.restricts.includes(RESTRICTIONS.UNSOLICITED_MARKETING)
+            || (campaignCategory === 'gambling' && region.restricts.includes(RESTRICTIONS.GAMBLING_PROMOTION));
+        if (!applies) continue;
+
+        const place = findPlace(location, region);
+        if (place) {
+            return { region: region.name, matched: place, reason: `Location "${lead.location}" is in ${region.name} (${region.restricts.join(', ')})` };
+        }
+        if (language && (region.languages || []).map(primaryLanguage).includes(language)) {
+            return { region: region.name, matched: language, reason: `Profile language "${language}" points to ${region.name} (${region.restricts.join(', ')})` };
+        }
+    }
+
+    if (campaignCategory === 'gambling' && isLocationUnknown(lead)) {
+        return { region: null, matched: null, reason: 'Location unknown; gambling campaigns only contact leads whose location is known' };
+    }
+    return null;
+}
+
+module.exports = {
+    RESTRICTIONS,
+    CAMPAIGN_CATEGORIES,
+    RESTRICTED_REGION,
+    findRestrictedRegion,
+    isLocationUnknown
+};
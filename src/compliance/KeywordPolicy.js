@@ -0,0 +1,215 @@
+const { findProtectedSignal } = require('./ProtectedAudience.js');
+
+/**
+ * What the gate decided about a search term for a run.
+ */
+const KEYWORD_DECISIONS = {
+    ALLOWED: 'ALLOWED',   // Signed off by an operator and not refused by policy
+    HELD: 'HELD',         // New, or refused by an operator: not scraped until signed off
+    REJECTED: 'REJECTED'  // Aimed at vulnerable people; no sign-off can allow it
+};
+
+const SIGNOFF_STATUSES = {
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    REFUSED: 'REFUSED'
+};
+
+/**
+ * Search terms that go looking for people we must never market gambling to.
+ * A keyword matching one is rejected outright.
+ */
+const KEYWORD_POLICY_RULES = {
+    PROBLEM_GAMBLING: [
+        /\bhelp\b.*\b(?:bets?|betting|gambl(?:e|ing))\b/i,
+        /\b(?:bets?|betting|gambling)\b.*\bhelp\b/i,
+        /\b(?:lost|losing|lose)\b.*\b(?:bets?|betting|money|everything|savings)\b/i,
+        /\bchas(?:e|ing)\b.*\bloss(?:es)?\b/i,
+        /\bwin\s+(?:it\s+|my\s+money\s+)?back\b/i,
+        /\bcan'?t\s+stop\b/i
+    ],
+    DEBT: [
+        /\bdebts?\b/i,
+        /\b(?:payday\s+)?loans?\b/i,
+        /\bbroke\b/i,
+        /\bbankrupt(?:cy)?\b/i,
+        /\b(?:rent|bills|mortgage)\b/i,
+        /\bneed\s+(?:some\s+)?(?:money|cash)\b/i
+    ],
+    ADDICTION: [
+        /\baddict(?:ed|ion|s)?\b/i,
+        /\bcompulsive\b/i,
+        /\bhooked\s+on\b/i
+    ],
+    RECOVERY: [
+        /\brecover(?:y|ing)\b/i,
+        /\bsob(?:er|riety)\b/i,
+        /\brelaps(?:e|ed|ing)\b/i,
+        /\bgamblers?\s+anonymous\b/i,
+        /\bself[\s-]?exclu(?:ded|sion)\b/i,
+        /\b(?:gamstop|gamban|betblocker)\b/i,
+        /\b(?:quit|quitting|stop)\s+(?:betting|gambling)\b/i
+    ],
+    MINORS: [
+        /\bminors?\b/i,
+        /\bkids?\b/i,
+        /\bteens?\b|\bteenagers?\b/i,
+        /\b(?:middle|high)\s*school\b/i,
+        /\bunder\s*18\b/i,
+        /\b1[0-7]\s*(?:y\/?o|yrs?|years?\s+old)\b/i
+    ]
+};
+
+/**
+ * Search terms that may reach vulnerable people. Flagged, not rejected: they need
+ * a sign-off like any new keyword, and the flag is shown to the operator.
+ */
+const KEYWORD_FLAGS = {
+    FINANCIAL_PRESSURE: [/\bdesperate\b/i, /\bstruggl(?:e|ing)\b/i, /\bneed\s+a\s+win\b/i, /\bpaycheck\b/i, /\bquick\s+(?:money|cash)\b/i],
+    YOUNG_ADULTS: [/\bstudents?\b/i, /\bcollege\b/i, /\bfreshm[ae]n\b/i],
+    DISTRESS: [/\bdepress(?:ed|ion)\b/i, /\blonely\b/i, /\bstressed\b/i]
+};
+
+/**
+ * @param {string} keyword
+ * @param {object} rules - A map of category -> patterns.
+ * @returns {{category: string, matched: string}|null}
+ */
+function matchRules(keyword, rules) {
+    for (const [category, patterns] of Object.entries(rules)) {
+        for (const pattern of patterns) {
+            const match = keyword.match(pattern);
+            if (match) return { category, matched: match[0] };
+        }
+    }
+    return null;
+}
+
+/**
+ * The targeting gate every scraping keyword passes before a run searches for it:
+ *
+ * - keywords aimed at vulnerable people (problem gamblers, people in debt,
+ *   addiction or recovery, minors) are REJECTED and never scraped;
+ * - every other keyword is HELD until an operator signs it off
+ *   (`node cli.js keywords approve`), so a new search term never goes out unseen.
+ *   Flagged keywords need the same sign-off and show the operator why they were flagged.
+ *
+ * Each run's decisions are stored with its run record.
+ */
+class KeywordPolicy {
+    /**
+     * @param {object} database - A Database instance.
+     */
+    constructor(database) {
+        if (!database) {
+            throw new Error("KeywordPolicy requires a Database instance.");
+        }
+        this.database = database;
+    }
+
+    /**
+     * So "Need a  Sports Bet" and "need a sports bet" share one sign-off.
+     * @param {string} keyword
+     * @returns {string}
+     */
+    static normalize(keyword) {
+        return (keyword || '').replace(/[’‘]/g, "'").replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    /**
+     * What policy alone says about a keyword, before any sign-off.
+     * @param {string} keyword
+     * @returns {{rejected: boolean, category: string, matched: string}|null} A rejection or a flag, or null.
+     */
+    static classify(keyword) {
+        const normalized = KeywordPolicy.normalize(keyword);
+        // The bio rules for protected audiences catch the same people searched for directly.
+        const protectedSignal = findProtectedSignal([{ source: 'keyword', text: normalized }]);
+        const rule = matchRules(normalized, KEYWORD_POLICY_RULES)
+            || (protectedSignal && { category: protectedSignal.category, matched: protectedSignal.matched });
+        if (rule) return { rejected: true, ...rule };
+
+        const flag = matchRules(normalized, KEYWORD_FLAGS);
+        return flag ? { rejected: false, ...flag } : null;
+    }
+
+    /**
+     * Decides which keywords this run may scrape and records every decision with the run.
+     * New keywords are put on the sign-off list as PENDING.
+     * @param {string} runId
+     * @param {Array<string>} keywords
+     * @returns {Promise<Array<object>>} One { keyword, decision, category, reason, reviewer } per keyword.
+     */
+    async evaluate(runId, keywords) {
+        const decisions = [];
+        for (const keyword of [...new Set(keywords.map(KeywordPolicy.normalize))].filter(Boolean)) {
+            decisions.push(await this.decide(keyword));
+        }
+        await this.database.recordKeywordDecisions(runId, decisions);
+        return decisions;
+    }
+
+    async decide(keyword) {
+        const policy = KeywordPolicy.classify(keyword);
+        if (policy && policy.rejected) {
+            return {
+                keyword,
+                decision: KEYWORD_DECISIONS.REJECTED,
+                category: policy.category,
+                reason: `Targets vulnerable people (${policy.category}): "${policy.matched}"`,
+                reviewer: null
+            };
+        }
+
+        const flagNote = policy ? `flagged ${policy.category}: "${policy.matched}"` : null;
+        let signoff = await this.database.getKeywordSignoff(keyword);
+        if (!signoff) {
+            await this.database.requestKeywordSignoff(keyword, flagNote);
+            signoff = { status: SIGNOFF_STATUSES.PENDING };
+        }
+
+        if (signoff.status === SIGNOFF_STATUSES.APPROVED) {
+            return {
+                keyword,
+                decision: KEYWORD_DECISIONS.ALLOWED,
+                category: policy ? policy.category : null,
+                reason: `Signed off by ${signoff.reviewer || 'an operator'}${flagNote ? ` (${flagNote})` : ''}`,
+                reviewer: signoff.reviewer || null
+            };
+        }
+        return {
+            keyword,
+            decision: KEYWORD_DECISIONS.HELD,
+            category: policy ? policy.category : null,
+            reason: signoff.status === SIGNOFF_STATUSES.REFUSED
+                ? `Refused by ${signoff.reviewer || 'an operator'}${signoff.note ? `: ${signoff.note}` : ''}`
+                : `Awaiting operator sign-off${flagNote ? ` (${flagNote})` : ''}`,
+            reviewer: signoff.reviewer || null
+        };
+    }
+
+    /**
+     * Records an operator's sign-off. Keywords the policy rejects cannot be signed off.
+     * @param {string} keyword
+     * @param {object} review - { reviewer, note }
+     * @throws {Error} If the policy rejects the keyword.
+     */
+    async approve(keyword, { reviewer = null, note = null } = {}) {
+        const normalized = KeywordPolicy.normalize(keyword);
+        const policy = KeywordPolicy.classify(normalized);
+        if (policy && policy.rejected) {
+            throw new Error(`"${normalized}" targets vulnerable people (${policy.category}: "${policy.matched}") and cannot be signed off.`);
+        }
+        await this.database.reviewKeywordSignoff(normalized, SIGNOFF_STATUSES.APPROVED, reviewer, note);
+    }
+
+    async refuse(keyword, { reviewer = null, note = null } = {}) {
+        await this.database.reviewKeywordSignoff(KeywordPolicy.normalize(keyword), SIGNOFF_STATUSES.REFUSED, reviewer, note);
+    }
+
+    async getSignoffs(status = null) {
+        return await this.database.getKeywordSignoffs(status);
+    }
+}
+
+module.exports = { KeywordPolicy, KEYWORD_DECISIONS, KEYWORD_POLICY_RULES, KEYWORD_FLAGS, SIGNOFF_STATUSES };
@@ -0,0 +1,219 @@
+const { KeywordPolicy } = require('./KeywordPolicy.js');
+
+/**
+ * Where a lead's scraped match came from: a tweet mentioning the keyword (from the
+ * search results or the profile's recent posts), the bio or handle containing it,
+ * or only Twitter's people search itself. Every source but TWEET means no matching
+ * tweet was found.
+ */
+const MATCH_SOURCES = {
+    TWEET: 'tweet',
+    BIO: 'bio',
+    USERNAME: 'username',
+    SEARCH: 'search'
+};
+
+/**
+ * Answers "why was this person contacted" for one handle.
+ *
+ * Each lead gets a provenance record as it moves through a run: the keyword and
+ * match it was scraped for (with the keyword's sign-off), the FilterEngine rules
+ * version and score that passed it, the scheduler plan entries made for it, and
+ * who approved the messages it was sent. `lookup()` joins these with the lead's
+ * approvals and activities into one chain, printed by `node cli.js provenance`
+ * and served at GET /provenance/:handle.
+ *
+ * Provenance is personal data: DataRetention exports and erases it with the rest.
+ */
+class LeadProvenance {
+    /**
+     * @param {object} database - A Database instance.
+     */
+    constructor(database) {
+        if (!database) {
+            throw new Error("LeadProvenance requires a Database instance.");
+        }
+        this.database = database;
+    }
+
+    static normalize(handle) {
+        return (handle || '').trim().replace(/^@/, '').toLowerCase();
+    }
+
+    /**
+     * @param {object} lead - As returned by a lead scraper.
+     * @returns {{source: string, text: string|null, url: string|null}} What made the lead match its keyword.
+     */
+    static describeMatch(lead) {
+        if (lead.matchedTweet && lead.matchedTweet.text) {
+            return { source: MATCH_SOURCES.TWEET, text: lead.matchedTweet.text, url: lead.matchedTweet.url || null };
+        }
+        const keyword = (lead.keyword || '').toLowerCase();
+        if (keyword && (lead.bio || '').toLowerCase().includes(keyword)) {
+            return { source: MATCH_SOURCES.BIO, text: lead.bio, url: lead.profileUrl || null };
+        }
+        if (keyword && (lead.username || '').toLowerCase().includes(keyword)) {
+            return { source: MATCH_SOURCES.USERNAME, text: lead.username, url: lead.profileUrl || null };
+        }
+        return { source: MATCH_SOURCES.SEARCH, text: null, url: lead.searchUrl || null };
+    }
+
+    /**
+     * Records the keyword and match each newly scraped lead was found by.
+     * @param {Array<object>} leads - Leads about to be added to the sheet.
+     * @param {object} context - { runId }
+     */
+    async recordScrape(leads, { runId }) {
+        for (const lead of leads) {
+            await this.database.recordLeadScrape({
+                username: LeadProvenance.normalize(lead.username),
+                runId,
+                keyword: lead.keyword || null,
+                searchUrl: lead.searchUrl || null,
+                match: LeadProvenance.describeMatch(lead),
+                scrapedAt: lead.scrapedAt || new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Records the filter decision for a lead and the rules version that made it.
+     * @param {object} lead - A sheet lead ({ id, username }).
+     * @param {object} decision - { status, reason, score }
+     * @param {string} rulesVersion - FilterEngine.rulesVersion
+     */
+    async recordFilter(lead, { status, reason, score = null }, rulesVersion) {
+        await this.database.recordLeadFilter({
+            username: LeadProvenance.normalize(lead.username),
+            leadId: lead.id,
+            status,
+            reason,
+            score,
+            rulesVersion
+        });
+    }
+
+    /**
+     * @param {Array<object>} plan - EngagementScheduler.createDailyPlan() entries.
+     * @param {object} context - { runId }
+     */
+    async recordPlan(plan, { runId }) {
+        await this.database.recordPlanEntries(runId, plan.map(entry => ({ ...entry, username: LeadProvenance.normalize(entry.username) })));
+    }
+
+    /**
+     * @param {string} handle
+     * @returns {Promise<object|null>} The chain for the handle, or null if nothing is known about it.
+     */
+    async lookup(handle) {
+        const username = LeadProvenance.normalize(handle);
+        if (!username) throw new Error('A handle is required.');
+
+        const records = await this.database.findRecordsByUsername(username);
+        const { provenance } = records;
+        if (!provenance && records.planEntries.length === 0 && records.approvals.length === 0 && records.activities.length === 0) {
+            return null;
+        }
+
+        const signoff = provenance && provenance.keyword ? await this.database.getKeywordSignoff(KeywordPolicy.normalize(provenance.keyword)) : null;
+        return {
+            handle: username,
+            scrape: provenance && provenance.scraped_at ? {
+                runId: provenance.run_id,
+                keyword: provenance.keyword,
+                keywordSignoff: signoff ? { status: signoff.status, reviewer: signoff.reviewer, reviewedAt: signoff.reviewed_at } : null,
+                match: { source: provenance.match_source, text: provenance.match_text, url: provenance.match_url },
+                searchUrl: provenance.search_url,
+                scrapedAt: provenance.scraped_at
+            } : null,
+            filter: provenance && provenance.filter_status ? {
+                leadId: provenance.lead_id,
+                status: provenance.filter_status,
+                reason: provenance.filter_reason,
+                score: provenance.filter_score,
+                rulesVersion: provenance.filter_rules_version,
+                filteredAt: provenance.filtered_at
+            } : null,
+            plan: records.planEntries.map(entry => ({
+                runId: entry.run_id,
+                type: entry.activity_type,
+                keyword: entry.keyword,
+                templateId: entry.template_id,
+                scheduledFor: entry.scheduled_for,
+                priority: entry.priority,
+                plannedAt: entry.planned_at
+            })),
+            approvals: records.approvals.map(approval => ({
+                id: approval.id,
+                type: approval.activity_type,
+                status: approval.status,
+                reviewer: approval.reviewer,
+                reviewedAt: approval.reviewed_at,
+                text: approval.approved_text || approval.proposed_text,
+                sentAt: approval.sent_at
+            })),
+            activities: records.activities.map(activity => ({
+                type: activity.activity_type,
+                status: activity.status,
+                reason: activity.reason,
+                error: activity.error_message,
+                performedAt: activity.performed_at
+            })),
+            suppression: records.suppression ? { reason: records.suppression.reason, since: records.suppression.created_at } : null
+        };
+    }
+
+    /**
+     * @param {object} chain - As returned by lookup().
+     * @returns {string} The chain as plain text, one step per line.
+     */
+    static format(chain) {
+        const lines = [`Why @${chain.handle} was contacted`];
+        const { scrape, filter } = chain;
+
+        if (scrape) {
+            const signoff = scrape.keywordSignoff;
+            lines.push(`1. Scraped ${scrape.scrapedAt} (run ${scrape.runId}) searching "${scrape.keyword}"`
+                + (signoff ? `; keyword ${signoff.status}${signoff.reviewer ? ` by ${signoff.reviewer}` : ''}` : ''));
+            lines.push(scrape.match.source === MATCH_SOURCES.SEARCH
+                ? `   Matched: returned by Twitter's people search${scrape.match.url ? ` (${scrape.match.url})` : ''}`
+                : `   Matched ${scrape.match.source}: "${scrape.match.text}"${scrape.match.url ? ` (${scrape.match.url})` : ''}`);
+            if (scrape.match.source !== MATCH_SOURCES.TWEET) {
+                lines.push(`   Matched tweet: none (no recent post on the profile mentions "${scrape.keyword}")`);
+            }
+        } else {
+            lines.push('1. Scraped: no record');
+        }
+
+        lines.push(filter
+            ? `2. Filtered ${filter.status} ${filter.filteredAt} by rules ${filter.rulesVersion}`
+                + `${filter.score !== null ? `, score ${filter.score}` : ''}: ${filter.reason} (sheet row ${filter.leadId})`
+            : '2. Filtered: no record');
+
+        if (chain.plan.length === 0) lines.push('3. Planned: nothing');
+        for (const entry of chain.plan) {
+            lines.push(`3. Planned ${entry.type} ${entry.plannedAt} (run ${entry.runId}) for ${entry.scheduledFor}`
+                + `${entry.templateId ? `, template ${entry.templateId}` : ''}${entry.keyword ? `, keyword "${entry.keyword}"` : ''}`);
+        }
+
+        if (chain.approvals.length === 0) lines.push('4. Approved: nothing');
+        for (const approval of chain.approvals) {
+            lines.push(`4. ${approval.type} #${approval.id} ${approval.status}`
+                + `${approval.reviewer ? ` by ${approval.reviewer} ${approval.reviewedAt}` : ''}`
+                + `${approval.sentAt ? `, sent ${approval.sentAt}` : ''}: "${approval.text}"`);
+        }
+
+        if (chain.activities.length === 0) lines.push('5. Activity: none');
+        for (const activity of chain.activities) {
+            lines.push(`5. ${activity.type} ${activity.status} ${activity.performedAt}`
+                + `${activity.reason ? `: ${activity.reason}` : ''}${activity.error ? ` (${activity.error})` : ''}`);
+        }
+
+        if (chain.suppression) {
+            lines.push(`On the suppression list since ${chain.suppression.since} (${chain.suppression.reason})`);
+        }
+        return lines.join('\n');
+    }
+}
+
+module.exports = { LeadProvenance, MATCH_SOURCES };
@@ -0,0 +1,142 @@
+/**
+ * Placeholders EngagementScheduler can fill in. Anything else in braces is an error.
+ */
+const SUPPORTED_PLACEHOLDERS = ['username', 'topic', 'industry', 'sender'];
+
+/**
+ * Unsubstantiated gambling claims we never make, in DMs or public comments.
+ */
+const PROHIBITED_CLAIMS = [
+    /\bguarantee[ds]?\b/i,
+    /\bsure[\s-]+(?:win|thing|bet)s?\b/i,
+    /\blocks?\b/i,
+    /\brisk[\s-]?free\b/i,
+    /\bcan'?t\s+(?:lose|miss)\b/i,
+    /\bfree\s+money\b/i
+];
+
+// e.g. "Reply STOP to opt out", "opt-out", "unsubscribe"
+const OPT_OUT_PATTERN = /\b(?:reply|text|send)\s+["']?stop\b|\bopt[\s-]?out\b|\bunsubscribe\b/i;
+
+const PLACEHOLDER_PATTERN = /\{(\w*)\}/g;
+
+/**
+ * Content rules for outbound text. Templates are linted at startup and every
+ * rendered message is checked again before it is planned, approved and sent.
+ *
+ * DMs must name the sender and offer an opt-out. Comments are public replies, so
+ * they only get the placeholder, length and claims checks.
+ */
+class MessagePolicy {
+    constructor(policyConfig = {}) {
+        this.senderName = (policyConfig.senderName || '').trim();
+        this.maxLength = policyConfig.maxLength || 500;
+        this.extraClaims = policyConfig.prohibitedTerms || [];
+    }
+
+    findClaims(text) {
+        const found = PROHIBITED_CLAIMS
+            .map(pattern => (text.match(pattern) || [])[0])
+            .filter(Boolean);
+        const lower = text.toLowerCase();
+        for (const term of this.extraClaims) {
+            if (term && lower.includes(term.toLowerCase())) found.push(term);
+        }
+        return found;
+    }
+
+    identifiesSender(text) {
+        return Boolean(this.senderName) && text.toLowerCase().includes(this.senderName.toLowerCase());
+    }
+
+    /**
+     * @param {string} template - A message template from config.messageTemplates.
+     * @param {object} [options] - { requireDisclosure }: false for comment templates.
+     * @returns {Array<string>} Problems found; empty when the template is fine.
+     */
+    lintTemplate(template, { requireDisclosure = true } = {}) {
+        const errors = [];
+        const unknown = [...template.matchAll(PLACEHOLDER_PATTERN)]
+            .map(match => match[1])
+            .filter(name => !SUPPORTED_PLACEHOLDERS.includes(name));
+        if (unknown.length > 0) {
+            errors.push(`Unknown placeholders: ${unknown.map(name => `{${name}}`).join(', ')}`);
+        }
+
+        const staticText = template.replace(PLACEHOLDER_PATTERN, '');
+        if (staticText.length > this.maxLength) {
+            errors.push(`Longer than ${this.maxLength} characters before placeholders are filled in`);
+        }
+
+        const claims = this.findClaims(template);
+        if (claims.length > 0) {
+            errors.push(`Unsubstantiated claims: ${claims.map(claim => `"${claim}"`).join(', ')}`);
+        }
+
+        if (requireDisclosure) {
+            if (!template.includes('{sender}') && !this.identifiesSender(template)) {
+                errors.push('Does not identify the sender (use {sender})');
+            }
+            if (!OPT_OUT_PATTERN.test(template)) {
+                errors.push('Does not tell the recipient how to opt out (e.g. "Reply STOP to opt out")');
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Lints every template and throws one error listing all problems.
+     * @param {Array<string>} templates
+     * @param {object} [options] - { label, requireDisclosure }
+     */
+    validateTemplates(templates, { label = 'Message template', requireDisclosure = true } = {}) {
+        const problems = [];
+        if (requireDisclosure && !this.senderName) {
+            problems.push('messagePolicy.senderName is not set (SENDER_NAME); messages cannot identify the sender');
+        }
+        templates.forEach((template, index) => {
+            for (const error of this.lintTemplate(template, { requireDisclosure })) {
+                problems.push(`${label} ${index + 1}: ${error}`);
+            }
+        });
+        if (problems.length > 0) {
+            throw new Error(`Template validation failed:\n- ${problems.join('\n- ')}`);
+        }
+    }
+
+    /**
+     * Checks a fully rendered message.
+     * @param {string} text
+     * @param {object} [options] - { requireDisclosure }: false for comments.
+     * @returns {{valid: boolean, errors: Array<string>}}
+     */
+    checkMessage(text, { requireDisclosure = true } = {}) {
+        const errors = [];
+        if (!text || !text.trim()) {
+            return { valid: false, errors: ['Message is empty'] };
+        }
+
+        const unresolved = text.match(PLACEHOLDER_PATTERN);
+        if (unresolved) {
+            errors.push(`Unresolved placeholders: ${unresolved.join(', ')}`);
+        }
+        if (text.length > this.maxLength) {
+            errors.push(`Message is ${text.length} characters (limit ${this.maxLength})`);
+        }
+        const claims = this.findClaims(text);
+        if (claims.length > 0) {
+            errors.push(`Unsubstantiated claims: ${claims.map(claim => `"${claim}"`).join(', ')}`);
+        }
+        if (requireDisclosure) {
+            if (!this.identifiesSender(text)) {
+                errors.push(`Does not identify the sender ("${this.senderName}")`);
+            }
+            if (!OPT_OUT_PATTERN.test(text)) {
+                errors.push('Does not include a way to opt out');
+            }
+        }
+        return { valid: errors.length === 0, errors };
+    }
+}
+
+module.exports = { MessagePolicy, SUPPORTED_PLACEHOLDERS, PROHIBITED_CLAIMS, OPT_OUT_PATTERN };
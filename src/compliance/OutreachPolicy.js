@@ -0,0 +1,145 @@
+const OUTREACH_MODES = {
+    OPEN: 'open',                 // DM every lead that passes filtering
+    INBOUND_ONLY: 'inbound_only'  // Only DM leads that interacted with us first
+};
+
+/**
+ * Kinds of interaction that count as the lead reaching out first.
+ */
+const INBOUND_SIGNALS = {
+    MENTION: 'MENTION',           // The lead mentioned our account
+    REPLY: 'REPLY',               // The lead replied to one of our posts (read from the mentions tab)
+    CONVERSATION: 'CONVERSATION', // The lead started or answered a DM conversation with us
+    FOLLOW: 'FOLLOW'              // The lead follows our account
+};
+
+/**
+ * Decides whether a DM may be planned for a lead. In `inbound_only` mode a DM
+ * requires a recorded inbound signal; everyone else is left in a "watch" state.
+ *
+ * Signals are stored in the SQLite `inbound_signals` table and cached by `load()`
+ * so the scheduler can consult them synchronously.
+ */
+class OutreachPolicy {
+    constructor(config = {}, database = null) {
+        this.mode = config.mode || OUTREACH_MODES.INBOUND_ONLY;
+        if (!Object.values(OUTREACH_MODES).includes(this.mode)) {
+            throw new Error(`Unknown outreach mode "${this.mode}". Expected one of: ${Object.values(OUTREACH_MODES).join(', ')}`);
+        }
+        this.database = database;
+        this.signals = new Map(); // username -> Set of signal types
+    }
+
+    static normalize(username) {
+        return (username || '').trim().replace(/^@/, '').toLowerCase();
+    }
+
+    /**
+     * Loads every recorded inbound signal into the in-memory cache.
+     */
+    async load() {
+        if (!this.database) return;
+        const rows = await this.database.getInboundSignals();
+        this.signals = new Map();
+        for (const row of rows) {
+            this.cacheSignal(row.username, row.signal_type);
+        }
+        console.log(`📬 Outreach mode "${this.mode}": ${this.signals.size} accounts with inbound signals`);
+    }
+
+    cacheSignal(username, type) {
+        const handle = OutreachPolicy.normalize(username);
+        if (!this.signals.has(handle)) this.signals.set(handle, new Set());
+        this.signals.get(handle).add(type);
+    }
+
+    /**
+     * Records that a lead interacted with us first.
+     * @param {string} username
+     * @param {string} type - One of INBOUND_SIGNALS.
+     * @param {string} [sourceUrl] - Link to the mention, reply or conversation.
+     */
+    async recordSignal(username, type, sourceUrl = null) {
+        if (!Object.values(INBOUND_SIGNALS).includes(type)) {
+            throw new Error(`Unknown inbound signal "${type}". Expected one of: ${Object.values(INBOUND_SIGNALS).join(', ')}`);
+        }
+        const handle = OutreachPolicy.normalize(username);
+        if (!handle) return;
+
+        if (this.database) {
+            await this.database.recordInboundSignal(handle, type, sourceUrl);
+        }
+        this.cacheSignal(handle, type);
+    }
+
+    /**
+     * Records that a lead has the latest word in our DM conversation. The signal is
+     * keyed by our last DM, so each DM they answer adds a signal of its own (and
+     * ContactCaps sees the newest answer), while re-reading the same answer adds none.
+     * @param {string} username
+     * @param {string} [conversationUrl]
+     */
+    async recordConversation(username, conversationUrl = null) {
+        const handle = OutreachPolicy.normalize(username);
+        const lastDMAt = this.database && handle ? await this.database.getLastDMSentAt(handle) : null;
+        const source = conversationUrl || `dm:${handle}`;
+        await this.recordSignal(username, INBOUND_SIGNALS.CONVERSATION, lastDMAt ? `${source}#after-dm-${lastDMAt}` : conversationUrl);
+    }
+
+    /**
+     * Reads mentions, followers and the DM inbox and records any inbound signals
+     * found. A mention that replies to one of our posts is recorded as REPLY.
+     * None of these need us to have contacted the lead first.
+     * @param {object} twitterBot - A TwitterBot (or compatible) instance.
+     * @returns {Promise<number>} - The number of signals recorded.
+     */
+    async collectSignals(twitterBot) {
+        let recorded = 0;
+
+        const mentions = await twitterBot.getRecentMentions();
+        for (const mention of mentions) {
+            await this.recordSignal(mention.username, mention.isReply ? INBOUND_SIGNALS.REPLY : INBOUND_SIGNALS.MENTION, mention.tweetUrl);
+            recorded++;
+        }
+
+        const followers = await twitterBot.getRecentFollowers();
+        for (const follower of followers) {
+            await this.recordSignal(follower.username, INBOUND_SIGNALS.FOLLOW, follower.profileUrl);
+            recorded++;
+        }
+
+        const conversations = await twitterBot.getInboxConversations();
+        for (const conversation of conversations) {
+            // They sent the latest message, so it answers any DM of ours before it.
+            await this.recordConversation(conversation.username, conversation.conversationUrl);
+            recorded++;
+        }
+
+        return recorded;
+    }
+
+    getSignals(username) {
+        return [...(this.signals.get(OutreachPolicy.normalize(username)) || [])];
+    }
+
+    /**
+     * @param {object} lead - A lead with at least a username.
+     * @returns {{allowed: boolean, reason: string}}
+     */
+    evaluateDM(lead) {
+        if (this.mode === OUTREACH_MODES.OPEN) {
+            return { allowed: true, reason: 'Outreach mode is open' };
+        }
+
+        const signals = this.getSignals(lead.username);
+        if (signals.length > 0) {
+            return { allowed: true, reason: `Inbound signal recorded: ${signals.join(', ')}` };
+        }
+        return {
+            allowed: false,
+            reason: 'No inbound signal (mention, reply, conversation or follow) recorded; watching until the lead reaches out'
+        };
+    }
+}
+
+module.exports = { OutreachPolicy, OUTREACH_MODES, INBOUND_SIGNALS };
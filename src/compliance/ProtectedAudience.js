@@ -0,0 +1,74 @@
+/**
+ * Signals that a lead belongs to an audience we must never market gambling to.
+ * A match fails the lead with a PROTECTED status regardless of every other
+ * filter rule. These rules are intentionally not configurable off; operators can
+ * only add terms (see `extraTerms`).
+ */
+const PROTECTED_AUDIENCE_RULES = {
+    PROBLEM_GAMBLING: [
+        /\bgambling\s+(?:addict(?:ion|ed)?|problem|habit)\b/i,
+        /\baddict(?:ed)?\s+to\s+(?:betting|gambling|sports\s*betting|slots|casinos?)\b/i,
+        /\b(?:problem|compulsive|pathological)\s+gambl(?:ing|er)\b/i,
+        /\bgambler'?s?\s+anonymous\b/i,
+        /\bchas(?:e|ing)\s+(?:my\s+)?loss(?:es)?\b/i,
+        /\bcan'?t\s+stop\s+(?:betting|gambling)\b/i,
+        /\blost\s+(?:it\s+all|everything)\s+(?:on|to)\s+(?:bets?|betting|gambling)\b/i,
+        /\bself[\s-]?exclu(?:ded|sion)\b/i,
+        /\b(?:gamstop|gamban|betblocker)\b/i
+    ],
+    RECOVERY: [
+        /\bin\s+recovery\b/i,
+        /\brecovering\s+(?:gambler|addict|alcoholic)\b/i,
+        /\b\d+\s+(?:days?|weeks?|months?|years?)\s+(?:clean|sober|bet[\s-]?free|gamble[\s-]?free|gambling[\s-]?free)\b/i,
+        /\b(?:sober|clean)\s+since\b/i,
+        /\bsobriety\b/i,
+        /\b12[\s-]?steps?\b/i,
+        /\b(?:AA|NA|GA)\s+meetings?\b/
+    ],
+    DEBT_DISTRESS: [
+        /\b(?:drowning|buried|deep)\s+in\s+debt\b/i,
+        /\bdebt\s+(?:collectors?|problems?|crisis|relief|help)\b/i,
+        /\b(?:filed\s+for\s+|going\s+)?bankrupt(?:cy)?\b/i,
+        /\bpayday\s+loans?\b/i,
+        /\bcan'?t\s+(?:pay|afford)\s+(?:my\s+)?(?:rent|bills|mortgage)\b/i,
+        /\bbehind\s+on\s+(?:my\s+)?(?:rent|bills|mortgage|payments)\b/i,
+        /\bneed\s+money\s+(?:fast|asap|now)\b/i,
+        /\blost\s+my\s+(?:savings|house|home)\b/i
+    ],
+    MINOR: [
+        /\b1[0-7]\s*(?:y\/?o|yrs?(?:\s+old)?|years?\s+old)\b/i,
+        /\bage[d:]?\s*1[0-7]\b/i,
+        /\b(?:middle|high)\s*school(?:er)?\b/i,
+        /\b(?:hs|high\s+school)\s+(?:freshman|sophomore|junior|senior|student)\b/i,
+        /\b(?:under|not)\s*18\b/i,
+        /\bi'?m\s+(?:a\s+)?minor\b/i,
+        /\b(?:8th|9th|10th|11th|12th)\s+grade(?:r)?\b/i
+    ]
+};
+
+/**
+ * Looks for a protected-audience signal in any of the given texts.
+ * @param {Array<{source: string, text: string}>} texts - e.g. [{ source: 'bio', text: lead.bio }].
+ * @param {Array<string>} [extraTerms] - Additional plain-text terms that mark a protected audience.
+ * @returns {{category: string, source: string, matched: string}|null}
+ */
+function findProtectedSignal(texts, extraTerms = []) {
+    for (const { source, text } of texts) {
+        if (!text) continue;
+        const normalized = text.replace(/[’‘]/g, "'");
+
+        for (const [category, patterns] of Object.entries(PROTECTED_AUDIENCE_RULES)) {
+            for (const pattern of patterns) {
+                const match = normalized.match(pattern);
+                if (match) return { category, source, matched: match[0] };
+            }
+        }
+
+        const lower = normalized.toLowerCase();
+        const extra = extraTerms.find(term => term && lower.includes(term.toLowerCase()));
+        if (extra) return { category: 'OPERATOR_DEFINED', source, matched: extra };
+    }
+    return null;
+}
+
+module.exports = { PROTECTED_AUDIENCE_RULES, findProtectedSignal };
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+
+/**
+ * Recipient reactions that count against a keyword or template.
+ */
+const HEALTH_SIGNALS = {
+    OPT_OUT: 'OPT_OUT',               // Replied asking us to stop
+    BLOCK: 'BLOCK',                   // Blocked the bot account
+    DMS_CLOSED: 'DMS_CLOSED',         // DM failed because the recipient does not accept DMs from us
+    NEGATIVE_REPLY: 'NEGATIVE_REPLY'  // Replied with a complaint (spam, scam, ...)
+};
+
+const HEALTH_DIMENSIONS = {
+    KEYWORD: 'keyword',
+    TEMPLATE: 'template'
+};
+
+const DMS_CLOSED_ERRORS = /only accepts messages from followers|DMs disabled|requires a subscription to message/i;
+const BLOCKED_ERRORS = /has blocked this account/i;
+
+/**
+ * Short, stable id for a message template so its health survives reordering the template list.
+ * @param {string} template
+ * @returns {string}
+ */
+function getTemplateId(template) {
+    return crypto.createHash('sha1').update(template).digest('hex').slice(0, 8);
+}
+
+/**
+ * Maps an `activities` row to the health signal it represents, if any.
+ * @param {object} row - { activity_type, status, error_message }
+ * @returns {string|null}
+ */
+function classifyOutcome(row) {
+    if (row.activity_type === 'reply') {
+        if (row.status === 'OPTED_OUT') return HEALTH_SIGNALS.OPT_OUT;
+        if (row.status === 'NEGATIVE') return HEALTH_SIGNALS.NEGATIVE_REPLY;
+        return null;
+    }
+    if (row.activity_type === 'dm' && row.status === 'FAILED') {
+        if (BLOCKED_ERRORS.test(row.error_message || '')) return HEALTH_SIGNALS.BLOCK;
+        if (DMS_CLOSED_ERRORS.test(row.error_message || '')) return HEALTH_SIGNALS.DMS_CLOSED;
+    }
+    return null;
+}
+
+/**
+ * Watches how recipients react to our DMs, per scrape keyword and per message
+ * template, using the `activities` table.
+ *
+ * When the rate of any signal for a keyword or template crosses its threshold
+ * (and enough DMs were attempted for the rate to mean something), that keyword or
+ * template is paused. Pauses are stored in the `health_pauses` table and only an
+ * operator can lift them (`node cli.js health resume`).
+ */
+class RecipientHealthMonitor {
+    constructor(healthConfig, database) {
+        this.windowDays = healthConfig.windowDays;
+        this.minAttempts = healthConfig.minAttempts;
+        this.maxRates = healthConfig.maxRates;
+        this.database = database;
+        this.paused = new Map(); // "dimension:value" -> pause row
+    }
+
+    static key(dimension, value) {
+        return `${dimension}:${value}`;
+    }
+
+    /**
+     * Loads active pauses into memory so the scheduler and scraper can consult them synchronously.
+     */
+    async load() {
+        this.paused.clear();
+        for (const pause of await this.database.getActiveHealthPauses()) {
+            this.paused.set(RecipientHealthMonitor.key(pause.dimension, pause.value), pause);
+        }
+        if (this.paused.size > 0) {
+            console.log(`⏸️ ${this.paused.size} keywords/templates paused by the recipient-health monitor`);
+        }
+    }
+
+    isPaused(dimension, value) {
+        return this.paused.has(RecipientHealthMonitor.key(dimension, value));
+    }
+
+    getActivePauses() {
+        return [...this.paused.values()];
+    }
+
+    /**
+     * Counts DM attempts and health signals per keyword and per template over the window.
+     * @returns {Promise<Array<{dimension: string, value: string, attempts: number, signals: object, rates: object}>>}
+     */
+    async computeStats() {
+        const rows = await this.database.getRecipientOutcomes(this.windowDays);
+        const groups = new Map();
+        const groupFor = (dimension, value) => {
+            const key = RecipientHealthMonitor.key(dimension, value);
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    dimension,
+                    value,
+                    attempts: 0,
+                    signals: Object.fromEntries(Object.values(HEALTH_SIGNALS).map(signal => [signal, 0]))
+                });
+            }
+            return groups.get(key);
+        };
+
+        for (const row of rows) {
+            const isAttempt = row.activity_type === 'dm' && (row.status === 'SENT' || row.status === 'FAILED');
+            const signal = classifyOutcome(row);
+            if (!isAttempt && !signal) continue;
+
+            const targets = [];
+            if (row.keyword) targets.push(groupFor(HEALTH_DIMENSIONS.KEYWORD, row.keyword));
+            if (row.template_id) targets.push(groupFor(HEALTH_DIMENSIONS.TEMPLATE, row.template_id));
+            for (const group of targets) {
+                if (isAttempt) group.attempts++;
+                if (signal) group.signals[signal]++;
+            }
+        }
+
+        return [...groups.values()].map(group => ({
+            ...group,
+            rates: Object.fromEntries(Object.entries(group.signals).map(([signal, count]) =>
+                [signal, group.attempts > 0 ? count / group.attempts : 0]
+            ))
+        }));
+    }
+
+    /**
+     * Pauses every keyword and template whose signal rates exceed the configured maximums.
+     * @returns {Promise<Array<{dimension: string, value: string, reason: string}>>} Newly paused entries.
+     */
+    async evaluate() {
+        const newlyPaused = [];
+
+        for (const group of await this.computeStats()) {
+            if (group.attempts < this.minAttempts || this.isPaused(group.dimension, group.value)) continue;
+
+            const breaches = Object.entries(this.maxRates)
+                .filter(([signal, maxRate]) => group.rates[signal] > maxRate)
+                .map(([signal, maxRate]) =>
+                    `${signal} ${group.signals[signal]}/${group.attempts} (${(group.rates[signal] * 100).toFixed(1)}% > ${(maxRate * 100).toFixed(1)}%)`
+                );
+            if (breaches.length === 0) continue;
+
+            const reason = `${breaches.join(', ')} over ${this.windowDays} days`;
+            await this.database.addHealthPause(group.dimension, group.value, reason);
+            const pause = { dimension: group.dimension, value: group.value, reason };
+            this.paused.set(RecipientHealthMonitor.key(group.dimension, group.value), pause);
+            newlyPaused.push(pause);
+        }
+
+        return newlyPaused;
+    }
+
+    /**
+     * Lifts a pause. Called by operators once the keyword or template has been fixed.
+     * @returns {Promise<boolean>} False if it was not paused.
+     */
+    async resume(dimension, value) {
+        const resumed = await this.database.resumeHealthPause(dimension, value);
+        this.paused.delete(RecipientHealthMonitor.key(dimension, value));
+        return resumed;
+    }
+}
+
+module.exports = {
+    RecipientHealthMonitor,
+    HEALTH_SIGNALS,
+    HEALTH_DIMENSIONS,
+    classifyOutcome,
+    getTemplateId
+};
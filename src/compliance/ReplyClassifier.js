@@ -0,0 +1,131 @@
+/**
+ * Classifies direct-message replies so the system can react to recipients who
+ * ask not to be contacted. Works on the raw HTML of a conversation pane so the
+ * same code path can be exercised against recorded fixtures in tests.
+ */
+
+const REPLY_CATEGORIES = {
+    OPT_OUT: 'OPT_OUT',   // Explicit request to stop messaging
+    NEGATIVE: 'NEGATIVE', // Hostile or annoyed, but no explicit opt-out
+    NEUTRAL: 'NEUTRAL'    // Anything else (questions, interest, small talk)
+};
+
+// Any match means the lead has opted out.
+const OPT_OUT_PATTERNS = [
+    /\bstop\b/i,
+    /\bunsubscribe\b/i,
+    /\bopt(?:ing)?[\s-]?out\b/i,
+    /\bno,?\s+thanks?\b/i,
+    /\bno\s+thank\s+you\b/i,
+    /\bnot\s+interested\b/i,
+    /\b(?:don'?t|do\s+not|never)\s+(?:ever\s+)?(?:message|msg|dm|contact|text|spam)\s+me\b/i,
+    /\bstop\s+(?:messaging|dming|contacting|texting)\b/i,
+    /\bremove\s+me\b/i,
+    /\bleave\s+me\s+alone\b/i,
+    /\bgo\s+away\b/i
+];
+
+const NEGATIVE_PATTERNS = [
+    /\bspam(?:mer|ming)?\b/i,
+    /\bscam(?:mer)?\b/i,
+    /\breport(?:ed|ing)?\b/i,
+    /\bblock(?:ed|ing)?\b/i,
+    /\bannoying\b/i,
+    /\bwho\s+are\s+you\b/i,
+    /\bf+u+c+k/i
+];
+
+const HTML_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&apos;': "'",
+    '&nbsp;': ' '
+};
+
+function htmlToText(html) {
+    return html
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&(?:amp|lt|gt|quot|apos|nbsp);/g, entity => HTML_ENTITIES[entity])
+        .replace(/[ \t]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Extracts the individual messages from a DM conversation pane.
+ *
+ * Each message bubble is a `[data-testid="messageEntry"]` element whose text
+ * lives in a `[data-testid="tweetText"]` node. Messages from the other party
+ * carry the `DM_Conversation_Avatar` element; our own messages do not.
+ *
+ * @param {string} html - The outer/inner HTML of the conversation pane.
+ * @returns {Array<{text: string, inbound: boolean}>} - Messages in page order.
+ */
+function extractMessages(html) {
+    if (!html) return [];
+
+    const chunks = html.split(/(?=<[^>]+data-testid="messageEntry")/).slice(1);
+    return chunks.map(chunk => {
+        const textMatch = chunk.match(/data-testid="tweetText"[^>]*>([\s\S]*?)<\/div>/);
+        const text = htmlToText(textMatch ? textMatch[1] : chunk);
+        return {
+            text,
+            inbound: chunk.includes('data-testid="DM_Conversation_Avatar"')
+        };
+    }).filter(message => message.text.length > 0);
+}
+
+/**
+ * Classifies a single reply.
+ * @param {string} text - The reply text.
+ * @returns {{category: string, matched: string|null}}
+ */
+function classifyReply(text) {
+    const normalized = (text || '').replace(/[’‘]/g, "'");
+
+    for (const pattern of OPT_OUT_PATTERNS) {
+        const match = normalized.match(pattern);
+        if (match) return { category: REPLY_CATEGORIES.OPT_OUT, matched: match[0] };
+    }
+    for (const pattern of NEGATIVE_PATTERNS) {
+        const match = normalized.match(pattern);
+        if (match) return { category: REPLY_CATEGORIES.NEGATIVE, matched: match[0] };
+    }
+    return { category: REPLY_CATEGORIES.NEUTRAL, matched: null };
+}
+
+/**
+ * Classifies every inbound message of a conversation. An opt-out anywhere in the
+ * thread wins over later messages; people rarely opt back in by accident.
+ * `answered` says whether they wrote after our latest message: inbound messages
+ * from before it do not answer it.
+ *
+ * @param {string} html - The conversation pane HTML.
+ * @returns {{category: string, matched: string|null, message: string|null, inboundCount: number, answered: boolean}}
+ */
+function classifyThread(html) {
+    const messages = extractMessages(html);
+    const inbound = messages.filter(message => message.inbound);
+    const lastOutbound = messages.map(message => message.inbound).lastIndexOf(false);
+    const answered = lastOutbound !== -1 && lastOutbound < messages.length - 1;
+    let result = { category: REPLY_CATEGORIES.NEUTRAL, matched: null, message: null };
+
+    for (const message of inbound) {
+        const classification = classifyReply(message.text);
+        if (classification.category === REPLY_CATEGORIES.OPT_OUT) {
+            result = { ...classification, message: message.text };
+            break;
+        }
+        if (classification.category === REPLY_CATEGORIES.NEGATIVE && result.category === REPLY_CATEGORIES.NEUTRAL) {
+            result = { ...classification, message: message.text };
+        }
+    }
+
+    return { ...result, inboundCount: inbound.length, answered };
+}
+
+module.exports = { classifyReply, classifyThread, extractMessages, REPLY_CATEGORIES };
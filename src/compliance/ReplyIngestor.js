@@ -0,0 +1,84 @@
+const { classifyThread, REPLY_CATEGORIES } = require('./ReplyClassifier.js');
+const { SUPPRESSION_REASONS } = require('./SuppressionList.js');
+
+/**
+ * Revisits the DM threads of leads we have already messaged and acts on replies.
+ * An opt-out adds the lead to the suppression list, marks it OPTED_OUT in the
+ * Leads sheet (the lead store the automation loop reads) and in SQLite, and
+ * cancels any queued follow-up jobs.
+ */
+class ReplyIngestor {
+    constructor({ twitterBot, sheetsManager, database, suppressionList, outreachPolicy = null, jobQueue = null }) {
+        this.twitterBot = twitterBot;
+        this.sheetsManager = sheetsManager;
+        this.database = database;
+        this.suppressionList = suppressionList;
+        this.outreachPolicy = outreachPolicy;
+        this.jobQueue = jobQueue;
+    }
+
+    /**
+     * Checks every lead with a sent DM for new replies.
+     * @returns {Promise<{checked: number, optedOut: number, negative: number}>}
+     */
+    async ingest() {
+        const leads = await this.sheetsManager.getLeadsAwaitingReply();
+        const summary = { checked: 0, optedOut: 0, negative: 0 };
+
+        for (const lead of leads) {
+            try {
+                const html = await this.twitterBot.getDMThreadHtml(lead.username);
+                if (!html) continue;
+                summary.checked++;
+
+                const result = classifyThread(html);
+                if (result.category === REPLY_CATEGORIES.OPT_OUT) {
+                    await this.handleOptOut(lead, result);
+                    summary.optedOut++;
+                } else if (result.category === REPLY_CATEGORIES.NEGATIVE) {
+                    // The same thread is re-read every cycle; count each complaint once.
+                    const reason = `Negative reply: "${result.matched}"`;
+                    if (!(await this.database.hasActivity(lead.username, 'reply', 'NEGATIVE', reason))) {
+                        await this.database.recordActivity(null, 'reply', 'NEGATIVE', null, { username: lead.username, reason });
+                        summary.negative++;
+                    }
+                } else if (result.answered && this.outreachPolicy) {
+                    // They wrote after our last DM: a conversation, not a reply to one of our posts.
+                    await this.outreachPolicy.recordConversation(lead.username);
+                }
+            } catch (error) {
+                console.error(`❌ Failed to ingest replies for @${lead.username}:`, error.message);
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Applies every consequence of an opt-out. Suppression is written first so the
+     * lead is protected even if one of the later updates fails.
+     * @param {object} lead - { id, username }
+     * @param {object} result - The classifyThread() result.
+     */
+    async handleOptOut(lead, result) {
+        console.log(`🛑 @${lead.username} opted out ("${result.matched}")`);
+        const notes = `Reply: "${(result.message || '').substring(0, 200)}"`;
+
+        await this.suppressionList.add(lead.username, SUPPRESSION_REASONS.OPTED_OUT, { source: 'reply', notes });
+        await this.database.setLeadDMStatus(lead.username, 'OPTED_OUT');
+        await this.database.recordActivity(null, 'reply', 'OPTED_OUT', null, {
+            username: lead.username,
+            reason: `Opt-out reply: "${result.matched}"`
+        });
+        await this.sheetsManager.markOptedOut(lead.id);
+
+        if (this.jobQueue) {
+            const cancelled = await this.jobQueue.cancelJobsForLead(lead.username);
+            if (cancelled > 0) {
+                console.log(`🗑️ Cancelled ${cancelled} queued jobs for @${lead.username}`);
+            }
+        }
+    }
+}
+
+module.exports = { ReplyIngestor };
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Private storage for failure screenshots.
+ *
+ * Each run writes into its own directory (`<dir>/<runId>/<id>.png`, owner-only
+ * permissions) under a random id, so file names no longer carry usernames and
+ * cannot be guessed. Message panes and the DM composer are masked out in the
+ * pixels before the file is written: a screenshot of a failed DM would otherwise
+ * show other people's conversations. Each screenshot is indexed in SQLite with
+ * the handle it was taken for and, once the failure is recorded, the id of its
+ * `activities` row. Screenshots stop being served when they expire and are deleted
+ * by `purgeExpired()`.
+ */
+class ScreenshotStore {
+    /**
+     * @param {object} screenshotConfig - The `screenshots` config section.
+     * @param {object} deps - { database, now, runId }: runId defaults to a new one; pass the system's so directories match its logs.
+     */
+    constructor(screenshotConfig, { database, now = () => new Date(), runId = null }) {
+        this.dir = path.resolve(screenshotConfig.dir);
+        this.retentionDays = screenshotConfig.retentionDays;
+        this.redactSelectors = screenshotConfig.redactSelectors || [];
+        this.maskColor = screenshotConfig.maskColor || '#000000';
+        this.database = database;
+        this.now = now;
+        this.runId = runId || ScreenshotStore.newRunId(this.now());
+    }
+
+    /**
+     * @param {Date} [date]
+     * @returns {string} A sortable, filesystem-safe run id, e.g. `2024-06-01T12-00-00-000Z-a1b2c3`.
+     */
+    static newRunId(date = new Date()) {
+        return `${date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    static isValidId(id) {
+        return /^[a-f0-9]{24}$/.test(id || '');
+    }
+
+    /**
+     * Takes a full-page screenshot with the configured selectors masked.
+     * @param {object} page - A Playwright page.
+     * @param {object} details - { label, username }: what failed and for whom.
+     * @returns {Promise<object>} { id, runId, file, expiresAt }
+     */
+    async capture(page, { label, username = null }) {
+        const id = crypto.randomBytes(12).toString('hex');
+        const runDir = path.join(this.dir, this.runId);
+        fs.mkdirSync(runDir, { recursive: true, mode: 0o700 });
+        const file = path.join(runDir, `${id}.png`);
+
+        await page.screenshot({
+            path: file,
+            fullPage: true,
+            mask: this.redactSelectors.map(selector => page.locator(selector)),
+            maskColor: this.maskColor
+        });
+        fs.chmodSync(file, 0o600);
+
+        const expiresAt = new Date(this.now().getTime() + this.retentionDays * DAY_MS).toISOString();
+        await this.database.recordScreenshot({
+            id,
+            runId: this.runId,
+            label: label.replace(/[^a-zA-Z0-9_]/g, '_'),
+            username: username ? username.toLowerCase() : null,
+            file: path.relative(this.dir, file),
+            expiresAt
+        });
+        return { id, runId: this.runId, file, expiresAt };
+    }
+
+    async linkActivity(screenshotId, activityId) {
+        if (screenshotId && activityId) {
+            await this.database.linkScreenshotToActivity(screenshotId, activityId);
+        }
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<object|null>} The screenshot row plus `path`, or null if unknown, expired or missing on disk.
+     */
+    async get(id) {
+        if (!ScreenshotStore.isValidId(id)) return null;
+        const screenshot = await this.database.getScreenshot(id);
+        if (!screenshot || screenshot.expires_at <= this.now().toISOString()) return null;
+
+        const file = path.resolve(this.dir, screenshot.file);
+        if (!file.startsWith(this.dir + path.sep) || !fs.existsSync(file)) return null;
+        return { ...screenshot, path: file };
+    }
+
+    /**
+     * @param {string} username - Lowercase handle.
+     * @returns {Promise<Array<object>>} Stored screenshots taken for the handle.
+     */
+    async findByUsername(username) {
+        return await this.database.getScreenshotsByUsername(username);
+    }
+
+    /**
+     * Deletes every stored screenshot taken for a handle.
+     * @returns {Promise<number>} How many were deleted.
+     */
+    async eraseUsername(username) {
+        const screenshots = await this.findByUsername(username);
+        for (const screenshot of screenshots) await this.remove(screenshot);
+        return screenshots.length;
+    }
+
+    async remove(screenshot) {
+        fs.rmSync(path.resolve(this.dir, screenshot.file), { force: true });
+        await this.database.deleteScreenshot(screenshot.id);
+    }
+
+    /**
+     * Deletes expired screenshots, and PNGs left in the top-level directory by older
+     * versions once they are older than the retention period.
+     * @returns {Promise<number>} How many files were deleted.
+     */
+    async purgeExpired() {
+        const now = this.now();
+        const expired = await this.database.getExpiredScreenshots(now.toISOString());
+        for (const screenshot of expired) await this.remove(screenshot);
+
+        let legacy = 0;
+        if (fs.existsSync(this.dir)) {
+            for (const entry of fs.readdirSync(this.dir, { withFileTypes: true })) {
+                const file = path.join(this.dir, entry.name);
+                if (entry.isFile() && entry.name.endsWith('.png') && now.getTime() - fs.statSync(file).mtimeMs >= this.retentionDays * DAY_MS) {
+                    fs.unlinkSync(file);
+                    legacy++;
+                } else if (entry.isDirectory() && fs.readdirSync(file).length === 0 && entry.name !== this.runId) {
+                    fs.rmdirSync(file);
+                }
+            }
+        }
+        return expired.length + legacy;
+    }
+}
+
+module.exports = { ScreenshotStore };
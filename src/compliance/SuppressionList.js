@@ -0,0 +1,121 @@
+/**
+ * Reasons an account can be placed on the do-not-contact list.
+ */
+const SUPPRESSION_REASONS = {
+    OPTED_OUT: 'OPTED_OUT',           // Replied asking us to stop
+    BLOCKED_US: 'BLOCKED_US',         // Account has blocked the bot account
+    DO_NOT_CONTACT: 'DO_NOT_CONTACT', // Asked (via any channel) not to be contacted
+    MANUAL: 'MANUAL'                  // Added by an operator
+};
+
+/**
+ * Persistent do-not-contact registry backed by the SQLite `suppression_list` table.
+ *
+ * Entries are cached in memory after `load()` so the (synchronous) scheduler can
+ * consult them while planning. Right before an action runs, `check()` re-reads the
+ * database so entries added by another process are still honoured.
+ */
+class SuppressionList {
+    constructor(database) {
+        if (!database) {
+            throw new Error("SuppressionList requires a Database instance.");
+        }
+        this.database = database;
+        this.entries = new Map();
+    }
+
+    /**
+     * Normalizes a handle so "@Foo" and "foo" refer to the same entry.
+     * @param {string} username
+     * @returns {string}
+     */
+    static normalize(username) {
+        return (username || '').trim().replace(/^@/, '').toLowerCase();
+    }
+
+    /**
+     * Loads every suppression entry into the in-memory cache.
+     */
+    async load() {
+        const rows = await this.database.getAllSuppressions();
+        this.entries = new Map(rows.map(row => [row.username, row]));
+        console.log(`🚫 Loaded ${this.entries.size} suppressed accounts`);
+    }
+
+    /**
+     * Adds (or updates) an account on the suppression list.
+     * @param {string} username - The handle to suppress.
+     * @param {string} reason - One of SUPPRESSION_REASONS.
+     * @param {object} [options] - Optional { source, notes }.
+     */
+    async add(username, reason, { source = null, notes = null } = {}) {
+        const handle = SuppressionList.normalize(username);
+        if (!handle) {
+            throw new Error("Cannot suppress an empty username.");
+        }
+        if (!Object.values(SUPPRESSION_REASONS).includes(reason)) {
+            throw new Error(`Unknown suppression reason "${reason}". Expected one of: ${Object.values(SUPPRESSION_REASONS).join(', ')}`);
+        }
+
+        await this.database.addSuppression(handle, reason, source, notes);
+        this.entries.set(handle, { username: handle, reason, source, notes, created_at: new Date().toISOString() });
+        console.log(`🚫 Added @${handle} to suppression list (${reason})`);
+    }
+
+    /**
+     * Removes an account from the suppression list.
+     * @param {string} username
+     * @returns {Promise<boolean>} - True if an entry was removed.
+     */
+    async remove(username) {
+        const handle = SuppressionList.normalize(username);
+        this.entries.delete(handle);
+        return await this.database.removeSuppression(handle);
+    }
+
+    /**
+     * Synchronous lookup against the cache loaded by `load()`.
+     * @param {string} username
+     * @returns {object|null} - The suppression entry, or null if the account may be contacted.
+     */
+    getEntry(username) {
+        return this.entries.get(SuppressionList.normalize(username)) || null;
+    }
+
+    isSuppressed(username) {
+        return this.getEntry(username) !== null;
+    }
+
+    /**
+     * Authoritative lookup that goes to the database, used right before acting.
+     * @param {string} username
+     * @returns {Promise<object|null>}
+     */
+    async check(username) {
+        const handle = SuppressionList.normalize(username);
+        const entry = await this.database.getSuppression(handle);
+        if (entry) {
+            this.entries.set(handle, entry);
+            return entry;
+        }
+        this.entries.delete(handle);
+        return null;
+    }
+
+    /**
+     * Records a blocked attempt in the `activities` table.
+     * @param {object} attempt - { leadId, username, type, reason }
+     */
+    async recordBlocked({ leadId = null, username, type, reason }) {
+        await this.database.recordActivity(leadId, type, 'BLOCKED', null, {
+            username: SuppressionList.normalize(username),
+            reason: `Suppressed: ${reason}`
+        });
+    }
+
+    async getAll() {
+        return await this.database.getAllSuppressions();
+    }
+}
+
+module.exports = { SuppressionList, SUPPRESSION_REASONS };
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const defaults = require('./defaults.js');
+const { CONFIG_SCHEMA, ENV_BINDINGS } = require('./schema.js');
+const { SecretsProvider } = require('../utils/Secrets.js');
+
+/**
+ * Thrown when the config does not match the schema. `errors` holds one
+ * { path, message } per bad field, so every problem is reported at once.
+ */
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `  - ${error.path}: ${error.message}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Merges config layers left to right. Objects merge key by key; arrays and
+ * scalars replace what is below them; undefined leaves it alone. Inputs are
+ * never modified.
+ * @param {...object} layers
+ * @returns {object}
+ */
+function mergeConfig(...layers) {
+    const result = {};
+    for (const layer of layers) {
+        for (const [key, value] of Object.entries(layer || {})) {
+            if (value === undefined) continue;
+            result[key] = isPlainObject(value)
+                ? mergeConfig(isPlainObject(result[key]) ? result[key] : {}, value)
+                : Array.isArray(value) ? [...value] : value;
+        }
+    }
+    return result;
+}
+
+function deepFreeze(value) {
+    if (value !== null && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        Object.values(value).forEach(deepFreeze);
+    }
+    return value;
+}
+
+function schemaAt(path) {
+    return path.split('.').reduce((node, key) => node && node.fields && node.fields[key], CONFIG_SCHEMA);
+}
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let node = target;
+    for (const key of keys) node = node[key] = node[key] || {};
+    node[last] = value;
+}
+
+/**
+ * Records which layer set each leaf, so an error can say where the bad value came from.
+ */
+function recordSources(sources, layer, label, prefix = '') {
+    for (const [key, value] of Object.entries(layer || {})) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) recordSources(sources, value, label, path);
+        else if (value !== undefined) sources.set(path, label);
+    }
+}
+
+/**
+ * @returns {string|null} The layer that set `path`, or the list or object it is part of.
+ */
+function sourceOf(sources, path) {
+    let candidate = path;
+    while (candidate) {
+        if (sources.has(candidate)) return sources.get(candidate);
+        const parent = candidate.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+        if (parent === candidate) break;
+        candidate = parent;
+    }
+    return null;
+}
+
+/**
+ * Turns an environment variable's text into the type its setting expects.
+ * @returns {{ value: * } | { error: string }}
+ */
+function coerce(raw, node) {
+    switch (node.type) {
+        case 'integer':
+            return /^-?\d+$/.test(raw) ? { value: Number(raw) } : { error: `expected a whole number, got "${raw}"` };
+        case 'number':
+            return raw.trim() !== '' && Number.isFinite(Number(raw)) ? { value: Number(raw) } : { error: `expected a number, got "${raw}"` };
+        case 'boolean':
+            if (/^(true|1|yes)$/i.test(raw)) return { value: true };
+            if (/^(false|0|no)$/i.test(raw)) return { value: false };
+            return { error: `expected true or false, got "${raw}"` };
+        case 'array':
+            return { value: raw.split(',').map(item => item.trim()).filter(Boolean) };
+        default:
+            return { value: raw };
+    }
+}
+
+/**
+ * Builds the environment layer from ENV_BINDINGS. Values that cannot be
+ * converted are reported in `errors` under the variable's name.
+ */
+function fromEnv(env, secrets, errors, sources) {
+    const layer = {};
+    for (const binding of ENV_BINDINGS) {
+        const read = name => {
+            const value = binding.secret ? secrets.get(name) : env[name];
+            return value === '' ? undefined : value;
+        };
+
+        if (binding.collect) {
+            const values = binding.env.map(read).filter(value => value !== undefined);
+            if (values.length > 0) {
+                setPath(layer, binding.path, values);
+                sources.set(binding.path, binding.env.join('/'));
+            }
+            continue;
+        }
+
+        const name = binding.env.find(candidate => read(candidate) !== undefined);
+        if (!name) continue;
+        const { value, error } = coerce(read(name), schemaAt(binding.path));
+        if (error) {
+            errors.push({ path: binding.path, message: `${error} (from ${name})` });
+        } else {
+            setPath(layer, binding.path, value);
+            sources.set(binding.path, name);
+        }
+    }
+    return layer;
+}
+
+/**
+ * Reads the JSON config file layer.
+ * @param {string} file
+ * @returns {object}
+ */
+function fromFile(file, errors) {
+    let raw;
+    try {
+        raw = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        errors.push({ path: 'CONFIG_FILE', message: `${file} cannot be read (${error.code || error.message})` });
+        return {};
+    }
+    try {
+        const layer = JSON.parse(raw);
+        if (isPlainObject(layer)) return layer;
+        errors.push({ path: 'CONFIG_FILE', message: `${file} must contain a JSON object` });
+    } catch (error) {
+        errors.push({ path: 'CONFIG_FILE', message: `${file} is not valid JSON (${error.message})` });
+    }
+    return {};
+}
+
+/**
+ * Checks a value against a schema node, pushing one error per bad field.
+ */
+function check(value, node, path, errors, sources) {
+    const fail = message => {
+        const source = sourceOf(sources, path);
+        errors.push({ path, message: source ? `${message} (from ${source})` : message });
+    };
+    const describe = JSON.stringify(value);
+
+    if (value === null || value === undefined) {
+        if (!node.optional) fail('is required');
+        return;
+    }
+
+    switch (node.type) {
+        case 'string':
+            if (typeof value !== 'string') return fail(`expected a string, got ${describe}`);
+            if (node.nonEmpty && value.trim() === '') return fail('must not be empty');
+            break;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value) || (node.type === 'integer' && !Number.isInteger(value))) {
+                return fail(`expected ${node.type === 'integer' ? 'a whole number' : 'a number'}, got ${describe}`);
+            }
+            if (node.min !== undefined && value < node.min) return fail(`must be at least ${node.min}, got ${value}`);
+            if (node.max !== undefined && value > node.max) return fail(`must be at most ${node.max}, got ${value}`);
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return fail(`expected true or false, got ${describe}`);
+            break;
+        case 'enum':
+            if (!node.values.includes(value)) return fail(`must be one of ${node.values.join(', ')}, got ${describe}`);
+            break;
+        case 'array':
+            if (!Array.isArray(value)) return fail(`expected a list, got ${describe}`);
+            if (node.nonEmpty && value.length === 0) return fail('must not be empty');
+            value.forEach((item, index) => check(item, node.items, `${path}[${index}]`, errors, sources));
+            break;
+        case 'object': {
+            if (!isPlainObject(value)) return fail(`expected an object, got ${describe}`);
+            const before = errors.length;
+            for (const key of Object.keys(value)) {
+                if (!node.fields[key]) {
+                    const keyPath = path ? `${path}.${key}` : key;
+                    const source = sourceOf(sources, keyPath);
+                    errors.push({ path: keyPath, message: `unknown setting${source ? ` (from ${source})` : ''}` });
+                }
+            }
+            for (const [key, field] of Object.entries(node.fields)) {
+                check(value[key], field, path ? `${path}.${key}` : key, errors, sources);
+            }
+            if (errors.length > before) return;
+            break;
+        }
+    }
+
+    const problem = node.check && node.check(value);
+    if (problem) errors.push({ path, message: problem });
+}
+
+function validate(config, errors, sources) {
+    check(config, CONFIG_SCHEMA, '', errors, sources);
+    if (errors.length > 0) throw new ConfigError(errors);
+    return deepFreeze(config);
+}
+
+/**
+ * Loads the config from its layers, lowest first: defaults.js, the JSON file
+ * named by CONFIG_FILE, environment variables (see ENV_BINDINGS), then
+ * `overrides`. Never exits the process.
+ * @param {object} [options] - { env, file, overrides }: env defaults to process.env.
+ * @returns {object} A deep-frozen config.
+ * @throws {ConfigError} Listing every invalid field.
+ */
+function loadConfig({ env = process.env, file = env.CONFIG_FILE, overrides = {} } = {}) {
+    const errors = [];
+    const sources = new Map();
+    const secrets = new SecretsProvider({ env });
+
+    const fileLayer = file ? fromFile(file, errors) : {};
+    recordSources(sources, fileLayer, file);
+    const envLayer = fromEnv(env, secrets, errors, sources);
+    recordSources(sources, overrides, 'per-run override');
+
+    return validate(mergeConfig(defaults, fileLayer, envLayer, overrides), errors, sources);
+}
+
+/**
+ * Derives a run's own config from a loaded one. The base is left untouched, so
+ * runs in the same process cannot see each other's settings.
+ * @param {object} base - A config from loadConfig().
+ * @param {...object} overrides - Layers in the shape of the config; later ones win.
+ * @returns {object} A new deep-frozen config.
+ * @throws {ConfigError}
+ */
+function withOverrides(base, ...overrides) {
+    const sources = new Map();
+    for (const layer of overrides) recordSources(sources, layer, 'per-run override');
+    return validate(mergeConfig(base, ...overrides), [], sources);
+}
+
+/**
+ * Settings a run cannot start without. Checked when a run starts rather than
+ * when the config is loaded, so tools that do not need them still work.
+ * @param {object} config
+ * @throws {ConfigError}
+ */
+function checkRequired(config) {
+    const errors = [];
+    if (config.googleSheets.backend === 'google') {
+        if (!config.googleSheets.spreadsheetId) {
+            errors.push({ path: 'googleSheets.spreadsheetId', message: 'is required by the google sheets backend (set GOOGLE_SHEETS_ID)' });
+        }
+        if (!config.googleSheets.credentialsJson) {
+            errors.push({
+                path: 'googleSheets.credentialsJson',
+                message: 'is required by the google sheets backend (set GOOGLE_CREDENTIALS_JSON to the full content of your service account JSON file)'
+            });
+        }
+    }
+    if (errors.length > 0) throw new ConfigError(errors);
+}
+
+module.exports = { ConfigError, loadConfig, withOverrides, mergeConfig, checkRequired };
@@ -0,0 +1,311 @@
+/**
+ * Built-in settings: the bottom layer of the config. The JSON file named by
+ * CONFIG_FILE, then environment variables, then per-run overrides are merged on
+ * top (see ConfigLoader.js); schema.js says what each setting may hold and which
+ * environment variable sets it.
+ */
+module.exports = {
+    // Twitter credentials
+    twitter: {
+        username: null, // Used by demo server if DEMO_ vars aren't set
+        password: null, // Used by demo server if DEMO_ vars aren't set
+        phoneOrEmail: null, // For 2FA if required
+    },
+
+    // Google Sheets configuration
+    googleSheets: {
+        backend: 'google', // 'google' or 'local' (JSON file, no network)
+        spreadsheetId: null, // Required by the 'google' backend
+        credentialsJson: null, // The whole service account JSON string; required by the 'google' backend
+        localPath: './data/local-sheets.json' // Used by the 'local' backend
+    },
+
+    // Local SQLite storage (suppression list, activity history)
+    database: {
+        path: './data/automation.db'
+    },
+
+    // Optional Bull/Redis job queue. Leave REDIS_URL unset to run without it.
+    queue: {
+        redisUrl: null
+    },
+
+    // Scraping configuration
+    scraping: {
+        keywords: [
+            // Keywords that imply a user is actively seeking interaction. Each must pass
+            // KeywordPolicy and be signed off before a run scrapes it.
+            'looking for betting tips',
+            'who to bet on tonight?',
+            'need a good sports bet',
+            'best betting community?',
+            'any good betting groups'
+        ],
+        leadsPerKeyword: 5, // Limit to 5 leads for testing
+        delayBetweenKeywords: {
+            min: 30000, // 30 seconds
+            max: 60000  // 60 seconds
+        },
+        proxies: [] // PROXY_1, PROXY_2, PROXY_3
+    },
+
+    // Filter rules
+    filterRules: {
+        minFollowers: 50,
+        maxFollowers: 5000, // Further lowered to target more personal accounts
+        failIfVerified: true, // If true, any lead with a verified checkmark will be failed.
+        preFilterCheckDMs: true, // NEW: If true, visits profile to check if DM button exists before passing.
+        bioBlacklist: [
+            'crypto',
+            'NFT',
+            'bitcoin',
+            'forex',
+            'trading',
+            'investment advice',
+            'not seeking opportunities',
+            'no DMs',
+            'DM = block',
+            // Add more business-related terms to filter out other services
+            'tipster service',
+            'premium picks',
+            'subscribe for tips',
+            'betting service',
+            'link in bio',
+            'official account',
+            'customer support',
+            'business inquiries'
+        ],
+        bioWhitelist: [
+            // Optional: only contact if bio contains these
+            // 'entrepreneur',
+            // 'founder',
+            // 'business owner'
+        ],
+        protectedAudienceTerms: [
+            // Extra terms that mark a lead as a protected audience, on top of the
+            // built-in problem-gambling, recovery, debt-distress and under-18 rules.
+        ],
+        minScore: 70, // Example filter rule
+    },
+
+    // Where leads may be contacted. FilterEngine fails a lead with RESTRICTED_REGION
+    // when its profile location names, or its profile language points to, a region
+    // below that restricts this campaign (see src/compliance/JurisdictionRules.js).
+    // Gambling campaigns also fail every lead whose location is unknown.
+    jurisdiction: {
+        campaignCategory: 'gambling', // 'gambling' or 'general'
+        restrictedRegions: [
+            // restricts: 'gambling_promotion' applies to gambling campaigns,
+            // 'unsolicited_marketing' to every campaign. Locations match whole words,
+            // ignoring case and accents; languages match the profile's language code.
+            {
+                name: 'Italy',
+                restricts: ['gambling_promotion'],
+                locations: ['italy', 'italia', 'roma', 'rome', 'milano', 'milan', 'napoli', 'naples', 'torino', 'turin', 'firenze', 'florence', 'bologna', 'palermo'],
+                languages: ['it']
+            },
+            {
+                name: 'Spain',
+                restricts: ['gambling_promotion'],
+                locations: ['spain', 'espana', 'madrid', 'barcelona', 'valencia', 'sevilla', 'seville', 'bilbao', 'malaga'],
+                languages: ['ca', 'eu', 'gl']
+            },
+            {
+                name: 'Netherlands',
+                restricts: ['gambling_promotion'],
+                locations: ['netherlands', 'nederland', 'holland', 'amsterdam', 'rotterdam', 'den haag', 'the hague', 'utrecht', 'eindhoven'],
+                languages: ['nl']
+            },
+            {
+                name: 'Belgium',
+                restricts: ['gambling_promotion'],
+                locations: ['belgium', 'belgie', 'belgique', 'belgien', 'brussels', 'bruxelles', 'brussel', 'antwerp', 'antwerpen', 'ghent', 'gent', 'liege']
+            },
+            {
+                name: 'US states without legal sports betting',
+                restricts: ['gambling_promotion'],
+                locations: ['california', 'los angeles', 'san francisco', 'san diego', 'sacramento', 'texas', 'houston', 'dallas', 'san antonio',
+                    'utah', 'salt lake city', 'hawaii', 'honolulu', 'alabama', 'alaska', 'atlanta', 'idaho', 'minnesota',
+                    'minneapolis', 'oklahoma', 'south carolina'],
+                // Georgia is also a country and GA a common abbreviation: they only
+                // count next to a US context ("Georgia, USA", "Savannah, GA").
+                ambiguous: [
+                    { location: 'georgia', context: ['ga', 'usa', 'u.s.', 'u.s.a.', 'united states', 'atlanta', 'savannah', 'augusta'] },
+                    { location: 'ga', context: ['usa', 'u.s.', 'u.s.a.', 'united states', 'atlanta', 'savannah', 'augusta'] }
+                ]
+            },
+            {
+                name: 'Canada',
+                restricts: ['unsolicited_marketing'], // CASL: commercial messages need prior consent
+                locations: ['canada', 'toronto', 'montreal', 'vancouver', 'calgary', 'ottawa', 'edmonton', 'winnipeg', 'quebec', 'ontario', 'british columbia', 'alberta']
+            }
+        ]
+    },
+
+    // Rate limiting
+    rateLimits: {
+        dmPerDay: 30,
+        likesPerDay: 100,
+        retweetsPerDay: 50,
+        commentsPerDay: 20,
+        actionsPerHour: 15
+    },
+
+    // Outreach policy
+    outreach: {
+        // 'inbound_only': DM only leads that mentioned us, replied to one of our posts, follow us
+        //                 or started a conversation.
+        //                 Everyone else stays in WATCH until they reach out.
+        // 'open':         DM every lead that passes filtering.
+        mode: 'inbound_only'
+    },
+
+    // Kill switch. Every listed source is checked; the most restrictive answer wins
+    // and any source that cannot be read counts as STOP.
+    //   sheet:  'Kill Switch' cell of the Control sheet
+    //   file:   local file containing RUN, PAUSE or STOP (missing file = RUN)
+    //   signal: SIGUSR1 toggles PAUSE, SIGUSR2 stops
+    //   http:   kill_switch_server.js (set KILL_SWITCH_URL)
+    killSwitch: {
+        sources: ['sheet', 'file', 'signal'],
+        filePath: './data/KILL_SWITCH',
+        httpUrl: null, // e.g. http://localhost:3001/api/kill-switch
+        httpToken: null, // Token of a viewer (or operator) in AUTH_USERS on that server
+        httpTimeout: 5000,
+        pausePollInterval: 30000, // How often to re-check while PAUSED
+        sleepCheckInterval: 5000, // How often long waits re-check for STOP
+        sheetCacheTtl: 30000 // How long a read of the sheet source is reused
+    },
+
+    // Login for server.js, monitor.js and kill_switch_server.js. AUTH_USERS is a
+    // comma-separated list of "name:role:token" (role: viewer or operator; tokens at
+    // least 16 characters). With no users, every protected route refuses access.
+    auth: {
+        users: '',
+        sessionSecret: null, // Random per process if unset
+        sessionTtl: 8 * 60 * 60 * 1000
+    },
+
+    // Recipient-health monitor. Per scrape keyword and per message template, the
+    // share of DM attempts that led to each signal is compared with its maximum;
+    // crossing one pauses that keyword/template and flips the kill switch to PAUSE.
+    health: {
+        windowDays: 7,
+        minAttempts: 10, // Ignore keywords/templates with fewer DM attempts in the window
+        maxRates: {
+            OPT_OUT: 0.05,
+            BLOCK: 0.02,
+            DMS_CLOSED: 0.30,
+            NEGATIVE_REPLY: 0.05
+        }
+    },
+
+    // Retention of scraped personal data (usernames, bios, follower counts). Leads in
+    // each group are anonymised or purged, in the Leads sheet and SQLite, once older
+    // than the given number of days (null keeps them). `node cli.js data` exports or
+    // erases everything held about one handle, including logs and screenshots.
+    retention: {
+        action: 'anonymise', // 'anonymise' or 'purge'
+        neverEngagedDays: 30,
+        failedFilterDays: 7,
+        optedOutDays: 30, // The suppression list entry is kept so they are never contacted again
+        checkInterval: 24 * 60 * 60 * 1000, // How often the automation loop applies the policy
+        logsDir: './logs'
+    },
+
+    // Failure screenshots. Stored per run under random ids, served only to logged-in
+    // users (server.js /screenshots), and deleted after retentionDays. Everything
+    // matching redactSelectors (DM conversations and the composer) is painted over
+    // in the pixels before the file is written.
+    screenshots: {
+        dir: './screenshots',
+        retentionDays: 7,
+        redactSelectors: [
+            '[data-testid="DmActivityViewport"]',
+            '[data-testid="DMDrawer"]',
+            '[data-testid="messageEntry"]',
+            '[data-testid="conversation"]',
+            '[data-testid="dmComposerTextInput"]'
+        ],
+        maskColor: '#000000'
+    },
+
+    // Message templates. Supported placeholders: {username}, {topic}, {industry}
+    // (same as {topic}) and {sender}. Every DM template must name the sender and
+    // tell the recipient how to opt out; see messagePolicy below.
+    messageTemplates: [
+        "Hi {username}! I'm with {sender} and came across your posts about {topic}. Would love to connect and hear what you're working on. (Reply STOP to opt out.)",
+        "Hey {username}! Your recent posts about {topic} caught my attention. This is {sender} - would you be open to a quick chat? Reply STOP and we won't message you again.",
+        "Hi there! {sender} here. I noticed we're both in the {industry} space and would love to connect. Not interested? Reply STOP to opt out."
+    ],
+
+    // Checked against every template at startup and every rendered DM/comment
+    // before it is planned, approved and sent.
+    messagePolicy: {
+        senderName: '', // Business name DMs must identify
+        maxLength: 500,
+        prohibitedTerms: [] // Extra claims to reject on top of the built-in gambling claims
+    },
+
+    // Appended by TwitterBot to every DM and comment it sends. Must name the business
+    // and say the message is automated, or every send fails.
+    disclosure: {
+        businessName: '',
+        dmText: 'This is an automated message sent on behalf of {business}.',
+        commentText: '(Automated reply from {business})',
+        maxLength: { dm: 10000, comment: 280 }
+    },
+
+    // Engagement settings
+    engagement: {
+        activitiesPerCycle: 10, // Max number of actions to perform in one 30-min cycle
+        commentTemplates: [
+            "Great insight!",
+            "This is really valuable, thanks for sharing!",
+            "Couldn't agree more with this perspective.",
+            "Really interesting take on this!",
+            "This resonates with my experience too.",
+            "Thanks for sharing this!",
+            "Well said!",
+            "Absolutely agree!",
+            "Great point!"
+        ],
+        humanBehavior: {
+            minDelayBetweenActions: 30000, // 30 seconds
+            maxDelayBetweenActions: 180000, // 3 minutes
+            workingHoursStart: 9, // 9 AM
+            workingHoursEnd: 18, // 6 PM
+            breakDuration: 30 * 60 * 1000, // 30 minutes every few hours
+            lunchBreakStart: 12, // 12 PM
+            lunchBreakEnd: 13 // 1 PM
+        }
+    },
+
+    // Dry run: the full pipeline runs against a fake Twitter and every intended
+    // action (with full message text) is appended to a JSONL audit file.
+    dryRun: {
+        enabled: false,
+        auditFile: './data/dry-run-audit.jsonl'
+    },
+
+    // Tamper-evident, hash-chained log of every DM, like, retweet and comment
+    // attempted. Export or verify it with `node cli.js audit`.
+    audit: {
+        trailFile: './data/audit-trail.jsonl'
+    },
+
+    // Error handling
+    errorHandling: {
+        maxRetries: 3,
+        retryDelay: 5 * 60 * 1000, // 5 minutes
+        circuitBreakerThreshold: 5, // Stop after 5 consecutive errors
+        cycleWait: 30 * 60 * 1000 // 30 minutes between cycles
+    },
+
+    // Browser settings
+    browser: {
+        headless: true, // HEADLESS=false shows the browser for debugging
+        slowMo: 0, // Slow down operations for debugging
+        timeout: 30000 // 30 second timeout for operations
+    }
+};
@@ -0,0 +1,208 @@
+const { OUTREACH_MODES } = require('../compliance/OutreachPolicy.js');
+const { RESTRICTIONS, CAMPAIGN_CATEGORIES } = require('../compliance/JurisdictionRules.js');
+
+// Schema node builders. Every node may also be { optional: true } (null allowed)
+// or carry a `check(value)` returning an error message for cross-field rules.
+const string = (options = {}) => ({ type: 'string', ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const oneOf = (values, options = {}) => ({ type: 'enum', values, ...options });
+const arrayOf = (items, options = {}) => ({ type: 'array', items, ...options });
+const object = (fields, options = {}) => ({ type: 'object', fields, ...options });
+
+const minNotAboveMax = (minKey, maxKey) => value =>
+    value[minKey] > value[maxKey] ? `${minKey} (${value[minKey]}) is greater than ${maxKey} (${value[maxKey]})` : null;
+
+const count = () => integer({ min: 0 });
+const duration = () => integer({ min: 0 }); // Milliseconds
+const hour = () => integer({ min: 0, max: 24 });
+const words = (options = {}) => arrayOf(string({ nonEmpty: true }), options);
+
+/**
+ * What every setting may hold. The config is rejected, with one error per field,
+ * if a value has the wrong type or range or a key is not listed here.
+ */
+const CONFIG_SCHEMA = object({
+    twitter: object({
+        username: string({ optional: true }),
+        password: string({ optional: true }),
+        phoneOrEmail: string({ optional: true })
+    }),
+    googleSheets: object({
+        backend: oneOf(['google', 'local']),
+        spreadsheetId: string({ optional: true }),
+        credentialsJson: string({ optional: true }),
+        localPath: string({ nonEmpty: true })
+    }),
+    database: object({
+        path: string({ nonEmpty: true })
+    }),
+    queue: object({
+        redisUrl: string({ optional: true })
+    }),
+    scraping: object({
+        keywords: words(),
+        leadsPerKeyword: integer({ min: 1 }),
+        delayBetweenKeywords: object({ min: duration(), max: duration() }, { check: minNotAboveMax('min', 'max') }),
+        proxies: words()
+    }),
+    filterRules: object({
+        minFollowers: count(),
+        maxFollowers: count(),
+        failIfVerified: boolean(),
+        preFilterCheckDMs: boolean(),
+        bioBlacklist: words(),
+        bioWhitelist: words(),
+        protectedAudienceTerms: words(),
+        minScore: number({ min: 0, max: 100 })
+    }, { check: minNotAboveMax('minFollowers', 'maxFollowers') }),
+    jurisdiction: object({
+        campaignCategory: oneOf(CAMPAIGN_CATEGORIES),
+        restrictedRegions: arrayOf(object({
+            name: string({ nonEmpty: true }),
+            restricts: arrayOf(oneOf(Object.values(RESTRICTIONS)), { nonEmpty: true }),
+            locations: words({ optional: true }),
+            ambiguous: arrayOf(object({
+                location: string({ nonEmpty: true }),
+                context: words({ nonEmpty: true })
+            }), { optional: true }),
+            languages: words({ optional: true })
+        }))
+    }),
+    rateLimits: object({
+        dmPerDay: count(),
+        likesPerDay: count(),
+        retweetsPerDay: count(),
+        commentsPerDay: count(),
+        actionsPerHour: count()
+    }),
+    outreach: object({
+        mode: oneOf(Object.values(OUTREACH_MODES))
+    }),
+    killSwitch: object({
+        sources: arrayOf(oneOf(['sheet', 'file', 'signal', 'http']), { nonEmpty: true }),
+        filePath: string({ nonEmpty: true }),
+        httpUrl: string({ optional: true }),
+        httpToken: string({ optional: true }),
+        httpTimeout: integer({ min: 1 }),
+        pausePollInterval: integer({ min: 1 }),
+        sleepCheckInterval: integer({ min: 1 }),
+        sheetCacheTtl: duration()
+    }, { check: value => value.sources.includes('http') && !value.httpUrl ? 'sources includes "http" but httpUrl is not set' : null }),
+    auth: object({
+        users: string(),
+        sessionSecret: string({ optional: true }),
+        sessionTtl: integer({ min: 1 })
+    }),
+    health: object({
+        windowDays: integer({ min: 1 }),
+        minAttempts: integer({ min: 1 }),
+        maxRates: object({
+            OPT_OUT: number({ min: 0, max: 1 }),
+            BLOCK: number({ min: 0, max: 1 }),
+            DMS_CLOSED: number({ min: 0, max: 1 }),
+            NEGATIVE_REPLY: number({ min: 0, max: 1 })
+        })
+    }),
+    retention: object({
+        action: oneOf(['anonymise', 'purge']),
+        neverEngagedDays: integer({ min: 0, optional: true }),
+        failedFilterDays: integer({ min: 0, optional: true }),
+        optedOutDays: integer({ min: 0, optional: true }),
+        checkInterval: integer({ min: 1 }),
+        logsDir: string({ nonEmpty: true })
+    }),
+    screenshots: object({
+        dir: string({ nonEmpty: true }),
+        retentionDays: integer({ min: 1 }),
+        redactSelectors: words(),
+        maskColor: string({ nonEmpty: true })
+    }),
+    messageTemplates: words(),
+    messagePolicy: object({
+        senderName: string(),
+        maxLength: integer({ min: 1 }),
+        prohibitedTerms: words()
+    }),
+    disclosure: object({
+        businessName: string(),
+        dmText: string({ nonEmpty: true }),
+        commentText: string({ nonEmpty: true }),
+        maxLength: object({ dm: integer({ min: 1 }), comment: integer({ min: 1 }) })
+    }),
+    engagement: object({
+        activitiesPerCycle: count(),
+        commentTemplates: words(),
+        humanBehavior: object({
+            minDelayBetweenActions: duration(),
+            maxDelayBetweenActions: duration(),
+            workingHoursStart: hour(),
+            workingHoursEnd: hour(),
+            breakDuration: duration(),
+            lunchBreakStart: hour(),
+            lunchBreakEnd: hour()
+        }, { check: minNotAboveMax('minDelayBetweenActions', 'maxDelayBetweenActions') })
+    }),
+    dryRun: object({
+        enabled: boolean(),
+        auditFile: string({ nonEmpty: true })
+    }),
+    audit: object({
+        trailFile: string({ nonEmpty: true })
+    }),
+    errorHandling: object({
+        maxRetries: count(),
+        retryDelay: duration(),
+        circuitBreakerThreshold: integer({ min: 1 }),
+        cycleWait: duration()
+    }),
+    browser: object({
+        headless: boolean(),
+        slowMo: count(),
+        timeout: integer({ min: 1 })
+    })
+});
+
+/**
+ * Environment variables and the settings they set. With several names, the first
+ * one set wins; `collect` gathers every one set into a list instead. `secret`
+ * values are read through the secrets provider (so `<NAME>_FILE` and mounted
+ * secrets work) and redacted from logs. Lists are comma-separated.
+ */
+const ENV_BINDINGS = [
+    { path: 'twitter.username', env: ['TWITTER_USERNAME'] },
+    { path: 'twitter.password', env: ['TWITTER_PASSWORD'], secret: true },
+    { path: 'twitter.phoneOrEmail', env: ['TWITTER_PHONE', 'TWITTER_EMAIL'] },
+    { path: 'googleSheets.backend', env: ['SHEETS_BACKEND'] },
+    { path: 'googleSheets.spreadsheetId', env: ['GOOGLE_SHEETS_ID'] },
+    { path: 'googleSheets.credentialsJson', env: ['GOOGLE_CREDENTIALS_JSON'], secret: true },
+    { path: 'googleSheets.localPath', env: ['LOCAL_SHEETS_PATH'] },
+    { path: 'database.path', env: ['DATABASE_PATH'] },
+    { path: 'queue.redisUrl', env: ['REDIS_URL'] },
+    { path: 'scraping.proxies', env: ['PROXY_1', 'PROXY_2', 'PROXY_3'], collect: true },
+    { path: 'outreach.mode', env: ['OUTREACH_MODE'] },
+    { path: 'jurisdiction.campaignCategory', env: ['CAMPAIGN_CATEGORY'] },
+    { path: 'killSwitch.sources', env: ['KILL_SWITCH_SOURCES'] },
+    { path: 'killSwitch.filePath', env: ['KILL_SWITCH_FILE'] },
+    { path: 'killSwitch.httpUrl', env: ['KILL_SWITCH_URL'] },
+    { path: 'killSwitch.httpToken', env: ['KILL_SWITCH_TOKEN'], secret: true },
+    { path: 'auth.users', env: ['AUTH_USERS'], secret: true },
+    { path: 'auth.sessionSecret', env: ['AUTH_SESSION_SECRET'], secret: true },
+    { path: 'retention.action', env: ['RETENTION_ACTION'] },
+    { path: 'retention.logsDir', env: ['LOG_DIR'] },
+    { path: 'screenshots.dir', env: ['SCREENSHOTS_DIR'] },
+    { path: 'screenshots.retentionDays', env: ['SCREENSHOT_RETENTION_DAYS'] },
+    { path: 'messagePolicy.senderName', env: ['SENDER_NAME'] },
+    { path: 'messagePolicy.maxLength', env: ['MESSAGE_MAX_LENGTH'] },
+    { path: 'disclosure.businessName', env: ['SENDER_NAME'] },
+    { path: 'disclosure.dmText', env: ['DISCLOSURE_DM_TEXT'] },
+    { path: 'disclosure.commentText', env: ['DISCLOSURE_COMMENT_TEXT'] },
+    { path: 'dryRun.enabled', env: ['DRY_RUN'] },
+    { path: 'dryRun.auditFile', env: ['DRY_RUN_AUDIT_FILE'] },
+    { path: 'audit.trailFile', env: ['AUDIT_TRAIL_FILE'] },
+    { path: 'browser.headless', env: ['HEADLESS'] },
+    { path: 'browser.slowMo', env: ['SLOW_MO'] }
+];
+
+module.exports = { CONFIG_SCHEMA, ENV_BINDINGS };
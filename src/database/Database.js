@@ -1,5 +1,8 @@
+const fs = require("fs");
+const path = require("path");
 const sqlite3 = require("sqlite3");
 const { open } = require("sqlite");
+const { CONTACT_CAPS } = require("../compliance/ContactCaps.js");
 
 class Database {
     constructor(dbPath = "./data/automation.db") {
@@ -8,12 +11,17 @@ class Database {
     }
 
     async initialize() {
+        if (this.dbPath !== ":memory:") {
+            fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        }
+
         this.db = await open({
             filename: this.dbPath,
             driver: sqlite3.Database
         });
 
         await this.createTables();
+        await this.migrateColumns();
     }
 
     async createTables() {
@@ -29,19 +37,157 @@ class Database {
                 dm_status TEXT DEFAULT 'NOT_SENT',
                 dm_sent_at DATETIME,
                 keyword TEXT,
-                last_engagement_at DATETIME
+                last_engagement_at DATETIME,
+                last_updated DATETIME
             );
 
             CREATE TABLE IF NOT EXISTS activities (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 lead_id INTEGER,
+                username TEXT,
                 activity_type TEXT,
                 status TEXT,
+                reason TEXT,
+                keyword TEXT,
+                template_id TEXT,
                 performed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 error_message TEXT,
                 FOREIGN KEY (lead_id) REFERENCES leads (id)
             );
 
+            CREATE TABLE IF NOT EXISTS approvals (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                lead_id INTEGER,
+                username TEXT NOT NULL,
+                activity_type TEXT NOT NULL,
+                proposed_text TEXT NOT NULL,
+                approved_text TEXT,
+                status TEXT NOT NULL DEFAULT 'PENDING',
+                keyword TEXT,
+                template_id TEXT,
+                reviewer TEXT,
+                review_note TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                reviewed_at DATETIME,
+                sent_at DATETIME
+            );
+
+            CREATE TABLE IF NOT EXISTS health_pauses (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                dimension TEXT NOT NULL,
+                value TEXT NOT NULL,
+                reason TEXT NOT NULL,
+                paused_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                resumed_at DATETIME
+            );
+
+            CREATE TABLE IF NOT EXISTS suppression_list (
+                username TEXT PRIMARY KEY,
+                reason TEXT NOT NULL,
+                source TEXT,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS inbound_signals (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL,
+                signal_type TEXT NOT NULL,
+                source_url TEXT NOT NULL DEFAULT '',
+                recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (username, signal_type, source_url)
+            );
+
+            CREATE TABLE IF NOT EXISTS screenshots (
+                id TEXT PRIMARY KEY,
+                run_id TEXT NOT NULL,
+                label TEXT NOT NULL,
+                username TEXT,
+                activity_id INTEGER,
+                file TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at TEXT NOT NULL,
+                FOREIGN KEY (activity_id) REFERENCES activities (id)
+            );
+
+            CREATE TABLE IF NOT EXISTS action_checkpoints (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                idempotency_key TEXT UNIQUE NOT NULL,
+                run_id TEXT NOT NULL,
+                activity_id TEXT,
+                lead_id INTEGER,
+                username TEXT NOT NULL,
+                activity_type TEXT NOT NULL,
+                dry_run INTEGER NOT NULL DEFAULT 0,
+                status TEXT NOT NULL DEFAULT 'PENDING',
+                attempts INTEGER NOT NULL DEFAULT 1,
+                note TEXT,
+                reviewer TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS runs (
+                id TEXT PRIMARY KEY,
+                mode TEXT,
+                account TEXT,
+                started_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS run_keyword_decisions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                run_id TEXT NOT NULL,
+                keyword TEXT NOT NULL,
+                decision TEXT NOT NULL,
+                category TEXT,
+                reason TEXT,
+                reviewer TEXT,
+                decided_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (run_id, keyword),
+                FOREIGN KEY (run_id) REFERENCES runs (id)
+            );
+
+            CREATE TABLE IF NOT EXISTS keyword_signoffs (
+                keyword TEXT PRIMARY KEY,
+                status TEXT NOT NULL DEFAULT 'PENDING',
+                flag TEXT,
+                reviewer TEXT,
+                note TEXT,
+                requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                reviewed_at DATETIME
+            );
+
+            CREATE TABLE IF NOT EXISTS lead_provenance (
+                username TEXT PRIMARY KEY COLLATE NOCASE,
+                run_id TEXT,
+                keyword TEXT,
+                search_url TEXT,
+                match_source TEXT,
+                match_text TEXT,
+                match_url TEXT,
+                scraped_at TEXT,
+                lead_id INTEGER,
+                filter_status TEXT,
+                filter_reason TEXT,
+                filter_score INTEGER,
+                filter_rules_version TEXT,
+                filtered_at DATETIME
+            );
+
+            CREATE TABLE IF NOT EXISTS lead_plan_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                run_id TEXT NOT NULL,
+                lead_id INTEGER,
+                username TEXT NOT NULL,
+                activity_type TEXT NOT NULL,
+                keyword TEXT,
+                template_id TEXT,
+                scheduled_for TEXT,
+                priority INTEGER,
+                planned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (run_id, username, activity_type)
+            );
+
             CREATE TABLE IF NOT EXISTS system_stats (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 metric_name TEXT,
@@ -51,9 +197,31 @@ class Database {
 
             CREATE INDEX IF NOT EXISTS idx_leads_status ON leads(filter_status, dm_status);
             CREATE INDEX IF NOT EXISTS idx_activities_date ON activities(performed_at);
+            CREATE INDEX IF NOT EXISTS idx_checkpoints_status ON action_checkpoints(status);
+            CREATE INDEX IF NOT EXISTS idx_plan_entries_username ON lead_plan_entries(username);
         `);
     }
 
+    /**
+     * Adds columns introduced after the first release to databases created by an
+     * older version. CREATE TABLE IF NOT EXISTS leaves existing tables untouched.
+     */
+    async migrateColumns() {
+        const additions = {
+            leads: { last_updated: "DATETIME" },
+            activities: { username: "TEXT", reason: "TEXT", keyword: "TEXT", template_id: "TEXT" }
+        };
+
+        for (const [table, columns] of Object.entries(additions)) {
+            const existing = new Set((await this.db.all(`PRAGMA table_info(${table})`)).map(c => c.name));
+            for (const [column, type] of Object.entries(columns)) {
+                if (!existing.has(column)) {
+                    await this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+                }
+            }
+        }
+    }
+
     async insertLead(leadData) {
         const result = await this.db.run(`
             INSERT OR IGNORE INTO leads 
@@ -87,22 +255,561 @@ class Database {
         `, [status, leadId]);
     }
 
+    /**
+     * Sets a lead's DM status by username, inserting the lead if it was never stored.
+     */
+    async setLeadDMStatus(username, status) {
+        await this.db.run(`
+            INSERT INTO leads (username, dm_status)
+            VALUES (?, ?)
+            ON CONFLICT(username) DO UPDATE SET dm_status = excluded.dm_status, last_updated = CURRENT_TIMESTAMP
+        `, [username, status]);
+    }
+
+    async recordInboundSignal(username, signalType, sourceUrl = null) {
+        await this.db.run(`
+            INSERT OR IGNORE INTO inbound_signals (username, signal_type, source_url)
+            VALUES (?, ?, ?)
+        `, [username, signalType, sourceUrl || '']);
+    }
+
+    /**
+     * @returns {Promise<string|null>} When our latest DM to the user went out, or null if none has.
+     */
+    async getLastDMSentAt(username) {
+        const row = await this.db.get(`
+            SELECT MAX(performed_at) AS sent_at FROM activities
+            WHERE username = ? COLLATE NOCASE AND activity_type = 'dm' AND status = 'SENT'
+        `, [username]);
+        return row ? row.sent_at : null;
+    }
+
+    async getInboundSignals() {
+        return await this.db.all(`
+            SELECT username, signal_type, source_url, recorded_at FROM inbound_signals
+        `);
+    }
+
+    /**
+     * Leads due for engagement. Leads that have had their month's allowance of
+     * public interactions (see ContactCaps) are left out rather than brought back.
+     */
     async getEngagementQueue(limit = 30) {
         return await this.db.all(`
             SELECT * FROM leads 
             WHERE filter_status = 'PASS' 
             AND dm_status = 'NOT_SENT'
             AND (last_engagement_at IS NULL OR last_engagement_at < date('now', '-7 days'))
+            AND (
+                SELECT COUNT(*) FROM activities a
+                WHERE a.username = leads.username AND a.status = 'SENT'
+                AND a.activity_type IN ('like', 'retweet', 'comment')
+                AND a.performed_at > datetime('now', ?)
+            ) < ?
             ORDER BY scraped_at ASC 
             LIMIT ?
+        `, [`-${CONTACT_CAPS.monthDays} days`, CONTACT_CAPS.publicInteractionsPerMonth, limit]);
+    }
+
+    /**
+     * @returns {Promise<number>} The id of the new activities row.
+     */
+    async recordActivity(leadId, activityType, status, errorMessage = null, details = {}) {
+        const result = await this.db.run(`
+            INSERT INTO activities (lead_id, username, activity_type, status, reason, keyword, template_id, error_message)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            leadId,
+            details.username || null,
+            activityType,
+            status,
+            details.reason || null,
+            details.keyword || null,
+            details.templateId || null,
+            errorMessage
+        ]);
+        return result.lastID;
+    }
+
+    /**
+     * Outbound contact for ContactCaps: every DM, and likes, retweets and comments
+     * from the last `days` days.
+     * @param {Array<string>} statuses - Activity statuses that count as contact.
+     */
+    async getContactHistory(statuses, days) {
+        return await this.db.all(`
+            SELECT username, activity_type, performed_at FROM activities
+            WHERE username IS NOT NULL
+            AND status IN (${statuses.map(() => '?').join(', ')})
+            AND (activity_type = 'dm' OR (activity_type IN ('like', 'retweet', 'comment') AND performed_at > datetime('now', ?)))
+        `, [...statuses, `-${days} days`]);
+    }
+
+    async hasActivity(username, activityType, status, reason) {
+        const row = await this.db.get(`
+            SELECT 1 FROM activities
+            WHERE username = ? AND activity_type = ? AND status = ? AND reason IS ?
+            LIMIT 1
+        `, [username, activityType, status, reason]);
+        return Boolean(row);
+    }
+
+    /**
+     * Activities since the given time, with replies attributed to the keyword and
+     * template of the most recent DM we sent that user.
+     */
+    async getRecipientOutcomes(days = 7) {
+        return await this.db.all(`
+            SELECT a.activity_type, a.status, a.error_message, a.username,
+                COALESCE(a.keyword, (
+                    SELECT d.keyword FROM activities d
+                    WHERE d.username = a.username AND d.activity_type = 'dm' AND d.status = 'SENT'
+                    ORDER BY d.performed_at DESC, d.id DESC LIMIT 1
+                )) AS keyword,
+                COALESCE(a.template_id, (
+                    SELECT d.template_id FROM activities d
+                    WHERE d.username = a.username AND d.activity_type = 'dm' AND d.status = 'SENT'
+                    ORDER BY d.performed_at DESC, d.id DESC LIMIT 1
+                )) AS template_id
+            FROM activities a
+            WHERE a.performed_at > datetime('now', ?)
+        `, [`-${days} days`]);
+    }
+
+    async getRecentFailures(limit = 5) {
+        return await this.db.all(`
+            SELECT * FROM activities WHERE status = 'FAILED'
+            ORDER BY performed_at DESC, id DESC LIMIT ?
         `, [limit]);
     }
 
-    async recordActivity(leadId, activityType, status, errorMessage = null) {
+    async createApproval(approval) {
+        const result = await this.db.run(`
+            INSERT INTO approvals (lead_id, username, activity_type, proposed_text, keyword, template_id)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            approval.leadId ?? null,
+            approval.username,
+            approval.activityType,
+            approval.proposedText,
+            approval.keyword || null,
+            approval.templateId || null
+        ]);
+
+        return result.lastID;
+    }
+
+    async getApproval(id) {
+        return await this.db.get(`
+            SELECT * FROM approvals WHERE id = ?
+        `, [id]);
+    }
+
+    /**
+     * The latest approval for a lead and activity type that has not been used up by a send.
+     */
+    async findOpenApproval(username, activityType) {
+        return await this.db.get(`
+            SELECT * FROM approvals
+            WHERE username = ? AND activity_type = ? AND status IN ('PENDING', 'APPROVED', 'REJECTED')
+            ORDER BY id DESC LIMIT 1
+        `, [username, activityType]);
+    }
+
+    async getApprovals(status = null) {
+        if (status) {
+            return await this.db.all(`
+                SELECT * FROM approvals WHERE status = ? ORDER BY created_at ASC, id ASC
+            `, [status]);
+        }
+        return await this.db.all(`
+            SELECT * FROM approvals ORDER BY created_at ASC, id ASC
+        `);
+    }
+
+    async reviewApproval(id, status, { approvedText = null, reviewer = null, note = null } = {}) {
+        const result = await this.db.run(`
+            UPDATE approvals
+            SET status = ?, approved_text = ?, reviewer = ?, review_note = ?, reviewed_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'PENDING'
+        `, [status, approvedText, reviewer, note, id]);
+
+        return result.changes > 0;
+    }
+
+    async markApprovalSent(id) {
         await this.db.run(`
-            INSERT INTO activities (lead_id, activity_type, status, error_message)
+            UPDATE approvals SET status = 'SENT', sent_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'APPROVED'
+        `, [id]);
+    }
+
+    /**
+     * Inserts a PENDING checkpoint, or returns null if one with the key already exists.
+     */
+    async insertCheckpoint({ key, runId, activityId = null, leadId = null, username, activityType, dryRun = false }) {
+        const result = await this.db.run(`
+            INSERT OR IGNORE INTO action_checkpoints (idempotency_key, run_id, activity_id, lead_id, username, activity_type, dry_run)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [key, runId, activityId, leadId ?? null, username, activityType, dryRun ? 1 : 0]);
+
+        return result.changes > 0 ? result.lastID : null;
+    }
+
+    async getCheckpointByKey(key) {
+        return await this.db.get(`SELECT * FROM action_checkpoints WHERE idempotency_key = ?`, [key]);
+    }
+
+    async getCheckpoint(id) {
+        return await this.db.get(`SELECT * FROM action_checkpoints WHERE id = ?`, [id]);
+    }
+
+    /**
+     * The oldest checkpoint awaiting manual review for a lead and activity type.
+     */
+    async findReviewCheckpoint(username, activityType, dryRun) {
+        return await this.db.get(`
+            SELECT * FROM action_checkpoints
+            WHERE username = ? COLLATE NOCASE AND activity_type = ? AND dry_run = ? AND status = 'REVIEW'
+            ORDER BY id ASC LIMIT 1
+        `, [username, activityType, dryRun ? 1 : 0]);
+    }
+
+    /**
+     * Takes over a checkpoint whose earlier attempt is known not to have gone out.
+     */
+    async rearmCheckpoint(id, runId, activityId = null) {
+        const result = await this.db.run(`
+            UPDATE action_checkpoints
+            SET status = 'PENDING', run_id = ?, activity_id = ?, attempts = attempts + 1, note = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status IN ('FAILED', 'SKIPPED', 'ABANDONED')
+        `, [runId, activityId, id]);
+
+        return result.changes > 0;
+    }
+
+    async updateCheckpointStatus(id, status, note = null) {
+        await this.db.run(`
+            UPDATE action_checkpoints SET status = ?, note = COALESCE(?, note), updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `, [status, note, id]);
+    }
+
+    /**
+     * Moves checkpoints left behind by other runs out of their in-between states:
+     * PENDING ones never reached Twitter and are ABANDONED, SENDING ones may have
+     * and go to REVIEW.
+     * @returns {Promise<Array<object>>} The checkpoints that now need review.
+     */
+    async recoverCheckpoints(runId) {
+        const review = await this.db.all(`
+            SELECT * FROM action_checkpoints WHERE status = 'SENDING' AND run_id != ? ORDER BY id ASC
+        `, [runId]);
+        await this.db.run(`
+            UPDATE action_checkpoints
+            SET status = 'REVIEW', note = 'Process stopped while the action was being sent', updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'SENDING' AND run_id != ?
+        `, [runId]);
+        const abandoned = await this.db.run(`
+            UPDATE action_checkpoints
+            SET status = 'ABANDONED', note = 'Process stopped before the action was sent', updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'PENDING' AND run_id != ?
+        `, [runId]);
+
+        return { review: review.map(row => ({ ...row, status: 'REVIEW' })), abandoned: abandoned.changes };
+    }
+
+    async getCheckpointsByStatus(status) {
+        return await this.db.all(`SELECT * FROM action_checkpoints WHERE status = ? ORDER BY id ASC`, [status]);
+    }
+
+    async resolveCheckpoint(id, status, reviewer, note) {
+        const result = await this.db.run(`
+            UPDATE action_checkpoints SET status = ?, reviewer = ?, note = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'REVIEW'
+        `, [status, reviewer, note, id]);
+
+        return result.changes > 0;
+    }
+
+    async recordRun({ id, mode = null, account = null }) {
+        await this.db.run(`
+            INSERT OR IGNORE INTO runs (id, mode, account) VALUES (?, ?, ?)
+        `, [id, mode, account]);
+    }
+
+    async getRun(id) {
+        const run = await this.db.get(`SELECT * FROM runs WHERE id = ?`, [id]);
+        if (!run) return null;
+        run.keywordDecisions = await this.db.all(`SELECT * FROM run_keyword_decisions WHERE run_id = ? ORDER BY id`, [id]);
+        return run;
+    }
+
+    async getRecentRuns(limit = 10) {
+        return await this.db.all(`SELECT * FROM runs ORDER BY started_at DESC, rowid DESC LIMIT ?`, [limit]);
+    }
+
+    /**
+     * Stores the keyword gate's decisions with the run. A later cycle of the same
+     * run replaces a keyword's earlier decision, e.g. once it has been signed off.
+     */
+    async recordKeywordDecisions(runId, decisions) {
+        await this.recordRun({ id: runId });
+        for (const decision of decisions) {
+            await this.db.run(`
+                INSERT INTO run_keyword_decisions (run_id, keyword, decision, category, reason, reviewer)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT(run_id, keyword) DO UPDATE SET
+                    decision = excluded.decision,
+                    category = excluded.category,
+                    reason = excluded.reason,
+                    reviewer = excluded.reviewer,
+                    decided_at = CURRENT_TIMESTAMP
+            `, [runId, decision.keyword, decision.decision, decision.category || null, decision.reason, decision.reviewer || null]);
+        }
+    }
+
+    async getKeywordSignoff(keyword) {
+        return await this.db.get(`SELECT * FROM keyword_signoffs WHERE keyword = ?`, [keyword]);
+    }
+
+    async requestKeywordSignoff(keyword, flag = null) {
+        await this.db.run(`
+            INSERT OR IGNORE INTO keyword_signoffs (keyword, flag) VALUES (?, ?)
+        `, [keyword, flag]);
+    }
+
+    async reviewKeywordSignoff(keyword, status, reviewer = null, note = null) {
+        await this.db.run(`
+            INSERT INTO keyword_signoffs (keyword, status, reviewer, note, reviewed_at)
+            VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(keyword) DO UPDATE SET
+                status = excluded.status,
+                reviewer = excluded.reviewer,
+                note = excluded.note,
+                reviewed_at = CURRENT_TIMESTAMP
+        `, [keyword, status, reviewer, note]);
+    }
+
+    async getKeywordSignoffs(status = null) {
+        if (status) {
+            return await this.db.all(`SELECT * FROM keyword_signoffs WHERE status = ? ORDER BY requested_at ASC, rowid ASC`, [status]);
+        }
+        return await this.db.all(`SELECT * FROM keyword_signoffs ORDER BY requested_at ASC, rowid ASC`);
+    }
+
+    /**
+     * Records where a lead came from. A later scrape of the same account replaces
+     * the earlier one and clears its filter decision.
+     */
+    async recordLeadScrape({ username, runId, keyword, searchUrl = null, match = {}, scrapedAt }) {
+        await this.db.run(`
+            INSERT INTO lead_provenance (username, run_id, keyword, search_url, match_source, match_text, match_url, scraped_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(username) DO UPDATE SET
+                run_id = excluded.run_id,
+                keyword = excluded.keyword,
+                search_url = excluded.search_url,
+                match_source = excluded.match_source,
+                match_text = excluded.match_text,
+                match_url = excluded.match_url,
+                scraped_at = excluded.scraped_at,
+                lead_id = NULL,
+                filter_status = NULL,
+                filter_reason = NULL,
+                filter_score = NULL,
+                filter_rules_version = NULL,
+                filtered_at = NULL
+        `, [username, runId, keyword, searchUrl, match.source || null, match.text || null, match.url || null, scrapedAt]);
+    }
+
+    async recordLeadFilter({ username, leadId, status, reason, score = null, rulesVersion }) {
+        await this.db.run(`
+            INSERT INTO lead_provenance (username, lead_id, filter_status, filter_reason, filter_score, filter_rules_version, filtered_at)
+            VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(username) DO UPDATE SET
+                lead_id = excluded.lead_id,
+                filter_status = excluded.filter_status,
+                filter_reason = excluded.filter_reason,
+                filter_score = excluded.filter_score,
+                filter_rules_version = excluded.filter_rules_version,
+                filtered_at = CURRENT_TIMESTAMP
+        `, [username, leadId, status, reason, score, rulesVersion]);
+    }
+
+    /**
+     * Keeps the first plan entry per lead and activity type for each run; later
+     * cycles of the run plan the same activity again until it has run.
+     */
+    async recordPlanEntries(runId, entries) {
+        for (const entry of entries) {
+            await this.db.run(`
+                INSERT OR IGNORE INTO lead_plan_entries (run_id, lead_id, username, activity_type, keyword, template_id, scheduled_for, priority)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [runId, entry.leadId || null, entry.username, entry.type, entry.keyword || null, entry.templateId || null, entry.scheduledTime || null, entry.priority || null]);
+        }
+    }
+
+    async addHealthPause(dimension, value, reason) {
+        await this.db.run(`
+            INSERT INTO health_pauses (dimension, value, reason) VALUES (?, ?, ?)
+        `, [dimension, value, reason]);
+    }
+
+    async resumeHealthPause(dimension, value) {
+        const result = await this.db.run(`
+            UPDATE health_pauses SET resumed_at = CURRENT_TIMESTAMP
+            WHERE dimension = ? AND value = ? AND resumed_at IS NULL
+        `, [dimension, value]);
+
+        return result.changes > 0;
+    }
+
+    async getActiveHealthPauses() {
+        return await this.db.all(`
+            SELECT * FROM health_pauses WHERE resumed_at IS NULL ORDER BY paused_at ASC
+        `);
+    }
+
+    async addSuppression(username, reason, source = null, notes = null) {
+        await this.db.run(`
+            INSERT INTO suppression_list (username, reason, source, notes)
             VALUES (?, ?, ?, ?)
-        `, [leadId, activityType, status, errorMessage]);
+            ON CONFLICT(username) DO UPDATE SET
+                reason = excluded.reason,
+                source = excluded.source,
+                notes = excluded.notes
+        `, [username, reason, source, notes]);
+    }
+
+    async removeSuppression(username) {
+        const result = await this.db.run(`
+            DELETE FROM suppression_list WHERE username = ?
+        `, [username]);
+
+        return result.changes > 0;
+    }
+
+    async getSuppression(username) {
+        return await this.db.get(`
+            SELECT * FROM suppression_list WHERE username = ?
+        `, [username]);
+    }
+
+    async getAllSuppressions() {
+        return await this.db.all(`
+            SELECT * FROM suppression_list ORDER BY created_at ASC
+        `);
+    }
+
+    /**
+     * @returns {Promise<Set<string>>} Lowercase usernames we have sent a DM, like, retweet or comment to.
+     */
+    async getEngagedUsernames() {
+        const rows = await this.db.all(`
+            SELECT DISTINCT LOWER(username) AS username FROM activities
+            WHERE status = 'SENT' AND username IS NOT NULL
+        `);
+        return new Set(rows.map(row => row.username));
+    }
+
+    /**
+     * Every row about one account, for data export requests. Rows written before
+     * activities carried a username are found through their sheet lead ids.
+     */
+    async findRecordsByUsername(username, leadIds = []) {
+        const byLeadId = leadIds.length > 0 ? ` OR lead_id IN (${leadIds.map(() => '?').join(', ')})` : '';
+        return {
+            leads: await this.db.all(`SELECT * FROM leads WHERE username = ? COLLATE NOCASE`, [username]),
+            activities: await this.db.all(`SELECT * FROM activities WHERE username = ? COLLATE NOCASE${byLeadId} ORDER BY id`, [username, ...leadIds]),
+            approvals: await this.db.all(`SELECT * FROM approvals WHERE username = ? COLLATE NOCASE${byLeadId} ORDER BY id`, [username, ...leadIds]),
+            inboundSignals: await this.db.all(`SELECT * FROM inbound_signals WHERE username = ? COLLATE NOCASE`, [username]),
+            actionCheckpoints: await this.db.all(`SELECT * FROM action_checkpoints WHERE username = ? COLLATE NOCASE ORDER BY id`, [username]),
+            provenance: (await this.db.get(`SELECT * FROM lead_provenance WHERE username = ?`, [username])) || null,
+            planEntries: await this.db.all(`SELECT * FROM lead_plan_entries WHERE username = ? COLLATE NOCASE ORDER BY id`, [username]),
+            suppression: (await this.getSuppression(username)) || null
+        };
+    }
+
+    /**
+     * Removes personal data about one account. Anonymising keeps activity statuses,
+     * keywords and template ids (the recipient-health stats) without the username;
+     * purging deletes the rows. The suppression list entry is never touched.
+     * @returns {Promise<object>} Rows changed per table.
+     */
+    async eraseUsername(username, { anonymise = false, leadIds = [] } = {}) {
+        const byLeadId = leadIds.length > 0 ? ` OR lead_id IN (${leadIds.map(() => '?').join(', ')})` : '';
+        const params = [username, ...leadIds];
+
+        const leads = anonymise
+            ? await this.db.run(`
+                UPDATE leads SET username = 'erased:' || id, profile_url = NULL, bio = NULL, followers_count = NULL
+                WHERE username = ? COLLATE NOCASE`, [username])
+            : await this.db.run(`DELETE FROM leads WHERE username = ? COLLATE NOCASE`, [username]);
+        const activities = anonymise
+            ? await this.db.run(`UPDATE activities SET username = NULL, lead_id = NULL WHERE username = ? COLLATE NOCASE${byLeadId}`, params)
+            : await this.db.run(`DELETE FROM activities WHERE username = ? COLLATE NOCASE${byLeadId}`, params);
+        const approvals = anonymise
+            ? await this.db.run(`
+                UPDATE approvals SET username = '', lead_id = NULL, proposed_text = '', approved_text = NULL, review_note = NULL,
+                    status = CASE WHEN status = 'SENT' THEN status ELSE 'REJECTED' END
+                WHERE username = ? COLLATE NOCASE${byLeadId}`, params)
+            : await this.db.run(`DELETE FROM approvals WHERE username = ? COLLATE NOCASE${byLeadId}`, params);
+        const inboundSignals = await this.db.run(`DELETE FROM inbound_signals WHERE username = ? COLLATE NOCASE`, [username]);
+        const actionCheckpoints = await this.db.run(`DELETE FROM action_checkpoints WHERE username = ? COLLATE NOCASE`, [username]);
+        const provenance = await this.db.run(`DELETE FROM lead_provenance WHERE username = ?`, [username]);
+        const planEntries = await this.db.run(`DELETE FROM lead_plan_entries WHERE username = ? COLLATE NOCASE`, [username]);
+
+        return {
+            leads: leads.changes,
+            activities: activities.changes,
+            approvals: approvals.changes,
+            inboundSignals: inboundSignals.changes,
+            actionCheckpoints: actionCheckpoints.changes,
+            provenance: provenance.changes,
+            planEntries: planEntries.changes
+        };
+    }
+
+    async recordScreenshot({ id, runId, label, username = null, file, expiresAt }) {
+        await this.db.run(`
+            INSERT INTO screenshots (id, run_id, label, username, file, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [id, runId, label, username, file, expiresAt]);
+    }
+
+    async linkScreenshotToActivity(screenshotId, activityId) {
+        await this.db.run(`UPDATE screenshots SET activity_id = ? WHERE id = ?`, [activityId, screenshotId]);
+    }
+
+    /**
+     * Screenshots with the activity they belong to, newest first.
+     */
+    async getScreenshots(limit = 100) {
+        return await this.db.all(`
+            SELECT s.*, a.activity_type, a.status AS activity_status, a.error_message
+            FROM screenshots s LEFT JOIN activities a ON a.id = s.activity_id
+            ORDER BY s.created_at DESC, s.rowid DESC
+            LIMIT ?
+        `, [limit]);
+    }
+
+    async getScreenshot(id) {
+        return await this.db.get(`
+            SELECT s.*, a.activity_type, a.status AS activity_status, a.error_message
+            FROM screenshots s LEFT JOIN activities a ON a.id = s.activity_id
+            WHERE s.id = ?
+        `, [id]);
+    }
+
+    async getScreenshotsByUsername(username) {
+        return await this.db.all(`SELECT * FROM screenshots WHERE username = ? COLLATE NOCASE ORDER BY created_at`, [username]);
+    }
+
+    async getExpiredScreenshots(now) {
+        return await this.db.all(`SELECT * FROM screenshots WHERE expires_at <= ?`, [now]);
+    }
+
+    async deleteScreenshot(id) {
+        await this.db.run(`DELETE FROM screenshots WHERE id = ?`, [id]);
     }
 
     async getStats(days = 7) {
@@ -128,5 +835,13 @@ class Database {
 
         return { ...stats, activities: activityStats };
     }
+
+    async close() {
+        if (this.db) {
+            await this.db.close();
+            this.db = null;
+        }
+    }
 }
 
+module.exports = { Database };
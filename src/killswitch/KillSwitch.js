@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const KILL_SWITCH_STATES = {
+    RUN: 'RUN',
+    PAUSE: 'PAUSE', // Hold the loop; the browser session stays open
+    STOP: 'STOP'    // Stop the loop and shut down
+};
+
+// Higher wins when sources disagree.
+const SEVERITY = { RUN: 0, PAUSE: 1, STOP: 2 };
+
+function normalizeState(value) {
+    const state = String(value || '').trim().toUpperCase();
+    if (!SEVERITY.hasOwnProperty(state)) {
+        throw new Error(`Invalid kill switch value "${value}"`);
+    }
+    return state;
+}
+
+/**
+ * Reads the 'Kill Switch' cell of the Control sheet (Google or local backend).
+ *
+ * Long waits re-check the kill switch every few seconds, so a read is reused for
+ * `cacheTtl` ms to stay inside the Sheets API quota; a change made in the sheet is
+ * seen within that time. Failed reads are not cached. Logs only when the value changes.
+ */
+class SheetKillSwitchSource {
+    constructor(sheetsManager, { cacheTtl = 30000 } = {}) {
+        this.name = 'sheet';
+        this.sheetsManager = sheetsManager;
+        this.cacheTtl = cacheTtl;
+        this.value = null;
+        this.readAt = 0;
+    }
+
+    async read() {
+        if (this.value !== null && Date.now() - this.readAt < this.cacheTtl) {
+            return this.value;
+        }
+        this.remember(await this.sheetsManager.getKillSwitchStatus());
+        return this.value;
+    }
+
+    async write(status, reason) {
+        await this.sheetsManager.setKillSwitchStatus(status, reason);
+        this.remember(status);
+    }
+
+    remember(value) {
+        if (value !== this.value) {
+            console.log(`🔄 Kill switch sheet status: ${value}`);
+        }
+        this.value = value;
+        this.readAt = Date.now();
+    }
+}
+
+/**
+ * Polls the kill switch server (kill_switch_server.js), which answers GET with { status }.
+ * A 401/403 (missing or wrong KILL_SWITCH_TOKEN) is an unreadable source, so it means STOP.
+ */
+class HttpKillSwitchSource {
+    constructor(url, timeout = 5000, token = null) {
+        if (!url) throw new Error('The http kill switch source needs a URL (KILL_SWITCH_URL).');
+        this.name = 'http';
+        this.url = url;
+        this.timeout = timeout;
+        this.token = token;
+    }
+
+    async read() {
+        const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {};
+        const response = await axios.get(this.url, { timeout: this.timeout, headers });
+        return response.data.status;
+    }
+}
+
+/**
+ * Reads a local file whose first line is RUN, PAUSE or STOP. A missing file means RUN,
+ * so `echo STOP > data/KILL_SWITCH` works even when the sheet and network are down.
+ */
+class FileKillSwitchSource {
+    constructor(filePath) {
+        this.name = 'file';
+        this.filePath = filePath;
+    }
+
+    async read() {
+        if (!fs.existsSync(this.filePath)) return KILL_SWITCH_STATES.RUN;
+        return fs.readFileSync(this.filePath, 'utf8').split('\n')[0];
+    }
+
+    async write(status, reason) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, reason ? `${status}\n${reason}\n` : `${status}\n`);
+    }
+}
+
+/**
+ * Driven by process signals: SIGUSR1 toggles PAUSE/RUN, SIGUSR2 sets STOP.
+ * The signal handlers are installed by start() and removed by stop().
+ */
+class SignalKillSwitchSource {
+    constructor(processRef = process) {
+        this.name = 'signal';
+        this.process = processRef;
+        this.state = KILL_SWITCH_STATES.RUN;
+        this.listening = false;
+        this.onPauseToggle = () => {
+            this.state = this.state === KILL_SWITCH_STATES.PAUSE ? KILL_SWITCH_STATES.RUN : KILL_SWITCH_STATES.PAUSE;
+            console.log(`📶 SIGUSR1 received, kill switch signal source is now ${this.state}`);
+        };
+        this.onStop = () => {
+            this.state = KILL_SWITCH_STATES.STOP;
+            console.log('📶 SIGUSR2 received, kill switch signal source is now STOP');
+        };
+    }
+
+    start() {
+        if (this.listening) return;
+        this.process.on('SIGUSR1', this.onPauseToggle);
+        this.process.on('SIGUSR2', this.onStop);
+        this.listening = true;
+    }
+
+    async read() {
+        return this.state;
+    }
+
+    stop() {
+        this.process.removeListener('SIGUSR1', this.onPauseToggle);
+        this.process.removeListener('SIGUSR2', this.onStop);
+        this.listening = false;
+    }
+}
+
+/**
+ * Combines every configured kill switch source into a single status.
+ *
+ * The most restrictive answer wins (STOP over PAUSE over RUN). A source that
+ * cannot be read, or returns anything other than RUN/PAUSE/STOP, counts as STOP:
+ * when we cannot tell whether the operator wants us to stop, we stop.
+ */
+class KillSwitch {
+    constructor(sources = []) {
+        if (sources.length === 0) {
+            throw new Error('The kill switch needs at least one source.');
+        }
+        this.sources = sources;
+    }
+
+    /**
+     * Reads every source in parallel.
+     * @returns {Promise<{status: string, source: string|null, reason: string|null}>}
+     */
+    async getStatus() {
+        const results = await Promise.all(this.sources.map(async source => {
+            try {
+                const status = normalizeState(await source.read());
+                return { status, source: source.name, reason: status === KILL_SWITCH_STATES.RUN ? null : `${source.name} source is ${status}` };
+            } catch (error) {
+                return { status: KILL_SWITCH_STATES.STOP, source: source.name, reason: `${source.name} source unreachable: ${error.message}` };
+            }
+        }));
+
+        return results.reduce((worst, result) =>
+            SEVERITY[result.status] > SEVERITY[worst.status] ? result : worst,
+            { status: KILL_SWITCH_STATES.RUN, source: null, reason: null }
+        );
+    }
+
+    /**
+     * Lets the system flip the switch itself (e.g. the health monitor pausing). Writes
+     * to the first writable source in the configured order, so the operator sees the
+     * change where they would normally look and resumes it there.
+     * @param {string} status - RUN, PAUSE or STOP.
+     * @param {string} reason - Shown next to the switch where the source supports it.
+     * @returns {Promise<string>} The name of the source written to.
+     */
+    async setStatus(status, reason) {
+        const source = this.sources.find(candidate => typeof candidate.write === 'function');
+        if (!source) {
+            throw new Error('No writable kill switch source is configured (use sheet or file).');
+        }
+        await source.write(normalizeState(status), reason);
+        return source.name;
+    }
+
+    /**
+     * Starts the sources that listen for something (signals); call close() when done.
+     */
+    start() {
+        for (const source of this.sources) {
+            if (typeof source.start === 'function') source.start();
+        }
+    }
+
+    close() {
+        for (const source of this.sources) {
+            if (typeof source.stop === 'function') source.stop();
+        }
+    }
+}
+
+/**
+ * Builds a KillSwitch from the `killSwitch` config section.
+ * @param {object} killSwitchConfig - { sources, filePath, httpUrl, httpToken, httpTimeout, sheetCacheTtl }
+ * @param {object} deps - { sheetsManager }
+ * @returns {KillSwitch}
+ */
+function createKillSwitch(killSwitchConfig, { sheetsManager } = {}) {
+    const sources = killSwitchConfig.sources.map(name => {
+        switch (name) {
+            case 'sheet':
+                return new SheetKillSwitchSource(sheetsManager, { cacheTtl: killSwitchConfig.sheetCacheTtl });
+            case 'http':
+                return new HttpKillSwitchSource(killSwitchConfig.httpUrl, killSwitchConfig.httpTimeout, killSwitchConfig.httpToken);
+            case 'file':
+                return new FileKillSwitchSource(killSwitchConfig.filePath);
+            case 'signal':
+                return new SignalKillSwitchSource();
+            default:
+                throw new Error(`Unknown kill switch source "${name}"`);
+        }
+    });
+    return new KillSwitch(sources);
+}
+
+module.exports = {
+    KILL_SWITCH_STATES,
+    KillSwitch,
+    SheetKillSwitchSource,
+    HttpKillSwitchSource,
+    FileKillSwitchSource,
+    SignalKillSwitchSource,
+    createKillSwitch
+};
@@ -2,15 +2,20 @@ require("dotenv").config();
 const { TwitterBot } = require("./TwitterBot");
 const { MockLeadScraper } = require('./MockLeadScraper'); // Use mock instead of real scraper
 const { GoogleSheetsManager } = require('./GoogleSheetsManager');
+const { LocalSheetsManager } = require('./LocalSheetsManager');
 const { FilterEngine } = require('./FilterEngine');
 const { EngagementScheduler } = require('./EngagementScheduler');
 const config = require('./config/config.js');
+const { createKillSwitch, KILL_SWITCH_STATES } = require('./killswitch/KillSwitch.js');
 
 class TwitterAutomationSystem {
     constructor() {
         this.twitterBot = null;
         this.leadScraper = new MockLeadScraper(); // Use mock scraper for testing
-        this.sheetsManager = new GoogleSheetsManager(config.googleSheets);
+        this.sheetsManager = config.googleSheets.backend === 'local'
+            ? new LocalSheetsManager(config.googleSheets)
+            : new GoogleSheetsManager(config.googleSheets);
+        this.killSwitch = createKillSwitch(config.killSwitch, { sheetsManager: this.sheetsManager });
         this.filterEngine = new FilterEngine(config.filterRules);
         this.scheduler = new EngagementScheduler();
         this.isRunning = false;
@@ -20,6 +25,7 @@ class TwitterAutomationSystem {
         console.log('🚀 Starting Twitter Automation System (TEST MODE)...');
         console.log('==========================================');
         this.isRunning = true;
+        this.killSwitch.start();
         
         try {
             // Initialize components one by one with proper error handling
@@ -54,7 +60,7 @@ class TwitterAutomationSystem {
     async ensureTwitterBotReady() {
         if (!this.twitterBot) {
             console.log('🔐 Initializing Twitter Bot for engagement...');
-            this.twitterBot = new TwitterBot(config.twitter);
+            this.twitterBot = new TwitterBot(config.twitter, { disclosure: config.disclosure });
             await this.twitterBot.initialize();
             console.log('✅ Twitter Bot initialized and ready');
         }
@@ -299,22 +305,17 @@ class TwitterAutomationSystem {
     }
 
     async checkKillSwitch() {
-        try {
-            const killSwitchValue = await this.sheetsManager.getKillSwitchStatus();
-            if (killSwitchValue === 'STOP') {
-                console.log('🛑 Kill switch is set to STOP');
-                return true;
-            } else if (killSwitchValue === 'PAUSE') {
-                console.log('⏸️ Kill switch is set to PAUSE - waiting...');
-                // Wait and check again
-                await this.sleep(60000); // Wait 1 minute
-                return await this.checkKillSwitch();
-            }
-            return false;
-        } catch (error) {
-            console.log('⚠️ Could not check kill switch, continuing operation...', error.message);
-            return false; // If check fails, continue running (fail-safe)
+        const { status, reason } = await this.killSwitch.getStatus();
+        if (status === KILL_SWITCH_STATES.STOP) {
+            console.log(`🛑 Kill switch is set to STOP (${reason})`);
+            return true;
+        } else if (status === KILL_SWITCH_STATES.PAUSE) {
+            console.log(`⏸️ Kill switch is set to PAUSE (${reason}) - waiting...`);
+            // Wait and check again
+            await this.sleep(config.killSwitch.pausePollInterval);
+            return await this.checkKillSwitch();
         }
+        return false;
     }
 
     randomDelay(min, max) {
@@ -350,6 +351,7 @@ class TwitterAutomationSystem {
             console.error('❌ Error closing Sheets manager:', error.message);
         }
         
+        this.killSwitch.close();
         console.log('✅ System shutdown complete');
         console.log('==========================================');
     }
@@ -2,76 +2,238 @@
 require("dotenv").config();
 
 // Import configuration and core components
+const crypto = require('crypto');
 const config = require('./config/config.js');
+const { withOverrides, checkRequired } = require('./config/ConfigLoader.js');
+const logger = require('./utils/Logger.js');
 const { TwitterBot } = require('./TwitterBot.js');
 const { LeadScraper } = require('./LeadScraper.js'); // For real mode
 const { MockLeadScraper } = require('./mockleadscraper.js'); // For demo mode - FIX: Corrected filename case
+const { DryRunTwitterBot } = require('./DryRunTwitterBot.js'); // For dry-run mode
 const { GoogleSheetsManager } = require('./GoogleSheetsManager.js');
+const { LocalSheetsManager } = require('./LocalSheetsManager.js'); // Offline sheet backend
 const { FilterEngine } = require('./FilterEngine.js');
 const { EngagementScheduler } = require('./EngagementScheduler.js');
+const { Database } = require('./database/Database.js');
+const { SuppressionList, SUPPRESSION_REASONS } = require('./compliance/SuppressionList.js');
+const { ContactCaps } = require('./compliance/ContactCaps.js');
+const { ReplyIngestor } = require('./compliance/ReplyIngestor.js');
+const { OutreachPolicy, OUTREACH_MODES } = require('./compliance/OutreachPolicy.js');
+const { createKillSwitch, KILL_SWITCH_STATES } = require('./killswitch/KillSwitch.js');
+const { AuditTrail, AUDIT_RESULTS } = require('./compliance/AuditTrail.js');
+const { ApprovalQueue } = require('./compliance/ApprovalQueue.js');
+const { MessagePolicy } = require('./compliance/MessagePolicy.js');
+const { DisclosurePolicy } = require('./compliance/DisclosurePolicy.js');
+const { DataRetention } = require('./compliance/DataRetention.js');
+const { ScreenshotStore } = require('./compliance/ScreenshotStore.js');
+const { RecipientHealthMonitor, HEALTH_DIMENSIONS, HEALTH_SIGNALS, classifyOutcome } = require('./compliance/RecipientHealthMonitor.js');
+const { ActionJournal, CHECKPOINT_STATUSES } = require('./queue/ActionJournal.js');
+const { KeywordPolicy, KEYWORD_DECISIONS } = require('./compliance/KeywordPolicy.js');
+const { LeadProvenance } = require('./compliance/LeadProvenance.js');
 
 class TwitterAutomationSystem {
     constructor(userConfig = {}) {
-        // Merge user-provided config with base config
-        // This allows the UI to override credentials, keywords, etc.
-        const dynamicConfig = { ...config };
-        dynamicConfig.twitter.username = userConfig.twitterUsername || config.twitter.username;
-        dynamicConfig.twitter.password = userConfig.twitterPassword || config.twitter.password; // FIX: Corrected typo from user-giconfig
-        dynamicConfig.scraping.keywords = userConfig.keywords || config.scraping.keywords;
-        dynamicConfig.messageTemplates = userConfig.messageTemplates || config.messageTemplates;
+        // This run's own settings: the shared config plus what the UI passed in.
+        // `overrides` takes any setting in the shape of config.js.
+        this.config = withOverrides(config, userConfig.overrides, {
+            twitter: { username: userConfig.twitterUsername || undefined, password: userConfig.twitterPassword || undefined },
+            scraping: { keywords: userConfig.keywords || undefined },
+            messageTemplates: userConfig.messageTemplates || undefined,
+            messagePolicy: { senderName: userConfig.senderName || undefined },
+            disclosure: { businessName: userConfig.senderName || undefined },
+            dryRun: { enabled: userConfig.dryRun }
+        });
         this.isDemo = userConfig.isDemo || false;
+        // Tags every log line, audit record and screenshot directory of this run
+        this.runId = ScreenshotStore.newRunId();
+        this.isDryRun = !this.isDemo && this.config.dryRun.enabled;
 
         // Initialize all components
-        this.scheduler = new EngagementScheduler(dynamicConfig);
-        this.filterEngine = new FilterEngine(dynamicConfig.filterRules);
-        this.sheetsManager = new GoogleSheetsManager(dynamicConfig.googleSheets);
+        this.scheduler = new EngagementScheduler(this.config);
+        this.filterEngine = new FilterEngine(this.config.filterRules, { jurisdiction: this.config.jurisdiction });
+        this.sheetsManager = this.config.googleSheets.backend === 'local'
+            ? new LocalSheetsManager(this.config.googleSheets)
+            : new GoogleSheetsManager(this.config.googleSheets);
+        this.database = new Database(this.config.database.path);
+        this.suppressionList = new SuppressionList(this.database);
+        this.scheduler.setSuppressionList(this.suppressionList);
+        this.outreachPolicy = new OutreachPolicy(this.config.outreach, this.database);
+        this.scheduler.setOutreachPolicy(this.outreachPolicy);
+        this.healthMonitor = new RecipientHealthMonitor(this.config.health, this.database);
+        this.scheduler.setHealthMonitor(this.healthMonitor);
+        // Dry runs count their own recorded actions, so they plan what a live run would.
+        this.contactCaps = new ContactCaps(this.database, { statuses: this.isDryRun ? ['SENT', 'DRY_RUN'] : ['SENT'] });
+        this.scheduler.setContactCaps(this.contactCaps);
+        this.killSwitch = createKillSwitch(this.config.killSwitch, { sheetsManager: this.sheetsManager });
+        this.auditTrail = new AuditTrail(this.config.audit.trailFile);
+        this.messagePolicy = new MessagePolicy(this.config.messagePolicy);
+        this.scheduler.setMessagePolicy(this.messagePolicy);
+        this.disclosurePolicy = new DisclosurePolicy(this.config.disclosure);
+        this.scheduler.setDisclosurePolicy(this.disclosurePolicy);
+        this.approvalQueue = new ApprovalQueue(this.database, { messagePolicy: this.messagePolicy, disclosurePolicy: this.disclosurePolicy });
+        this.accountName = this.config.twitter.username;
+        this.screenshotStore = new ScreenshotStore(this.config.screenshots, { database: this.database, runId: this.runId });
+        this.dataRetention = new DataRetention(this.config.retention, {
+            sheetsManager: this.sheetsManager,
+            database: this.database,
+            suppressionList: this.suppressionList,
+            auditTrail: this.auditTrail,
+            screenshotStore: this.screenshotStore
+        });
+        this.lastRetentionRun = 0;
+        // Checkpoints every outbound action so a crash never leads to a second send
+        this.actionJournal = new ActionJournal(this.database, { runId: this.runId, dryRun: this.isDryRun });
+        // Every scraping keyword passes the targeting policy and an operator sign-off first
+        this.keywordPolicy = new KeywordPolicy(this.database);
+        this.allowedKeywords = [];
+        // Why each lead was contacted: scrape match, filter decision, plan entries and approvals
+        this.leadProvenance = new LeadProvenance(this.database);
+
+        // The job queue is optional and only created when Redis is configured. Without
+        // processors: queued jobs would go out without the checks in executeActivity(),
+        // so it is only used to cancel jobs for leads who opt out.
+        if (this.config.queue.redisUrl) {
+            const { JobQueue } = require('./queue/JobQueue.js');
+            this.jobQueue = new JobQueue(this.config.queue.redisUrl, { processors: false });
+        } else {
+            this.jobQueue = null;
+        }
 
         // Conditionally initialize scraper and bot based on mode
         if (this.isDemo) {
-            console.log("🤖 Running in DEMO MODE. Using mock scraper and skipping login.");
+            logger.info("🤖 Running in DEMO MODE. Using mock scraper and skipping login.");
             this.leadScraper = new MockLeadScraper();
             this.twitterBot = null; // No real bot needed for the demo
+            this.replyIngestor = null; // No DM threads to read without a bot
         } else {
-            this.leadScraper = new LeadScraper();
-            this.twitterBot = new TwitterBot(dynamicConfig.twitter);
+            if (this.isDryRun) {
+                logger.info("🧪 Running in DRY-RUN MODE. Using mock scraper; actions are recorded, not sent.");
+                this.leadScraper = new MockLeadScraper();
+                this.twitterBot = new DryRunTwitterBot(this.config.dryRun, { disclosure: this.config.disclosure });
+            } else {
+                this.leadScraper = new LeadScraper({ screenshots: this.screenshotStore });
+                this.twitterBot = new TwitterBot(this.config.twitter, {
+                    disclosure: this.config.disclosure,
+                    screenshots: this.screenshotStore
+                });
+            }
+            this.replyIngestor = new ReplyIngestor({
+                twitterBot: this.twitterBot,
+                sheetsManager: this.sheetsManager,
+                database: this.database,
+                suppressionList: this.suppressionList,
+                outreachPolicy: this.outreachPolicy,
+                jobQueue: this.jobQueue
+            });
         }
 
         this.errorCount = 0;
-        this.maxErrors = config.errorHandling.circuitBreakerThreshold;
+        this.maxErrors = this.config.errorHandling.circuitBreakerThreshold;
         this.isShuttingDown = false;
+        this.killSwitchStop = null; // Reason, once the kill switch has said STOP
+        this.activityInProgress = null; // Shutdown waits for it, so it is never cut off mid-send
+        this.signalHandlers = null;
     }
 
     /**
      * Main entry point to start the automation system.
      */
     async start() {
-        console.log('🌟 Twitter Automation System Starting (PRODUCTION MODE)...');
-        console.log('==========================================');
-        console.log(`📅 Started at: ${new Date().toLocaleString()}`); // This will be overwritten by the UI logger
-        console.log(`🔧 Node version: ${process.version}`);
-        console.log(`📁 Working directory: ${process.cwd()}`);
-        console.log(this.isDemo ? '🧪 MODE: Live Web Demo (with mock data)' : '⚠️  MODE: Production (Real Twitter Automation)');
-        console.log('==========================================\n');
+        // Every entry logged from here on, in any component, carries this run's id
+        return logger.withContext({ runId: this.runId }, async () => {
+            logger.info('🌟 Twitter Automation System Starting (PRODUCTION MODE)...');
+            logger.info('==========================================');
+            logger.info(`📅 Started at: ${new Date().toLocaleString()}`); // This will be overwritten by the UI logger
+            logger.info(`🔧 Node version: ${process.version}`);
+            logger.info(`📁 Working directory: ${process.cwd()}`);
+            if (this.isDemo) {
+                logger.info('🧪 MODE: Live Web Demo (with mock data)');
+            } else if (this.isDryRun) {
+                logger.info('🧪 MODE: Dry Run (mock leads, actions recorded to audit file only)');
+            } else {
+                logger.warn('⚠️  MODE: Production (Real Twitter Automation)');
+            }
+            logger.info('==========================================\n');
+            this.handleSignals();
+            this.killSwitch.start();
 
-        try {
-            // Validate environment and initialize critical components
-            this.validateEnvironment();
-            await this.sheetsManager.initialize();
+            try {
+                // Validate environment and initialize critical components
+                this.validateEnvironment();
+                await this.database.initialize();
+                await this.recoverCheckpoints();
+                await this.database.recordRun({
+                    id: this.runId,
+                    mode: this.isDemo ? 'demo' : (this.isDryRun ? 'dry-run' : 'live'),
+                    account: this.config.twitter.username || null
+                });
+                await this.suppressionList.load();
+                await this.outreachPolicy.load();
+                await this.healthMonitor.load();
+                await this.sheetsManager.initialize();
+
+                // Only initialize the Twitter bot (real or dry-run) if not in demo mode
+                if (!this.isDemo) {
+                    await this.twitterBot.initialize();
+                }
 
-            // Only initialize the real Twitter bot if not in demo mode
-            if (!this.isDemo) {
-                await this.twitterBot.initialize();
+                // Start the main automation loop
+                await this.runAutomationLoop();
+            } catch (error) {
+                logger.error('❌ CRITICAL STARTUP FAILURE. The system will shut down.');
+                logger.logError('startup', error); // Full stack for debugging
+                await this.shutdown();
+                process.exit(1);
             }
+        });
+    }
 
-            // Start the main automation loop
-            await this.runAutomationLoop();
-        } catch (error) {
-            // Use console.log for max visibility in logging platforms like Render
-            console.log('❌ CRITICAL STARTUP FAILURE. The system will shut down.');
-            console.log('Error Message:', error.message);
-            console.log('Full Error Stack:', error.stack); // Log the full stack for better debugging
-            await this.shutdown();
-            process.exit(1);
+    /**
+     * Shuts down cleanly on SIGINT and SIGTERM: the action in progress finishes and
+     * is checkpointed before the browser and database close. The handlers are
+     * removed when shutdown starts, so a second signal stops the process at once.
+     */
+    handleSignals() {
+        if (this.signalHandlers) return;
+        this.signalHandlers = {};
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            this.signalHandlers[signal] = async () => {
+                logger.info(`\n🛑 Received ${signal}, shutting down gracefully...`);
+                try {
+                    await this.shutdown();
+                } catch (error) {
+                    logger.logError('shutdown', error);
+                    process.exit(1);
+                }
+                process.exit(0);
+            };
+            process.on(signal, this.signalHandlers[signal]);
+        }
+    }
+
+    removeSignalHandlers() {
+        if (!this.signalHandlers) return;
+        for (const [signal, handler] of Object.entries(this.signalHandlers)) {
+            process.removeListener(signal, handler);
+        }
+        this.signalHandlers = null;
+    }
+
+    /**
+     * Settles the checkpoints of a run that did not shut down cleanly. Actions that
+     * were being sent when it stopped are held for manual review, never retried.
+     */
+    async recoverCheckpoints() {
+        const { review, abandoned } = await this.actionJournal.recover();
+        if (abandoned > 0) {
+            logger.info(`♻️ ${abandoned} actions from an earlier run never started; they will be planned again`);
+        }
+        if (review.length > 0) {
+            logger.warn(`⚠️ ${review.length} actions from an earlier run may or may not have gone out. Held for manual review:`);
+            for (const checkpoint of review) {
+                logger.warn(`- #${checkpoint.id} ${checkpoint.activity_type.toUpperCase()} for @${checkpoint.username} (${checkpoint.idempotency_key})`);
+            }
+            logger.warn('💡 Check each one on Twitter, then run: node cli.js review resolve <id> <sent|not-sent>');
         }
     }
 
@@ -79,117 +241,241 @@ class TwitterAutomationSystem {
      * Validates that all required configuration is present.
      */
     validateEnvironment() {
-        console.log('🔍 Validating environment...');
-        // The validation is now handled inside config.js,
-        // but we can add more checks here if needed.
-        console.log('✅ Environment validation passed');
+        logger.info('🔍 Validating environment...');
+        checkRequired(this.config);
+        this.messagePolicy.validateTemplates(this.scheduler.messageTemplates);
+        this.messagePolicy.validateTemplates(this.scheduler.commentTemplates, { label: 'Comment template', requireDisclosure: false });
+        this.disclosurePolicy.disclosureFor('dm');
+        this.disclosurePolicy.disclosureFor('comment');
+        logger.info('✅ Environment validation passed');
     }
 
     /**
      * The main continuous loop of the automation system.
      */
     async runAutomationLoop() {
-        let cycleCount = 0;
-        while (!this.isShuttingDown) {
-            cycleCount++;
-            console.log(`\n🔄 Starting automation cycle ${cycleCount}`);
-            console.log('==========================================');
+        return logger.withContext({ runId: this.runId }, async () => {
+            let cycleCount = 0;
+            while (!this.isShuttingDown) {
+                cycleCount++;
+                logger.setContext({ cycle: cycleCount });
+                logger.info(`\n🔄 Starting automation cycle ${cycleCount}`);
+                logger.info('==========================================');
 
-            try {
-                // Helper function to run a phase and check the kill switch
-                const runPhase = async (phaseFn, phaseName) => {
-                    if (await this.checkKillSwitch()) {
-                        console.log(`🛑 Kill switch activated before ${phaseName} phase. Stopping system...`);
-                        return true; // Stop the loop
+                try {
+                    // Helper function to run a phase and check the kill switch
+                    const runPhase = async (phaseFn, phaseName) => {
+                        if (await this.checkKillSwitch(`${phaseName} phase`)) {
+                            logger.info(`🛑 Kill switch activated before ${phaseName} phase. Stopping system...`);
+                            await this.shutdown();
+                            return true; // Stop the loop
+                        }
+                        await logger.withContext({ phase: phaseName }, () => phaseFn.call(this));
+                        if (this.killSwitchStop) {
+                            logger.info(`🛑 Kill switch activated during ${phaseName} phase. Stopping system...`);
+                            await this.shutdown();
+                            return true;
+                        }
+                        return false; // Continue
+                    };
+
+                    if (await runPhase(this.replyIngestionPhase, 'reply ingestion')) break;
+                    if (await runPhase(this.healthCheckPhase, 'recipient health')) break;
+                    if (await runPhase(this.retentionPhase, 'data retention')) break;
+                    if (await runPhase(this.keywordPolicyPhase, 'keyword policy')) break;
+                    if (await runPhase(this.scrapingPhase, 'scraping')) break;
+                    if (await runPhase(this.filteringPhase, 'filtering')) break;
+                    if (await runPhase(this.engagementPhase, 'engagement')) break;
+
+                    logger.info(`✅ Cycle ${cycleCount} completed successfully`);
+                    this.errorCount = 0; // Reset error count on success
+
+                    // Wait before next cycle
+                    const cycleWaitTime = this.config.errorHandling.cycleWait;
+                    logger.info(`⏳ Waiting ${cycleWaitTime / 60000} minutes before next cycle...`);
+                    logger.info(`💤 Next cycle will start at: ${new Date(Date.now() + cycleWaitTime).toLocaleTimeString()}`);
+                    if (await this.sleepUnlessStopped(cycleWaitTime)) {
+                        await this.shutdown();
+                        break;
                     }
-                    await phaseFn.call(this);
-                    return false; // Continue
-                };
-
-                if (await runPhase(this.scrapingPhase, 'scraping')) break;
-                if (await runPhase(this.filteringPhase, 'filtering')) break;
-                if (await runPhase(this.engagementPhase, 'engagement')) break;
 
-                console.log(`✅ Cycle ${cycleCount} completed successfully`);
-                this.errorCount = 0; // Reset error count on success
+                } catch (error) {
+                    this.errorCount++;
+                    logger.error(`❌ Error in automation cycle ${cycleCount}: ${error.message}`);
+
+                    // If the error is critical (like a permissions issue), stop immediately.
+                    if (error.message.includes('permission') || error.message.includes('403')) {
+                         logger.error('🚨 A critical permission error occurred. The system cannot continue.');
+                         logger.error('💡 Please fix the error reported above and restart the system.');
+                         await this.shutdown();
+                         break; // Exit the loop
+                    }
 
-                // Wait before next cycle
-                const cycleWaitTime = config.errorHandling.cycleWait;
-                console.log(`⏳ Waiting ${cycleWaitTime / 60000} minutes before next cycle...`);
-                console.log(`💤 Next cycle will start at: ${new Date(Date.now() + cycleWaitTime).toLocaleTimeString()}`);
-                await this.sleep(cycleWaitTime);
+                    if (this.errorCount >= this.maxErrors) {
+                        logger.error(`🚨 Too many consecutive errors (${this.errorCount}). Stopping system for safety.`);
+                        await this.shutdown();
+                        break;
+                    }
 
-            } catch (error) {
-                this.errorCount++;
-                console.error(`❌ Error in automation cycle ${cycleCount}:`, error.message);
-
-                // If the error is critical (like a permissions issue), stop immediately.
-                if (error.message.includes('permission') || error.message.includes('403')) {
-                     console.error('🚨 A critical permission error occurred. The system cannot continue.');
-                     console.error('💡 Please fix the error reported above and restart the system.');
-                     await this.shutdown();
-                     break; // Exit the loop
+                    const retryDelayTime = this.config.errorHandling.retryDelay;
+                    logger.info(`🔄 Waiting ${retryDelayTime / 60000} minutes before retry... (Error ${this.errorCount}/${this.maxErrors})`);
+                    if (await this.sleepUnlessStopped(retryDelayTime)) {
+                        await this.shutdown();
+                        break;
+                    }
                 }
+            }
+        });
+    }
 
-                if (this.errorCount >= this.maxErrors) {
-                    console.error(`🚨 Too many consecutive errors (${this.errorCount}). Stopping system for safety.`);
-                    await this.shutdown();
-                    break;
-                }
+    /**
+     * Phase 0: Reads replies to DMs we have sent and honours opt-outs before any new engagement.
+     */
+    async replyIngestionPhase() {
+        if (!this.replyIngestor) return;
+
+        logger.info('\n📥 Starting reply ingestion phase...');
+        logger.info('----------------------------------');
+        try {
+            const summary = await this.replyIngestor.ingest();
+            logger.info(`✅ Reply ingestion completed: ${summary.checked} threads checked, ${summary.optedOut} opt-outs, ${summary.negative} negative replies`);
 
-                const retryDelayTime = config.errorHandling.retryDelay;
-                console.log(`🔄 Waiting ${retryDelayTime / 60000} minutes before retry... (Error ${this.errorCount}/${this.maxErrors})`);
-                await this.sleep(retryDelayTime);
+            // Mentions and inbox conversations are what allow a DM in consent-first mode.
+            if (this.outreachPolicy.mode === OUTREACH_MODES.INBOUND_ONLY) {
+                const signals = await this.outreachPolicy.collectSignals(this.twitterBot);
+                logger.info(`📬 Recorded ${signals} inbound signals from mentions, followers and DM inbox`);
             }
+        } catch (error) {
+            logger.error(`❌ Error in reply ingestion phase: ${error.message}`);
+            // Don't throw, allow cycle to continue if possible
         }
     }
 
     /**
-     * Phase 1: Scrapes for new leads based on keywords.
+     * Phase 0b: Pauses keywords and templates whose recipients opt out, block us,
+     * have DMs closed or complain too often, and flips the kill switch to PAUSE so
+     * an operator reviews them before the campaign continues.
+     */
+    async healthCheckPhase() {
+        const newlyPaused = await this.healthMonitor.evaluate();
+        if (newlyPaused.length === 0) return;
+
+        const summary = newlyPaused.map(pause => `${pause.dimension} "${pause.value}": ${pause.reason}`).join('; ');
+        logger.info(`🚨 Recipient-health monitor paused ${newlyPaused.length} keywords/templates:`);
+        for (const pause of newlyPaused) {
+            logger.info(`- ${pause.dimension} "${pause.value}": ${pause.reason}`);
+        }
+        const source = await this.killSwitch.setStatus(KILL_SWITCH_STATES.PAUSE, `Recipient health: ${summary}`.substring(0, 500));
+        logger.info(`⏸️ Kill switch set to PAUSE via ${source} source. Review, then set it back to RUN.`);
+    }
+
+    /**
+     * Phase 0c: Anonymises or purges leads past their retention period and deletes expired screenshots,
+     * at most once per `retention.checkInterval`.
+     */
+    async retentionPhase() {
+        if (Date.now() - this.lastRetentionRun < this.config.retention.checkInterval) return;
+
+        try {
+            const result = await this.dataRetention.applyPolicy();
+            this.lastRetentionRun = Date.now();
+            if (result.total > 0) {
+                const counts = Object.entries(result.byCategory).map(([category, count]) => `${category}=${count}`).join(', ');
+                logger.info(`🧹 Retention policy (${result.action}) erased ${result.total} leads: ${counts}`);
+            }
+            const screenshots = await this.screenshotStore.purgeExpired();
+            if (screenshots > 0) {
+                logger.info(`🧹 Deleted ${screenshots} expired screenshots`);
+            }
+        } catch (error) {
+            logger.error(`❌ Error in data retention phase: ${error.message}`);
+            // Don't throw; the policy is applied again next cycle
+        }
+    }
+
+    /**
+     * Phase 0d: Checks every scraping keyword against the targeting policy before it is
+     * searched for. Keywords aimed at vulnerable people are rejected; new ones wait for
+     * an operator sign-off. The decisions are stored with this run.
+     */
+    async keywordPolicyPhase() {
+        const decisions = await this.keywordPolicy.evaluate(this.runId, this.config.scraping.keywords);
+        const cleared = new Set();
+
+        for (const decision of decisions) {
+            if (decision.decision === KEYWORD_DECISIONS.ALLOWED) {
+                cleared.add(decision.keyword);
+            } else if (decision.decision === KEYWORD_DECISIONS.REJECTED) {
+                logger.warn(`🚫 Keyword "${decision.keyword}" rejected: ${decision.reason}`, { keyword: decision.keyword });
+            } else if (this.isDemo) {
+                // The demo only searches mock data, so no one real is targeted.
+                logger.info(`🧪 Keyword "${decision.keyword}" not signed off; using it for the demo only`, { keyword: decision.keyword });
+                cleared.add(decision.keyword);
+            } else {
+                logger.warn(`✋ Keyword "${decision.keyword}" held: ${decision.reason}`, { keyword: decision.keyword });
+                logger.info(`💡 To sign it off: node cli.js keywords approve "${decision.keyword}" --reviewer <name>`);
+            }
+        }
+        // Scraped as configured, so leads and health pauses keep the keyword's own spelling
+        this.allowedKeywords = this.config.scraping.keywords.filter((keyword, index, keywords) => {
+            const normalized = KeywordPolicy.normalize(keyword);
+            return cleared.has(normalized) && keywords.findIndex(other => KeywordPolicy.normalize(other) === normalized) === index;
+        });
+        logger.info(`🛡️ Keyword policy: ${this.allowedKeywords.length}/${decisions.length} keywords cleared for scraping`);
+    }
+
+    /**
+     * Phase 1: Scrapes for new leads based on the keywords cleared by the keyword policy.
      */
     async scrapingPhase() {
-        console.log('\n📊 Starting lead scraping phase...');
-        console.log('----------------------------------');
-        const keywords = config.scraping.keywords;
+        logger.info('\n📊 Starting lead scraping phase...');
+        logger.info('----------------------------------');
+        const keywords = this.allowedKeywords.filter(keyword => {
+            if (this.healthMonitor.isPaused(HEALTH_DIMENSIONS.KEYWORD, keyword)) {
+                logger.info(`⏸️ Skipping keyword "${keyword}": paused by the recipient-health monitor`);
+                return false;
+            }
+            return true;
+        });
         const newLeads = [];
         let successfulScrapes = 0;
 
-        console.log(`🔍 Will scrape ${keywords.length} keywords: ${keywords.join(', ')}\n`);
+        logger.info(`🔍 Will scrape ${keywords.length} keywords: ${keywords.join(', ')}\n`);
 
         for (let i = 0; i < keywords.length; i++) {
             const keyword = keywords[i];
             try {
-                console.log(`🔍 Scraping keyword ${i + 1}/${keywords.length}: "${keyword}"`);
+                logger.info(`🔍 Scraping keyword ${i + 1}/${keywords.length}: "${keyword}"`);
                 let leads;
-                if (this.isDemo) {
+                if (this.isDemo || this.isDryRun) {
                     // Mock scraper doesn't need a page object
-                    leads = await this.leadScraper.scrapeByKeyword(keyword, config.scraping.leadsPerKeyword || 5);
+                    leads = await this.leadScraper.scrapeByKeyword(keyword, this.config.scraping.leadsPerKeyword || 5);
                 } else {
-                    leads = await this.leadScraper.scrapeByKeyword(this.twitterBot.page, keyword, config.scraping.leadsPerKeyword || 20);
+                    leads = await this.leadScraper.scrapeByKeyword(this.twitterBot.page, keyword, this.config.scraping.leadsPerKeyword || 20);
                 }
 
                 if (leads && leads.length > 0) {
                     newLeads.push(...leads);
-                    console.log(`✅ Found ${leads.length} leads for "${keyword}"`);
+                    logger.info(`✅ Found ${leads.length} leads for "${keyword}"`, { keyword });
                     successfulScrapes++;
                 } else {
-                    console.log(`ℹ️ No new leads found for "${keyword}"`);
+                    logger.info(`ℹ️ No new leads found for "${keyword}"`);
                 }
 
                 // Random delay between keyword searches to avoid rate limits
                 if (i < keywords.length - 1) {
-                    const minDelay = config.scraping.delayBetweenKeywords.min;
-                    const maxDelay = config.scraping.delayBetweenKeywords.max;
+                    const minDelay = this.config.scraping.delayBetweenKeywords.min;
+                    const maxDelay = this.config.scraping.delayBetweenKeywords.max;
                     const delay = this.randomDelay(minDelay, maxDelay);
-                    console.log(`⏳ Waiting ${Math.round(delay / 1000)} seconds before next keyword...`);
-                    await this.sleep(delay);
+                    logger.info(`⏳ Waiting ${Math.round(delay / 1000)} seconds before next keyword...`);
+                    if (await this.sleepUnlessStopped(delay)) break;
                 }
             } catch (error) {
-                console.error(`❌ Failed to scrape keyword "${keyword}":`, error.message);
+                logger.error(`❌ Failed to scrape keyword "${keyword}": ${error.message}`, { keyword });
             }
         }
 
-        console.log(`\n📈 Scraping Results: ${successfulScrapes}/${keywords.length} keywords successful`);
+        logger.info(`\n📈 Scraping Results: ${successfulScrapes}/${keywords.length} keywords successful`);
 
         // Give the bot a memory: Filter out leads that are already in the sheet.
         const existingUsernames = await this.sheetsManager.getAllUsernames();
@@ -197,21 +483,23 @@ class TwitterAutomationSystem {
 
         if (uniqueNewLeads.length > 0) {
             try {
-                console.log(`\n📝 Found ${newLeads.length} total leads. Adding ${uniqueNewLeads.length} unique new leads to Google Sheets...`);
+                logger.info(`\n📝 Found ${newLeads.length} total leads. Adding ${uniqueNewLeads.length} unique new leads to Google Sheets...`);
+                // Recorded first, so no lead reaches the sheet without its provenance
+                await this.leadProvenance.recordScrape(uniqueNewLeads, { runId: this.runId });
                 await this.sheetsManager.appendLeads(uniqueNewLeads);
-                console.log('✅ Successfully added new leads to sheets');
+                logger.info('✅ Successfully added new leads to sheets');
             } catch (error) {
-                console.error('❌ Failed to save leads to Google Sheets:', error.message);
+                logger.error(`❌ Failed to save leads to Google Sheets: ${error.message}`);
                 throw error; // Propagate critical error to the main loop
             }
         } else {
-            console.log('\nℹ️ No unique new leads found in this scraping cycle.');
+            logger.info('\nℹ️ No unique new leads found in this scraping cycle.');
         }
 
-        console.log('📊 Scraping phase completed');
+        logger.info('📊 Scraping phase completed');
 
         // Add a small delay to allow Google Sheets to process the recent writes
-        console.log('⏳ Allowing a moment for Google Sheets to sync...');
+        logger.info('⏳ Allowing a moment for Google Sheets to sync...');
         await this.sleep(5000); // 5-second delay
     }
 
@@ -219,15 +507,15 @@ class TwitterAutomationSystem {
      * Phase 2: Fetches unfiltered leads from sheets and applies filter rules.
      */
     async filteringPhase() {
-        console.log('\n🔍 Starting lead filtering phase...');
-        console.log('----------------------------------');
+        logger.info('\n🔍 Starting lead filtering phase...');
+        logger.info('----------------------------------');
         try {
             const rawLeads = await this.sheetsManager.getUnfilteredLeads();
             if (rawLeads.length === 0) {
-                console.log('ℹ️ No leads need filtering at this time');
+                logger.info('ℹ️ No leads need filtering at this time');
                 return;
             }
-            console.log(`📋 Found ${rawLeads.length} leads to filter`);
+            logger.info(`📋 Found ${rawLeads.length} leads to filter`);
 
             let passedCount = 0;
             let failedCount = 0;
@@ -236,29 +524,31 @@ class TwitterAutomationSystem {
             for (const lead of rawLeads) {
                 try {
                     const filterResult = await this.filterEngine.evaluateLead(lead);
-                    updates.push({ rowNumber: lead.id, status: filterResult.passed ? "PASS" : "FAIL", reason: filterResult.reason });
+                    const status = filterResult.status || (filterResult.passed ? "PASS" : "FAIL");
+                    await this.leadProvenance.recordFilter(lead, { status, reason: filterResult.reason, score: filterResult.score }, this.filterEngine.rulesVersion);
+                    updates.push({ rowNumber: lead.id, status, reason: filterResult.reason });
 
                     if (filterResult.passed) {
                         passedCount++;
-                        console.log(`✅ @${lead.username}: PASS`);
+                        logger.info(`✅ @${lead.username}: PASS`, { leadId: lead.id, username: lead.username });
                     } else {
                         failedCount++;
-                        console.log(`❌ @${lead.username}: FAIL - ${filterResult.reason}`);
+                        logger.info(`❌ @${lead.username}: ${status} - ${filterResult.reason}`, { leadId: lead.id, username: lead.username });
                     }
                 } catch (error) {
-                    console.error(`❌ Error filtering @${lead.username}:`, error.message);
+                    logger.error(`❌ Error filtering @${lead.username}: ${error.message}`, { leadId: lead.id, username: lead.username });
                     updates.push({ rowNumber: lead.id, status: 'ERROR', reason: `Filter error: ${error.message}`.substring(0, 500) });
                 }
             }
 
             if (updates.length > 0) {
-                console.log(`\n📝 Batch updating status for ${updates.length} leads in Google Sheets...`);
+                logger.info(`\n📝 Batch updating status for ${updates.length} leads in Google Sheets...`);
                 await this.sheetsManager.batchUpdateLeadStatuses(updates);
             }
 
-            console.log(`\n✅ Filtering completed: ${passedCount} passed, ${failedCount} failed`);
+            logger.info(`\n✅ Filtering completed: ${passedCount} passed, ${failedCount} failed`);
         } catch (error) {
-            console.error('❌ Error in filtering phase:', error.message);
+            logger.error(`❌ Error in filtering phase: ${error.message}`);
             // Don't throw, allow cycle to continue if possible
         }
     }
@@ -267,107 +557,377 @@ class TwitterAutomationSystem {
      * Phase 3: Fetches filtered leads and executes engagement actions.
      */
     async engagementPhase() {
-        console.log('\n💬 Starting engagement phase...');
-        console.log('----------------------------------');
+        logger.info('\n💬 Starting engagement phase...');
+        logger.info('----------------------------------');
         try {
             const leadsToEngage = await this.sheetsManager.getLeadsForEngagement();
             if (leadsToEngage.length === 0) {
-                console.log('ℹ️ No leads ready for engagement at this time');
+                logger.info('ℹ️ No leads ready for engagement at this time');
                 return;
             }
-            console.log(`📋 Found ${leadsToEngage.length} leads ready for engagement`);
+            logger.info(`📋 Found ${leadsToEngage.length} leads ready for engagement`);
 
+            await this.contactCaps.load(); // Picks up replies ingested this cycle
             const dailyPlan = this.scheduler.createDailyPlan(leadsToEngage);
+            await this.leadProvenance.recordPlan(dailyPlan, { runId: this.runId });
+            for (const skipped of this.scheduler.lastSkipped) {
+                await this.suppressionList.recordBlocked(skipped);
+            }
+            for (const rejected of this.scheduler.lastRejected) {
+                await this.database.recordActivity(rejected.leadId, rejected.type, 'BLOCKED', null, {
+                    username: rejected.username,
+                    reason: `Message policy: ${rejected.reason}`
+                });
+            }
+            for (const capped of this.scheduler.lastCapped) {
+                await this.database.recordActivity(capped.leadId, capped.type, 'BLOCKED', null, {
+                    username: capped.username,
+                    reason: `Contact cap ${capped.rule}: ${capped.reason}`
+                });
+            }
+            if (this.scheduler.lastWithheld.length > 0) {
+                logger.info(`\n👀 DMs withheld (lead stays in WATCH):`);
+                for (const withheld of this.scheduler.lastWithheld) {
+                    logger.info(`- @${withheld.username}: ${withheld.reason}`);
+                }
+                await this.sheetsManager.batchMarkWatch(
+                    this.scheduler.lastWithheld.map(withheld => ({ rowNumber: withheld.leadId, reason: withheld.reason }))
+                );
+            }
             if (dailyPlan.length === 0) {
-                console.log('ℹ️ No activities scheduled based on current rate limits.');
+                logger.info('ℹ️ No activities scheduled based on current rate limits.');
                 return;
             }
-            console.log(`📅 Created engagement plan with ${dailyPlan.length} activities`);
+            logger.info(`📅 Created engagement plan with ${dailyPlan.length} activities`);
 
             // In demo mode, just show the plan and exit the phase
             if (this.isDemo) {
-                console.log('\n🎯 PLANNED ACTIVITIES (PREVIEW ONLY):');
-                console.log('=====================================');
+                logger.info('\n🎯 PLANNED ACTIVITIES (PREVIEW ONLY):');
+                logger.info('=====================================');
                 const activitiesToShow = dailyPlan.slice(0, 5); // Show first 5
                 for (const activity of activitiesToShow) {
-                    console.log(`- ${activity.type.toUpperCase()} for @${activity.username}`);
-                    if (activity.message) console.log(`  -> Message: "${activity.message.substring(0, 40)}..."`);
+                    logger.info(`- ${activity.type.toUpperCase()} for @${activity.username}`);
+                    if (activity.message) logger.info(`  -> Message: "${activity.message.substring(0, 40)}..."`);
                 }
-                console.log('\n💡 In DEMO MODE - no actual engagement performed.');
-                console.log('💬 Engagement phase completed (preview only)');
+                logger.info('\n💡 In DEMO MODE - no actual engagement performed.');
+                logger.info('💬 Engagement phase completed (preview only)');
                 return; // Exit phase
             }
 
-            const activitiesToExecute = dailyPlan.slice(0, config.engagement.activitiesPerCycle);
+            // DMs and comments only run once a reviewer has approved their text.
+            const approvals = await this.approvalQueue.applyApprovals(dailyPlan);
+            if (approvals.queued + approvals.pending > 0) {
+                logger.info(`📝 Messages awaiting review: ${approvals.queued} newly queued, ${approvals.pending} still pending`);
+            }
+            if (approvals.rejected > 0) {
+                logger.info(`🙅 Dropped ${approvals.rejected} messages rejected by a reviewer`);
+            }
+            if (approvals.ready.length === 0) {
+                logger.info('ℹ️ No approved activities to execute this cycle.');
+                return;
+            }
+
+            const activitiesToExecute = approvals.ready.slice(0, this.config.engagement.activitiesPerCycle);
             let successCount = 0;
 
             for (let i = 0; i < activitiesToExecute.length; i++) {
                 const activity = activitiesToExecute[i];
+
+                if (this.isShuttingDown) {
+                    logger.info(`🛑 Shutting down: ${activitiesToExecute.length - i} planned activities not started`);
+                    break;
+                }
+
+                // The operator may pause or stop at any time, not just between phases.
+                if (this.killSwitchStop || await this.checkKillSwitch(`${activity.type} for @${activity.username}`)) {
+                    await this.recordCancelledActivities(activitiesToExecute.slice(i));
+                    break;
+                }
+
+                // Ties this action's log entries, activities row and audit record together
+                const correlation = { activityId: crypto.randomUUID(), leadId: activity.leadId, username: activity.username };
                 try {
-                    console.log(`\n🎯 Executing ${activity.type} (${i + 1}/${activitiesToExecute.length}) for @${activity.username}`);
-                    await this.executeActivity(activity);
-                    successCount++;
-                    console.log(`✅ ${activity.type} completed for @${activity.username}`);
+                    this.activityInProgress = logger.withContext(correlation, async () => {
+                        logger.info(`\n🎯 Executing ${activity.type} (${i + 1}/${activitiesToExecute.length}) for @${activity.username}`);
+                        const result = await this.executeActivity({ ...activity, activityId: correlation.activityId });
+                        if (result === AUDIT_RESULTS.SUCCESS) {
+                            logger.info(`✅ ${activity.type} completed for @${activity.username}`);
+                        } else {
+                            logger.info(`ℹ️ ${activity.type} for @${activity.username} not performed (${result})`);
+                        }
+                        return result;
+                    });
+                    // Only actions that actually went out count; blocked and skipped ones do not.
+                    if (await this.activityInProgress === AUDIT_RESULTS.SUCCESS) successCount++;
 
                     // Random delay between actions to mimic human behavior
                     if (i < activitiesToExecute.length - 1) {
-                        const minDelay = config.engagement.humanBehavior.minDelayBetweenActions;
-                        const maxDelay = config.engagement.humanBehavior.maxDelayBetweenActions;
+                        const minDelay = this.config.engagement.humanBehavior.minDelayBetweenActions;
+                        const maxDelay = this.config.engagement.humanBehavior.maxDelayBetweenActions;
                         const delay = this.randomDelay(minDelay, maxDelay);
-                        console.log(`⏳ Waiting ${Math.round(delay / 1000)} seconds before next action...`);
-                        await this.sleep(delay);
+                        logger.info(`⏳ Waiting ${Math.round(delay / 1000)} seconds before next action...`);
+                        await this.sleepUnlessStopped(delay);
                     }
                 } catch (error) {
-                    console.error(`❌ Failed to execute ${activity.type} for @${activity.username}:`, error.message);
-                    await this.sheetsManager.logError(activity.id, `Engagement error: ${error.message}`);
+                    logger.error(`❌ Failed to execute ${activity.type} for @${activity.username}: ${error.message}`, correlation);
+                    await this.sheetsManager.logError(activity.leadId, `Engagement error: ${error.message}`);
+                } finally {
+                    this.activityInProgress = null;
                 }
             }
-            console.log(`\n✅ Engagement phase completed: ${successCount}/${activitiesToExecute.length} actions successful.`);
+            logger.info(`\n✅ Engagement phase completed: ${successCount}/${activitiesToExecute.length} actions performed.`);
         } catch (error) {
-            console.error('❌ Error in engagement phase:', error.message);
+            logger.error(`❌ Error in engagement phase: ${error.message}`);
         }
     }
 
     /**
-     * Executes a single engagement activity (e.g., send DM).
+     * Records planned activities that will not run because the kill switch said STOP.
+     * @param {Array<object>} activities - The planned activities that were not executed.
+     */
+    async recordCancelledActivities(activities) {
+        logger.info(`🗑️ Cancelled ${activities.length} planned activities (${this.killSwitchStop}):`);
+        for (const activity of activities) {
+            logger.info(`- ${activity.type.toUpperCase()} for @${activity.username}`);
+            await this.database.recordActivity(activity.leadId, activity.type, 'CANCELLED', null, {
+                username: activity.username,
+                reason: `Kill switch STOP: ${this.killSwitchStop}`
+            });
+        }
+    }
+
+    /**
+     * Executes a single engagement activity (e.g., send DM) under an idempotency
+     * checkpoint, persisted before anything else happens. An action that already
+     * went out, or whose outcome is in review, is not sent again.
      * @param {object} activity - The activity to execute.
+     * @returns {Promise<string>} The AUDIT_RESULTS value: SUCCESS only if the action was performed.
      */
     async executeActivity(activity) {
-        const { type, username, id, message, comment } = activity;
+        const audit = this.auditFor(activity);
+        const checkpoint = await this.actionJournal.begin(activity);
+        if (!checkpoint.armed) {
+            return await this.handleCheckpointed(activity, audit, checkpoint);
+        }
+        try {
+            return await this.runActivity(activity, audit, checkpoint);
+        } finally {
+            await this.actionJournal.release(checkpoint);
+        }
+    }
+
+    /**
+     * Deals with an activity whose idempotency key is already taken.
+     * @returns {Promise<string>} SKIPPED if it already went out, BLOCKED if it is held.
+     */
+    async handleCheckpointed(activity, audit, checkpoint) {
+        const { type, username, leadId } = activity;
+        switch (checkpoint.status) {
+            case CHECKPOINT_STATUSES.SENT:
+            case CHECKPOINT_STATUSES.DONE:
+                logger.info(`♻️ ${type} for @${username} already went out (${checkpoint.key}); not sending it again`);
+                this.recordAudit(audit, AUDIT_RESULTS.SKIPPED, `Already sent (${checkpoint.key})`);
+                if (checkpoint.status === CHECKPOINT_STATUSES.SENT) {
+                    // The updates after the send never happened; make them now.
+                    await this.completeActivity(activity);
+                    await this.actionJournal.markDone(checkpoint);
+                }
+                return AUDIT_RESULTS.SKIPPED;
+            default: {
+                const reason = checkpoint.status === CHECKPOINT_STATUSES.REVIEW
+                    ? `Earlier ${type} ${checkpoint.key} may have gone out; awaiting manual review`
+                    : `Already in progress (${checkpoint.key})`;
+                logger.warn(`⚠️ Holding ${type} for @${username}: ${reason}`);
+                await this.database.recordActivity(leadId, type, 'BLOCKED', null, { username, reason: `Idempotency: ${reason}` });
+                this.recordAudit(audit, AUDIT_RESULTS.BLOCKED, `Idempotency: ${reason}`);
+                return AUDIT_RESULTS.BLOCKED;
+            }
+        }
+    }
+
+    /**
+     * The updates that follow a successful send. Safe to repeat.
+     */
+    async completeActivity(activity) {
+        if (this.isDryRun) {
+            if (activity.type === 'dm') {
+                // Leave the lead and its approval untouched so a later live run still sees it as NOT_SENT.
+                logger.info(`🧪 [DRY RUN] DM status for @${activity.username} left unchanged`);
+            }
+            return;
+        }
+        if (activity.type === 'dm' || activity.type === 'comment') {
+            await this.approvalQueue.markSent(activity.approvalId);
+        }
+        if (activity.type === 'dm') {
+            await this.sheetsManager.markDMSent(activity.leadId);
+        }
+    }
+
+    auditFor(activity) {
+        const { type, username, leadId, message, comment } = activity;
+        return {
+            activityId: activity.activityId || null,
+            type,
+            target: username,
+            leadId,
+            text: type === 'dm' ? message : type === 'comment' ? comment : null,
+            filterDecision: activity.filterDecision || null,
+            keyword: activity.keyword || null,
+            templateId: activity.templateId || null,
+            approval: activity.approvalId ? { id: activity.approvalId, reviewer: activity.approvedBy || null } : null
+        };
+    }
+
+    /**
+     * Runs the checks right before acting, then the action itself.
+     * @returns {Promise<string>} SUCCESS if the action was performed, otherwise why not (BLOCKED or SKIPPED).
+     */
+    async runActivity(activity, audit, checkpoint) {
+        const { type, username, leadId, message, comment } = activity;
+
+        // Re-check the do-not-contact list right before acting; it may have changed since planning.
+        const suppression = await this.suppressionList.check(username);
+        if (suppression) {
+            logger.info(`🚫 Blocked ${type} for @${username}: on suppression list (${suppression.reason})`);
+            await this.suppressionList.recordBlocked({ leadId, username, type, reason: suppression.reason });
+            this.recordAudit(audit, AUDIT_RESULTS.BLOCKED, `Suppressed: ${suppression.reason}`);
+            return AUDIT_RESULTS.BLOCKED;
+        }
+
+        // No message leaves without an approval record matching its exact text.
+        if (ApprovalQueue.requiresApproval(activity)) {
+            const approval = await this.approvalQueue.verify(activity);
+            if (!approval.approved) {
+                logger.info(`🚫 Refused ${type} for @${username}: ${approval.reason}`);
+                await this.database.recordActivity(leadId, type, 'BLOCKED', null, { username, reason: `Not approved: ${approval.reason}` });
+                this.recordAudit(audit, AUDIT_RESULTS.BLOCKED, `Not approved: ${approval.reason}`);
+                return AUDIT_RESULTS.BLOCKED;
+            }
+
+            // Checked again on the exact text going out, which a reviewer may have edited.
+            const content = this.messagePolicy.checkMessage(audit.text, { requireDisclosure: type === 'dm' });
+            if (!content.valid) {
+                const reason = `Message policy: ${content.errors.join('; ')}`;
+                logger.info(`🚫 Refused ${type} for @${username}: ${reason}`);
+                await this.database.recordActivity(leadId, type, 'BLOCKED', null, { username, reason });
+                this.recordAudit(audit, AUDIT_RESULTS.BLOCKED, reason);
+                return AUDIT_RESULTS.BLOCKED;
+            }
+        }
+
+        // Checked again here: an approved message may have waited while other contact went out.
+        const cap = this.contactCaps.check(activity);
+        if (cap) {
+            const reason = `Contact cap ${cap.rule}: ${cap.reason}`;
+            logger.info(`⛔ Blocked ${type} for @${username}: ${reason}`, { rule: cap.rule });
+            await this.database.recordActivity(leadId, type, 'BLOCKED', null, { username, reason });
+            this.recordAudit(audit, AUDIT_RESULTS.BLOCKED, reason);
+            return AUDIT_RESULTS.BLOCKED;
+        }
+
         switch (type) {
             case 'dm':
-                await this.twitterBot.sendDM(username, message); // Use the message from the scheduled activity
-                await this.sheetsManager.markDMSent(id);
-                break;
+                // Use the message from the scheduled activity
+                await this.performAudited(audit, () => this.twitterBot.sendDM(username, message), checkpoint);
+                await this.completeActivity(activity);
+                await this.actionJournal.markDone(checkpoint);
+                return AUDIT_RESULTS.SUCCESS;
             case 'like':
             case 'retweet':
             case 'comment':
                 const postUrl = await this.twitterBot.getLatestTweetUrl(username);
                 if (!postUrl) {
-                    console.log(`⚠️ Could not find a recent tweet for @${username}. Skipping action.`);
-                    return; // Skip this activity
+                    logger.warn(`⚠️ Could not find a recent tweet for @${username}. Skipping action.`);
+                    this.recordAudit(audit, AUDIT_RESULTS.SKIPPED, 'No recent tweet found');
+                    return AUDIT_RESULTS.SKIPPED; // Skip this activity
                 }
+                audit.postUrl = postUrl;
 
                 if (type === 'like') {
-                    await this.twitterBot.likePost(postUrl);
+                    await this.performAudited(audit, () => this.twitterBot.likePost(postUrl), checkpoint);
                 } else if (type === 'retweet') {
-                    await this.twitterBot.retweetPost(postUrl);
+                    await this.performAudited(audit, () => this.twitterBot.retweetPost(postUrl), checkpoint);
                 } else if (type === 'comment') {
-                    await this.twitterBot.commentOnPost(postUrl, comment);
+                    await this.performAudited(audit, () => this.twitterBot.commentOnPost(postUrl, comment), checkpoint);
                 }
-                break;
+                await this.completeActivity(activity);
+                await this.actionJournal.markDone(checkpoint);
+                return AUDIT_RESULTS.SUCCESS;
             default:
-                console.log(`⚠️ Unknown activity type: ${type}`);
+                logger.warn(`⚠️ Unknown activity type: ${type}`);
+                return AUDIT_RESULTS.SKIPPED;
         }
     }
 
     /**
-     * Checks the kill switch in the Google Sheet.
+     * Runs one outbound Twitter action and writes its outcome to the audit trail and
+     * the activities table (which the recipient-health monitor reads). Both are
+     * written as soon as the action returns, before any sheet update. The checkpoint
+     * is marked SENDING before the action and SENT the moment it returns. An error
+     * the action tags `afterSend` (it failed after the send click) may hide a send
+     * that went out, so that checkpoint goes to review rather than being retried.
+     * @param {object} audit - Audit fields for the action (type, target, text, keyword, templateId, ...).
+     * @param {Function} action - Performs the action.
+     * @param {object} checkpoint - The action's checkpoint from ActionJournal.begin().
+     */
+    async performAudited(audit, action, checkpoint) {
+        const details = { username: audit.target, keyword: audit.keyword, templateId: audit.templateId, activityId: audit.activityId };
+        await this.actionJournal.markSending(checkpoint);
+        try {
+            await action();
+        } catch (error) {
+            if (error.afterSend) {
+                logger.warn(`⚠️ ${audit.type} to @${audit.target} failed after sending and may have gone out; held for manual review (node cli.js review)`);
+                await this.actionJournal.markReview(checkpoint, `Failed after the send click: ${error.message}`);
+            } else {
+                await this.actionJournal.markFailed(checkpoint, error.message);
+            }
+            this.recordAudit(audit, AUDIT_RESULTS.FAILED, error.message);
+            const activityId = await this.database.recordActivity(audit.leadId, audit.type, 'FAILED', error.message, details);
+            await this.screenshotStore.linkActivity(error.screenshotId, activityId);
+            if (classifyOutcome({ activity_type: audit.type, status: 'FAILED', error_message: error.message }) === HEALTH_SIGNALS.BLOCK) {
+                await this.suppressionList.add(audit.target, SUPPRESSION_REASONS.BLOCKED_US, { source: 'dm', notes: error.message });
+            }
+            throw error;
+        }
+        await this.actionJournal.markSent(checkpoint);
+        this.recordAudit(audit, AUDIT_RESULTS.SUCCESS);
+        this.contactCaps.recordSent({ username: audit.target, type: audit.type });
+        // Dry runs get their own status so they never count as real contact.
+        await this.database.recordActivity(audit.leadId, audit.type, this.isDryRun ? 'DRY_RUN' : 'SENT', null, details);
+    }
+
+    recordAudit(audit, result, error = null) {
+        this.auditTrail.record({ ...audit, account: this.accountName, result, error, dryRun: this.isDryRun });
+    }
+
+    /**
+     * Checks every kill switch source. While the switch says PAUSE this waits and
+     * re-checks, keeping the browser session open, until it says RUN or STOP.
+     * @param {string} context - What we are about to do, for the log.
      * @returns {Promise<boolean>} - True if the system should stop.
      */
-    async checkKillSwitch() {
-        const status = await this.sheetsManager.getKillSwitchStatus();
-        return status.toUpperCase() !== 'RUN';
+    async checkKillSwitch(context = 'next step') {
+        let paused = false;
+        while (!this.isShuttingDown) {
+            const { status, reason } = await this.killSwitch.getStatus();
+            if (status === KILL_SWITCH_STATES.RUN) {
+                if (paused) logger.info(`▶️ Kill switch back to RUN, resuming ${context}`);
+                return false;
+            }
+            if (status === KILL_SWITCH_STATES.STOP) {
+                logger.info(`🛑 Kill switch STOP (${reason})`);
+                this.killSwitchStop = reason;
+                return true;
+            }
+            if (!paused) {
+                logger.info(`⏸️ Kill switch PAUSE (${reason}). Holding before ${context}; browser stays open.`);
+                paused = true;
+            }
+            await this.sleep(this.config.killSwitch.pausePollInterval);
+        }
+        return true;
     }
 
     /**
@@ -376,20 +936,52 @@ class TwitterAutomationSystem {
     async shutdown() {
         if (this.isShuttingDown) return;
         this.isShuttingDown = true;
-        console.log('\n🛑 Shutting down Twitter Automation System...');
-        console.log('==========================================');
+        this.removeSignalHandlers();
+        logger.info('\n🛑 Shutting down Twitter Automation System...');
+        logger.info('==========================================');
+        if (this.activityInProgress) {
+            logger.info('⏳ Waiting for the action in progress to finish...');
+            await this.activityInProgress.catch(() => {});
+        }
         if (this.twitterBot) {
-            console.log('🔒 Closing Twitter Bot...');
+            logger.info('🔒 Closing Twitter Bot...');
             await this.twitterBot.close();
-            console.log('✅ Twitter Bot closed');
+            logger.info('✅ Twitter Bot closed');
         }
         if (this.sheetsManager) {
-            console.log('📊 Closing Google Sheets connection...');
+            logger.info('📊 Closing Google Sheets connection...');
             await this.sheetsManager.close();
-            console.log('✅ Google Sheets closed');
+            logger.info('✅ Google Sheets closed');
+        }
+        if (this.database) {
+            await this.database.close();
+        }
+        this.killSwitch.close();
+        logger.info('✅ System shutdown complete');
+        logger.info('==========================================');
+    }
+
+    /**
+     * Sleeps in short slices, checking the kill switch after each one so a STOP
+     * cuts a long wait short. PAUSE is left to the next checkKillSwitch() call.
+     * @param {number} ms - Total time to wait.
+     * @returns {Promise<boolean>} - True if the kill switch said STOP.
+     */
+    async sleepUnlessStopped(ms) {
+        let remaining = ms;
+        while (remaining > 0 && !this.isShuttingDown) {
+            const slice = Math.min(this.config.killSwitch.sleepCheckInterval, remaining);
+            await this.sleep(slice);
+            remaining -= slice;
+
+            const { status, reason } = await this.killSwitch.getStatus();
+            if (status === KILL_SWITCH_STATES.STOP) {
+                logger.info(`🛑 Kill switch STOP during wait (${reason})`);
+                this.killSwitchStop = reason;
+                return true;
+            }
         }
-        console.log('✅ System shutdown complete');
-        console.log('==========================================');
+        return this.killSwitchStop !== null;
     }
 
     // Helper methods
@@ -5,49 +5,65 @@ class MockLeadScraper {
                 username: 'sports_fan_2024',
                 bio: 'Love NBA and football! Always watching games',
                 followersCount: 1500,
-                profileUrl: 'https://twitter.com/sports_fan_2024'
+                profileUrl: 'https://twitter.com/sports_fan_2024',
+                location: 'Chicago, IL',
+                language: 'en'
             },
             {
                 username: 'basketball_lover',
                 bio: 'Basketball enthusiast | Lakers fan | Sports betting tips',
                 followersCount: 850,
-                profileUrl: 'https://twitter.com/basketball_lover'
+                profileUrl: 'https://twitter.com/basketball_lover',
+                location: 'Los Angeles, CA',
+                language: 'en'
             },
             {
                 username: 'nfl_watcher',
                 bio: 'NFL every Sunday | Fantasy football expert',
                 followersCount: 2300,
-                profileUrl: 'https://twitter.com/nfl_watcher'
+                profileUrl: 'https://twitter.com/nfl_watcher',
+                location: 'Denver, CO',
+                language: 'en'
             },
             {
                 username: 'ufc_fanatic',
                 bio: 'UFC fights every weekend | MMA news',
                 followersCount: 670,
-                profileUrl: 'https://twitter.com/ufc_fanatic'
+                profileUrl: 'https://twitter.com/ufc_fanatic',
+                location: '',
+                language: ''
             },
             {
                 username: 'soccer_world',
                 bio: 'Soccer/Football from around the world | Premier League',
                 followersCount: 1200,
-                profileUrl: 'https://twitter.com/soccer_world'
+                profileUrl: 'https://twitter.com/soccer_world',
+                location: 'Milano, Italia',
+                language: 'it'
             },
             {
                 username: 'nba_insider',
                 bio: 'NBA news and analysis | Draft expert',
                 followersCount: 3400,
-                profileUrl: 'https://twitter.com/nba_insider'
+                profileUrl: 'https://twitter.com/nba_insider',
+                location: 'New York, NY',
+                language: 'en'
             },
             {
                 username: 'sports_better',
                 bio: 'Sports betting strategies and tips',
                 followersCount: 950,
-                profileUrl: 'https://twitter.com/sports_better'
+                profileUrl: 'https://twitter.com/sports_better',
+                location: 'Las Vegas, NV',
+                language: 'en'
             },
             {
                 username: 'football_fan_joe',
                 bio: 'College and NFL football fanatic',
                 followersCount: 560,
-                profileUrl: 'https://twitter.com/football_fan_joe'
+                profileUrl: 'https://twitter.com/football_fan_joe',
+                location: 'Columbus, Ohio',
+                language: 'en'
             }
         ];
     }
@@ -0,0 +1,175 @@
+/**
+ * Where an outbound action is in its life. A checkpoint moves
+ * PENDING -> SENDING -> SENT -> DONE, or ends FAILED, SKIPPED or REVIEW.
+ */
+const CHECKPOINT_STATUSES = {
+    PENDING: 'PENDING',     // Persisted; the pre-send checks are running
+    SENDING: 'SENDING',     // Handed to Twitter; the outcome is not known yet
+    SENT: 'SENT',           // Went out; the sheet and approval updates may still be missing
+    DONE: 'DONE',           // Went out and everything after it was recorded
+    FAILED: 'FAILED',       // Failed before the send click, so nothing went out
+    SKIPPED: 'SKIPPED',     // Refused or skipped before sending
+    ABANDONED: 'ABANDONED', // The process stopped before sending
+    REVIEW: 'REVIEW'        // Stopped or failed after the send click; a person decides what happened
+};
+
+// An earlier attempt under the same key is known not to have gone out, so it may run again.
+const RETRYABLE = [CHECKPOINT_STATUSES.FAILED, CHECKPOINT_STATUSES.SKIPPED, CHECKPOINT_STATUSES.ABANDONED];
+
+/**
+ * Crash-safe record of every outbound action, so none is ever sent twice.
+ *
+ * Each activity gets an idempotency key before it runs: the approval it sends
+ * for DMs and comments, the day for likes and retweets. The checkpoint under that
+ * key is persisted before the action starts and moved on as it progresses, so
+ * after a crash the database says whether it went out. On restart `recover()`
+ * sends actions that were mid-send to manual review instead of retrying them, as
+ * does an error after the send click (`markReview()`); until an operator resolves
+ * one (`node cli.js review`), nothing else of that type goes to that lead.
+ */
+class ActionJournal {
+    /**
+     * @param {object} database - A Database instance.
+     * @param {object} options - { runId, dryRun }: dry runs keep their own keys so
+     *     they never stand in for a live send.
+     */
+    constructor(database, { runId, dryRun = false } = {}) {
+        if (!database) {
+            throw new Error("ActionJournal requires a Database instance.");
+        }
+        this.database = database;
+        this.runId = runId;
+        this.dryRun = dryRun;
+    }
+
+    static normalize(username) {
+        return (username || '').trim().replace(/^@/, '').toLowerCase();
+    }
+
+    /**
+     * The same planned action always gets the same key, however often it is planned.
+     * @param {object} activity - { type, username, approvalId }
+     * @param {object} [options] - { dryRun, date }
+     * @returns {string} e.g. "live:dm:nba_fan:approval:12" or "live:like:nba_fan:2024-05-01"
+     */
+    static keyFor(activity, { dryRun = false, date = new Date() } = {}) {
+        const scope = activity.approvalId ? `approval:${activity.approvalId}` : date.toISOString().slice(0, 10);
+        return [dryRun ? 'dry-run' : 'live', activity.type, ActionJournal.normalize(activity.username), scope].join(':');
+    }
+
+    /**
+     * Persists a checkpoint for an activity that is about to run.
+     * @param {object} activity - { type, username, leadId, approvalId, activityId }
+     * @returns {Promise<object>} The checkpoint. `armed` is true if this call may send
+     *     the action; otherwise `status` says why not (already sent, in review or in progress).
+     */
+    async begin(activity) {
+        const key = ActionJournal.keyFor(activity, { dryRun: this.dryRun });
+        const username = ActionJournal.normalize(activity.username);
+
+        const review = await this.database.findReviewCheckpoint(username, activity.type, this.dryRun);
+        if (review) return this.toCheckpoint(review, false);
+
+        const id = await this.database.insertCheckpoint({
+            key,
+            runId: this.runId,
+            activityId: activity.activityId,
+            leadId: activity.leadId,
+            username,
+            activityType: activity.type,
+            dryRun: this.dryRun
+        });
+        if (id) return { id, key, status: CHECKPOINT_STATUSES.PENDING, armed: true };
+
+        const existing = await this.database.getCheckpointByKey(key);
+        if (RETRYABLE.includes(existing.status) && await this.database.rearmCheckpoint(existing.id, this.runId, activity.activityId || null)) {
+            return { id: existing.id, key, status: CHECKPOINT_STATUSES.PENDING, armed: true };
+        }
+        return this.toCheckpoint(existing, false);
+    }
+
+    toCheckpoint(row, armed) {
+        return { id: row.id, key: row.idempotency_key, status: row.status, note: row.note, armed };
+    }
+
+    async move(checkpoint, status, note = null) {
+        checkpoint.status = status;
+        await this.database.updateCheckpointStatus(checkpoint.id, status, note);
+    }
+
+    /** Called right before the action is handed to Twitter. */
+    async markSending(checkpoint) {
+        await this.move(checkpoint, CHECKPOINT_STATUSES.SENDING);
+    }
+
+    /** Called as soon as Twitter accepted the action, before anything else is recorded. */
+    async markSent(checkpoint) {
+        await this.move(checkpoint, CHECKPOINT_STATUSES.SENT);
+    }
+
+    /** Called when the action failed before anything was handed to Twitter; it may run again. */
+    async markFailed(checkpoint, error) {
+        await this.move(checkpoint, CHECKPOINT_STATUSES.FAILED, error);
+    }
+
+    /**
+     * Called when the action failed after the send click, so it may have gone out.
+     * Holds it, and every later action of its type to the lead, until an operator resolves it.
+     */
+    async markReview(checkpoint, error) {
+        await this.move(checkpoint, CHECKPOINT_STATUSES.REVIEW, error);
+    }
+
+    /** Called once the sheet and approval updates after a send are recorded too. */
+    async markDone(checkpoint) {
+        await this.move(checkpoint, CHECKPOINT_STATUSES.DONE);
+    }
+
+    /**
+     * Closes a checkpoint that never got as far as sending.
+     */
+    async release(checkpoint, reason = null) {
+        if (checkpoint.armed && checkpoint.status === CHECKPOINT_STATUSES.PENDING) {
+            await this.move(checkpoint, CHECKPOINT_STATUSES.SKIPPED, reason);
+        }
+    }
+
+    /**
+     * Settles checkpoints left open by a run that did not finish (a crash, a kill
+     * or a power cut). Must run before this run executes anything.
+     * @returns {Promise<{review: Array<object>, abandoned: number}>}
+     */
+    async recover() {
+        return await this.database.recoverCheckpoints(this.runId);
+    }
+
+    async getForReview() {
+        return await this.database.getCheckpointsByStatus(CHECKPOINT_STATUSES.REVIEW);
+    }
+
+    /**
+     * Records an operator's finding about an action in review. One that went out
+     * becomes SENT, so the next run finishes its sheet and approval updates without
+     * sending it again; one that did not becomes FAILED and may be planned again.
+     * @param {number} id - Checkpoint id.
+     * @param {object} outcome - { sent, reviewer, note }
+     * @returns {Promise<boolean>} False if the checkpoint is not in review.
+     */
+    async resolve(id, { sent, reviewer = null, note = null }) {
+        const status = sent ? CHECKPOINT_STATUSES.SENT : CHECKPOINT_STATUSES.FAILED;
+        const checkpoint = await this.database.getCheckpoint(id);
+        if (!await this.database.resolveCheckpoint(id, status, reviewer, note || `Resolved by review: ${sent ? 'sent' : 'not sent'}`)) {
+            return false;
+        }
+        if (sent) {
+            // Counts towards the lead's contact caps like any other send.
+            await this.database.recordActivity(checkpoint.lead_id, checkpoint.activity_type, checkpoint.dry_run ? 'DRY_RUN' : 'SENT', null, {
+                username: checkpoint.username,
+                reason: `Confirmed sent by review (${checkpoint.idempotency_key})`
+            });
+        }
+        return true;
+    }
+}
+
+module.exports = { ActionJournal, CHECKPOINT_STATUSES };
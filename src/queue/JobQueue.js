@@ -1,15 +1,34 @@
 const Bull = require("bull");
 const Redis = require("ioredis");
+const config = require("../config/config.js");
+const { TwitterBot } = require("../TwitterBot.js");
+const { LeadScraper } = require("../LeadScraper.js");
+const { ActionJournal } = require("./ActionJournal.js");
 
+/**
+ * Bull queues for scraping, DMs and engagement.
+ *
+ * The DM and engagement processors call TwitterBot directly, without the
+ * suppression list, approvals, message policy, contact caps or ActionJournal that
+ * TwitterAutomationSystem.executeActivity() applies. TwitterAutomationSystem
+ * therefore creates its queue with `processors: false` and only uses it to cancel
+ * queued jobs for a lead who opts out.
+ */
 class JobQueue {
-    constructor() {
-        this.redis = new Redis(process.env.REDIS_URL || "redis://localhost:6379");
+    /**
+     * @param {string} [redisUrl]
+     * @param {object} [options] - { processors }: register the job processors (default true).
+     */
+    constructor(redisUrl = process.env.REDIS_URL || "redis://localhost:6379", { processors = true } = {}) {
+        this.redis = new Redis(redisUrl);
         
         this.scrapingQueue = new Bull("scraping", { redis: this.redis });
         this.dmQueue = new Bull("dm-sending", { redis: this.redis });
         this.engagementQueue = new Bull("engagement", { redis: this.redis });
         
-        this.setupProcessors();
+        if (processors) {
+            this.setupProcessors();
+        }
     }
 
     setupProcessors() {
@@ -28,7 +47,7 @@ class JobQueue {
         // DM sending processor
         this.dmQueue.process("send-dm", 1, async (job) => {
             const { lead, message } = job.data;
-            const twitterBot = new TwitterBot(config.twitter);
+            const twitterBot = new TwitterBot(config.twitter, { disclosure: config.disclosure });
             
             await twitterBot.initialize();
             await twitterBot.sendDM(lead.username, message);
@@ -40,7 +59,7 @@ class JobQueue {
         // Engagement processor
         this.engagementQueue.process("engagement", 2, async (job) => {
             const { action, lead } = job.data;
-            const twitterBot = new TwitterBot(config.twitter);
+            const twitterBot = new TwitterBot(config.twitter, { disclosure: config.disclosure });
             
             await twitterBot.initialize();
             
@@ -72,17 +91,49 @@ class JobQueue {
         );
     }
 
+    /**
+     * Queues a DM exactly once. The job id is the DM's idempotency key, so adding
+     * the same DM again is a no-op, and a failed send is never retried: a DM that
+     * timed out may still have gone out, so it needs a person to check.
+     * @param {object} lead - { id, username, approvalId }
+     * @param {string} message
+     * @param {number} [delay]
+     */
     async addDMJob(lead, message, delay = 0) {
         return await this.dmQueue.add("send-dm", 
             { lead, message }, 
             { 
                 delay,
-                attempts: 2,
-                backoff: { type: "fixed", delay: 30000 }
+                attempts: 1,
+                jobId: ActionJournal.keyFor({ type: "dm", username: lead.username, approvalId: lead.approvalId })
             }
         );
     }
 
+    /**
+     * Removes every job for a lead that has not started yet (waiting, delayed or paused).
+     * Used when a lead opts out so no queued DM or engagement reaches them.
+     * @param {string} username
+     * @returns {Promise<number>} - The number of jobs removed.
+     */
+    async cancelJobsForLead(username) {
+        const handle = (username || "").replace(/^@/, "").toLowerCase();
+        let cancelled = 0;
+
+        for (const queue of [this.dmQueue, this.engagementQueue]) {
+            const jobs = await queue.getJobs(["waiting", "delayed", "paused"]);
+            for (const job of jobs) {
+                const jobUsername = (job?.data?.lead?.username || "").toLowerCase();
+                if (jobUsername === handle) {
+                    await job.remove();
+                    cancelled++;
+                }
+            }
+        }
+
+        return cancelled;
+    }
+
     async getQueueStats() {
         const stats = {};
         
@@ -103,3 +154,4 @@ class JobQueue {
     }
 }
 
+module.exports = { JobQueue };
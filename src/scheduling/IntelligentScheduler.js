@@ -1,5 +1,9 @@
 class IntelligentScheduler {
-    constructor() {
+    /**
+     * @param {object} [options] - { now }: a clock returning epoch milliseconds, injectable for tests.
+     */
+    constructor({ now = Date.now } = {}) {
+        this.now = now;
         this.activityHistory = [];
         this.rateWindows = {
             hour: { limit: 15, actions: [] },
@@ -30,7 +34,7 @@ class IntelligentScheduler {
     }
 
     recordAction(actionType) {
-        const timestamp = Date.now();
+        const timestamp = this.now();
         const action = { type: actionType, timestamp };
         
         // Add to all time windows
@@ -42,7 +46,7 @@ class IntelligentScheduler {
     }
 
     cleanupOldActions() {
-        const now = Date.now();
+        const now = this.now();
         const windows = {
             hour: 60 * 60 * 1000,
             day: 24 * 60 * 60 * 1000,
@@ -103,7 +107,7 @@ class IntelligentScheduler {
 
     generateWorkingHours() {
         // Generate realistic working hour patterns
-        const today = new Date();
+        const today = new Date(this.now());
         const workingHours = [];
         
         // Morning burst (9-11 AM)
@@ -137,7 +141,7 @@ class IntelligentScheduler {
 
     selectNaturalTimeSlot(workingHours, index) {
         // Simple implementation - just return current time plus some delay
-        return Date.now() + (index * 60000); // 1 minute intervals
+        return this.now() + (index * 60000); // 1 minute intervals
     }
 
     calculatePriority(action) {
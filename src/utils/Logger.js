@@ -1,34 +1,148 @@
 const winston = require("winston");
 const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+const { REDACTED, SENSITIVE_KEY, redact, formatRedacted } = require("./redact.js");
 
+// Strips secrets from the message and every metadata field before any transport sees them.
+const redactSecrets = winston.format(info => {
+    for (const key of Object.keys(info)) {
+        if (key === "level") continue;
+        info[key] = SENSITIVE_KEY.test(key) && info[key] ? REDACTED : redact(info[key]);
+    }
+    return info;
+});
+
+/**
+ * Hands every (already redacted) log entry to the listeners registered with subscribe().
+ */
+class ListenerTransport extends winston.Transport {
+    constructor(listeners) {
+        super();
+        this.listeners = listeners;
+    }
+
+    log(info, callback) {
+        for (const listener of this.listeners) listener({ ...info });
+        callback();
+    }
+}
+
+// Log files go to LOG_DIR (default ./logs). Under Jest nothing is written to disk or
+// the terminal unless a test sets LOG_DIR; subscribers still see every entry.
+const LOG_DIR = process.env.LOG_DIR || path.join(__dirname, "../../logs");
+const IS_TEST = process.env.NODE_ENV === "test";
+
+/**
+ * Application logger. Everything written through it, or through console.* once
+ * captureConsole() has been called, is redacted (passwords, private keys, cookies,
+ * tokens and any value loaded by the secrets provider) before it reaches a file,
+ * the terminal or a subscriber such as a browser watching a run.
+ *
+ * Entries carry the correlation fields of the withContext() scope they were logged
+ * in (runId, cycle, phase, activityId, leadId, username), so one lead can be
+ * followed from scrape to filter decision to action in logs/combined.log.
+ */
 class Logger {
     constructor() {
+        this.listeners = new Set();
+        this.consoleCaptured = false;
+        this.context = new AsyncLocalStorage();
+
+        // Fields given to the log call win over the surrounding context.
+        const addContext = winston.format(info => {
+            for (const [key, value] of Object.entries(this.getContext())) {
+                if (info[key] === undefined && value !== null && value !== undefined) info[key] = value;
+            }
+            return info;
+        });
+
+        const transports = [new ListenerTransport(this.listeners)];
+        if (!IS_TEST || process.env.LOG_DIR) {
+            transports.push(
+                new winston.transports.File({ 
+                    filename: path.join(LOG_DIR, "error.log"), 
+                    level: "error" 
+                }),
+                new winston.transports.File({ 
+                    filename: path.join(LOG_DIR, "combined.log") 
+                })
+            );
+        }
+        if (!IS_TEST) {
+            // The terminal shows the message as it always has; correlation fields are in the files.
+            transports.push(new winston.transports.Console({
+                format: winston.format.printf(info => info.stack && info.level === "error" ? `${info.message}\n${info.stack}` : info.message)
+            }));
+        }
+
         this.logger = winston.createLogger({
             level: "info",
             format: winston.format.combine(
                 winston.format.timestamp(),
                 winston.format.errors({ stack: true }),
+                addContext(),
+                redactSecrets(),
                 winston.format.json()
             ),
             defaultMeta: { service: "twitter-automation" },
-            transports: [
-                new winston.transports.File({ 
-                    filename: path.join(__dirname, "../../logs/error.log"), 
-                    level: "error" 
-                }),
-                new winston.transports.File({ 
-                    filename: path.join(__dirname, "../../logs/combined.log") 
-                }),
-                new winston.transports.Console({
-                    format: winston.format.combine(
-                        winston.format.colorize(),
-                        winston.format.simple()
-                    )
-                })
-            ]
+            transports
         });
     }
 
+    /**
+     * Runs `fn` with extra correlation fields on every entry it logs, including from
+     * anything it awaits. Scopes nest; inner fields override outer ones.
+     * @param {object} fields - e.g. { runId }, { phase: 'scraping' }, { activityId, leadId, username }.
+     * @param {Function} fn
+     * @returns {*} Whatever `fn` returns.
+     */
+    withContext(fields, fn) {
+        return this.context.run({ ...this.getContext(), ...fields }, fn);
+    }
+
+    /**
+     * Updates the innermost withContext() scope in place, e.g. the cycle number of a
+     * loop running inside it. Does nothing outside a scope.
+     * @param {object} fields
+     */
+    setContext(fields) {
+        const store = this.context.getStore();
+        if (store) Object.assign(store, fields);
+    }
+
+    /**
+     * @returns {object} The correlation fields in effect.
+     */
+    getContext() {
+        return this.context.getStore() || {};
+    }
+
+    /**
+     * @param {Function} listener - Called with { level, message, ...fields } for every redacted log entry.
+     * @returns {Function} Call to unsubscribe.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Routes console.log/info/warn/error through the redactor and to subscribers,
+     * for the many modules that still log with console.*. Safe to call more than once.
+     */
+    captureConsole() {
+        if (this.consoleCaptured) return;
+        this.consoleCaptured = true;
+        for (const [method, level] of [["log", "info"], ["info", "info"], ["warn", "warn"], ["error", "error"]]) {
+            const original = console[method].bind(console);
+            console[method] = (...args) => {
+                const message = formatRedacted(args);
+                original(message);
+                for (const listener of this.listeners) listener({ level, message });
+            };
+        }
+    }
+
     info(message, meta = {}) {
         this.logger.info(message, meta);
     }
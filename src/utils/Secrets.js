@@ -0,0 +1,73 @@
+const fs = require("fs");
+const path = require("path");
+const { registerSecret } = require("./redact.js");
+
+// Fields of a Google service account file that must never be logged.
+const JSON_SECRET_FIELDS = ["private_key", "private_key_id", "client_secret", "refresh_token"];
+
+/**
+ * Loads secrets (passwords, keys, tokens) from, in order:
+ *
+ * 1. A file named by `<NAME>_FILE`, e.g. GOOGLE_CREDENTIALS_JSON_FILE=/etc/auto-x/google.json
+ * 2. A mounted secret at `<SECRETS_DIR>/<NAME>` or `<SECRETS_DIR>/<name>` (default /run/secrets,
+ *    where Docker and Kubernetes mount them)
+ * 3. The `<NAME>` environment variable
+ *
+ * Every value returned is registered with the log redactor, so it is replaced
+ * with [REDACTED] wherever it would otherwise appear in a log line.
+ */
+class SecretsProvider {
+    /**
+     * @param {object} [options] - { env, dir }: for tests; default to process.env and SECRETS_DIR.
+     */
+    constructor({ env = process.env, dir = env.SECRETS_DIR || "/run/secrets" } = {}) {
+        this.env = env;
+        this.dir = dir;
+    }
+
+    /**
+     * @param {string} name - e.g. 'TWITTER_PASSWORD'.
+     * @returns {string|undefined}
+     * @throws {Error} If `<NAME>_FILE` is set but the file cannot be read.
+     */
+    get(name) {
+        let value;
+        const file = this.env[`${name}_FILE`];
+        if (file) {
+            try {
+                value = fs.readFileSync(file, "utf8").trim();
+            } catch (error) {
+                throw new Error(`${name}_FILE is set to ${file}, which cannot be read (${error.code || error.message}).`);
+            }
+        } else {
+            const mounted = [name, name.toLowerCase()]
+                .map(candidate => path.join(this.dir, candidate))
+                .find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+            value = mounted ? fs.readFileSync(mounted, "utf8").trim() : this.env[name];
+        }
+
+        if (!value) return undefined;
+        registerSecret(value);
+        return value;
+    }
+
+    /**
+     * Parses a JSON secret such as a service account file.
+     * @param {string} name - Used in the error message; the content never is.
+     * @param {string} raw
+     * @returns {object}
+     */
+    static parseJson(name, raw) {
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (error) {
+            // SyntaxError messages quote the input, which here is a private key.
+            throw new Error(`${name} is not valid JSON. It should contain the full content of your service account JSON file.`);
+        }
+        for (const field of JSON_SECRET_FIELDS) registerSecret(parsed[field]);
+        return parsed;
+    }
+}
+
+module.exports = { SecretsProvider, secrets: new SecretsProvider() };
@@ -0,0 +1,10 @@
+/**
+ * Escapes text for safe interpolation into server-rendered HTML.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+module.exports = { escapeHtml };
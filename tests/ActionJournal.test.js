@@ -0,0 +1,79 @@
+const { Database } = require('../src/database/Database.js');
+const { ActionJournal, CHECKPOINT_STATUSES } = require('../src/queue/ActionJournal.js');
+
+describe('ActionJournal', () => {
+    let database;
+    let journal;
+
+    const dm = (username, approvalId = 7) => ({ type: 'dm', leadId: 2, username, approvalId, activityId: `activity-${username}` });
+    const status = async checkpoint => (await database.getCheckpoint(checkpoint.id)).status;
+
+    beforeEach(async () => {
+        database = new Database(':memory:');
+        await database.initialize();
+        journal = new ActionJournal(database, { runId: 'run-1' });
+    });
+
+    afterEach(async () => {
+        await database.close();
+    });
+
+    it('keys an action by its approval, or by the day when it has none', () => {
+        const date = new Date('2024-05-01T12:00:00Z');
+        expect(ActionJournal.keyFor(dm('@NBA_Fan'), { date })).toBe('live:dm:nba_fan:approval:7');
+        expect(ActionJournal.keyFor({ type: 'like', username: 'nba_fan' }, { date, dryRun: true })).toBe('dry-run:like:nba_fan:2024-05-01');
+    });
+
+    it('persists the checkpoint before the action and never arms a sent action twice', async () => {
+        const checkpoint = await journal.begin(dm('nba_fan'));
+        expect(checkpoint).toMatchObject({ key: 'live:dm:nba_fan:approval:7', status: CHECKPOINT_STATUSES.PENDING, armed: true });
+        expect(await status(checkpoint)).toBe(CHECKPOINT_STATUSES.PENDING);
+        expect(await journal.begin(dm('nba_fan'))).toMatchObject({ status: CHECKPOINT_STATUSES.PENDING, armed: false });
+
+        await journal.markSending(checkpoint);
+        await journal.markSent(checkpoint);
+        expect(await journal.begin(dm('nba_fan'))).toMatchObject({ id: checkpoint.id, status: CHECKPOINT_STATUSES.SENT, armed: false });
+
+        // Dry runs have keys of their own.
+        const dryRun = new ActionJournal(database, { runId: 'run-1', dryRun: true });
+        expect(await dryRun.begin(dm('nba_fan'))).toMatchObject({ armed: true });
+    });
+
+    it('arms an action again once an earlier attempt is known not to have gone out', async () => {
+        const failed = await journal.begin(dm('nba_fan'));
+        await journal.markSending(failed);
+        await journal.markFailed(failed, 'Timeout');
+        const skipped = await journal.begin(dm('other_fan'));
+        await journal.release(skipped, 'Suppressed');
+        expect(await status(skipped)).toBe(CHECKPOINT_STATUSES.SKIPPED);
+
+        expect(await journal.begin(dm('nba_fan'))).toMatchObject({ id: failed.id, status: CHECKPOINT_STATUSES.PENDING, armed: true });
+        expect(await journal.begin(dm('other_fan'))).toMatchObject({ id: skipped.id, armed: true });
+        expect(await database.getCheckpoint(failed.id)).toMatchObject({ attempts: 2, note: null });
+    });
+
+    it('sends actions caught mid-send by a crash to review and holds that lead until resolved', async () => {
+        const sending = await journal.begin(dm('nba_fan'));
+        await journal.markSending(sending);
+        const pending = await journal.begin(dm('other_fan'));
+        const done = await journal.begin(dm('happy_fan'));
+        await journal.markDone(done);
+
+        const restarted = new ActionJournal(database, { runId: 'run-2' });
+        const { review, abandoned } = await restarted.recover();
+        expect(review).toEqual([expect.objectContaining({ id: sending.id, username: 'nba_fan', status: CHECKPOINT_STATUSES.REVIEW })]);
+        expect(abandoned).toBe(1);
+        expect(await status(pending)).toBe(CHECKPOINT_STATUSES.ABANDONED);
+        expect(await status(done)).toBe(CHECKPOINT_STATUSES.DONE);
+
+        // Any DM to that lead is held, even under a new approval.
+        expect(await restarted.begin(dm('nba_fan', 8))).toMatchObject({ id: sending.id, status: CHECKPOINT_STATUSES.REVIEW, armed: false });
+        expect(await restarted.begin(dm('other_fan'))).toMatchObject({ armed: true });
+
+        expect(await restarted.resolve(sending.id, { sent: true, reviewer: 'ana' })).toBe(true);
+        expect(await restarted.resolve(sending.id, { sent: false })).toBe(false);
+        expect(await database.getCheckpoint(sending.id)).toMatchObject({ status: CHECKPOINT_STATUSES.SENT, reviewer: 'ana' });
+        expect(await database.hasActivity('nba_fan', 'dm', 'SENT', 'Confirmed sent by review (live:dm:nba_fan:approval:7)')).toBe(true);
+        expect(await restarted.begin(dm('nba_fan'))).toMatchObject({ status: CHECKPOINT_STATUSES.SENT, armed: false });
+    });
+});
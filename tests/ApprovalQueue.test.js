@@ -0,0 +1,90 @@
+const { Database } = require('../src/database/Database.js');
+const { ApprovalQueue, APPROVAL_STATUSES } = require('../src/compliance/ApprovalQueue.js');
+
+describe('ApprovalQueue', () => {
+    let database;
+    let queue;
+
+    const dm = (username, message = `Hi ${username}!`) => ({ type: 'dm', leadId: 2, username, message, keyword: 'nba', templateId: 'abcd1234' });
+    const like = username => ({ type: 'like', leadId: 2, username });
+
+    beforeEach(async () => {
+        database = new Database(':memory:');
+        await database.initialize();
+        queue = new ApprovalQueue(database);
+    });
+
+    afterEach(async () => {
+        await database.close();
+    });
+
+    it('queues messages, lets non-message activities through and does not queue twice', async () => {
+        const first = await queue.applyApprovals([dm('alice'), like('alice')]);
+        expect(first).toMatchObject({ queued: 1, pending: 0, rejected: 0 });
+        expect(first.ready).toEqual([like('alice')]);
+
+        const second = await queue.applyApprovals([dm('alice', 'A different random template')]);
+        expect(second).toMatchObject({ queued: 0, pending: 1, ready: [] });
+
+        const [pending] = await queue.getPending();
+        expect(pending).toMatchObject({ username: 'alice', activity_type: 'dm', proposed_text: 'Hi alice!', keyword: 'nba', template_id: 'abcd1234' });
+    });
+
+    it('swaps in the approved (edited) text and the approval id', async () => {
+        await queue.applyApprovals([dm('alice')]);
+        const [pending] = await queue.getPending();
+        await queue.approve(pending.id, { reviewer: 'ana', text: '  Hi alice, edited.  ' });
+
+        const { ready } = await queue.applyApprovals([dm('alice', 'Freshly generated text')]);
+        expect(ready).toEqual([expect.objectContaining({ message: 'Hi alice, edited.', approvalId: pending.id, approvedBy: 'ana' })]);
+        expect(await queue.verify(ready[0])).toEqual({ approved: true, reason: null });
+    });
+
+    it('approves comments through the comment field', async () => {
+        const comment = { type: 'comment', leadId: 2, username: 'bob', comment: 'Great point!' };
+        await queue.applyApprovals([comment]);
+        const [pending] = await queue.getPending();
+        await queue.approve(pending.id, { reviewer: 'ana' });
+
+        const { ready } = await queue.applyApprovals([{ ...comment, comment: 'Well said!' }]);
+        expect(ready[0].comment).toBe('Great point!');
+        expect((await queue.verify(ready[0])).approved).toBe(true);
+    });
+
+    it('drops rejected messages for good', async () => {
+        await queue.applyApprovals([dm('alice')]);
+        const [pending] = await queue.getPending();
+        expect(await queue.reject(pending.id, { reviewer: 'ana', note: 'Not a fit' })).toBe(true);
+
+        expect(await queue.applyApprovals([dm('alice')])).toMatchObject({ ready: [], queued: 0, rejected: 1 });
+        expect(await database.getApproval(pending.id)).toMatchObject({ status: 'REJECTED', reviewer: 'ana', review_note: 'Not a fit' });
+    });
+
+    it('only reviews pending records and requires a reviewer', async () => {
+        await queue.applyApprovals([dm('alice')]);
+        const [pending] = await queue.getPending();
+
+        await expect(queue.approve(pending.id, { reviewer: '' })).rejects.toThrow('A reviewer is required');
+        expect(await queue.approve(pending.id, { reviewer: 'ana' })).toBe(true);
+        expect(await queue.reject(pending.id, { reviewer: 'ben' })).toBe(false);
+    });
+
+    it('refuses to verify missing, mismatched or already-sent approvals', async () => {
+        await queue.applyApprovals([dm('alice')]);
+        const [pending] = await queue.getPending();
+
+        expect(await queue.verify(dm('alice'))).toEqual({ approved: false, reason: 'No approval record' });
+        expect(await queue.verify({ ...dm('alice'), approvalId: pending.id })).toEqual({ approved: false, reason: `Approval ${pending.id} is PENDING` });
+
+        await queue.approve(pending.id, { reviewer: 'ana' });
+        expect((await queue.verify({ ...dm('alice', 'Hi alice!!'), approvalId: pending.id })).reason).toBe(`Text differs from approval ${pending.id}`);
+        expect((await queue.verify({ ...dm('mallory', 'Hi alice!'), approvalId: pending.id })).reason).toBe(`Approval ${pending.id} is for a different dm target`);
+
+        await queue.markSent(pending.id);
+        expect((await database.getApproval(pending.id)).status).toBe(APPROVAL_STATUSES.SENT);
+        expect((await queue.verify({ ...dm('alice'), approvalId: pending.id })).approved).toBe(false);
+
+        // A sent approval is used up: the next message to alice needs a new review.
+        expect(await queue.applyApprovals([dm('alice')])).toMatchObject({ queued: 1 });
+    });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditTrail, AUDIT_RESULTS, GENESIS_HASH } = require('../src/compliance/AuditTrail.js');
+
+describe('AuditTrail', () => {
+    let tmpDir;
+    let filePath;
+
+    const dm = (target, overrides = {}) => ({
+        account: 'our_brand',
+        type: 'dm',
+        target,
+        leadId: 2,
+        text: `Hi ${target}!`,
+        filterDecision: { status: 'PASS', reason: 'All filters passed' },
+        result: AUDIT_RESULTS.SUCCESS,
+        ...overrides
+    });
+    const lines = () => fs.readFileSync(filePath, 'utf8').trim().split('\n');
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-trail-'));
+        filePath = path.join(tmpDir, 'nested', 'audit.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        jest.useRealTimers();
+    });
+
+    it('writes every field and chains each entry to the previous one', () => {
+        const trail = new AuditTrail(filePath);
+        const first = trail.record(dm('alice'));
+        const second = trail.record(dm('bob', { result: AUDIT_RESULTS.FAILED, error: 'DM button not found' }));
+
+        expect(first).toMatchObject({
+            seq: 1,
+            account: 'our_brand',
+            type: 'dm',
+            target: 'alice',
+            text: 'Hi alice!',
+            filterDecision: { status: 'PASS', reason: 'All filters passed' },
+            result: 'SUCCESS',
+            error: null,
+            dryRun: false,
+            prevHash: GENESIS_HASH
+        });
+        expect(second.prevHash).toBe(first.hash);
+        expect(second.error).toBe('DM button not found');
+        expect(lines()).toHaveLength(2);
+        expect(trail.verify()).toEqual({ valid: true, entries: 2, brokenAt: null, error: null });
+    });
+
+    it('continues the chain of an existing file', () => {
+        new AuditTrail(filePath).record(dm('alice'));
+        const entry = new AuditTrail(filePath).record(dm('bob'));
+
+        expect(entry.seq).toBe(2);
+        expect(new AuditTrail(filePath).verify().valid).toBe(true);
+    });
+
+    it('detects an edited entry', () => {
+        const trail = new AuditTrail(filePath);
+        trail.record(dm('alice'));
+        trail.record(dm('bob'));
+        const edited = lines().map(line => line.replace('Hi alice!', 'Hello alice'));
+        fs.writeFileSync(filePath, edited.join('\n') + '\n');
+
+        expect(trail.verify()).toEqual({ valid: false, entries: 2, brokenAt: 1, error: 'Entry content does not match its hash' });
+    });
+
+    it('detects a deleted entry', () => {
+        const trail = new AuditTrail(filePath);
+        trail.record(dm('alice'));
+        trail.record(dm('bob'));
+        trail.record(dm('carol'));
+        const remaining = lines();
+        remaining.splice(1, 1);
+        fs.writeFileSync(filePath, remaining.join('\n') + '\n');
+
+        expect(trail.verify()).toMatchObject({ valid: false, brokenAt: 2 });
+    });
+
+    it('filters by target account and date range', () => {
+        jest.useFakeTimers({ now: new Date('2024-05-01T10:00:00Z') });
+        const trail = new AuditTrail(filePath);
+        trail.record(dm('alice'));
+        jest.setSystemTime(new Date('2024-05-03T10:00:00Z'));
+        trail.record(dm('Bob'));
+        trail.record(dm('alice', { type: 'like', text: null }));
+
+        expect(trail.query({ account: '@ALICE' }).map(entry => entry.seq)).toEqual([1, 3]);
+        expect(trail.query({ from: '2024-05-02T00:00:00Z' }).map(entry => entry.seq)).toEqual([2, 3]);
+        expect(trail.query({ account: 'alice', to: '2024-05-02T00:00:00Z' }).map(entry => entry.seq)).toEqual([1]);
+        expect(trail.query({ sender: 'someone_else' })).toEqual([]);
+    });
+});
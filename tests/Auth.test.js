@@ -0,0 +1,198 @@
+const http = require('http');
+const express = require('express');
+const { WebSocket, WebSocketServer } = require('ws');
+const { Auth, ROLES, COOKIE_NAME } = require('../src/auth/Auth.js');
+
+const VIEWER_TOKEN = 'viewer-token-0123456789';
+const OPERATOR_TOKEN = 'operator-token-0123456789';
+const USERS = `vera:viewer:${VIEWER_TOKEN}, otto:operator:${OPERATOR_TOKEN}`;
+
+describe('Auth', () => {
+    let logger;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        logger = { info: jest.fn() };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('users and sessions', () => {
+        it('parses "name:role:token" entries and rejects bad ones', () => {
+            expect(Auth.parseUsers(USERS)).toEqual([
+                { name: 'vera', role: 'viewer', token: VIEWER_TOKEN },
+                { name: 'otto', role: 'operator', token: OPERATOR_TOKEN }
+            ]);
+            expect(() => Auth.parseUsers('eve:admin:0123456789abcdef')).toThrow('Unknown role "admin"');
+            expect(() => Auth.parseUsers('eve:viewer:short')).toThrow('at least 16 characters');
+        });
+
+        it('accepts a session until it expires, is tampered with or its user changes', () => {
+            const auth = new Auth({ users: USERS, sessionSecret: 'secret', sessionTtl: 1000 }, { logger });
+            const cookie = auth.createSession({ name: 'otto', role: 'operator' }, 0);
+
+            expect(auth.readSession(cookie, 500)).toMatchObject({ name: 'otto', role: 'operator', csrf: expect.any(String) });
+            expect(auth.readSession(cookie, 1001)).toBeNull();
+            expect(auth.readSession(cookie.replace(/^./, 'x'), 500)).toBeNull();
+
+            const demoted = new Auth({ users: `otto:viewer:${OPERATOR_TOKEN}`, sessionSecret: 'secret' }, { logger });
+            expect(demoted.readSession(cookie, 500)).toBeNull();
+            const otherSecret = new Auth({ users: USERS, sessionSecret: 'other' }, { logger });
+            expect(otherSecret.readSession(cookie, 500)).toBeNull();
+        });
+
+        it('identifies bearer tokens and refuses everyone when no users are configured', () => {
+            const auth = new Auth({ users: USERS }, { logger });
+            expect(auth.identify({ headers: { authorization: `Bearer ${VIEWER_TOKEN}` } })).toEqual({
+                name: 'vera', role: 'viewer', via: 'token', csrf: null
+            });
+            expect(auth.identify({ headers: { authorization: 'Bearer nope' } })).toBeNull();
+            expect(new Auth({}, { logger }).identify({ headers: { authorization: `Bearer ${VIEWER_TOKEN}` } })).toBeNull();
+        });
+    });
+
+    describe('middleware', () => {
+        let server;
+        let baseUrl;
+        let auth;
+
+        const request = (path, options = {}) => fetch(`${baseUrl}${path}`, { redirect: 'manual', ...options });
+        const form = fields => ({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams(fields).toString()
+        });
+        const login = async token => {
+            const response = await request('/login', form({ token, next: '/status' }));
+            const cookie = response.headers.get('set-cookie').split(';')[0];
+            return { cookie, csrf: auth.readSession(cookie.slice(COOKIE_NAME.length + 1)).csrf };
+        };
+
+        beforeAll(done => {
+            auth = new Auth({ users: USERS, sessionSecret: 'secret' }, { logger: { info: () => {} } });
+            const app = express();
+            auth.mountLogin(app, { home: '/status' });
+            app.get('/status', auth.requireRole(ROLES.VIEWER), (req, res) => res.send(`hello ${req.identity.name}`));
+            app.get('/api/status', auth.requireRole(ROLES.VIEWER, { api: true }), (req, res) => res.json({ ok: true }));
+            app.post('/stop', express.urlencoded({ extended: false }), auth.requireRole(ROLES.OPERATOR), auth.requireCsrf(), (req, res) => {
+                auth.logControlAction(req.identity, 'stop');
+                res.send('stopped');
+            });
+            server = app.listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+                done();
+            });
+        });
+
+        afterAll(done => {
+            server.close(done);
+        });
+
+        beforeEach(() => {
+            auth.logger = logger;
+        });
+
+        it('sends browsers to the login page and API clients a 401', async () => {
+            const page = await request('/status');
+            expect(page.status).toBe(302);
+            expect(page.headers.get('location')).toBe('/login?next=%2Fstatus');
+            expect((await request('/api/status')).status).toBe(401);
+            expect((await request('/stop', form({}))).status).toBe(401);
+        });
+
+        it('logs in with a token and sets an HttpOnly, SameSite session cookie', async () => {
+            const response = await request('/login', form({ token: VIEWER_TOKEN, next: '//evil.example' }));
+            expect(response.status).toBe(302);
+            expect(response.headers.get('location')).toBe('/status');
+            expect(response.headers.get('set-cookie')).toMatch(/HttpOnly; SameSite=Strict/);
+
+            const cookie = response.headers.get('set-cookie').split(';')[0];
+            expect(await (await request('/status', { headers: { cookie } })).text()).toBe('hello vera');
+            expect(logger.info).toHaveBeenCalledWith('Control action login by vera', expect.objectContaining({ user: 'vera', action: 'login' }));
+
+            const failed = await request('/login', form({ token: 'wrong-token-0123456789' }));
+            expect(failed.headers.get('location')).toMatch(/^\/login\?failed=1/);
+        });
+
+        it('forbids viewers from operator actions', async () => {
+            const { cookie, csrf } = await login(VIEWER_TOKEN);
+            const response = await request('/stop', { ...form({ _csrf: csrf }), headers: { ...form({}).headers, cookie } });
+            expect(response.status).toBe(403);
+            expect(logger.info).not.toHaveBeenCalledWith(expect.stringContaining('stop'), expect.anything());
+        });
+
+        it('requires the CSRF token on session POSTs and logs the action against the user', async () => {
+            const { cookie, csrf } = await login(OPERATOR_TOKEN);
+            const headers = { ...form({}).headers, cookie };
+
+            expect((await request('/stop', { ...form({}), headers })).status).toBe(403);
+            expect((await request('/stop', { ...form({ _csrf: 'forged' }), headers })).status).toBe(403);
+
+            const response = await request('/stop', { ...form({ _csrf: csrf }), headers });
+            expect(await response.text()).toBe('stopped');
+            expect(logger.info).toHaveBeenCalledWith('Control action stop by otto', expect.objectContaining({
+                control: true, action: 'stop', user: 'otto', role: 'operator', via: 'session'
+            }));
+        });
+
+        it('lets bearer-token clients POST without a CSRF token', async () => {
+            const response = await request('/stop', { ...form({}), headers: { ...form({}).headers, authorization: `Bearer ${OPERATOR_TOKEN}` } });
+            expect(response.status).toBe(200);
+            expect(logger.info).toHaveBeenCalledWith('Control action stop by otto', expect.objectContaining({ via: 'token' }));
+        });
+    });
+
+    describe('WebSocket upgrades', () => {
+        let server;
+        let port;
+        let auth;
+        let cookie;
+
+        // Opens a socket and resolves with the close code, or 'open' if the server kept it.
+        const connect = origin => new Promise((resolve, reject) => {
+            const socket = new WebSocket(`ws://127.0.0.1:${port}`, { headers: { cookie }, ...(origin !== undefined && { origin }) });
+            socket.on('message', () => {
+                socket.close();
+                resolve('open');
+            });
+            socket.on('close', code => resolve(code));
+            socket.on('error', reject);
+        });
+
+        beforeAll(done => {
+            auth = new Auth({ users: USERS, sessionSecret: 'secret' }, { logger: { info: () => {} } });
+            cookie = `${COOKIE_NAME}=${encodeURIComponent(auth.createSession({ name: 'vera', role: 'viewer' }))}`;
+            server = http.createServer();
+            // Handled as in server.js
+            new WebSocketServer({ server }).on('connection', (ws, req) => {
+                if (!auth.identifySocket(req)) {
+                    ws.close(1008, 'Authentication required');
+                    return;
+                }
+                ws.send('welcome');
+            });
+            server.listen(0, '127.0.0.1', () => {
+                port = server.address().port;
+                done();
+            });
+        });
+
+        afterAll(done => {
+            server.close(done);
+        });
+
+        it('accepts a session from this origin, or from a client that sends none', async () => {
+            expect(await connect(`http://127.0.0.1:${port}`)).toBe('open');
+            expect(await connect(undefined)).toBe('open');
+        });
+
+        it('closes sockets from other, "null" or malformed origins with 1008 instead of throwing', async () => {
+            for (const origin of ['https://evil.example', 'null', 'http://[not a host', '::::']) {
+                expect(await connect(origin)).toBe(1008);
+            }
+            expect(await connect(`http://127.0.0.1:${port}`)).toBe('open');
+        });
+    });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, loadConfig, withOverrides, checkRequired } = require('../src/config/ConfigLoader.js');
+
+/**
+ * @returns {Array<object>} The per-field errors of the ConfigError thrown by fn.
+ */
+function configErrors(fn) {
+    try {
+        fn();
+    } catch (error) {
+        expect(error).toBeInstanceOf(ConfigError);
+        return error.errors;
+    }
+    throw new Error('Expected a ConfigError');
+}
+
+describe('ConfigLoader', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-x-config-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('loads the defaults into a deep-frozen config', () => {
+        const config = loadConfig({ env: { SECRETS_DIR: tmpDir } });
+
+        expect(config.outreach.mode).toBe('inbound_only');
+        expect(config.jurisdiction.campaignCategory).toBe('gambling');
+        expect(config.killSwitch.sources).toEqual(['sheet', 'file', 'signal']);
+        expect(Object.isFrozen(config.scraping.keywords)).toBe(true);
+        expect(() => { 'use strict'; config.twitter.username = 'someone'; }).toThrow(TypeError);
+    });
+
+    it('layers the config file under environment variables and converts their types', () => {
+        const file = path.join(tmpDir, 'config.json');
+        fs.writeFileSync(file, JSON.stringify({
+            scraping: { keywords: ['nba picks'], leadsPerKeyword: 3 },
+            browser: { slowMo: 100 }
+        }));
+        const config = loadConfig({
+            env: { SECRETS_DIR: tmpDir, CONFIG_FILE: file, SLOW_MO: '250', HEADLESS: 'false', KILL_SWITCH_SOURCES: 'file, http', KILL_SWITCH_URL: 'http://localhost:3001', PROXY_2: 'http://proxy:8080' }
+        });
+
+        expect(config.scraping).toMatchObject({ keywords: ['nba picks'], leadsPerKeyword: 3, delayBetweenKeywords: { min: 30000, max: 60000 } });
+        expect(config.browser).toMatchObject({ slowMo: 250, headless: false, timeout: 30000 });
+        expect(config.killSwitch.sources).toEqual(['file', 'http']);
+        expect(config.scraping.proxies).toEqual(['http://proxy:8080']);
+    });
+
+    it('reports every invalid field with where its value came from', () => {
+        const file = path.join(tmpDir, 'config.json');
+        fs.writeFileSync(file, JSON.stringify({ rateLimits: { dmPerDay: -1, dmsPerDay: 5 }, scraping: { delayBetweenKeywords: { min: 90000 } } }));
+
+        const errors = configErrors(() => loadConfig({
+            env: { SECRETS_DIR: tmpDir, CONFIG_FILE: file, SLOW_MO: 'fast', OUTREACH_MODE: 'everyone', KILL_SWITCH_SOURCES: 'sheet,pigeon' }
+        }));
+
+        expect(errors).toEqual(expect.arrayContaining([
+            { path: 'browser.slowMo', message: 'expected a whole number, got "fast" (from SLOW_MO)' },
+            { path: 'outreach.mode', message: `must be one of open, inbound_only, got "everyone" (from OUTREACH_MODE)` },
+            { path: 'killSwitch.sources[1]', message: 'must be one of sheet, file, signal, http, got "pigeon" (from KILL_SWITCH_SOURCES)' },
+            { path: 'rateLimits.dmPerDay', message: `must be at least 0, got -1 (from ${file})` },
+            { path: 'rateLimits.dmsPerDay', message: `unknown setting (from ${file})` },
+            { path: 'scraping.delayBetweenKeywords', message: 'min (90000) is greater than max (60000)' }
+        ]));
+        expect(errors).toHaveLength(6);
+    });
+
+    it('reports an unreadable or malformed config file instead of ignoring it', () => {
+        expect(configErrors(() => loadConfig({ env: { SECRETS_DIR: tmpDir, CONFIG_FILE: path.join(tmpDir, 'missing.json') } })))
+            .toEqual([{ path: 'CONFIG_FILE', message: expect.stringMatching(/missing\.json cannot be read \(ENOENT\)$/) }]);
+
+        fs.writeFileSync(path.join(tmpDir, 'bad.json'), '{ "scraping": ');
+        expect(configErrors(() => loadConfig({ env: { SECRETS_DIR: tmpDir, CONFIG_FILE: path.join(tmpDir, 'bad.json') } })))
+            .toEqual([{ path: 'CONFIG_FILE', message: expect.stringContaining('is not valid JSON') }]);
+    });
+
+    it('gives each run its own config without touching the shared one', () => {
+        const base = loadConfig({ env: { SECRETS_DIR: tmpDir, TWITTER_USERNAME: 'shared_account' } });
+        const first = withOverrides(base, { twitter: { username: 'first_account' }, scraping: { keywords: ['first'] } });
+        const second = withOverrides(base, { messagePolicy: { senderName: 'Second Co' } });
+
+        expect(first.twitter.username).toBe('first_account');
+        expect(second.twitter.username).toBe('shared_account');
+        expect(second.scraping.keywords).toEqual(base.scraping.keywords);
+        expect(first.messagePolicy.senderName).toBe('');
+        expect(base.twitter.username).toBe('shared_account');
+        expect(Object.isFrozen(first.twitter)).toBe(true);
+
+        expect(configErrors(() => withOverrides(base, { scraping: { keywords: 'nba' } })))
+            .toEqual([{ path: 'scraping.keywords', message: 'expected a list, got "nba" (from per-run override)' }]);
+    });
+
+    it('checks run-only settings when asked instead of exiting the process at load time', () => {
+        const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+        const config = loadConfig({ env: { SECRETS_DIR: tmpDir, SHEETS_BACKEND: 'google' } });
+        expect(exit).not.toHaveBeenCalled();
+        exit.mockRestore();
+
+        expect(configErrors(() => checkRequired(config)).map(error => error.path))
+            .toEqual(['googleSheets.spreadsheetId', 'googleSheets.credentialsJson']);
+        expect(() => checkRequired(loadConfig({ env: { SECRETS_DIR: tmpDir, SHEETS_BACKEND: 'local' } }))).not.toThrow();
+    });
+});
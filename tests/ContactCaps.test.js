@@ -0,0 +1,123 @@
+const { Database } = require('../src/database/Database.js');
+const { ContactCaps, CONTACT_CAPS, CONTACT_CAP_RULES } = require('../src/compliance/ContactCaps.js');
+const { EngagementScheduler } = require('../src/EngagementScheduler.js');
+const { loadConfig, withOverrides } = require('../src/config/ConfigLoader.js');
+
+describe('ContactCaps', () => {
+    let database;
+    let caps;
+
+    const send = (username, type, status = 'SENT') => database.recordActivity(null, type, status, null, { username });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = new Database(':memory:');
+        await database.initialize();
+        caps = new ContactCaps(database);
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    it('allows one unsolicited DM per lead, ever', async () => {
+        await caps.load();
+        expect(caps.check({ username: 'cold_lead', type: 'dm' })).toBeNull();
+
+        await send('Cold_Lead', 'dm');
+        await database.recordInboundSignal('cold_lead', 'REPLY');
+        await caps.load();
+        // Their reply lets public engagement resume, but no second automated DM.
+        expect(caps.check({ username: 'cold_lead', type: 'like' })).toBeNull();
+        expect(caps.check({ username: 'cold_lead', type: 'dm' })).toMatchObject({ rule: CONTACT_CAP_RULES.ONE_UNSOLICITED_DM });
+
+        // A lead who reached out before our DM was not cold-messaged.
+        await database.db.run("INSERT INTO inbound_signals (username, signal_type, recorded_at) VALUES ('fan', 'MENTION', datetime('now', '-2 days'))");
+        await send('fan', 'dm');
+        await database.db.run("UPDATE activities SET performed_at = datetime('now', '-1 day') WHERE username = 'fan'");
+        await database.recordInboundSignal('fan', 'REPLY');
+        await caps.load();
+        expect(caps.check({ username: 'fan', type: 'dm' })).toBeNull();
+    });
+
+    it('refuses everything once a DM goes unanswered', async () => {
+        await send('ghost', 'dm');
+        await caps.load();
+
+        expect(caps.check({ username: 'ghost', type: 'dm' })).toMatchObject({ rule: CONTACT_CAP_RULES.ONE_UNSOLICITED_DM });
+        for (const type of ['like', 'retweet', 'comment']) {
+            expect(caps.check({ username: 'ghost', type })).toMatchObject({ rule: CONTACT_CAP_RULES.UNANSWERED_DM });
+        }
+        // A reply from before our DM does not answer it.
+        await database.db.run("INSERT INTO inbound_signals (username, signal_type, recorded_at) VALUES ('ghost', 'MENTION', datetime('now', '-2 days'))");
+        await caps.load();
+        expect(caps.check({ username: 'ghost', type: 'like' })).toMatchObject({ rule: CONTACT_CAP_RULES.UNANSWERED_DM });
+    });
+
+    it('caps public interactions per lead over a rolling month, counting what is planned', async () => {
+        for (let i = 0; i < CONTACT_CAPS.publicInteractionsPerMonth - 1; i++) await send('regular', 'like');
+        await send('regular', 'retweet', 'FAILED');
+        await caps.load();
+
+        expect(caps.check({ username: 'regular', type: 'comment' })).toBeNull();
+        expect(caps.check({ username: 'regular', type: 'comment' }, [{ username: 'Regular', type: 'like' }]))
+            .toMatchObject({ rule: CONTACT_CAP_RULES.PUBLIC_MONTHLY_LIMIT });
+
+        caps.recordSent({ username: 'regular', type: 'retweet' });
+        expect(caps.check({ username: 'regular', type: 'like' })).toMatchObject({ rule: CONTACT_CAP_RULES.PUBLIC_MONTHLY_LIMIT });
+
+        await database.db.run("UPDATE activities SET performed_at = datetime('now', '-31 days') WHERE username = 'regular'");
+        await caps.load();
+        expect(caps.check({ username: 'regular', type: 'like' })).toBeNull();
+    });
+
+    it('counts dry-run actions only when asked to', async () => {
+        await send('dry_lead', 'dm', 'DRY_RUN');
+        await caps.load();
+        expect(caps.check({ username: 'dry_lead', type: 'like' })).toBeNull();
+
+        const dryRunCaps = new ContactCaps(database, { statuses: ['SENT', 'DRY_RUN'] });
+        await dryRunCaps.load();
+        expect(dryRunCaps.check({ username: 'dry_lead', type: 'like' })).toMatchObject({ rule: CONTACT_CAP_RULES.UNANSWERED_DM });
+    });
+
+    it('keeps leads at their monthly allowance out of the engagement queue', async () => {
+        for (const username of ['busy', 'fresh']) {
+            await database.updateLeadStatus(await database.insertLead({ username }), 'PASS');
+        }
+        for (let i = 0; i < CONTACT_CAPS.publicInteractionsPerMonth; i++) await send('busy', 'like');
+
+        expect((await database.getEngagementQueue()).map(lead => lead.username)).toEqual(['fresh']);
+    });
+
+    it('is not a setting a run can override', () => {
+        const base = loadConfig({ env: {} });
+        expect(() => withOverrides(base, { contactCaps: { publicInteractionsPerMonth: 100 } })).toThrow(/contactCaps: unknown setting/);
+    });
+
+    describe('with the scheduler', () => {
+        it('plans a DM alone, logs each capped activity with its rule and cannot be loosened by config', async () => {
+            jest.spyOn(Math, 'random').mockReturnValue(0); // Would plan a retweet and comment for every lead
+            await send('ghost', 'dm');
+            await caps.load();
+            const scheduler = new EngagementScheduler({
+                rateLimits: { dmPerDay: 10, likesPerDay: 10, retweetsPerDay: 10, commentsPerDay: 10 },
+                messageTemplates: ['Hi {username}!'],
+                engagement: { commentTemplates: ['Nice!'] },
+                contactCaps: { unsolicitedDMs: 5, publicInteractionsPerMonth: 100 }
+            });
+            scheduler.setContactCaps(caps);
+
+            const plan = scheduler.createDailyPlan([{ id: 2, username: 'new_lead' }, { id: 3, username: 'ghost' }]);
+
+            expect(plan.map(activity => `${activity.type}:${activity.username}`)).toEqual(['dm:new_lead']);
+            expect(scheduler.lastCapped).toEqual(expect.arrayContaining([
+                expect.objectContaining({ leadId: 2, type: 'like', rule: CONTACT_CAP_RULES.UNANSWERED_DM }),
+                expect.objectContaining({ leadId: 3, type: 'dm', rule: CONTACT_CAP_RULES.ONE_UNSOLICITED_DM }),
+                expect.objectContaining({ leadId: 3, type: 'comment', rule: CONTACT_CAP_RULES.UNANSWERED_DM })
+            ]));
+            expect(scheduler.lastCapped).toHaveLength(7);
+        });
+    });
+});
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Database } = require('../src/database/Database.js');
+const { LocalSheetsManager } = require('../src/LocalSheetsManager.js');
+const { AuditTrail } = require('../src/compliance/AuditTrail.js');
+const { DataRetention, RETENTION_ACTIONS, ERASED } = require('../src/compliance/DataRetention.js');
+const { ScreenshotStore } = require('../src/compliance/ScreenshotStore.js');
+const { SuppressionList } = require('../src/compliance/SuppressionList.js');
+
+describe('DataRetention', () => {
+    const now = new Date('2024-06-01T12:00:00.000Z');
+    const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    let tmpDir;
+    let database;
+    let sheetsManager;
+    let auditTrail;
+    let screenshotStore;
+    let settings;
+
+    const createRetention = (overrides = {}) => new DataRetention({ ...settings, ...overrides }, {
+        sheetsManager,
+        database,
+        auditTrail,
+        screenshotStore,
+        now: () => now
+    });
+    const sheetRow = id => sheetsManager.findRow(id);
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-x-retention-'));
+        settings = {
+            action: RETENTION_ACTIONS.ANONYMISE,
+            neverEngagedDays: 30,
+            failedFilterDays: 7,
+            optedOutDays: 30,
+            logsDir: path.join(tmpDir, 'logs')
+        };
+
+        database = new Database(':memory:');
+        await database.initialize();
+        auditTrail = new AuditTrail(path.join(tmpDir, 'audit-trail.jsonl'));
+        screenshotStore = new ScreenshotStore({ dir: path.join(tmpDir, 'screenshots'), retentionDays: 7 }, { database, now: () => now });
+        sheetsManager = new LocalSheetsManager({ localPath: path.join(tmpDir, 'sheets.json') });
+        await sheetsManager.initialize();
+        await sheetsManager.appendLeads([
+            { username: 'stale_lead', bio: 'NBA fan', followersCount: 500, keyword: 'nba', scrapedAt: daysAgo(40) },  // row 2
+            { username: 'fresh_lead', bio: 'NBA fan', followersCount: 500, keyword: 'nba', scrapedAt: daysAgo(5) },   // row 3
+            { username: 'rejected', bio: 'Bot account', followersCount: 5, keyword: 'nba', scrapedAt: daysAgo(10) },  // row 4
+            { username: 'customer', bio: 'Bettor', followersCount: 900, keyword: 'nba', scrapedAt: daysAgo(90) },     // row 5
+            { username: 'Quitter', bio: 'Bettor', followersCount: 900, keyword: 'nba', scrapedAt: daysAgo(90) }       // row 6
+        ]);
+        await sheetsManager.batchUpdateLeadStatuses([
+            { rowNumber: 2, status: 'PASS', reason: 'All checks passed' },
+            { rowNumber: 3, status: 'PASS', reason: 'All checks passed' },
+            { rowNumber: 4, status: 'FAIL', reason: 'Too few followers: 5 < 100' },
+            { rowNumber: 5, status: 'PASS', reason: 'All checks passed' },
+            { rowNumber: 6, status: 'PASS', reason: 'All checks passed' }
+        ]);
+        await sheetsManager.markDMSent(5);
+        await sheetsManager.markOptedOut(6);
+
+        await database.recordActivity(5, 'dm', 'SENT', null, { username: 'customer', keyword: 'nba', templateId: 'abcd1234' });
+        await database.recordActivity(6, 'dm', 'SENT', null, { username: 'quitter', keyword: 'nba', templateId: 'abcd1234' });
+        await database.recordActivity(6, 'reply', 'OPTED_OUT', null, { username: 'quitter', reason: 'STOP' });
+        await database.addSuppression('quitter', 'OPTED_OUT', 'reply');
+        await database.db.run("UPDATE suppression_list SET created_at = datetime(?)", [daysAgo(31)]);
+        await database.createApproval({ leadId: 2, username: 'stale_lead', activityType: 'dm', proposedText: 'Hi stale_lead!' });
+    });
+
+    afterEach(async () => {
+        await database.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    describe('applyPolicy', () => {
+        it('anonymises expired never-engaged, filtered-out and opted-out leads only', async () => {
+            const result = await createRetention().applyPolicy();
+
+            expect(result).toEqual({
+                action: 'anonymise',
+                total: 3,
+                byCategory: { NEVER_ENGAGED: 1, FAILED_FILTER: 1, OPTED_OUT: 1 }
+            });
+            expect(sheetRow(2)).toMatchObject({ Username: '', Bio: '', "Follower Count": '', "Filter Status": 'PASS', "DM Status": ERASED, Keyword: 'nba' });
+            expect(sheetRow(3)).toMatchObject({ Username: 'fresh_lead', Bio: 'NBA fan' });
+            expect(sheetRow(4)).toMatchObject({ Username: '', "Filter Reason": '', "Filter Status": 'FAIL', "DM Status": ERASED });
+            expect(sheetRow(5)).toMatchObject({ Username: 'customer', "DM Status": 'SENT' });
+            expect(sheetRow(6)).toMatchObject({ Username: '', "DM Status": ERASED });
+
+            // Stats survive without the username; the suppression entry is untouched.
+            const activities = await database.db.all('SELECT lead_id, username, activity_type, status, keyword FROM activities ORDER BY id');
+            expect(activities).toEqual([
+                { lead_id: 5, username: 'customer', activity_type: 'dm', status: 'SENT', keyword: 'nba' },
+                { lead_id: null, username: null, activity_type: 'dm', status: 'SENT', keyword: 'nba' },
+                { lead_id: null, username: null, activity_type: 'reply', status: 'OPTED_OUT', keyword: null }
+            ]);
+            expect(await database.getSuppression('quitter')).toMatchObject({ reason: 'OPTED_OUT' });
+            expect(await database.getApprovals()).toEqual([expect.objectContaining({ username: '', proposed_text: '', status: 'REJECTED' })]);
+
+            // Erased rows are not picked up again.
+            expect(await createRetention().applyPolicy()).toMatchObject({ total: 0 });
+        });
+
+        it('purges database rows and blanks whole sheet rows when set to purge', async () => {
+            await createRetention({ action: RETENTION_ACTIONS.PURGE }).applyPolicy();
+
+            expect(sheetRow(2)).toMatchObject({ Username: '', Keyword: '', Timestamp: '', "Filter Status": ERASED, "DM Status": ERASED });
+            expect(sheetRow(3).Username).toBe('fresh_lead');
+            expect(await database.db.all('SELECT username FROM activities')).toEqual([{ username: 'customer' }]);
+            expect(await database.getApprovals()).toEqual([]);
+            expect(await database.getSuppression('quitter')).toBeTruthy();
+        });
+
+        it('keeps a group forever when its period is null and rejects unknown actions', async () => {
+            const result = await createRetention({ neverEngagedDays: null, failedFilterDays: null }).applyPolicy();
+            expect(result.byCategory).toEqual({ NEVER_ENGAGED: 0, FAILED_FILTER: 0, OPTED_OUT: 1 });
+            expect(() => createRetention({ action: 'shred' })).toThrow('Unknown retention action "shred"');
+        });
+    });
+
+    describe('findRecords and eraseHandle', () => {
+        let stored;
+
+        beforeEach(async () => {
+            fs.mkdirSync(settings.logsDir);
+            fs.writeFileSync(path.join(settings.logsDir, 'combined.log'), [
+                '{"message":"📨 Attempting to send DM to @Quitter"}',
+                '{"message":"Scraped @banana_quitter_fan"}',
+                '{"message":"Reply received: STOP","username":"quitter"}',
+                '{"message":"Quitter rate is up this week"}',
+                ''
+            ].join('\n'));
+            // A screenshot from the private store, and two named after handles by older versions.
+            const page = { locator: () => ({}), screenshot: async ({ path: file }) => fs.writeFileSync(file, '') };
+            stored = await screenshotStore.capture(page, { label: 'dm_error', username: 'quitter' });
+            fs.writeFileSync(path.join(screenshotStore.dir, 'dm_error_quitter.png'), '');
+            fs.writeFileSync(path.join(screenshotStore.dir, 'dm_error_quitter_2.png'), '');
+            auditTrail.record({ type: 'dm', target: 'quitter', text: 'Hi', result: 'SUCCESS' });
+        });
+
+        it('exports every record held about a handle', async () => {
+            const records = await createRetention().findRecords('@QUITTER');
+
+            expect(records.handle).toBe('quitter');
+            expect(records.exportedAt).toBe(now.toISOString());
+            expect(records.sheet).toEqual([expect.objectContaining({ id: 6, Username: 'Quitter', Bio: 'Bettor' })]);
+            expect(records.database.activities.map(row => row.activity_type)).toEqual(['dm', 'reply']);
+            expect(records.database.suppression).toMatchObject({ reason: 'OPTED_OUT' });
+            expect(records.auditTrail).toHaveLength(1);
+            expect(records.logs.map(match => match.line)).toEqual([
+                '{"message":"📨 Attempting to send DM to @Quitter"}',
+                '{"message":"Reply received: STOP","username":"quitter"}'
+            ]);
+            expect(records.screenshots).toEqual([stored.file, path.join(screenshotStore.dir, 'dm_error_quitter.png')]);
+        });
+
+        it('erases the handle everywhere except the suppression list and audit trail', async () => {
+            const result = await createRetention().eraseHandle('quitter');
+
+            expect(result).toEqual({
+                handle: 'quitter',
+                sheetRows: 1,
+                database: { leads: 0, activities: 2, approvals: 0, inboundSignals: 0, actionCheckpoints: 0, provenance: 0, planEntries: 0 },
+                logLines: 2,
+                screenshots: 2,
+                keptSuppression: true,
+                addedSuppression: false,
+                keptAuditEntries: 1
+            });
+            expect(sheetRow(6)).toMatchObject({ Username: '', Bio: '', "DM Status": ERASED });
+            expect(fs.readFileSync(path.join(settings.logsDir, 'combined.log'), 'utf8')).toBe('{"message":"Scraped @banana_quitter_fan"}\n{"message":"Quitter rate is up this week"}\n');
+            expect(fs.existsSync(stored.file)).toBe(false);
+            expect(fs.readdirSync(screenshotStore.dir).filter(name => name.endsWith('.png'))).toEqual(['dm_error_quitter_2.png']);
+
+            const after = await createRetention().findRecords('quitter');
+            expect(after).toMatchObject({ sheet: [], logs: [], screenshots: [] });
+            expect(after.database).toMatchObject({ leads: [], activities: [], approvals: [], inboundSignals: [] });
+            expect(await database.getSuppression('quitter')).toMatchObject({ reason: 'OPTED_OUT', source: 'reply' });
+        });
+
+        it('puts an erased handle that was not suppressed on the suppression list', async () => {
+            const suppressionList = new SuppressionList(database);
+            const retention = new DataRetention(settings, { sheetsManager, database, suppressionList, now: () => now });
+
+            const result = await retention.eraseHandle('@Customer');
+
+            expect(result).toMatchObject({ handle: 'customer', sheetRows: 1, keptSuppression: false, addedSuppression: true });
+            expect(suppressionList.isSuppressed('customer')).toBe(true);
+            expect(await database.getSuppression('customer')).toMatchObject({ reason: 'DO_NOT_CONTACT', source: 'erasure' });
+            expect(sheetRow(5)).toMatchObject({ Username: '', "DM Status": ERASED });
+        });
+    });
+});
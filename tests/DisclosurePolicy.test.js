@@ -0,0 +1,34 @@
+const { DisclosurePolicy } = require('../src/compliance/DisclosurePolicy.js');
+
+describe('DisclosurePolicy', () => {
+    const settings = {
+        businessName: 'Acme Sports',
+        dmText: 'This is an automated message sent on behalf of {business}.',
+        commentText: '(Automated reply from {business})'
+    };
+    const policy = new DisclosurePolicy(settings);
+
+    it('appends a disclosure naming the business to DMs and comments', () => {
+        expect(policy.apply('dm', 'Hi ana!')).toBe('Hi ana! This is an automated message sent on behalf of Acme Sports.');
+        expect(policy.apply('comment', 'Great point!')).toBe('Great point! (Automated reply from Acme Sports)');
+    });
+
+    it('does not add the disclosure twice', () => {
+        const once = policy.apply('dm', 'Hi ana!');
+        expect(policy.apply('dm', once)).toBe(once);
+        expect(policy.apply('dm', `${once}  `)).toBe(once);
+    });
+
+    it('fails closed when the policy is removed or no longer discloses', () => {
+        expect(() => new DisclosurePolicy().apply('dm', 'Hi')).toThrow('no business name');
+        expect(() => new DisclosurePolicy({ ...settings, commentText: '' }).apply('comment', 'Hi')).toThrow('no text for comment');
+        expect(() => new DisclosurePolicy({ ...settings, dmText: 'Automated message.' }).apply('dm', 'Hi')).toThrow('does not name the business');
+        expect(() => new DisclosurePolicy({ ...settings, dmText: 'From {business}.' }).apply('dm', 'Hi')).toThrow('does not say the message is automated');
+    });
+
+    it('refuses text that would exceed the limit once disclosed, and empty text', () => {
+        const comment = 'x'.repeat(250);
+        expect(() => policy.apply('comment', comment)).toThrow('comment would be 285 characters with the disclosure (limit 280)');
+        expect(() => policy.apply('dm', '   ')).toThrow('Refusing to send an empty dm.');
+    });
+});
@@ -0,0 +1,145 @@
+const { EngagementScheduler } = require('../src/EngagementScheduler.js');
+const { MessagePolicy } = require('../src/compliance/MessagePolicy.js');
+
+describe('EngagementScheduler daily limits', () => {
+    let current;
+    let scheduler;
+    const clock = () => new Date(current);
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        current = new Date(2024, 4, 10, 10, 0, 0); // 10 May 2024, 10:00 local time
+        scheduler = new EngagementScheduler({
+            rateLimits: { dmPerDay: 2, likesPerDay: 3, retweetsPerDay: 1, commentsPerDay: 1 },
+            messageTemplates: ['Hi {username}!']
+        }, { now: clock });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('canPerformActivity', () => {
+        it('allows an activity until its daily limit is reached', () => {
+            expect(scheduler.canPerformActivity('dm')).toBe(true);
+            scheduler.incrementCounter('dm');
+            expect(scheduler.canPerformActivity('dm')).toBe(true);
+            scheduler.incrementCounter('dm');
+            expect(scheduler.canPerformActivity('dm')).toBe(false);
+        });
+
+        it('tracks each activity type separately', () => {
+            scheduler.incrementCounter('retweet');
+            expect(scheduler.canPerformActivity('retweet')).toBe(false);
+            expect(scheduler.canPerformActivity('comment')).toBe(true);
+            expect(scheduler.canPerformActivity('like')).toBe(true);
+        });
+
+        it('refuses unknown activity types', () => {
+            expect(scheduler.canPerformActivity('follow')).toBe(false);
+        });
+    });
+
+    describe('getRemainingActivities', () => {
+        it('subtracts performed activities from the limits', () => {
+            scheduler.incrementCounter('like');
+            scheduler.incrementCounter('like');
+            scheduler.incrementCounter('dm');
+
+            expect(scheduler.getRemainingActivities()).toEqual({ dm: 1, likes: 1, retweets: 1, comments: 1 });
+        });
+
+        it('never goes below zero when limits are lowered mid-day', () => {
+            scheduler.incrementCounter('dm');
+            scheduler.incrementCounter('dm');
+            scheduler.rateLimits.dmPerDay = 1;
+
+            expect(scheduler.getRemainingActivities().dm).toBe(0);
+        });
+    });
+
+    describe('resetDailyCountersIfNeeded', () => {
+        it('keeps counters for the rest of the same day', () => {
+            scheduler.incrementCounter('dm');
+            current = new Date(2024, 4, 10, 23, 59, 59);
+            scheduler.resetDailyCountersIfNeeded();
+
+            expect(scheduler.dailyCounters.dm).toBe(1);
+        });
+
+        it('resets every counter once the date changes', () => {
+            scheduler.incrementCounter('dm');
+            scheduler.incrementCounter('like');
+            scheduler.incrementCounter('comment');
+            current = new Date(2024, 4, 11, 0, 0, 1);
+            scheduler.resetDailyCountersIfNeeded();
+
+            expect(scheduler.dailyCounters).toEqual({
+                dm: 0, likes: 0, retweets: 0, comments: 0,
+                lastReset: new Date(2024, 4, 11).toDateString()
+            });
+            expect(scheduler.canPerformActivity('comment')).toBe(true);
+        });
+
+        it('is applied implicitly by the limit checks', () => {
+            scheduler.incrementCounter('dm');
+            scheduler.incrementCounter('dm');
+            expect(scheduler.canPerformActivity('dm')).toBe(false);
+
+            current = new Date(2024, 4, 11, 9, 0, 0);
+            expect(scheduler.canPerformActivity('dm')).toBe(true);
+            expect(scheduler.getRemainingActivities().dm).toBe(2);
+        });
+    });
+
+    describe('createDailyPlan', () => {
+        it('plans no more DMs than remain for the day', () => {
+            scheduler.incrementCounter('dm');
+            const leads = ['a', 'b', 'c'].map((username, i) => ({ id: i + 2, username }));
+
+            const dms = scheduler.createDailyPlan(leads).filter(activity => activity.type === 'dm');
+            expect(dms.map(dm => dm.username)).toEqual(['a']);
+        });
+
+        it('schedules activities within the working day of the injected clock', () => {
+            const plan = scheduler.createDailyPlan([{ id: 2, username: 'a' }]);
+            for (const activity of plan) {
+                const time = new Date(activity.scheduledTime);
+                expect(time.toDateString()).toBe(current.toDateString());
+                expect(time.getHours()).toBeGreaterThanOrEqual(9);
+                expect(time.getHours()).toBeLessThan(18);
+            }
+        });
+    });
+
+    describe('generatePersonalizedMessage', () => {
+        it('fills in every occurrence of every supported placeholder', () => {
+            scheduler.senderName = 'Acme Sports';
+            const message = scheduler.generatePersonalizedMessage(
+                { username: 'ana', bio: 'NBA fan' },
+                '{username}, {sender} likes {topic}. {industry} fans like {username} too.'
+            );
+            expect(message).toBe('ana, Acme Sports likes basketball. basketball fans like ana too.');
+        });
+
+        it('leaves unknown placeholders and a missing sender in place for the policy to catch', () => {
+            expect(scheduler.generatePersonalizedMessage({ username: 'ana' }, 'Hi {username} from {sender} about {niche}'))
+                .toBe('Hi ana from {sender} about {niche}');
+        });
+
+        it('keeps messages that fail the message policy out of the plan', () => {
+            scheduler.messageTemplates = ['Hi {username}! {sender} here. Reply STOP to opt out.'];
+            scheduler.setMessagePolicy(new MessagePolicy({ senderName: 'Acme Sports' }));
+
+            expect(scheduler.createDailyPlan([{ id: 2, username: 'a' }]).filter(activity => activity.type === 'dm')).toEqual([]);
+            expect(scheduler.lastRejected).toEqual([
+                { leadId: 2, username: 'a', type: 'dm', reason: 'Unresolved placeholders: {sender}; Does not identify the sender ("Acme Sports")' }
+            ]);
+
+            scheduler.senderName = 'Acme Sports';
+            const [dm] = scheduler.createDailyPlan([{ id: 2, username: 'a' }]).filter(activity => activity.type === 'dm');
+            expect(dm.message).toBe('Hi a! Acme Sports here. Reply STOP to opt out.');
+            expect(scheduler.lastRejected).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,183 @@
+const { FilterEngine } = require('../src/FilterEngine.js');
+
+const lead = overrides => ({
+    username: 'sports_fan',
+    bio: 'Love the NBA and NFL, watching every game this season',
+    followersCount: 800,
+    isVerified: false,
+    location: 'Chicago, IL',
+    language: 'en',
+    ...overrides
+});
+
+describe('FilterEngine', () => {
+    let engine;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        engine = new FilterEngine({
+            minFollowers: 50,
+            maxFollowers: 5000,
+            bioBlacklist: ['crypto', 'tipster service'],
+            bioWhitelist: []
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('evaluateLead', () => {
+        it('passes a good lead and attaches its quality score', async () => {
+            const result = await engine.evaluateLead(lead());
+            expect(result).toEqual({ passed: true, reason: 'All filters passed', score: engine.calculateQualityScore(lead()) });
+        });
+
+        it('fails a lead without a username', async () => {
+            expect(await engine.evaluateLead(lead({ username: '  ' }))).toEqual({ passed: false, reason: 'Username is missing or empty' });
+        });
+
+        it('fails verified accounts when failIfVerified is on', async () => {
+            expect((await engine.evaluateLead(lead({ isVerified: true }))).reason).toBe('User is verified');
+        });
+
+        it('lets verified accounts through when failIfVerified is off', async () => {
+            engine.updateRules({ failIfVerified: false });
+            expect((await engine.evaluateLead(lead({ isVerified: true }))).passed).toBe(true);
+        });
+
+        it('reports too few and too many followers', async () => {
+            expect((await engine.evaluateLead(lead({ followersCount: 10 }))).reason).toBe('Too few followers: 10 < 50');
+            expect((await engine.evaluateLead(lead({ followersCount: 9000 }))).reason).toBe('Too many followers: 9000 > 5000');
+        });
+
+        it('does not fail a lead whose follower count could not be scraped', async () => {
+            expect((await engine.evaluateLead(lead({ followersCount: 0 }))).passed).toBe(true);
+        });
+
+        it('names the blacklisted term it found, case-insensitively', async () => {
+            const result = await engine.evaluateLead(lead({ bio: 'Premium Tipster Service, DM for picks' }));
+            expect(result).toEqual({ passed: false, reason: 'Bio contains blacklisted term: "tipster service"' });
+        });
+
+        it('requires a whitelisted term when a whitelist is configured', async () => {
+            engine.updateRules({ bioWhitelist: ['founder'] });
+            expect((await engine.evaluateLead(lead())).reason).toBe("Bio doesn't contain any whitelisted terms");
+            expect((await engine.evaluateLead(lead({ bio: 'Startup founder and NBA fan' }))).passed).toBe(true);
+        });
+
+        it('allows an empty bio but fails one that is too short', async () => {
+            expect((await engine.evaluateLead(lead({ bio: '' }))).passed).toBe(true);
+            expect((await engine.evaluateLead(lead({ bio: 'nba' }))).reason).toBe('Bio is too short (less than 5 characters)');
+        });
+
+        it('fails bios with suspicious patterns', async () => {
+            expect((await engine.evaluateLead(lead({ bio: 'Make money fast with my picks' }))).reason).toBe('Bio contains suspicious patterns');
+        });
+
+        it('fails leads whose DMs are closed when a bot is attached', async () => {
+            engine.setTwitterBot({ checkDMButtonExists: jest.fn().mockResolvedValue(false) });
+            expect((await engine.evaluateLead(lead())).reason).toBe('DMs are closed (pre-flight check)');
+        });
+
+        it('fails protected audiences with a PROTECTED status before any other rule', async () => {
+            const result = await engine.evaluateLead(lead({ isVerified: true, bio: '17 y/o hoops fan' }));
+            expect(result.passed).toBe(false);
+            expect(result.status).toBe('PROTECTED');
+            expect(result.reason).toBe('Protected audience (MINOR): bio contains "17 y/o"');
+        });
+
+        it('fails leads in a region restricting gambling promotion with a RESTRICTED_REGION status', async () => {
+            const result = await engine.evaluateLead(lead({ isVerified: true, location: 'Milàno 🇮🇹' }));
+            expect(result).toEqual({
+                passed: false,
+                status: 'RESTRICTED_REGION',
+                reason: 'RESTRICTED_REGION: Location "Milàno 🇮🇹" is in Italy (gambling_promotion)'
+            });
+            expect((await engine.evaluateLead(lead({ location: '', language: 'nl' }))).reason)
+                .toBe('RESTRICTED_REGION: Profile language "nl" points to Netherlands (gambling_promotion)');
+            // Whole words only: "Romeoville" is not Rome.
+            expect((await engine.evaluateLead(lead({ location: 'Romeoville, IL' }))).passed).toBe(true);
+        });
+
+        it('only takes Georgia and GA for the US state next to a US context', async () => {
+            for (const location of ['Tbilisi, Georgia', 'Georgia 🇬🇪', 'GA']) {
+                expect((await engine.evaluateLead(lead({ location }))).passed).toBe(true);
+            }
+            for (const location of ['Georgia, USA', 'Atlanta, Georgia', 'Savannah, GA, USA', 'Augusta, GA']) {
+                expect(await engine.evaluateLead(lead({ location }))).toMatchObject({
+                    passed: false,
+                    status: 'RESTRICTED_REGION',
+                    reason: `RESTRICTED_REGION: Location "${location}" is in US states without legal sports betting (gambling_promotion)`
+                });
+            }
+        });
+
+        it('fails closed on an unknown location for gambling campaigns only', async () => {
+            for (const location of ['', '  ', 'Planet Earth 🌍', 'worldwide']) {
+                expect(await engine.evaluateLead(lead({ location }))).toMatchObject({
+                    passed: false,
+                    status: 'RESTRICTED_REGION',
+                    reason: 'RESTRICTED_REGION: Location unknown; gambling campaigns only contact leads whose location is known'
+                });
+            }
+
+            const general = new FilterEngine({ bioBlacklist: [] }, {
+                jurisdiction: {
+                    campaignCategory: 'general',
+                    restrictedRegions: [
+                        { name: 'Italy', restricts: ['gambling_promotion'], locations: ['italy'] },
+                        { name: 'Canada', restricts: ['unsolicited_marketing'], locations: ['canada', 'toronto'] }
+                    ]
+                }
+            });
+            expect((await general.evaluateLead(lead({ location: '' }))).passed).toBe(true);
+            expect((await general.evaluateLead(lead({ location: 'Italy' }))).passed).toBe(true);
+            expect(await general.evaluateLead(lead({ location: 'Toronto, ON' }))).toMatchObject({ passed: false, status: 'RESTRICTED_REGION' });
+        });
+
+        it('turns an exception into a failed evaluation', async () => {
+            engine.setTwitterBot({ checkDMButtonExists: jest.fn().mockRejectedValue(new Error('browser crashed')) });
+            expect(await engine.evaluateLead(lead())).toEqual({ passed: false, reason: 'Filter evaluation error: browser crashed' });
+        });
+    });
+
+    describe('calculateQualityScore', () => {
+        it('starts from a base score of 50', () => {
+            expect(engine.calculateQualityScore({ followersCount: 200, bio: '' })).toBe(50);
+        });
+
+        it('scores follower tiers', () => {
+            expect(engine.calculateQualityScore({ followersCount: 50, bio: '' })).toBe(40);
+            expect(engine.calculateQualityScore({ followersCount: 600, bio: '' })).toBe(60);
+            expect(engine.calculateQualityScore({ followersCount: 1500, bio: '' })).toBe(70);
+        });
+
+        it('rewards longer bios', () => {
+            expect(engine.calculateQualityScore({ followersCount: 200, bio: 'x'.repeat(60) })).toBe(60);
+            expect(engine.calculateQualityScore({ followersCount: 200, bio: 'x'.repeat(120) })).toBe(65);
+        });
+
+        it('adds 5 points per sports term in the bio', () => {
+            expect(engine.calculateQualityScore({ followersCount: 200, bio: 'nba nfl' })).toBe(60);
+        });
+
+        it('clamps the score to 100', () => {
+            const bio = 'sports nba nfl football basketball soccer fan game '.repeat(3);
+            expect(engine.calculateQualityScore({ followersCount: 5000, bio })).toBe(100);
+        });
+    });
+
+    describe('rulesVersion', () => {
+        it('changes whenever the rules or the regions table change', () => {
+            const version = engine.rulesVersion;
+            expect(version).toMatch(/^[0-9a-f]{8}$/);
+            expect(new FilterEngine(engine.getRules(), { jurisdiction: engine.jurisdiction }).rulesVersion).toBe(version);
+            expect(new FilterEngine(engine.getRules(), { jurisdiction: { ...engine.jurisdiction, campaignCategory: 'general' } }).rulesVersion).not.toBe(version);
+
+            engine.updateRules({ minFollowers: 10 });
+            expect(engine.rulesVersion).not.toBe(version);
+        });
+    });
+});
@@ -0,0 +1,86 @@
+const { IntelligentScheduler } = require('../src/scheduling/IntelligentScheduler.js');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe('IntelligentScheduler.cleanupOldActions', () => {
+    let now;
+    let scheduler;
+
+    const recordAt = (timestamp, type = 'dm') => {
+        now = timestamp;
+        scheduler.recordAction(type);
+    };
+    const counts = () => ({
+        hour: scheduler.rateWindows.hour.actions.length,
+        day: scheduler.rateWindows.day.actions.length,
+        week: scheduler.rateWindows.week.actions.length
+    });
+
+    beforeEach(() => {
+        now = Date.UTC(2024, 4, 10, 12, 0, 0);
+        scheduler = new IntelligentScheduler({ now: () => now });
+    });
+
+    it('keeps each action only in the windows it still falls inside', () => {
+        const start = now;
+        recordAt(start - 8 * DAY);
+        recordAt(start - 2 * DAY);
+        recordAt(start - 2 * HOUR);
+        recordAt(start - 30 * MINUTE);
+        now = start;
+
+        scheduler.cleanupOldActions();
+
+        expect(counts()).toEqual({ hour: 1, day: 2, week: 3 });
+    });
+
+    it('drops actions exactly at the window boundary', () => {
+        const start = now;
+        recordAt(start - HOUR);
+        recordAt(start - DAY);
+        recordAt(start - 7 * DAY);
+        now = start;
+
+        scheduler.cleanupOldActions();
+
+        expect(counts()).toEqual({ hour: 0, day: 1, week: 2 });
+    });
+
+    it('expires actions as the clock moves forward', () => {
+        recordAt(now);
+        expect(counts()).toEqual({ hour: 1, day: 1, week: 1 });
+
+        now += HOUR + 1;
+        scheduler.cleanupOldActions();
+        expect(counts()).toEqual({ hour: 0, day: 1, week: 1 });
+
+        now += DAY;
+        scheduler.cleanupOldActions();
+        expect(counts()).toEqual({ hour: 0, day: 0, week: 1 });
+
+        now += 7 * DAY;
+        scheduler.cleanupOldActions();
+        expect(counts()).toEqual({ hour: 0, day: 0, week: 0 });
+    });
+
+    it('keeps the full activity history regardless of windows', () => {
+        recordAt(now - 30 * DAY);
+        now = Date.UTC(2024, 4, 10, 12, 0, 0);
+        scheduler.cleanupOldActions();
+
+        expect(scheduler.activityHistory).toHaveLength(1);
+    });
+
+    it('lets shouldPerformAction through again once old actions expire', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        scheduler.rateWindows.hour.limit = 1;
+        recordAt(now);
+        expect(await scheduler.shouldPerformAction('dm')).toBe(false);
+
+        now += HOUR + 1;
+        expect(await scheduler.shouldPerformAction('dm')).toBe(true);
+        jest.restoreAllMocks();
+    });
+});
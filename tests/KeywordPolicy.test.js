@@ -0,0 +1,73 @@
+const { Database } = require('../src/database/Database.js');
+const { KeywordPolicy, KEYWORD_DECISIONS, SIGNOFF_STATUSES } = require('../src/compliance/KeywordPolicy.js');
+const defaults = require('../src/config/defaults.js');
+
+describe('KeywordPolicy', () => {
+    let database;
+    let policy;
+
+    beforeEach(async () => {
+        database = new Database(':memory:');
+        await database.initialize();
+        policy = new KeywordPolicy(database);
+    });
+
+    afterEach(async () => {
+        await database.close();
+    });
+
+    it.each([
+        ['help with my bets', 'PROBLEM_GAMBLING'],
+        ['chasing losses', 'PROBLEM_GAMBLING'],
+        ['payday loan', 'DEBT'],
+        ['gambling addiction', 'ADDICTION'],
+        ['self-exclusion', 'RECOVERY'],
+        ['high school football', 'MINORS']
+    ])('rejects "%s" as targeting %s', (keyword, category) => {
+        expect(KeywordPolicy.classify(keyword)).toMatchObject({ rejected: true, category });
+    });
+
+    it('flags keywords that may reach vulnerable people and passes everyday ones', () => {
+        expect(KeywordPolicy.classify('college basketball')).toMatchObject({ rejected: false, category: 'YOUNG_ADULTS' });
+        expect(KeywordPolicy.classify('nba picks')).toBeNull();
+    });
+
+    it.each(defaults.scraping.keywords)('does not reject the default keyword "%s"', keyword => {
+        const classified = KeywordPolicy.classify(keyword);
+        expect(classified && classified.rejected).toBeFalsy();
+    });
+
+    it('holds new keywords until signed off and never lets a rejected one through', async () => {
+        const first = await policy.evaluate('run-1', ['NBA  Picks', 'nba picks', 'college basketball', 'help with my bets']);
+        expect(first.map(decision => [decision.keyword, decision.decision])).toEqual([
+            ['nba picks', KEYWORD_DECISIONS.HELD],
+            ['college basketball', KEYWORD_DECISIONS.HELD],
+            ['help with my bets', KEYWORD_DECISIONS.REJECTED]
+        ]);
+        expect((await policy.getSignoffs(SIGNOFF_STATUSES.PENDING)).map(signoff => [signoff.keyword, signoff.flag])).toEqual([
+            ['nba picks', null],
+            ['college basketball', 'flagged YOUNG_ADULTS: "college"']
+        ]);
+
+        await policy.approve('NBA picks', { reviewer: 'ana' });
+        await policy.refuse('college basketball', { reviewer: 'ana', note: 'Student audience' });
+        await expect(policy.approve('help with my bets')).rejects.toThrow(/cannot be signed off/);
+
+        const second = await policy.evaluate('run-2', ['nba picks', 'college basketball']);
+        expect(second).toEqual([
+            expect.objectContaining({ keyword: 'nba picks', decision: KEYWORD_DECISIONS.ALLOWED, reviewer: 'ana' }),
+            expect.objectContaining({ keyword: 'college basketball', decision: KEYWORD_DECISIONS.HELD, reason: 'Refused by ana: Student audience' })
+        ]);
+    });
+
+    it('stores each run\'s decisions with the run record', async () => {
+        await database.recordRun({ id: 'run-1', mode: 'live', account: 'acme' });
+        await policy.evaluate('run-1', ['nba picks']);
+        await policy.approve('nba picks', { reviewer: 'ana' });
+        await policy.evaluate('run-1', ['nba picks']);
+
+        const run = await database.getRun('run-1');
+        expect(run).toMatchObject({ id: 'run-1', mode: 'live', account: 'acme' });
+        expect(run.keywordDecisions).toEqual([expect.objectContaining({ keyword: 'nba picks', decision: KEYWORD_DECISIONS.ALLOWED })]);
+    });
+});
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+const {
+    KillSwitch,
+    FileKillSwitchSource,
+    HttpKillSwitchSource,
+    SignalKillSwitchSource,
+    SheetKillSwitchSource,
+    createKillSwitch
+} = require('../src/killswitch/KillSwitch.js');
+
+const fixed = (name, value) => ({ name, read: async () => value });
+const failing = (name, message) => ({ name, read: async () => { throw new Error(message); } });
+
+describe('KillSwitch', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('runs when every source says RUN', async () => {
+        const killSwitch = new KillSwitch([fixed('sheet', 'RUN'), fixed('file', 'run\n')]);
+        expect(await killSwitch.getStatus()).toEqual({ status: 'RUN', source: null, reason: null });
+    });
+
+    it('lets the most restrictive source win', async () => {
+        const paused = new KillSwitch([fixed('sheet', 'RUN'), fixed('file', 'PAUSE')]);
+        expect(await paused.getStatus()).toEqual({ status: 'PAUSE', source: 'file', reason: 'file source is PAUSE' });
+
+        const stopped = new KillSwitch([fixed('sheet', 'PAUSE'), fixed('http', 'STOP'), fixed('file', 'RUN')]);
+        expect((await stopped.getStatus()).status).toBe('STOP');
+    });
+
+    it('fails safe to STOP when a source is unreachable', async () => {
+        const killSwitch = new KillSwitch([fixed('file', 'RUN'), failing('sheet', 'quota exceeded')]);
+        expect(await killSwitch.getStatus()).toEqual({
+            status: 'STOP',
+            source: 'sheet',
+            reason: 'sheet source unreachable: quota exceeded'
+        });
+    });
+
+    it('treats an unrecognised value as STOP', async () => {
+        const killSwitch = new KillSwitch([fixed('sheet', 'maybe')]);
+        expect(await killSwitch.getStatus()).toMatchObject({ status: 'STOP', source: 'sheet' });
+    });
+
+    it('requires at least one source', () => {
+        expect(() => new KillSwitch([])).toThrow('at least one source');
+    });
+
+    describe('FileKillSwitchSource', () => {
+        let tmpDir;
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kill-switch-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        it('reads RUN when the file does not exist and the file contents otherwise', async () => {
+            const filePath = path.join(tmpDir, 'KILL_SWITCH');
+            const killSwitch = new KillSwitch([new FileKillSwitchSource(filePath)]);
+            expect((await killSwitch.getStatus()).status).toBe('RUN');
+
+            fs.writeFileSync(filePath, 'STOP\n');
+            expect((await killSwitch.getStatus()).status).toBe('STOP');
+        });
+    });
+
+    describe('SignalKillSwitchSource', () => {
+        it('listens only between start and stop', () => {
+            const fakeProcess = new EventEmitter();
+            const killSwitch = new KillSwitch([new SignalKillSwitchSource(fakeProcess)]);
+            expect(fakeProcess.listenerCount('SIGUSR1')).toBe(0);
+
+            killSwitch.start();
+            killSwitch.start();
+            expect(fakeProcess.listenerCount('SIGUSR1')).toBe(1);
+            expect(fakeProcess.listenerCount('SIGUSR2')).toBe(1);
+
+            killSwitch.close();
+            expect(fakeProcess.listenerCount('SIGUSR1')).toBe(0);
+            expect(fakeProcess.listenerCount('SIGUSR2')).toBe(0);
+        });
+
+        it('toggles PAUSE on SIGUSR1, stops on SIGUSR2 and detaches on stop', async () => {
+            const fakeProcess = new EventEmitter();
+            const source = new SignalKillSwitchSource(fakeProcess);
+            source.start();
+
+            fakeProcess.emit('SIGUSR1');
+            expect(await source.read()).toBe('PAUSE');
+            fakeProcess.emit('SIGUSR1');
+            expect(await source.read()).toBe('RUN');
+            fakeProcess.emit('SIGUSR2');
+            expect(await source.read()).toBe('STOP');
+
+            source.stop();
+            expect(fakeProcess.listenerCount('SIGUSR1')).toBe(0);
+            expect(fakeProcess.listenerCount('SIGUSR2')).toBe(0);
+        });
+    });
+
+    describe('SheetKillSwitchSource', () => {
+        let sheetValue;
+        let sheetsManager;
+
+        beforeEach(() => {
+            sheetValue = 'RUN';
+            sheetsManager = {
+                getKillSwitchStatus: jest.fn(async () => sheetValue),
+                setKillSwitchStatus: jest.fn(async status => { sheetValue = status; })
+            };
+        });
+
+        it('reuses a read until it expires and logs only when the value changes', async () => {
+            let now = 1000000;
+            jest.spyOn(Date, 'now').mockImplementation(() => now);
+            const source = new SheetKillSwitchSource(sheetsManager, { cacheTtl: 30000 });
+
+            expect(await source.read()).toBe('RUN');
+            now += 5000;
+            sheetValue = 'STOP';
+            expect(await source.read()).toBe('RUN');
+            expect(sheetsManager.getKillSwitchStatus).toHaveBeenCalledTimes(1);
+
+            now += 30000;
+            expect(await source.read()).toBe('STOP');
+            now += 30000;
+            expect(await source.read()).toBe('STOP');
+            expect(sheetsManager.getKillSwitchStatus).toHaveBeenCalledTimes(3);
+            expect(console.log.mock.calls.map(([line]) => line)).toEqual([
+                '🔄 Kill switch sheet status: RUN',
+                '🔄 Kill switch sheet status: STOP'
+            ]);
+        });
+
+        it('sees its own writes at once and does not cache failed reads', async () => {
+            const source = new SheetKillSwitchSource(sheetsManager, { cacheTtl: 30000 });
+            expect(await source.read()).toBe('RUN');
+            await source.write('PAUSE', 'Recipient health');
+            expect(await source.read()).toBe('PAUSE');
+
+            const failing = new SheetKillSwitchSource({ getKillSwitchStatus: jest.fn().mockRejectedValueOnce(new Error('quota exceeded')).mockResolvedValue('RUN') });
+            const killSwitch = new KillSwitch([failing]);
+            expect((await killSwitch.getStatus()).status).toBe('STOP');
+            expect((await killSwitch.getStatus()).status).toBe('RUN');
+        });
+    });
+
+    describe('HttpKillSwitchSource', () => {
+        let server;
+        let url;
+        let status;
+        let authorization;
+
+        beforeAll(done => {
+            server = http.createServer((req, res) => {
+                authorization = req.headers.authorization;
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ status, timestamp: new Date().toISOString() }));
+            });
+            server.listen(0, '127.0.0.1', () => {
+                url = `http://127.0.0.1:${server.address().port}/api/kill-switch`;
+                done();
+            });
+        });
+
+        afterAll(done => {
+            server.close(done);
+        });
+
+        it('reads the status served by the kill switch server', async () => {
+            status = 'PAUSE';
+            const killSwitch = new KillSwitch([new HttpKillSwitchSource(url)]);
+            expect((await killSwitch.getStatus()).status).toBe('PAUSE');
+            expect(authorization).toBeUndefined();
+        });
+
+        it('sends the configured token as a bearer token', async () => {
+            status = 'RUN';
+            const killSwitch = new KillSwitch([new HttpKillSwitchSource(url, 1000, 'viewer-token-0123456789')]);
+            expect((await killSwitch.getStatus()).status).toBe('RUN');
+            expect(authorization).toBe('Bearer viewer-token-0123456789');
+        });
+
+        it('stops when the server cannot be reached', async () => {
+            const port = server.address().port;
+            const killSwitch = new KillSwitch([new HttpKillSwitchSource(`http://127.0.0.1:${port + 1}/api/kill-switch`, 1000)]);
+            const result = await killSwitch.getStatus();
+            expect(result.status).toBe('STOP');
+            expect(result.reason).toMatch(/^http source unreachable/);
+        });
+    });
+
+    describe('createKillSwitch', () => {
+        it('builds the configured sources', () => {
+            const sheetsManager = { getKillSwitchStatus: async () => 'RUN' };
+            const killSwitch = createKillSwitch({ sources: ['sheet', 'file'], filePath: '/tmp/none' }, { sheetsManager });
+            expect(killSwitch.sources[0]).toBeInstanceOf(SheetKillSwitchSource);
+            expect(killSwitch.sources[1]).toBeInstanceOf(FileKillSwitchSource);
+        });
+
+        it('rejects unknown sources and an http source without a URL', () => {
+            expect(() => createKillSwitch({ sources: ['carrier-pigeon'] })).toThrow('Unknown kill switch source "carrier-pigeon"');
+            expect(() => createKillSwitch({ sources: ['http'] })).toThrow('needs a URL');
+        });
+    });
+});
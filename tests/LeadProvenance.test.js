@@ -0,0 +1,84 @@
+const { Database } = require('../src/database/Database.js');
+const { LeadProvenance, MATCH_SOURCES } = require('../src/compliance/LeadProvenance.js');
+
+describe('LeadProvenance', () => {
+    let database;
+    let provenance;
+
+    const lead = {
+        username: 'Hoops_Fan',
+        bio: 'Lifelong hoops fan',
+        keyword: 'hoops',
+        profileUrl: 'https://twitter.com/Hoops_Fan',
+        searchUrl: 'https://twitter.com/search?q=hoops',
+        scrapedAt: '2024-05-01T10:00:00.000Z'
+    };
+
+    beforeEach(async () => {
+        database = new Database(':memory:');
+        await database.initialize();
+        provenance = new LeadProvenance(database);
+    });
+
+    afterEach(async () => {
+        await database.close();
+    });
+
+    it('says whether a tweet, the bio, the handle or only the search matched the keyword', () => {
+        const tweet = { text: 'Hoops tonight!', url: 'https://twitter.com/Hoops_Fan/status/1' };
+        expect(LeadProvenance.describeMatch({ ...lead, matchedTweet: tweet })).toEqual({ source: MATCH_SOURCES.TWEET, ...tweet });
+        expect(LeadProvenance.describeMatch(lead)).toEqual({ source: MATCH_SOURCES.BIO, text: 'Lifelong hoops fan', url: lead.profileUrl });
+        expect(LeadProvenance.describeMatch({ ...lead, bio: '' })).toMatchObject({ source: MATCH_SOURCES.USERNAME, text: 'Hoops_Fan' });
+        expect(LeadProvenance.describeMatch({ ...lead, username: 'fan', bio: '' })).toEqual({ source: MATCH_SOURCES.SEARCH, text: null, url: lead.searchUrl });
+    });
+
+    it('joins scrape, filter, plan, approval and outcome into one chain for a handle', async () => {
+        await database.reviewKeywordSignoff('hoops', 'APPROVED', 'ops');
+        await provenance.recordScrape([lead], { runId: 'run-1' });
+        await provenance.recordFilter({ id: 4, username: 'hoops_fan' }, { status: 'PASS', reason: 'All filters passed', score: 80 }, 'abcd1234');
+        const plan = [{ type: 'dm', leadId: 4, username: 'hoops_fan', keyword: 'hoops', templateId: 'feedbeef', scheduledTime: '2024-05-01T15:00:00.000Z', priority: 1 }];
+        await provenance.recordPlan(plan, { runId: 'run-1' });
+        await provenance.recordPlan([{ ...plan[0], scheduledTime: '2024-05-01T18:00:00.000Z' }], { runId: 'run-1' });
+        const approvalId = await database.createApproval({ leadId: 4, username: 'hoops_fan', activityType: 'dm', proposedText: 'Hi!', keyword: 'hoops', templateId: 'feedbeef' });
+        await database.reviewApproval(approvalId, 'APPROVED', { approvedText: 'Hi there!', reviewer: 'ana' });
+        await database.recordActivity(4, 'dm', 'SENT', null, { username: 'hoops_fan' });
+
+        const chain = await provenance.lookup('@HOOPS_FAN');
+        expect(chain).toMatchObject({
+            handle: 'hoops_fan',
+            scrape: { runId: 'run-1', keyword: 'hoops', keywordSignoff: { status: 'APPROVED', reviewer: 'ops' }, match: { source: MATCH_SOURCES.BIO }, scrapedAt: lead.scrapedAt },
+            filter: { leadId: 4, status: 'PASS', score: 80, rulesVersion: 'abcd1234' },
+            plan: [{ runId: 'run-1', type: 'dm', templateId: 'feedbeef', scheduledFor: '2024-05-01T15:00:00.000Z' }],
+            approvals: [{ id: approvalId, status: 'APPROVED', reviewer: 'ana', text: 'Hi there!' }],
+            activities: [{ type: 'dm', status: 'SENT' }]
+        });
+
+        const text = LeadProvenance.format(chain);
+        expect(text).toContain('searching "hoops"; keyword APPROVED by ops');
+        expect(text).toContain('Matched bio: "Lifelong hoops fan"');
+        expect(text).toContain('Matched tweet: none (no recent post on the profile mentions "hoops")');
+        expect(text).toContain('by rules abcd1234, score 80: All filters passed (sheet row 4)');
+        expect(text).toContain('dm #1 APPROVED by ana');
+
+        expect(await provenance.lookup('stranger')).toBeNull();
+    });
+
+    it('names the matched tweet, or says there was none', async () => {
+        const tweet = { text: 'Hoops tonight!', url: 'https://twitter.com/Hoops_Fan/status/1' };
+        await provenance.recordScrape([{ ...lead, matchedTweet: tweet }, { ...lead, username: 'fan', bio: '' }], { runId: 'run-1' });
+
+        const withTweet = LeadProvenance.format(await provenance.lookup('hoops_fan'));
+        expect(withTweet).toContain(`Matched tweet: "Hoops tonight!" (${tweet.url})`);
+        expect(withTweet).not.toContain('Matched tweet: none');
+        expect(LeadProvenance.format(await provenance.lookup('fan')))
+            .toContain('Matched tweet: none (no recent post on the profile mentions "hoops")');
+    });
+
+    it('is erased with the rest of a person\'s data', async () => {
+        await provenance.recordScrape([lead], { runId: 'run-1' });
+        await provenance.recordPlan([{ type: 'like', leadId: 4, username: 'hoops_fan' }], { runId: 'run-1' });
+
+        expect(await database.eraseUsername('hoops_fan')).toMatchObject({ provenance: 1, planEntries: 1 });
+        expect(await provenance.lookup('hoops_fan')).toBeNull();
+    });
+});
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LeadScraper } = require('../src/LeadScraper.js');
+const { LocalSheetsManager } = require('../src/LocalSheetsManager.js');
+const { FilterEngine } = require('../src/FilterEngine.js');
+const { Database } = require('../src/database/Database.js');
+const { ScreenshotStore } = require('../src/compliance/ScreenshotStore.js');
+const { LeadProvenance, MATCH_SOURCES } = require('../src/compliance/LeadProvenance.js');
+const { FakePage } = require('./fixtures/fakePage.js');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'twitter', `${name}.html`), 'utf8');
+const searchUrl = keyword => `https://twitter.com/search?q=${encodeURIComponent(`${keyword} -is:verified`)}&src=typed_query&f=user`;
+
+describe('LeadScraper (recorded pages)', () => {
+    let tmpDir;
+    let scraper;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-scraper-'));
+        scraper = new LeadScraper();
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    describe('matched tweet', () => {
+        it('carries the tweet a lead was scraped for through the sheet to the filter', async () => {
+            const page = new FakePage({ 'https://twitter.com/search': fixture('tweet-card') });
+            await page.goto('https://twitter.com/search');
+            const lead = await scraper.extractLeadData(page.locator('article[data-testid="tweet"]').first(), 'nba');
+
+            expect(lead).toMatchObject({
+                username: 'hoops_nightowl',
+                matchedTweet: {
+                    text: 'Up at 3am again chasing my losses on the NBA late games. Need to win it back before payday.',
+                    url: 'https://twitter.com/hoops_nightowl/status/1846021187432110080'
+                }
+            });
+
+            const sheetsManager = new LocalSheetsManager({ localPath: path.join(tmpDir, 'sheets.json') });
+            await sheetsManager.initialize();
+            await sheetsManager.appendLeads([lead]);
+            const [sheetLead] = await sheetsManager.getUnfilteredLeads();
+            expect(sheetLead.tweetText).toBe(lead.matchedTweet.text);
+
+            const engine = new FilterEngine({ preFilterCheckDMs: false });
+            const result = await engine.evaluateLead({ ...sheetLead, location: 'Chicago, IL' });
+            expect(result).toMatchObject({ passed: false, status: 'PROTECTED' });
+            expect(result.reason).toMatch(/tweet contains "chasing my losses"/);
+        });
+
+        it('takes the matched tweet from the profile\'s recent posts, since user cells have none', async () => {
+            const page = new FakePage({
+                [searchUrl('nba')]: fixture('people-search'),
+                'https://twitter.com/hoops_nightowl': fixture('profile')
+            });
+
+            const [lead] = await scraper.scrapeByKeyword(page, 'nba', 5);
+
+            expect(lead.matchedTweet).toEqual({
+                text: 'Bulls up 12 at the half. This #NBA season is going to be fun.',
+                url: 'https://twitter.com/hoops_nightowl/status/1846021187432110080'
+            });
+            expect(LeadProvenance.describeMatch(lead)).toMatchObject({ source: MATCH_SOURCES.TWEET, url: lead.matchedTweet.url });
+        });
+
+        it('leaves it null when no recent post mentions the keyword', async () => {
+            const page = new FakePage({
+                [searchUrl('playoffs')]: fixture('people-search'),
+                'https://twitter.com/hoops_nightowl': fixture('profile')
+            });
+
+            const [lead] = await scraper.scrapeByKeyword(page, 'playoffs', 5);
+
+            expect(lead.matchedTweet).toBeNull();
+            expect(LeadProvenance.describeMatch(lead)).toMatchObject({ source: MATCH_SOURCES.SEARCH });
+        });
+    });
+
+    describe('profile location', () => {
+        it('reads the location from the profile header, since user cells have none', async () => {
+            const page = new FakePage({
+                [searchUrl('nba')]: fixture('people-search'),
+                'https://twitter.com/hoops_nightowl': fixture('profile')
+            });
+
+            const [lead] = await scraper.scrapeByKeyword(page, 'nba', 5);
+
+            expect(lead).toMatchObject({ username: 'hoops_nightowl', location: 'Chicago, IL' });
+            expect(page.visited).toEqual([searchUrl('nba'), 'https://twitter.com/hoops_nightowl']);
+            const engine = new FilterEngine({ preFilterCheckDMs: false });
+            expect(await engine.evaluateLead({ ...lead, followersCount: 1204 })).toMatchObject({ passed: true });
+        });
+
+        it('leaves the location unknown when the profile cannot be read', async () => {
+            const page = new FakePage({ [searchUrl('nba')]: fixture('people-search') });
+
+            const [lead] = await scraper.scrapeByKeyword(page, 'nba', 5);
+
+            expect(lead).toMatchObject({ username: 'hoops_nightowl', location: '' });
+            const engine = new FilterEngine({ preFilterCheckDMs: false });
+            expect(await engine.evaluateLead({ ...lead, followersCount: 1204 })).toMatchObject({ passed: false, status: 'RESTRICTED_REGION' });
+        });
+    });
+
+    describe('failure screenshots', () => {
+        it('saves them to the screenshot store, masked, and never to the working directory', async () => {
+            const database = new Database(':memory:');
+            await database.initialize();
+            const screenshotStore = new ScreenshotStore({ dir: path.join(tmpDir, 'screenshots'), retentionDays: 7, redactSelectors: ['[data-testid="UserName"]'] }, { database });
+            const before = fs.readdirSync(process.cwd());
+            const page = new FakePage();
+
+            const leads = await new LeadScraper({ screenshots: screenshotStore }).scrapeByKeyword(page, 'nba', 5);
+
+            expect(leads).toEqual([]);
+            expect(page.screenshots.length).toBeGreaterThan(0);
+            for (const options of page.screenshots) {
+                expect(options.path.startsWith(screenshotStore.dir)).toBe(true);
+                expect(options.mask.length).toBe(screenshotStore.redactSelectors.length);
+            }
+            const stored = await database.db.all('SELECT label FROM screenshots');
+            expect(stored.map(row => row.label)).toEqual(page.screenshots.map(() => 'no_cards'));
+            expect(fs.readdirSync(process.cwd())).toEqual(before);
+            await database.close();
+        });
+
+        it('skips them without a screenshot store', async () => {
+            const page = new FakePage();
+            await scraper.scrapeByKeyword(page, 'nba', 5);
+            expect(page.screenshots).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,72 @@
+const { MessagePolicy } = require('../src/compliance/MessagePolicy.js');
+
+describe('MessagePolicy', () => {
+    const policy = new MessagePolicy({ senderName: 'Acme Sports', maxLength: 120 });
+    const good = 'Hi {username}! {sender} here. Reply STOP to opt out.';
+
+    describe('lintTemplate', () => {
+        it('accepts a template that names the sender and offers an opt-out', () => {
+            expect(policy.lintTemplate(good)).toEqual([]);
+        });
+
+        it('flags unknown placeholders, claims and missing disclosure', () => {
+            expect(policy.lintTemplate('Hi {username}, your {industy} picks are a lock!')).toEqual([
+                'Unknown placeholders: {industy}',
+                'Unsubstantiated claims: "lock"',
+                'Does not identify the sender (use {sender})',
+                'Does not tell the recipient how to opt out (e.g. "Reply STOP to opt out")'
+            ]);
+        });
+
+        it('only checks placeholders, length and claims for comment templates', () => {
+            expect(policy.lintTemplate('Great point!', { requireDisclosure: false })).toEqual([]);
+            expect(policy.lintTemplate('A sure win tonight', { requireDisclosure: false })).toEqual(['Unsubstantiated claims: "sure win"']);
+        });
+    });
+
+    describe('validateTemplates', () => {
+        it('throws with every problem, numbered by template', () => {
+            expect(() => policy.validateTemplates([good, 'Guaranteed profit, {username}'])).toThrow(
+                /Message template 2: Unsubstantiated claims: "Guaranteed"\n- Message template 2: Does not identify the sender/
+            );
+        });
+
+        it('requires a sender name for DM templates', () => {
+            expect(() => new MessagePolicy().validateTemplates([good])).toThrow(/senderName is not set/);
+        });
+    });
+
+    describe('checkMessage', () => {
+        it('passes a rendered message', () => {
+            expect(policy.checkMessage('Hi ana! Acme Sports here. Reply STOP to opt out.')).toEqual({ valid: true, errors: [] });
+        });
+
+        it('rejects unresolved placeholders, overlong text and gambling claims', () => {
+            const { valid, errors } = policy.checkMessage(`Hi {username}! Acme Sports here with a guaranteed lock. Reply STOP to opt out. ${'x'.repeat(60)}`);
+            expect(valid).toBe(false);
+            expect(errors).toEqual([
+                'Unresolved placeholders: {username}',
+                expect.stringMatching(/^Message is \d+ characters \(limit 120\)$/),
+                'Unsubstantiated claims: "guaranteed", "lock"'
+            ]);
+        });
+
+        it('does not mistake words that contain "lock" for a claim', () => {
+            expect(policy.checkMessage('Unlock the blocked stats. Acme Sports. Reply STOP to opt out.').valid).toBe(true);
+        });
+
+        it('rejects DMs that do not name the sender or offer an opt-out, and empty text', () => {
+            expect(policy.checkMessage('Hi ana!').errors).toEqual([
+                'Does not identify the sender ("Acme Sports")',
+                'Does not include a way to opt out'
+            ]);
+            expect(policy.checkMessage('Great point!', { requireDisclosure: false }).valid).toBe(true);
+            expect(policy.checkMessage(undefined)).toEqual({ valid: false, errors: ['Message is empty'] });
+        });
+
+        it('rejects configured extra terms', () => {
+            const strict = new MessagePolicy({ senderName: 'Acme Sports', prohibitedTerms: ['double your money'] });
+            expect(strict.checkMessage('Acme Sports: double your money! Reply STOP to opt out.').errors).toEqual(['Unsubstantiated claims: "double your money"']);
+        });
+    });
+});
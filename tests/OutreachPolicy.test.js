@@ -0,0 +1,91 @@
+const { Database } = require('../src/database/Database.js');
+const { OutreachPolicy, OUTREACH_MODES, INBOUND_SIGNALS } = require('../src/compliance/OutreachPolicy.js');
+
+describe('OutreachPolicy', () => {
+    let database;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = new Database(':memory:');
+        await database.initialize();
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    it('refuses unknown modes and defaults to inbound_only', () => {
+        expect(() => new OutreachPolicy({ mode: 'spray' })).toThrow(/Unknown outreach mode "spray"/);
+        expect(new OutreachPolicy().mode).toBe(OUTREACH_MODES.INBOUND_ONLY);
+    });
+
+    it('allows a DM to any lead in open mode', () => {
+        const policy = new OutreachPolicy({ mode: OUTREACH_MODES.OPEN }, database);
+        expect(policy.evaluateDM({ username: 'stranger' })).toEqual({ allowed: true, reason: 'Outreach mode is open' });
+    });
+
+    it('withholds a DM from a lead with no prior interaction in inbound_only mode', () => {
+        const policy = new OutreachPolicy({ mode: OUTREACH_MODES.INBOUND_ONLY }, database);
+        expect(policy.evaluateDM({ username: 'stranger' })).toMatchObject({ allowed: false, reason: expect.stringContaining('No inbound signal') });
+    });
+
+    it.each(Object.values(INBOUND_SIGNALS))('allows a DM once the lead has a %s signal', async signal => {
+        const policy = new OutreachPolicy({ mode: OUTREACH_MODES.INBOUND_ONLY }, database);
+        await policy.recordSignal('@Fan', signal, 'https://x.com/fan/status/1');
+
+        expect(policy.evaluateDM({ username: 'FAN' })).toEqual({ allowed: true, reason: `Inbound signal recorded: ${signal}` });
+        // Persisted, so a fresh policy sees it after load().
+        const reloaded = new OutreachPolicy({ mode: OUTREACH_MODES.INBOUND_ONLY }, database);
+        await reloaded.load();
+        expect(reloaded.getSignals('fan')).toEqual([signal]);
+    });
+
+    it('refuses signal types it does not know', async () => {
+        const policy = new OutreachPolicy({}, database);
+        await expect(policy.recordSignal('fan', 'LIKE')).rejects.toThrow(/Unknown inbound signal "LIKE"/);
+    });
+
+    it('collects mentions, replies to our posts, followers and conversations without any contact from us', async () => {
+        const policy = new OutreachPolicy({ mode: OUTREACH_MODES.INBOUND_ONLY }, database);
+        const twitterBot = {
+            getRecentMentions: async () => [
+                { username: 'mentioner', tweetUrl: 'https://x.com/mentioner/status/1', isReply: false },
+                { username: 'replier', tweetUrl: 'https://x.com/replier/status/2', isReply: true }
+            ],
+            getRecentFollowers: async () => [{ username: 'follower', profileUrl: 'https://x.com/follower' }],
+            getInboxConversations: async () => [{ username: 'chatter', conversationUrl: 'https://x.com/messages/1' }]
+        };
+
+        expect(await policy.collectSignals(twitterBot)).toBe(4);
+
+        expect(policy.getSignals('mentioner')).toEqual([INBOUND_SIGNALS.MENTION]);
+        expect(policy.getSignals('replier')).toEqual([INBOUND_SIGNALS.REPLY]);
+        expect(policy.getSignals('follower')).toEqual([INBOUND_SIGNALS.FOLLOW]);
+        expect(policy.getSignals('chatter')).toEqual([INBOUND_SIGNALS.CONVERSATION]);
+        expect(policy.evaluateDM({ username: 'stranger' }).allowed).toBe(false);
+    });
+
+    it('records an inbox conversation again once it answers a newer DM of ours', async () => {
+        const policy = new OutreachPolicy({ mode: OUTREACH_MODES.INBOUND_ONLY }, database);
+        const twitterBot = {
+            getRecentMentions: async () => [],
+            getRecentFollowers: async () => [],
+            getInboxConversations: async () => [{ username: 'chatter', conversationUrl: 'https://x.com/messages/1' }]
+        };
+        const sendDM = async daysAgo => {
+            const id = await database.recordActivity(null, 'dm', 'SENT', null, { username: 'chatter' });
+            await database.db.run(`UPDATE activities SET performed_at = datetime('now', '-${daysAgo} days') WHERE id = ?`, [id]);
+        };
+
+        await sendDM(2);
+        await policy.collectSignals(twitterBot);
+        await policy.collectSignals(twitterBot);
+        await sendDM(1);
+        await policy.collectSignals(twitterBot);
+
+        const sources = (await database.getInboundSignals()).map(signal => signal.source_url);
+        expect(sources).toHaveLength(2);
+        expect(sources.every(source => source.startsWith('https://x.com/messages/1#after-dm-'))).toBe(true);
+    });
+});
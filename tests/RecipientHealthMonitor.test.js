@@ -0,0 +1,113 @@
+const { Database } = require('../src/database/Database.js');
+const {
+    RecipientHealthMonitor,
+    HEALTH_DIMENSIONS,
+    classifyOutcome,
+    getTemplateId
+} = require('../src/compliance/RecipientHealthMonitor.js');
+
+const healthConfig = {
+    windowDays: 7,
+    minAttempts: 4,
+    maxRates: { OPT_OUT: 0.2, BLOCK: 0.2, DMS_CLOSED: 0.5, NEGATIVE_REPLY: 0.2 }
+};
+
+describe('RecipientHealthMonitor', () => {
+    let database;
+    let monitor;
+
+    const sendDMs = async (count, { keyword = 'nba', templateId = 'tmpl0001', prefix = keyword } = {}) => {
+        for (let i = 0; i < count; i++) {
+            await database.recordActivity(i, 'dm', 'SENT', null, { username: `${prefix}_${i}`, keyword, templateId });
+        }
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = new Database(':memory:');
+        await database.initialize();
+        monitor = new RecipientHealthMonitor(healthConfig, database);
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    describe('classifyOutcome', () => {
+        it('maps replies and DM failures to health signals', () => {
+            expect(classifyOutcome({ activity_type: 'reply', status: 'OPTED_OUT' })).toBe('OPT_OUT');
+            expect(classifyOutcome({ activity_type: 'reply', status: 'NEGATIVE' })).toBe('NEGATIVE_REPLY');
+            expect(classifyOutcome({ activity_type: 'dm', status: 'FAILED', error_message: 'Cannot send DM. User has blocked this account.' })).toBe('BLOCK');
+            expect(classifyOutcome({ activity_type: 'dm', status: 'FAILED', error_message: 'Cannot send DM. User only accepts messages from followers or has DMs disabled.' })).toBe('DMS_CLOSED');
+            expect(classifyOutcome({ activity_type: 'dm', status: 'FAILED', error_message: 'Timeout 15000ms exceeded' })).toBeNull();
+            expect(classifyOutcome({ activity_type: 'dm', status: 'SENT' })).toBeNull();
+        });
+    });
+
+    it('gives templates a stable short id', () => {
+        expect(getTemplateId('Hi {username}!')).toBe(getTemplateId('Hi {username}!'));
+        expect(getTemplateId('Hi {username}!')).toMatch(/^[0-9a-f]{8}$/);
+        expect(getTemplateId('Hi {username}!')).not.toBe(getTemplateId('Hello {username}!'));
+    });
+
+    it('attributes replies to the keyword and template of the DM that prompted them', async () => {
+        await sendDMs(5);
+        await database.recordActivity(null, 'reply', 'OPTED_OUT', null, { username: 'nba_1', reason: 'Opt-out reply: "stop"' });
+        await database.recordActivity(null, 'reply', 'NEGATIVE', null, { username: 'nba_2', reason: 'Negative reply: "spam"' });
+
+        const stats = await monitor.computeStats();
+        const keyword = stats.find(group => group.dimension === HEALTH_DIMENSIONS.KEYWORD);
+        const template = stats.find(group => group.dimension === HEALTH_DIMENSIONS.TEMPLATE);
+
+        expect(keyword).toMatchObject({ value: 'nba', attempts: 5, signals: { OPT_OUT: 1, NEGATIVE_REPLY: 1, BLOCK: 0, DMS_CLOSED: 0 } });
+        expect(keyword.rates.OPT_OUT).toBeCloseTo(0.2);
+        expect(template).toMatchObject({ value: 'tmpl0001', attempts: 5 });
+    });
+
+    it('counts failed DMs as attempts along with their signal', async () => {
+        await sendDMs(2);
+        await database.recordActivity(7, 'dm', 'FAILED', 'Cannot send DM. User only accepts messages from followers or has DMs disabled.', { username: 'closed', keyword: 'nba', templateId: 'tmpl0001' });
+
+        const keyword = (await monitor.computeStats()).find(group => group.value === 'nba');
+        expect(keyword.attempts).toBe(3);
+        expect(keyword.signals.DMS_CLOSED).toBe(1);
+    });
+
+    it('pauses a keyword and template once a rate crosses its threshold', async () => {
+        await sendDMs(4);
+        await sendDMs(6, { keyword: 'nfl', templateId: 'tmpl0002' });
+        await database.recordActivity(null, 'reply', 'OPTED_OUT', null, { username: 'nba_0' });
+        await database.recordActivity(null, 'reply', 'OPTED_OUT', null, { username: 'nba_1' });
+
+        const paused = await monitor.evaluate();
+
+        expect(paused.map(pause => `${pause.dimension}:${pause.value}`).sort()).toEqual(['keyword:nba', 'template:tmpl0001']);
+        expect(paused[0].reason).toBe('OPT_OUT 2/4 (50.0% > 20.0%) over 7 days');
+        expect(monitor.isPaused(HEALTH_DIMENSIONS.KEYWORD, 'nba')).toBe(true);
+        expect(monitor.isPaused(HEALTH_DIMENSIONS.KEYWORD, 'nfl')).toBe(false);
+
+        // Persisted, and not paused twice.
+        const reloaded = new RecipientHealthMonitor(healthConfig, database);
+        await reloaded.load();
+        expect(reloaded.isPaused(HEALTH_DIMENSIONS.TEMPLATE, 'tmpl0001')).toBe(true);
+        expect(await reloaded.evaluate()).toEqual([]);
+    });
+
+    it('ignores keywords with too few attempts to judge', async () => {
+        await sendDMs(3);
+        await database.recordActivity(null, 'reply', 'OPTED_OUT', null, { username: 'nba_0' });
+
+        expect(await monitor.evaluate()).toEqual([]);
+    });
+
+    it('lets an operator lift a pause', async () => {
+        await database.addHealthPause(HEALTH_DIMENSIONS.KEYWORD, 'nba', 'manual test');
+        await monitor.load();
+
+        expect(await monitor.resume(HEALTH_DIMENSIONS.KEYWORD, 'nba')).toBe(true);
+        expect(monitor.isPaused(HEALTH_DIMENSIONS.KEYWORD, 'nba')).toBe(false);
+        expect(await database.getActiveHealthPauses()).toEqual([]);
+        expect(await monitor.resume(HEALTH_DIMENSIONS.KEYWORD, 'nba')).toBe(false);
+    });
+});
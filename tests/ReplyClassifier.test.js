@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { classifyReply, classifyThread, extractMessages, REPLY_CATEGORIES } = require('../src/compliance/ReplyClassifier.js');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'dm-threads', `${name}.html`), 'utf8');
+
+describe('ReplyClassifier', () => {
+    describe('extractMessages', () => {
+        it('separates our messages from the recipient\'s replies', () => {
+            const messages = extractMessages(fixture('opt-out-dont-message'));
+
+            expect(messages.map(m => m.inbound)).toEqual([false, true, true]);
+            expect(messages[0].text).toMatch(/^Hey sports_fan_2024!/);
+            expect(messages[2].text).toBe("Please don't message me again.");
+        });
+
+        it('decodes HTML entities in message text', () => {
+            const [, reply] = extractMessages(fixture('interested-reply'));
+            expect(reply.text).toBe("Sure, what are you building? I'm always up for talking & hoops.");
+        });
+
+        it('returns an empty list for empty input', () => {
+            expect(extractMessages('')).toEqual([]);
+            expect(extractMessages(null)).toEqual([]);
+        });
+    });
+
+    describe('classifyReply', () => {
+        it.each([
+            'STOP',
+            'stop messaging me',
+            'No thanks',
+            'no thank you',
+            'Not interested.',
+            'Don’t DM me',
+            'do not contact me',
+            'unsubscribe',
+            'please remove me from this'
+        ])('treats "%s" as an opt-out', text => {
+            expect(classifyReply(text).category).toBe(REPLY_CATEGORIES.OPT_OUT);
+        });
+
+        it('flags hostile replies as negative', () => {
+            expect(classifyReply('this is a scam')).toEqual({ category: REPLY_CATEGORIES.NEGATIVE, matched: 'scam' });
+        });
+
+        it('leaves ordinary replies neutral', () => {
+            expect(classifyReply('Sounds good, tell me more')).toEqual({ category: REPLY_CATEGORIES.NEUTRAL, matched: null });
+        });
+    });
+
+    describe('classifyThread (recorded fixtures)', () => {
+        it.each([
+            ['opt-out-stop', 'STOP'],
+            ['opt-out-dont-message', "don't message me"],
+            ['opt-out-no-thanks', 'no thanks']
+        ])('detects the opt-out in %s', (name, matched) => {
+            const result = classifyThread(fixture(name));
+            expect(result.category).toBe(REPLY_CATEGORIES.OPT_OUT);
+            expect(result.matched).toBe(matched);
+        });
+
+        it('classifies a hostile reply as negative', () => {
+            expect(classifyThread(fixture('negative-spam')).category).toBe(REPLY_CATEGORIES.NEGATIVE);
+        });
+
+        it('does not treat an interested reply as an opt-out', () => {
+            const result = classifyThread(fixture('interested-reply'));
+            expect(result.category).toBe(REPLY_CATEGORIES.NEUTRAL);
+            expect(result.inboundCount).toBe(1);
+            expect(result.answered).toBe(true);
+        });
+
+        it('only counts a thread as answered when they wrote after our last message', () => {
+            expect(classifyThread(fixture('second-dm'))).toMatchObject({ inboundCount: 1, answered: false });
+            expect(classifyThread(fixture('second-reply'))).toMatchObject({ inboundCount: 2, answered: true });
+        });
+
+        it('ignores opt-out wording in our own outbound messages', () => {
+            const result = classifyThread(fixture('no-reply'));
+            expect(result.category).toBe(REPLY_CATEGORIES.NEUTRAL);
+            expect(result.inboundCount).toBe(0);
+            expect(result.answered).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Database } = require('../src/database/Database.js');
+const { LocalSheetsManager } = require('../src/LocalSheetsManager.js');
+const { SuppressionList, SUPPRESSION_REASONS } = require('../src/compliance/SuppressionList.js');
+const { OutreachPolicy } = require('../src/compliance/OutreachPolicy.js');
+const { ReplyIngestor } = require('../src/compliance/ReplyIngestor.js');
+const { ContactCaps, CONTACT_CAP_RULES } = require('../src/compliance/ContactCaps.js');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'dm-threads', `${name}.html`), 'utf8');
+
+describe('ReplyIngestor (recorded DM threads)', () => {
+    let tmpDir;
+    let database;
+    let sheetsManager;
+    let suppressionList;
+    let outreachPolicy;
+    let threads;
+    let jobQueue;
+    let ingestor;
+
+    const sheetRow = username => JSON.parse(fs.readFileSync(sheetsManager.filePath, 'utf8')).leads.find(lead => lead.Username === username);
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reply-ingestor-'));
+        database = new Database(':memory:');
+        await database.initialize();
+        sheetsManager = new LocalSheetsManager({ localPath: path.join(tmpDir, 'sheets.json') });
+        await sheetsManager.initialize();
+        await sheetsManager.appendLeads([
+            { username: 'quitter', keyword: 'nba' },
+            { username: 'sports_fan_2024', keyword: 'nba' },
+            { username: 'quiet_fan', keyword: 'nba' }
+        ]);
+        for (const { id } of await sheetsManager.getAllLeads()) await sheetsManager.markDMSent(id);
+
+        suppressionList = new SuppressionList(database);
+        outreachPolicy = new OutreachPolicy({ mode: 'inbound_only' }, database);
+        threads = { quitter: fixture('opt-out-stop'), sports_fan_2024: fixture('interested-reply'), quiet_fan: fixture('no-reply') };
+        jobQueue = { cancelJobsForLead: jest.fn().mockResolvedValue(1) };
+        ingestor = new ReplyIngestor({
+            twitterBot: { getDMThreadHtml: async username => threads[username] || null },
+            sheetsManager,
+            database,
+            suppressionList,
+            outreachPolicy,
+            jobQueue
+        });
+    });
+
+    afterEach(async () => {
+        await database.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    it('suppresses an opted-out lead and marks it OPTED_OUT in the sheet the loop reads and in SQLite', async () => {
+        const summary = await ingestor.ingest();
+
+        expect(summary).toEqual({ checked: 3, optedOut: 1, negative: 0 });
+        expect(await database.getSuppression('quitter')).toMatchObject({ reason: SUPPRESSION_REASONS.OPTED_OUT, source: 'reply' });
+        expect(sheetRow('quitter')["DM Status"]).toBe('OPTED_OUT');
+        // Never stored in SQLite before: the lead is added with its status.
+        expect(await database.db.get("SELECT dm_status FROM leads WHERE username = 'quitter'")).toEqual({ dm_status: 'OPTED_OUT' });
+        expect(await database.hasActivity('quitter', 'reply', 'OPTED_OUT', 'Opt-out reply: "STOP"')).toBe(true);
+        expect(jobQueue.cancelJobsForLead).toHaveBeenCalledWith('quitter');
+
+        // An opted-out lead is no longer awaiting a reply, so its thread is not read again.
+        expect((await sheetsManager.getLeadsAwaitingReply()).map(lead => lead.username)).not.toContain('quitter');
+    });
+
+    it('updates the SQLite status of a lead already stored there', async () => {
+        const leadId = await database.insertLead({ username: 'sports_fan_2024' });
+        await database.updateLeadStatus(leadId, 'PASS');
+        threads.sports_fan_2024 = fixture('opt-out-no-thanks');
+
+        await ingestor.ingest();
+
+        expect(await database.db.get('SELECT id, filter_status, dm_status FROM leads WHERE username = ?', ['sports_fan_2024']))
+            .toEqual({ id: leadId, filter_status: 'PASS', dm_status: 'OPTED_OUT' });
+        expect(await database.getEngagementQueue()).toEqual([]);
+    });
+
+    it('records a positive reply as an inbound signal without suppressing the lead', async () => {
+        await ingestor.ingest();
+
+        expect(await database.getSuppression('sports_fan_2024')).toBeFalsy();
+        expect(sheetRow('sports_fan_2024')["DM Status"]).toBe('SENT');
+        expect(await database.getInboundSignals()).toEqual([expect.objectContaining({ username: 'sports_fan_2024', signal_type: 'CONVERSATION' })]);
+    });
+
+    it('counts each reply as answering the DM it follows: DM, reply, DM, reply', async () => {
+        const caps = new ContactCaps(database);
+        const sendDM = async hoursAgo => {
+            const id = await database.recordActivity(null, 'dm', 'SENT', null, { username: 'sports_fan_2024' });
+            await database.db.run(`UPDATE activities SET performed_at = datetime('now', '-${hoursAgo} hours') WHERE id = ?`, [id]);
+        };
+        const likeCheck = async () => {
+            await caps.load();
+            return caps.check({ username: 'sports_fan_2024', type: 'like' });
+        };
+
+        await sendDM(3);
+        await ingestor.ingest();
+        await database.db.run("UPDATE inbound_signals SET recorded_at = datetime('now', '-2 hours')");
+        expect(await likeCheck()).toBeNull();
+
+        // Their first reply comes before our second DM, so it does not answer it.
+        await sendDM(1);
+        threads.sports_fan_2024 = fixture('second-dm');
+        await ingestor.ingest();
+        expect(await likeCheck()).toMatchObject({ rule: CONTACT_CAP_RULES.UNANSWERED_DM });
+
+        threads.sports_fan_2024 = fixture('second-reply');
+        await ingestor.ingest();
+        await ingestor.ingest();
+        expect(await likeCheck()).toBeNull();
+        expect(await database.getInboundSignals()).toHaveLength(2);
+    });
+
+    it('leaves a lead alone when the thread holds no reply, and counts a negative reply once', async () => {
+        threads.sports_fan_2024 = fixture('negative-spam');
+        expect(await ingestor.ingest()).toMatchObject({ negative: 1 });
+        expect(await ingestor.ingest()).toMatchObject({ negative: 0 });
+
+        expect(await database.getSuppression('quiet_fan')).toBeFalsy();
+        expect(sheetRow('quiet_fan')["DM Status"]).toBe('SENT');
+        expect(await database.getInboundSignals()).toEqual([]);
+        const negative = await database.db.all("SELECT * FROM activities WHERE status = 'NEGATIVE'");
+        expect(negative).toEqual([expect.objectContaining({ username: 'sports_fan_2024' })]);
+    });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Database } = require('../src/database/Database.js');
+const { ScreenshotStore } = require('../src/compliance/ScreenshotStore.js');
+
+/**
+ * Stands in for a Playwright page: writes a placeholder PNG and remembers the options.
+ */
+function fakePage() {
+    return {
+        calls: [],
+        locator: selector => ({ selector }),
+        async screenshot(options) {
+            this.calls.push(options);
+            fs.writeFileSync(options.path, 'png');
+        }
+    };
+}
+
+describe('ScreenshotStore', () => {
+    let tmpDir;
+    let database;
+    let now;
+    let store;
+
+    beforeEach(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-x-screenshots-'));
+        database = new Database(':memory:');
+        await database.initialize();
+        now = new Date('2024-06-01T12:00:00.000Z');
+        store = new ScreenshotStore({
+            dir: path.join(tmpDir, 'screenshots'),
+            retentionDays: 7,
+            redactSelectors: ['[data-testid="DmActivityViewport"]', '[data-testid="messageEntry"]']
+        }, { database, now: () => now });
+    });
+
+    afterEach(async () => {
+        await database.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('stores masked screenshots per run under random ids with owner-only permissions', async () => {
+        const page = fakePage();
+        const screenshot = await store.capture(page, { label: 'dm_error', username: 'Quitter' });
+
+        expect(ScreenshotStore.isValidId(screenshot.id)).toBe(true);
+        expect(screenshot.file).toBe(path.join(store.dir, store.runId, `${screenshot.id}.png`));
+        expect(screenshot.expiresAt).toBe('2024-06-08T12:00:00.000Z');
+        expect(page.calls[0]).toMatchObject({
+            path: screenshot.file,
+            fullPage: true,
+            mask: [{ selector: '[data-testid="DmActivityViewport"]' }, { selector: '[data-testid="messageEntry"]' }],
+            maskColor: '#000000'
+        });
+        expect(fs.statSync(screenshot.file).mode & 0o777).toBe(0o600);
+        expect(fs.statSync(path.dirname(screenshot.file)).mode & 0o777).toBe(0o700);
+        expect(path.basename(screenshot.file)).not.toMatch(/quitter/i);
+
+        expect(await store.findByUsername('quitter')).toEqual([expect.objectContaining({ id: screenshot.id, label: 'dm_error', run_id: store.runId })]);
+    });
+
+    it('links a screenshot to its activities row', async () => {
+        const screenshot = await store.capture(fakePage(), { label: 'dm_error', username: 'quitter' });
+        const activityId = await database.recordActivity(6, 'dm', 'FAILED', 'DMs closed', { username: 'quitter' });
+        await store.linkActivity(screenshot.id, activityId);
+
+        expect(await store.get(screenshot.id)).toMatchObject({
+            activity_id: activityId,
+            activity_type: 'dm',
+            activity_status: 'FAILED',
+            error_message: 'DMs closed',
+            path: screenshot.file
+        });
+    });
+
+    it('stops serving screenshots once they expire, and refuses ids that are not ours', async () => {
+        const screenshot = await store.capture(fakePage(), { label: 'login_error' });
+        expect(await store.get(screenshot.id)).not.toBeNull();
+        expect(await store.get('../../etc/passwd')).toBeNull();
+        expect(await store.get('0'.repeat(24))).toBeNull();
+
+        now = new Date('2024-06-08T12:00:00.000Z');
+        expect(await store.get(screenshot.id)).toBeNull();
+    });
+
+    it('purges expired screenshots and old files left by earlier versions', async () => {
+        const old = await store.capture(fakePage(), { label: 'dm_error', username: 'quitter' });
+        const legacy = path.join(store.dir, 'dm_error_quitter.png');
+        fs.writeFileSync(legacy, 'png');
+        fs.utimesSync(legacy, new Date('2024-05-01'), new Date('2024-05-01'));
+
+        now = new Date('2024-06-10T12:00:00.000Z');
+        const fresh = await store.capture(fakePage(), { label: 'dm_error', username: 'other' });
+
+        expect(await store.purgeExpired()).toBe(2);
+        expect(fs.existsSync(old.file)).toBe(false);
+        expect(fs.existsSync(legacy)).toBe(false);
+        expect(fs.existsSync(fresh.file)).toBe(true);
+        expect(await database.getScreenshots()).toEqual([expect.objectContaining({ id: fresh.id })]);
+    });
+
+    it('erases every screenshot taken for a handle', async () => {
+        const mine = await store.capture(fakePage(), { label: 'dm_error', username: 'quitter' });
+        await store.capture(fakePage(), { label: 'dm_error', username: 'other' });
+
+        expect(await store.eraseUsername('QUITTER')).toBe(1);
+        expect(fs.existsSync(mine.file)).toBe(false);
+        expect((await database.getScreenshots()).map(screenshot => screenshot.username)).toEqual(['other']);
+    });
+});
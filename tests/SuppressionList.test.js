@@ -0,0 +1,58 @@
+const { Database } = require('../src/database/Database.js');
+const { SuppressionList, SUPPRESSION_REASONS } = require('../src/compliance/SuppressionList.js');
+
+describe('SuppressionList', () => {
+    let database;
+    let list;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database = new Database(':memory:');
+        await database.initialize();
+        list = new SuppressionList(database);
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    it('treats "@Handle", "handle" and " HANDLE " as the same account', async () => {
+        expect(SuppressionList.normalize(' @Some_Fan ')).toBe('some_fan');
+
+        await list.add('@Some_Fan', SUPPRESSION_REASONS.OPTED_OUT, { source: 'dm', notes: 'STOP' });
+
+        expect(list.isSuppressed('some_fan')).toBe(true);
+        expect(list.isSuppressed('SOME_FAN')).toBe(true);
+        expect(list.getEntry('@some_fan')).toMatchObject({ username: 'some_fan', reason: SUPPRESSION_REASONS.OPTED_OUT, source: 'dm' });
+        expect(list.isSuppressed('other_fan')).toBe(false);
+        expect(await database.getSuppression('some_fan')).toMatchObject({ reason: SUPPRESSION_REASONS.OPTED_OUT, notes: 'STOP' });
+    });
+
+    it('refuses empty handles and unknown reasons', async () => {
+        await expect(list.add('@', SUPPRESSION_REASONS.MANUAL)).rejects.toThrow(/empty username/);
+        await expect(list.add('fan', 'BORED')).rejects.toThrow(/Unknown suppression reason/);
+    });
+
+    it('loads entries from the database and checks it again right before acting', async () => {
+        await database.addSuppression('blocked_us', SUPPRESSION_REASONS.BLOCKED_US);
+        expect(list.isSuppressed('blocked_us')).toBe(false);
+        await list.load();
+        expect(list.isSuppressed('@Blocked_Us')).toBe(true);
+
+        // Added by another process after load(): only the database check sees it.
+        await database.addSuppression('late_optout', SUPPRESSION_REASONS.OPTED_OUT);
+        expect(list.isSuppressed('late_optout')).toBe(false);
+        expect(await list.check('@Late_Optout')).toMatchObject({ reason: SUPPRESSION_REASONS.OPTED_OUT });
+        expect(list.isSuppressed('late_optout')).toBe(true);
+
+        expect(await list.remove('@BLOCKED_US')).toBe(true);
+        expect(await list.check('blocked_us')).toBeNull();
+        expect(list.isSuppressed('blocked_us')).toBe(false);
+    });
+
+    it('records a blocked attempt under the normalized handle', async () => {
+        await list.recordBlocked({ leadId: 3, username: '@Some_Fan', type: 'dm', reason: SUPPRESSION_REASONS.OPTED_OUT });
+        expect(await database.hasActivity('some_fan', 'dm', 'BLOCKED', 'Suppressed: OPTED_OUT')).toBe(true);
+    });
+});
@@ -0,0 +1,83 @@
+const { TwitterBot } = require('../src/TwitterBot.js');
+
+const disclosure = {
+    businessName: 'Acme Sports',
+    dmText: 'This is an automated message sent on behalf of {business}.',
+    commentText: '(Automated reply from {business})'
+};
+
+/**
+ * A page that plays through the DM flow. Selectors containing a `visible` entry
+ * appear at once, those containing a `failing` entry time out, and the rest never
+ * appear (they only take part in races something else wins).
+ */
+function scriptedPage({ visible = [], failing = [] }) {
+    const clicks = [];
+    const locator = selector => {
+        const isVisible = visible.some(part => selector.includes(part));
+        return {
+            first: () => locator(selector),
+            last: () => locator(selector),
+            filter: () => locator(selector),
+            locator: child => locator(child),
+            isVisible: async () => isVisible,
+            waitFor: () => {
+                if (failing.some(part => selector.includes(part))) {
+                    return Promise.reject(new Error(`locator.waitFor: Timeout 10000ms exceeded waiting for ${selector}`));
+                }
+                return isVisible ? Promise.resolve() : new Promise(() => {});
+            },
+            click: async () => { clicks.push(selector); },
+            fill: async () => {},
+            pressSequentially: async () => {}
+        };
+    };
+    return {
+        clicks,
+        goto: async () => {},
+        locator,
+        waitForURL: () => new Promise(() => {}),
+        waitForTimeout: async () => {}
+    };
+}
+
+const composerReady = ['sendDMFromProfile', 'DMDrawer', 'dmComposerTextInput'];
+
+describe('TwitterBot.sendDM', () => {
+    let bot;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        bot = new TwitterBot({}, { disclosure });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('sends the disclosed message once the sent message shows up', async () => {
+        bot.page = scriptedPage({ visible: [...composerReady, 'messageEntry'] });
+        expect(await bot.sendDM('nba_fan', 'Hi nba_fan!')).toBe(true);
+        expect(bot.page.clicks.filter(selector => selector.includes('dmComposerSendButton'))).toHaveLength(1);
+    });
+
+    it('tags a failure after the send click and does not click send again', async () => {
+        bot.page = scriptedPage({ visible: composerReady, failing: ['messageEntry'] });
+
+        const error = await bot.sendDM('nba_fan', 'Hi nba_fan!').catch(caught => caught);
+
+        expect(error.message).toMatch(/Timeout 10000ms exceeded/);
+        expect(error.afterSend).toBe(true);
+        expect(bot.page.clicks.filter(selector => selector.includes('dmComposerSendButton'))).toHaveLength(1);
+    });
+
+    it('leaves a failure before the send click retryable', async () => {
+        bot.page = scriptedPage({ visible: ['sendDMFromProfile', 'DMDrawer', 'You can.?t message this account'] });
+
+        const error = await bot.sendDM('nba_fan', 'Hi nba_fan!').catch(caught => caught);
+
+        expect(error.message).toMatch(/Cannot send DM/);
+        expect(error.afterSend).toBe(false);
+        expect(bot.page.clicks.filter(selector => selector.includes('dmComposerSendButton'))).toHaveLength(0);
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * A stand-in for a Playwright page over recorded HTML, so the scrapers can be run
+ * against fixtures without a browser.
+ *
+ * Supports the selectors the scrapers use: tag names, [attr], [attr="v"], [attr*="v"]
+ * and the descendant combinator. Locators are resolved eagerly against the HTML.
+ */
+const fs = require('fs');
+
+const VOID_TAGS = new Set(['img', 'br', 'hr', 'input', 'meta', 'link', 'source']);
+
+const decode = text => text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+function parseHtml(html) {
+    const root = { tag: '#root', attrs: {}, children: [], parent: null };
+    let current = root;
+    const tokens = /<!--[\s\S]*?-->|<\/([a-zA-Z0-9-]+)\s*>|<([a-zA-Z0-9-]+)((?:\s+[^\s=>\/]+(?:="[^"]*")?)*)\s*(\/?)>|([^<]+)/g;
+    let token;
+    while ((token = tokens.exec(html))) {
+        const [, closing, tag, rawAttrs, selfClosing, text] = token;
+        if (text !== undefined) {
+            current.children.push({ text: decode(text), parent: current });
+        } else if (closing) {
+            let node = current;
+            while (node !== root && node.tag !== closing.toLowerCase()) node = node.parent;
+            if (node !== root) current = node.parent;
+        } else if (tag) {
+            const attrs = {};
+            for (const [, name, value = ''] of (rawAttrs || '').matchAll(/([^\s=]+)(?:="([^"]*)")?/g)) {
+                attrs[name] = decode(value);
+            }
+            const element = { tag: tag.toLowerCase(), attrs, children: [], parent: current };
+            current.children.push(element);
+            if (!selfClosing && !VOID_TAGS.has(element.tag)) current = element;
+        }
+    }
+    return root;
+}
+
+function parseCompound(compound) {
+    const [, tag] = compound.match(/^([a-zA-Z0-9]*)/);
+    const attrs = [...compound.matchAll(/\[([\w-]+)(?:(\*?=)"([^"]*)")?\]/g)]
+        .map(([, name, op, value]) => ({ name, op, value }));
+    return { tag: tag.toLowerCase(), attrs };
+}
+
+function matches(node, { tag, attrs }) {
+    if (!node.tag || node.tag === '#root' || (tag && node.tag !== tag)) return false;
+    return attrs.every(({ name, op, value }) => {
+        if (!(name in node.attrs)) return false;
+        if (op === '=') return node.attrs[name] === value;
+        if (op === '*=') return node.attrs[name].includes(value);
+        return true;
+    });
+}
+
+function descendants(node, out = []) {
+    for (const child of node.children || []) {
+        if (child.tag) {
+            out.push(child);
+            descendants(child, out);
+        }
+    }
+    return out;
+}
+
+function select(scope, selector) {
+    const compounds = selector.trim().split(/\s+/).map(parseCompound);
+    const target = compounds[compounds.length - 1];
+    return descendants(scope).filter(node => {
+        if (!matches(node, target)) return false;
+        let ancestor = node.parent;
+        for (let i = compounds.length - 2; i >= 0; i--) {
+            while (ancestor && ancestor !== scope && !matches(ancestor, compounds[i])) ancestor = ancestor.parent;
+            if (!ancestor || ancestor === scope) return false;
+            ancestor = ancestor.parent;
+        }
+        return true;
+    });
+}
+
+const textOf = node => node.text !== undefined ? node.text : (node.children || []).map(textOf).join('');
+
+class FakeLocator {
+    constructor(nodes, selector) {
+        this.nodes = nodes;
+        this.selector = selector;
+    }
+
+    locator(selector) {
+        const found = new Set();
+        for (const node of this.nodes) select(node, selector).forEach(match => found.add(match));
+        return new FakeLocator([...found], `${this.selector} >> ${selector}`);
+    }
+
+    first() { return new FakeLocator(this.nodes.slice(0, 1), this.selector); }
+    last() { return new FakeLocator(this.nodes.slice(-1), this.selector); }
+    nth(index) { return new FakeLocator(this.nodes.slice(index, index + 1), this.selector); }
+    async all() { return this.nodes.map(node => new FakeLocator([node], this.selector)); }
+    async count() { return this.nodes.length; }
+    async isVisible() { return this.nodes.length > 0; }
+
+    element() {
+        if (this.nodes.length === 0) throw new Error(`Timeout: no element matches ${this.selector}`);
+        return this.nodes[0];
+    }
+
+    async textContent() { return textOf(this.element()); }
+    async getAttribute(name) { return this.element().attrs[name] ?? null; }
+
+    async waitFor({ state = 'visible' } = {}) {
+        const present = this.nodes.length > 0;
+        if (present !== (state !== 'detached' && state !== 'hidden')) {
+            throw new Error(`Timeout waiting for ${this.selector} to be ${state}`);
+        }
+    }
+}
+
+class FakePage {
+    /**
+     * @param {object} pages - URL -> HTML. A URL not listed loads an empty page.
+     */
+    constructor(pages = {}) {
+        this.pages = pages;
+        this.visited = [];
+        this.screenshots = [];
+        this.currentUrl = 'about:blank';
+        this.document = parseHtml('');
+    }
+
+    async goto(url) {
+        this.visited.push(url);
+        this.currentUrl = url;
+        this.document = parseHtml(this.pages[url] || '');
+    }
+
+    url() { return this.currentUrl; }
+    async title() { return 'X'; }
+    async waitForTimeout() {}
+    async evaluate() {}
+
+    async screenshot(options = {}) {
+        this.screenshots.push(options);
+        if (options.path) fs.writeFileSync(options.path, '');
+        return Buffer.from('png');
+    }
+
+    locator(selector) {
+        return new FakeLocator(select(this.document, selector), selector);
+    }
+
+    async waitForSelector(selector) {
+        await this.locator(selector).waitFor();
+    }
+}
+
+module.exports = { FakePage, parseHtml };
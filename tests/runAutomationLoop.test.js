@@ -0,0 +1,616 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point every backend at local, throwaway storage before config.js is loaded.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-x-'));
+process.env.SHEETS_BACKEND = 'local';
+process.env.LOCAL_SHEETS_PATH = path.join(tmpDir, 'sheets.json');
+process.env.DATABASE_PATH = ':memory:';
+process.env.DRY_RUN_AUDIT_FILE = path.join(tmpDir, 'audit.jsonl');
+process.env.OUTREACH_MODE = 'open';
+process.env.KILL_SWITCH_FILE = path.join(tmpDir, 'KILL_SWITCH');
+process.env.AUDIT_TRAIL_FILE = path.join(tmpDir, 'audit-trail.jsonl');
+process.env.SCREENSHOTS_DIR = path.join(tmpDir, 'screenshots');
+
+const { TwitterAutomationSystem } = require('../src/main.js');
+
+const readSheet = () => JSON.parse(fs.readFileSync(process.env.LOCAL_SHEETS_PATH, 'utf8'));
+const { AuditTrail } = require('../src/compliance/AuditTrail.js');
+const { DisclosurePolicy } = require('../src/compliance/DisclosurePolicy.js');
+const { ActionJournal } = require('../src/queue/ActionJournal.js');
+const { KeywordPolicy } = require('../src/compliance/KeywordPolicy.js');
+const { LeadProvenance } = require('../src/compliance/LeadProvenance.js');
+const config = require('../src/config/config.js');
+const logger = require('../src/utils/Logger.js');
+const readAudit = () => fs.readFileSync(process.env.DRY_RUN_AUDIT_FILE, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+/**
+ * Builds a dry-run system on the local sheet whose waits return immediately and
+ * which stops after a single cycle. Its keywords are signed off once the database
+ * is initialized, unless the keyword policy rejects them.
+ */
+function createSystem(userConfig = {}) {
+    const system = new TwitterAutomationSystem({
+        dryRun: true,
+        keywords: ['nba'],
+        messageTemplates: ['Hi {username}! {sender} here, saw your posts about {topic}. Reply STOP to opt out.'],
+        senderName: 'Acme Sports',
+        ...userConfig
+    });
+    system.leadScraper.sleep = async () => {};
+    system.sleep = async () => {};
+    const initialize = system.database.initialize.bind(system.database);
+    system.database.initialize = async function () {
+        await initialize();
+        for (const keyword of system.config.scraping.keywords) {
+            const policy = KeywordPolicy.classify(keyword);
+            if (!policy || !policy.rejected) await system.keywordPolicy.approve(keyword, { reviewer: 'ops@example.com' });
+        }
+    };
+    const runCycle = system.engagementPhase.bind(system);
+    system.engagementPhase = async function () {
+        await runCycle();
+        system.isShuttingDown = true; // Stop after one full cycle
+    };
+    return system;
+}
+
+/**
+ * Approves every queued message as-is, the way a reviewer would from the web UI.
+ */
+async function approveAll(system) {
+    for (const approval of await system.approvalQueue.getPending()) {
+        await system.approvalQueue.approve(approval.id, { reviewer: 'reviewer@example.com' });
+    }
+}
+
+/**
+ * Runs one more cycle of a system created by createSystem().
+ */
+async function runNextCycle(system) {
+    system.isShuttingDown = false;
+    await system.runAutomationLoop();
+}
+
+describe('TwitterAutomationSystem.runAutomationLoop (offline)', () => {
+    let logSpy;
+
+    beforeEach(() => {
+        fs.rmSync(process.env.LOCAL_SHEETS_PATH, { force: true });
+        fs.rmSync(process.env.DRY_RUN_AUDIT_FILE, { force: true });
+        fs.rmSync(process.env.KILL_SWITCH_FILE, { force: true });
+        fs.rmSync(process.env.AUDIT_TRAIL_FILE, { force: true });
+        logSpy = jest.spyOn(logger, 'info');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('scrapes, filters and engages leads without any network access', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+
+        // First cycle: DMs are only queued for review.
+        await system.runAutomationLoop();
+        expect(readAudit().filter(entry => entry.action === 'dm')).toEqual([]);
+        const pendingDMs = (await system.approvalQueue.getPending()).filter(approval => approval.activity_type === 'dm');
+        expect(pendingDMs.map(approval => approval.username).sort()).toEqual(['nba_insider', 'sports_fan_2024']);
+
+        await approveAll(system);
+        await runNextCycle(system);
+        await system.shutdown();
+
+        const leads = readSheet().leads;
+        expect(leads.map(lead => lead.Username).sort()).toEqual(['nba_insider', 'sports_fan_2024']);
+        expect(leads.every(lead => lead["Filter Status"] === 'PASS')).toBe(true);
+        // Dry runs leave DM status alone so a live run still contacts these leads.
+        expect(leads.every(lead => lead["DM Status"] === 'NOT_SENT')).toBe(true);
+
+        const dms = readAudit().filter(entry => entry.action === 'dm');
+        expect(dms.map(dm => dm.username).sort()).toEqual(['nba_insider', 'sports_fan_2024']);
+        for (const dm of dms) {
+            expect(dm.text).toContain(dm.username);
+        }
+        expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('Cycle 1 completed successfully'));
+
+        const trail = new AuditTrail(process.env.AUDIT_TRAIL_FILE);
+        expect(trail.verify().valid).toBe(true);
+        const trailDMs = trail.readAll().filter(entry => entry.type === 'dm');
+        expect(trailDMs.map(entry => entry.text).sort()).toEqual(dms.map(dm => dm.text).sort());
+        for (const entry of trailDMs) {
+            expect(entry).toMatchObject({
+                result: 'SUCCESS',
+                dryRun: true,
+                filterDecision: { status: 'PASS', reason: 'All filters passed' },
+                approval: { reviewer: 'reviewer@example.com' }
+            });
+        }
+        expect(trail.readAll().filter(entry => entry.type === 'like').every(entry => entry.postUrl)).toBe(true);
+    });
+
+    it('records why each lead was contacted, from the keyword it was scraped for to who approved the DM', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+
+        await system.runAutomationLoop();
+        await approveAll(system);
+        await runNextCycle(system);
+
+        const chain = await system.leadProvenance.lookup('@NBA_Insider');
+        const row = readSheet().leads.find(lead => lead.Username === 'nba_insider');
+        expect(chain.scrape).toMatchObject({
+            runId: system.runId,
+            keyword: 'nba',
+            keywordSignoff: { status: 'APPROVED', reviewer: 'ops@example.com' },
+            match: { source: 'bio', text: 'NBA news and analysis | Draft expert', url: 'https://twitter.com/nba_insider' },
+            scrapedAt: row.Timestamp
+        });
+        expect(chain.filter).toMatchObject({ status: 'PASS', score: expect.any(Number), rulesVersion: system.filterEngine.rulesVersion });
+        expect(chain.plan).toEqual(expect.arrayContaining([expect.objectContaining({ runId: system.runId, type: 'dm', templateId: expect.any(String) })]));
+        expect(chain.approvals).toEqual([expect.objectContaining({ type: 'dm', status: 'APPROVED', reviewer: 'reviewer@example.com' })]);
+        expect(chain.activities).toEqual(expect.arrayContaining([expect.objectContaining({ type: 'dm', status: 'DRY_RUN' })]));
+        expect(LeadProvenance.format(chain)).toContain(`by rules ${system.filterEngine.rulesVersion}`);
+        await system.shutdown();
+    });
+
+    it('tags every log entry with the run, cycle, phase and action it belongs to', async () => {
+        const entries = [];
+        const unsubscribe = logger.subscribe(entry => entries.push(entry));
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+
+        try {
+            await system.runAutomationLoop();
+            await approveAll(system);
+            await runNextCycle(system);
+        } finally {
+            unsubscribe();
+            await system.shutdown();
+        }
+
+        const run = entries.filter(entry => entry.runId === system.runId);
+        expect(run.length).toBeGreaterThan(0);
+        expect(run.find(entry => /Starting automation cycle 1/.test(entry.message))).toMatchObject({ cycle: 1 });
+
+        // One lead, from filter decision to the DM it was sent
+        const filtered = run.find(entry => entry.username === 'nba_insider' && /PASS/.test(entry.message));
+        expect(filtered).toMatchObject({ cycle: 1, phase: 'filtering', leadId: expect.any(Number) });
+
+        const dm = new AuditTrail(process.env.AUDIT_TRAIL_FILE).readAll()
+            .find(entry => entry.type === 'dm' && entry.target === 'nba_insider');
+        const action = run.filter(entry => entry.activityId === dm.activityId);
+        expect(action.map(entry => entry.message)).toEqual(expect.arrayContaining([
+            expect.stringContaining('Executing dm'),
+            expect.stringContaining('dm completed for @nba_insider')
+        ]));
+        for (const entry of action) {
+            expect(entry).toMatchObject({ cycle: 1, phase: 'engagement', leadId: filtered.leadId, username: 'nba_insider' });
+        }
+    });
+
+    it('scrapes only keywords the targeting policy passes and an operator signed off, and stores the decisions with the run', async () => {
+        const system = createSystem({ keywords: ['NBA', 'help with my bets', 'sports'] });
+        const scraped = [];
+        const scrape = system.leadScraper.scrapeByKeyword.bind(system.leadScraper);
+        system.leadScraper.scrapeByKeyword = async (keyword, limit) => {
+            scraped.push(keyword);
+            return scrape(keyword, limit);
+        };
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+        await system.keywordPolicy.refuse('sports', { reviewer: 'ops@example.com', note: 'Too broad' });
+
+        await system.runAutomationLoop();
+
+        expect(scraped).toEqual(['NBA']);
+        const run = await system.database.getRun(system.runId);
+        expect(run.keywordDecisions).toEqual([
+            expect.objectContaining({ keyword: 'nba', decision: 'ALLOWED', reviewer: 'ops@example.com' }),
+            expect.objectContaining({ keyword: 'help with my bets', decision: 'REJECTED', category: 'PROBLEM_GAMBLING' }),
+            expect.objectContaining({ keyword: 'sports', decision: 'HELD', reason: 'Refused by ops@example.com: Too broad' })
+        ]);
+        await system.shutdown();
+    });
+
+    it('keeps each run\'s settings to itself', () => {
+        const first = new TwitterAutomationSystem({ twitterUsername: 'first_account', keywords: ['first keyword'], senderName: 'First Co' });
+        const second = new TwitterAutomationSystem({ overrides: { engagement: { activitiesPerCycle: 1 } } });
+
+        expect(first.config.scraping.keywords).toEqual(['first keyword']);
+        expect(first.disclosurePolicy.businessName).toBe('First Co');
+        expect(second.config.twitter.username).toBe(config.twitter.username);
+        expect(second.config.scraping.keywords).toEqual(config.scraping.keywords);
+        expect(second.config.messagePolicy.senderName).toBe(config.messagePolicy.senderName);
+        expect(second.config.engagement.activitiesPerCycle).toBe(1);
+        expect(first.config.engagement.activitiesPerCycle).toBe(config.engagement.activitiesPerCycle);
+    });
+
+    it('never engages a suppressed lead and records the blocked attempt', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.suppressionList.add('nba_insider', 'OPTED_OUT');
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+
+        await system.runAutomationLoop();
+
+        const targets = readAudit().filter(entry => entry.username).map(entry => entry.username);
+        expect(targets).not.toContain('nba_insider');
+        const pending = await system.approvalQueue.getPending();
+        expect(pending.map(approval => approval.username)).toEqual(['sports_fan_2024']);
+
+        const blocked = await system.database.db.all("SELECT * FROM activities WHERE status = 'BLOCKED' AND username = 'nba_insider'");
+        expect(blocked).toEqual([expect.objectContaining({ username: 'nba_insider', reason: 'Suppressed: OPTED_OUT' })]);
+        expect(new AuditTrail(process.env.AUDIT_TRAIL_FILE).query({ account: 'nba_insider' })).toEqual([]);
+        await system.shutdown();
+    });
+
+    it('does not count an approved action as performed when it is blocked right before sending', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+        await system.runAutomationLoop();
+        await approveAll(system);
+
+        // Another process suppresses the lead after its DM was approved.
+        await system.database.addSuppression('nba_insider', 'OPTED_OUT', 'cli');
+        await runNextCycle(system);
+
+        const messages = logSpy.mock.calls.map(([message]) => message);
+        expect(messages).toContain('ℹ️ dm for @nba_insider not performed (BLOCKED)');
+        expect(messages).not.toContain('✅ dm completed for @nba_insider');
+        const performed = new AuditTrail(process.env.AUDIT_TRAIL_FILE).readAll().filter(entry => entry.result === 'SUCCESS').length;
+        const summary = messages.filter(message => /Engagement phase completed/.test(message)).pop();
+        expect(summary).toMatch(new RegExp(`completed: ${performed}/\\d+ actions performed`));
+        await system.shutdown();
+    });
+
+    it('stops before doing anything when the local kill switch says STOP', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        const sheet = readSheet();
+        sheet.control["Kill Switch"] = 'STOP';
+        fs.writeFileSync(process.env.LOCAL_SHEETS_PATH, JSON.stringify(sheet));
+
+        await system.runAutomationLoop();
+        await system.shutdown();
+
+        expect(readSheet().leads).toEqual([]);
+    });
+
+    it('holds on PAUSE without closing the browser and carries on once resumed', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+        fs.writeFileSync(process.env.KILL_SWITCH_FILE, 'PAUSE');
+
+        let pausedChecks = 0;
+        system.sleep = async () => {
+            // Each PAUSE poll sleeps; resume after a few polls.
+            if (++pausedChecks === 3) fs.writeFileSync(process.env.KILL_SWITCH_FILE, 'RUN');
+        };
+        const closeSpy = jest.spyOn(system.twitterBot, 'close');
+
+        await system.runAutomationLoop();
+
+        expect(pausedChecks).toBeGreaterThanOrEqual(3);
+        expect(closeSpy).not.toHaveBeenCalled();
+        expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('Kill switch PAUSE (file source is PAUSE)'));
+        expect(readSheet().leads.length).toBe(2);
+        await system.shutdown();
+    });
+
+    it('fails safe and shuts down when a kill switch source is unreachable', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+        jest.spyOn(system.sheetsManager, 'getKillSwitchStatus').mockRejectedValue(new Error('sheet offline'));
+        const closeSpy = jest.spyOn(system.twitterBot, 'close');
+
+        await system.runAutomationLoop();
+
+        expect(readSheet().leads).toEqual([]);
+        expect(closeSpy).toHaveBeenCalled();
+        expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('sheet source unreachable: sheet offline'));
+    });
+
+    it('stops between actions and records the planned actions it cancelled', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+        await system.runAutomationLoop(); // Queue the DMs for review
+        await approveAll(system);
+        fs.rmSync(process.env.DRY_RUN_AUDIT_FILE);
+        system.isShuttingDown = false;
+        const sendDM = system.twitterBot.sendDM.bind(system.twitterBot);
+        jest.spyOn(system.twitterBot, 'sendDM').mockImplementation(async (username, message) => {
+            await sendDM(username, message);
+            fs.writeFileSync(process.env.KILL_SWITCH_FILE, 'STOP');
+        });
+        const closeSpy = jest.spyOn(system.twitterBot, 'close');
+        // The kill switch, not the one-cycle harness, must end this run.
+        system.engagementPhase = TwitterAutomationSystem.prototype.engagementPhase;
+        jest.spyOn(system.database, 'close').mockResolvedValue(); // Keep the in-memory history readable
+        logSpy.mockClear();
+
+        await system.runAutomationLoop();
+
+        const actions = readAudit().filter(entry => ['dm', 'like', 'retweet', 'comment'].includes(entry.action));
+        expect(actions).toHaveLength(1);
+        const cancelled = await system.database.db.all("SELECT * FROM activities WHERE status = 'CANCELLED'");
+        const otherLead = actions[0].username === 'nba_insider' ? 'sports_fan_2024' : 'nba_insider';
+        expect(cancelled).toContainEqual(expect.objectContaining({ activity_type: 'dm', username: otherLead }));
+        expect(cancelled).not.toContainEqual(expect.objectContaining({ activity_type: 'dm', username: actions[0].username }));
+        for (const row of cancelled) {
+            expect(row.reason).toBe('Kill switch STOP: file source is STOP');
+        }
+        expect(closeSpy).toHaveBeenCalled();
+        expect(logSpy).not.toHaveBeenCalledWith(expect.stringContaining('Cycle 1 completed successfully'));
+    });
+
+    it('holds a DM caught mid-send by a crash for review instead of sending it again', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+        await system.runAutomationLoop();
+        await approveAll(system);
+        fs.rmSync(process.env.DRY_RUN_AUDIT_FILE);
+
+        // An earlier process died after handing this DM to Twitter.
+        const approval = (await system.database.getApprovals('APPROVED')).find(row => row.username === 'nba_insider' && row.activity_type === 'dm');
+        const crashed = new ActionJournal(system.database, { runId: 'crashed-run', dryRun: true });
+        const checkpoint = await crashed.begin({ type: 'dm', username: 'nba_insider', leadId: approval.lead_id, approvalId: approval.id });
+        await crashed.markSending(checkpoint);
+        const warnSpy = jest.spyOn(logger, 'warn');
+
+        await system.recoverCheckpoints();
+        await runNextCycle(system);
+
+        expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining(`#${checkpoint.id} DM for @nba_insider`));
+        expect(readAudit().filter(entry => entry.action === 'dm').map(entry => entry.username)).toEqual(['sports_fan_2024']);
+        const held = await system.database.db.all("SELECT username, reason FROM activities WHERE status = 'BLOCKED' AND reason LIKE 'Idempotency:%'");
+        expect(held).toEqual([{ username: 'nba_insider', reason: `Idempotency: Earlier dm ${checkpoint.key} may have gone out; awaiting manual review` }]);
+
+        // The operator checked the account: it never went out, so it may be sent.
+        await system.actionJournal.resolve(checkpoint.id, { sent: false, reviewer: 'ana' });
+        await runNextCycle(system);
+        expect(readAudit().filter(entry => entry.action === 'dm').map(entry => entry.username)).toEqual(['sports_fan_2024', 'nba_insider']);
+        expect(await system.database.getCheckpoint(checkpoint.id)).toMatchObject({ status: 'DONE', attempts: 2 });
+        await system.shutdown();
+    });
+
+    it('holds a DM that failed after the send click for review, but retries one that failed before it', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+        await system.runAutomationLoop();
+        await approveAll(system);
+        fs.rmSync(process.env.DRY_RUN_AUDIT_FILE);
+
+        // TwitterBot.sendDM tags errors after the send click with afterSend.
+        const sendDM = system.twitterBot.sendDM.bind(system.twitterBot);
+        const sendSpy = jest.spyOn(system.twitterBot, 'sendDM').mockImplementation(async (username, message) => {
+            if (sendSpy.mock.calls.length <= 2) {
+                const error = new Error(username === 'nba_insider'
+                    ? 'locator.waitFor: Timeout 10000ms exceeded'
+                    : 'Cannot send DM. User only accepts messages from followers or has DMs disabled.');
+                error.afterSend = username === 'nba_insider';
+                throw error;
+            }
+            return sendDM(username, message);
+        });
+        await runNextCycle(system);
+
+        const checkpoints = await system.database.db.all('SELECT username, status, note FROM action_checkpoints WHERE activity_type = ? ORDER BY username', ['dm']);
+        expect(checkpoints).toEqual([
+            { username: 'nba_insider', status: 'REVIEW', note: 'Failed after the send click: locator.waitFor: Timeout 10000ms exceeded' },
+            { username: 'sports_fan_2024', status: 'FAILED', note: expect.stringContaining('Cannot send DM') }
+        ]);
+
+        await runNextCycle(system);
+
+        expect(sendSpy.mock.calls.map(([username]) => username).sort()).toEqual(['nba_insider', 'sports_fan_2024', 'sports_fan_2024']);
+        expect(readAudit().filter(entry => entry.action === 'dm').map(entry => entry.username)).toEqual(['sports_fan_2024']);
+        const held = await system.database.db.all("SELECT username FROM activities WHERE status = 'BLOCKED' AND reason LIKE 'Idempotency:%'");
+        expect(held).toEqual([{ username: 'nba_insider' }]);
+        expect((await system.actionJournal.getForReview()).map(row => row.username)).toEqual(['nba_insider']);
+        await system.shutdown();
+    });
+
+    it('shuts down cleanly on SIGTERM once the action in progress has finished', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        const listeners = process.listenerCount('SIGTERM');
+        const exited = new Promise(resolve => jest.spyOn(process, 'exit').mockImplementation(resolve));
+        let finishAction;
+        system.activityInProgress = new Promise(resolve => { finishAction = resolve; });
+        const closeSpy = jest.spyOn(system.sheetsManager, 'close');
+
+        system.handleSignals();
+        expect(process.listenerCount('SIGTERM')).toBe(listeners + 1);
+        process.emit('SIGTERM', 'SIGTERM');
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(system.isShuttingDown).toBe(true);
+        expect(closeSpy).not.toHaveBeenCalled();
+        finishAction();
+        expect(await exited).toBe(0);
+        expect(closeSpy).toHaveBeenCalled();
+        expect(process.listenerCount('SIGTERM')).toBe(listeners);
+    });
+
+    it('cuts a long wait short when STOP arrives mid-sleep', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        const slices = [];
+        system.sleep = async ms => {
+            slices.push(ms);
+            if (slices.length === 2) fs.writeFileSync(process.env.KILL_SWITCH_FILE, 'STOP');
+        };
+
+        expect(await system.sleepUnlessStopped(10 * 60 * 1000)).toBe(true);
+        expect(slices).toEqual([5000, 5000]);
+        expect(system.killSwitchStop).toBe('file source is STOP');
+        await system.shutdown();
+    });
+
+    it('pauses an unhealthy keyword and flips the kill switch to PAUSE with the reason', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        for (let i = 0; i < 10; i++) {
+            await system.database.recordActivity(i, 'dm', 'SENT', null, { username: `lead_${i}`, keyword: 'nba', templateId: 'abcd1234' });
+        }
+        await system.database.recordActivity(null, 'reply', 'OPTED_OUT', null, { username: 'lead_3' });
+
+        await system.healthCheckPhase();
+
+        const control = readSheet().control;
+        expect(control["Kill Switch"]).toBe('PAUSE');
+        expect(control["Notes"]).toContain('keyword "nba": OPT_OUT 1/10 (10.0% > 5.0%)');
+        expect(system.healthMonitor.isPaused('keyword', 'nba')).toBe(true);
+
+        // The paused keyword is no longer scraped and its leads are not planned.
+        fs.writeFileSync(process.env.LOCAL_SHEETS_PATH, JSON.stringify({ ...readSheet(), control: { "Kill Switch": 'RUN' } }));
+        await system.keywordPolicyPhase();
+        expect(system.allowedKeywords).toEqual(['nba']);
+        await system.scrapingPhase();
+        expect(readSheet().leads).toEqual([]);
+        expect(system.scheduler.createDailyPlan([{ id: 2, username: 'x', keyword: 'nba' }])).toEqual([]);
+        await system.shutdown();
+    });
+
+    it('sends edited text once approved and never sends rejected or altered messages', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+        await system.runAutomationLoop();
+
+        const pending = (await system.approvalQueue.getPending()).filter(approval => approval.activity_type === 'dm');
+        const edited = pending.find(approval => approval.username === 'nba_insider');
+        const rejected = pending.find(approval => approval.username === 'sports_fan_2024');
+        await system.approvalQueue.approve(edited.id, { reviewer: 'ana', text: 'Hi nba_insider, edited by a human at Acme Sports. Reply STOP to opt out.' });
+        await system.approvalQueue.reject(rejected.id, { reviewer: 'ana', note: 'Not a fit' });
+        await runNextCycle(system);
+
+        const dms = readAudit().filter(entry => entry.action === 'dm');
+        expect(dms).toEqual([expect.objectContaining({
+            username: 'nba_insider',
+            text: 'Hi nba_insider, edited by a human at Acme Sports. Reply STOP to opt out. This is an automated message sent on behalf of Acme Sports.'
+        })]);
+
+        // Direct calls reusing a sent approval or without one are refused.
+        await system.executeActivity({ type: 'dm', username: 'nba_insider', leadId: 2, message: 'Something else', approvalId: edited.id });
+        await system.executeActivity({ type: 'dm', username: 'sports_fan_2024', leadId: 3, message: rejected.proposed_text });
+        expect(readAudit().filter(entry => entry.action === 'dm')).toHaveLength(1);
+
+        const refused = await system.database.db.all("SELECT username, reason FROM activities WHERE status = 'BLOCKED' AND reason LIKE 'Not approved%' ORDER BY id");
+        expect(refused).toEqual([{ username: 'sports_fan_2024', reason: 'Not approved: No approval record' }]);
+        expect(new AuditTrail(process.env.AUDIT_TRAIL_FILE).readAll().filter(entry => entry.target === 'nba_insider' && entry.type === 'dm').pop())
+            .toMatchObject({ result: 'SKIPPED', error: `Already sent (dry-run:dm:nba_insider:approval:${edited.id})` });
+        await system.shutdown();
+    });
+
+    it('refuses to start with templates that fail the message policy and to approve failing edits', async () => {
+        const broken = createSystem({ messageTemplates: ['Hi {username}! Love your work in {industy}, guaranteed winners inside.'] });
+        expect(() => broken.validateEnvironment()).toThrow(/Unknown placeholders: \{industy\}[\s\S]*"guaranteed"[\s\S]*opt out/);
+        await broken.shutdown();
+
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+        expect(() => system.validateEnvironment()).not.toThrow();
+        await system.runAutomationLoop();
+
+        const [pending] = (await system.approvalQueue.getPending()).filter(approval => approval.activity_type === 'dm');
+        expect(pending.proposed_text).toMatch(/^Hi \w+! Acme Sports here, saw your posts about \w+\. Reply STOP to opt out\. This is an automated message sent on behalf of Acme Sports\.$/);
+        await expect(system.approvalQueue.approve(pending.id, { reviewer: 'ana', text: 'Tonight is a lock, DM me' }))
+            .rejects.toThrow(/Message policy: .*"lock".*opt out/);
+        expect((await system.database.getApproval(pending.id)).status).toBe('PENDING');
+        await system.shutdown();
+    });
+
+    it('fails sends closed when the disclosure is removed or would push a message over the limit', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+        await system.runAutomationLoop();
+
+        // A reviewer who edits the disclosure out gets it put back, so approved text is sent text.
+        const [pending] = (await system.approvalQueue.getPending()).filter(approval => approval.activity_type === 'dm');
+        await system.approvalQueue.approve(pending.id, { reviewer: 'ana', text: `Hi ${pending.username}! Acme Sports here. Reply STOP to opt out.` });
+        expect((await system.database.getApproval(pending.id)).approved_text)
+            .toBe(`Hi ${pending.username}! Acme Sports here. Reply STOP to opt out. This is an automated message sent on behalf of Acme Sports.`);
+
+        const approvedDM = {
+            type: 'dm',
+            username: pending.username,
+            leadId: pending.lead_id,
+            message: (await system.database.getApproval(pending.id)).approved_text,
+            approvalId: pending.id
+        };
+        system.twitterBot.disclosurePolicy = new DisclosurePolicy({ businessName: 'Acme Sports', dmText: 'Sent by Acme Sports.' });
+        await expect(system.executeActivity(approvedDM)).rejects.toThrow('does not say the message is automated');
+
+        system.twitterBot.disclosurePolicy = new DisclosurePolicy({ ...config.disclosure, businessName: 'Acme Sports', maxLength: { dm: 40 } });
+        await expect(system.executeActivity(approvedDM)).rejects.toThrow(/with the disclosure \(limit 40\)/);
+
+        expect(readAudit().filter(entry => entry.action === 'dm')).toEqual([]);
+        const failed = await system.database.db.all("SELECT status FROM activities WHERE activity_type = 'dm' ORDER BY id");
+        expect(failed).toEqual([{ status: 'FAILED' }, { status: 'FAILED' }]);
+
+        system.disclosurePolicy = new DisclosurePolicy({ ...config.disclosure, businessName: '' });
+        expect(() => system.validateEnvironment()).toThrow('no business name');
+        await system.shutdown();
+    });
+
+    it('links the screenshot of a failed send to its activities row', async () => {
+        const system = createSystem();
+        await system.database.initialize();
+        await system.sheetsManager.initialize();
+        await system.twitterBot.initialize();
+
+        const page = { locator: () => ({}), screenshot: async ({ path: file }) => fs.writeFileSync(file, '') };
+        jest.spyOn(system.twitterBot, 'likePost').mockImplementation(async () => {
+            const error = new Error('Post does not exist or has been deleted.');
+            error.screenshotId = (await system.screenshotStore.capture(page, { label: 'like_error', username: 'fan' })).id;
+            throw error;
+        });
+        jest.spyOn(system.twitterBot, 'getLatestTweetUrl').mockResolvedValue('https://x.com/fan/status/1');
+        await expect(system.executeActivity({ type: 'like', username: 'fan', leadId: 2 })).rejects.toThrow('deleted');
+
+        const [activity] = await system.database.db.all("SELECT id, status FROM activities WHERE activity_type = 'like'");
+        expect(activity.status).toBe('FAILED');
+        expect(await system.database.getScreenshots()).toEqual([
+            expect.objectContaining({ activity_id: activity.id, username: 'fan', activity_status: 'FAILED' })
+        ]);
+        await system.shutdown();
+    });
+});